@@ -0,0 +1,380 @@
+const CorporateAction = require("../models/CorporateAction");
+const { validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+
+// The user's own action; administrators adjusting shared price history
+// may load any user's (anyUser)
+const findUserAction = async (req, res, { anyUser = false } = {}) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid corporate action ID format",
+    });
+    return null;
+  }
+
+  const action = await CorporateAction.findOne({
+    _id: id,
+    ...(!anyUser && { userId: req.user.id }),
+  });
+
+  if (!action) {
+    res.status(404).json({
+      success: false,
+      message: "Corporate action not found",
+    });
+    return null;
+  }
+
+  return action;
+};
+
+/**
+ * @desc Get corporate actions
+ * @route GET /api/corporate-actions
+ * @access Private
+ */
+const getCorporateActions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { symbol, type, status, page = 1, limit = 50 } = req.query;
+
+    const query = { userId };
+    if (symbol) query.symbol = symbol.toUpperCase();
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [actions, total] = await Promise.all([
+      CorporateAction.find(query)
+        .select("-adjustments")
+        .sort({ exDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CorporateAction.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Corporate actions retrieved successfully",
+      data: {
+        actions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get corporate actions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching corporate actions",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Get single corporate action with its audit trail
+ * @route GET /api/corporate-actions/:id
+ * @access Private
+ */
+const getCorporateAction = async (req, res) => {
+  try {
+    const action = await findUserAction(req, res);
+    if (!action) return;
+
+    res.json({
+      success: true,
+      message: "Corporate action retrieved successfully",
+      data: { action },
+    });
+  } catch (error) {
+    console.error("Get corporate action error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching corporate action",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Create corporate action (optionally applying it right away)
+ * @route POST /api/corporate-actions
+ * @access Private
+ */
+const createCorporateAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const {
+      type,
+      symbol,
+      newSymbol,
+      newName,
+      ratio,
+      costAllocation,
+      exDate,
+      description,
+      apply = false,
+    } = req.body;
+
+    const action = new CorporateAction({
+      userId,
+      actionId: Date.now() * 1000 + Math.floor(Math.random() * 1000),
+      type,
+      symbol,
+      newSymbol,
+      newName,
+      ratio,
+      costAllocation,
+      exDate,
+      description,
+    });
+
+    try {
+      await action.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (apply) {
+      await action.apply();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: apply
+        ? "Corporate action created and applied successfully"
+        : "Corporate action created successfully",
+      data: { action },
+    });
+  } catch (error) {
+    console.error("Create corporate action error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating corporate action",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Apply corporate action to the user's positions, orders and watchlists
+ * @route POST /api/corporate-actions/:id/apply
+ * @access Private
+ */
+const applyCorporateAction = async (req, res) => {
+  try {
+    const action = await findUserAction(req, res);
+    if (!action) return;
+
+    if (action.status === "applied") {
+      return res.status(400).json({
+        success: false,
+        message: "Corporate action has already been applied",
+      });
+    }
+
+    await action.apply();
+
+    console.log(
+      `🏢 Applied ${action.type} for ${action.symbol}: ${action.adjustments.length} records adjusted`
+    );
+
+    res.json({
+      success: true,
+      message: "Corporate action applied successfully",
+      data: { action },
+    });
+  } catch (error) {
+    console.error("Apply corporate action error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error applying corporate action",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Undo an applied corporate action
+ * @route POST /api/corporate-actions/:id/revert
+ * @access Private
+ */
+const revertCorporateAction = async (req, res) => {
+  try {
+    const action = await findUserAction(req, res);
+    if (!action) return;
+
+    if (action.status !== "applied") {
+      return res.status(400).json({
+        success: false,
+        message: "Only applied corporate actions can be reverted",
+      });
+    }
+
+    const force = req.body.force === true || req.body.force === "true";
+    const conflicts = await action.findRevertConflicts();
+
+    if (conflicts.length > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Some adjusted records changed after the action was applied. Retry with force to overwrite them",
+        data: { conflicts },
+      });
+    }
+
+    await action.revert();
+
+    res.json({
+      success: true,
+      message: "Corporate action reverted successfully",
+      data: { action },
+    });
+  } catch (error) {
+    console.error("Revert corporate action error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reverting corporate action",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Adjust the shared price history (MarketData) for a corporate action
+ * @route POST /api/corporate-actions/:id/market-data
+ * @access Private (admin)
+ */
+const applyCorporateActionToMarketData = async (req, res) => {
+  try {
+    const action = await findUserAction(req, res, { anyUser: true });
+    if (!action) return;
+
+    try {
+      await action.applyToMarketData();
+    } catch (error) {
+      if (error.code !== "ALREADY_ADJUSTED") throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.log(
+      `🏢 Adjusted price history for ${action.type} of ${action.symbol}: ${action.summary.marketData} records`
+    );
+
+    res.json({
+      success: true,
+      message: "Price history adjusted successfully",
+      data: { action },
+    });
+  } catch (error) {
+    console.error("Adjust market data error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error adjusting price history",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Restore the price history adjusted for a corporate action
+ * @route POST /api/corporate-actions/:id/market-data/revert
+ * @access Private (admin)
+ */
+const revertCorporateActionMarketData = async (req, res) => {
+  try {
+    const action = await findUserAction(req, res, { anyUser: true });
+    if (!action) return;
+
+    try {
+      await action.revertMarketData();
+    } catch (error) {
+      if (error.code !== "NOT_ADJUSTED") throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Price history restored successfully",
+      data: { action },
+    });
+  } catch (error) {
+    console.error("Revert market data error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error restoring price history",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Delete corporate action that is not currently applied
+ * @route DELETE /api/corporate-actions/:id
+ * @access Private
+ */
+const deleteCorporateAction = async (req, res) => {
+  try {
+    const action = await findUserAction(req, res);
+    if (!action) return;
+
+    if (action.status === "applied") {
+      return res.status(400).json({
+        success: false,
+        message: "Revert the corporate action before deleting it",
+      });
+    }
+
+    await CorporateAction.deleteOne({ _id: action._id });
+
+    res.json({
+      success: true,
+      message: "Corporate action deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete corporate action error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting corporate action",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+module.exports = {
+  getCorporateActions,
+  getCorporateAction,
+  createCorporateAction,
+  applyCorporateAction,
+  revertCorporateAction,
+  applyCorporateActionToMarketData,
+  revertCorporateActionMarketData,
+  deleteCorporateAction,
+};
@@ -0,0 +1,225 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const CurrencyService = require("../services/CurrencyService");
+const { validationResult } = require("express-validator");
+const path = require("path");
+const fs = require("fs").promises;
+
+/**
+ * @desc Get stored exchange rates
+ * @route GET /api/exchange-rates
+ * @access Private
+ */
+const getExchangeRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { currency, from, to, page = 1, limit = 100 } = req.query;
+
+    const query = { source: "nbp" };
+    if (currency) query.currency = currency.toUpperCase();
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = ExchangeRate.toRateDate(from);
+      if (to) query.date.$lte = ExchangeRate.toRateDate(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .sort({ date: -1, currency: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ExchangeRate.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Exchange rates retrieved successfully",
+      data: {
+        rates,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching exchange rates",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Get exchange rate between two currencies for a date
+ * @route GET /api/exchange-rates/rate
+ * @access Private
+ */
+const getExchangeRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { from, to = "PLN", date, preceding = false } = req.query;
+    const rateDate = date ? new Date(date) : new Date();
+    const options = { preceding: preceding === "true" || preceding === true };
+
+    let rate;
+    let tables;
+    try {
+      const [fromRate, toRate] = await Promise.all([
+        CurrencyService.getRateToPln(from, rateDate, options),
+        CurrencyService.getRateToPln(to, rateDate, options),
+      ]);
+      rate = fromRate.rate / toRate.rate;
+      tables = [fromRate, toRate].filter((r) => r.table);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Exchange rate retrieved successfully",
+      data: {
+        from: from.toUpperCase(),
+        to: to.toUpperCase(),
+        date: rateDate,
+        rate,
+        tables,
+      },
+    });
+  } catch (error) {
+    console.error("Get exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching exchange rate",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Store exchange rates sent as JSON
+ * @route POST /api/exchange-rates
+ * @access Private
+ */
+const storeExchangeRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { rates } = req.body;
+    const result = await ExchangeRate.upsertRates(rates);
+    CurrencyService.clearCache();
+
+    res.json({
+      success: true,
+      message: "Exchange rates stored successfully",
+      data: {
+        received: rates.length,
+        inserted: result.upsertedCount || 0,
+        updated: result.modifiedCount || 0,
+      },
+    });
+  } catch (error) {
+    console.error("Store exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error storing exchange rates",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Import NBP Table A file (archive CSV or API JSON)
+ * @route POST /api/exchange-rates/import
+ * @access Private
+ */
+const importExchangeRateFile = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "No file uploaded",
+    });
+  }
+
+  try {
+    const format =
+      req.body.format ||
+      path.extname(req.file.originalname).slice(1).toLowerCase();
+
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Only NBP CSV and JSON files are supported",
+      });
+    }
+
+    const content = await fs.readFile(req.file.path, "utf8");
+
+    let result;
+    try {
+      result = await CurrencyService.importNbpFile(content, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid NBP file: ${error.message}`,
+      });
+    }
+
+    console.log(
+      `💱 Imported ${result.parsed} NBP rates from ${req.file.originalname}`
+    );
+
+    res.json({
+      success: true,
+      message: "Exchange rates imported successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Import exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error importing exchange rates",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  } finally {
+    await fs.unlink(req.file.path).catch(() => {});
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  getExchangeRate,
+  storeExchangeRates,
+  importExchangeRateFile,
+};
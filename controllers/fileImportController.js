@@ -1,12 +1,83 @@
 const FileImport = require("../models/FileImport");
-const Position = require("../models/Position");
-const CashOperation = require("../models/CashOperation");
-const PendingOrder = require("../models/PendingOrder");
-const XLSX = require("xlsx");
+const ImportService = require("../services/ImportService");
+const JobQueue = require("../services/JobQueue");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 
+const DUPLICATE_POLICIES = ["skip", "overwrite", "fail"];
+// Statement layouts; "auto" detects the broker from the file content
+const BROKER_FORMATS = [
+  "auto",
+  "xtb",
+  "degiro",
+  "ibkr",
+  "trading212",
+  "mbank",
+  "bossa",
+  "pkobp",
+  "ofx",
+  "qif",
+];
+
+// Validate upload/preview body fields; returns an error message or null
+const getImportOptionsError = ({
+  portfolioId,
+  duplicatePolicy = "skip",
+  broker = "auto",
+}) => {
+  // Imported records belong to a portfolio
+  if (!portfolioId || !mongoose.Types.ObjectId.isValid(portfolioId)) {
+    return "Valid portfolio ID is required";
+  }
+
+  if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    return `Duplicate policy must be one of: ${DUPLICATE_POLICIES.join(", ")}`;
+  }
+
+  if (!BROKER_FORMATS.includes(broker)) {
+    return `Broker must be one of: ${BROKER_FORMATS.join(", ")}`;
+  }
+
+  return null;
+};
+
+// FileImport record for an uploaded file
+const createFileImport = (req, userId, status) => {
+  const {
+    portfolioId,
+    importType = "mixed",
+    duplicatePolicy = "skip",
+    broker = "auto",
+  } = req.body;
+
+  return new FileImport({
+    userId,
+    portfolioId,
+    filename: req.file.filename,
+    originalName: req.file.originalname,
+    fileSize: req.file.size,
+    mimeType: req.file.mimetype,
+    importType,
+    importDate: new Date(),
+    status,
+    storage: { path: req.file.path },
+    configuration: { duplicatePolicy, brokerFormat: broker },
+    processing: {
+      totalRows: 0,
+      processedRows: 0,
+      successfulRows: 0,
+      errorRows: 0,
+    },
+    recordsCount: {
+      positions: 0,
+      cashOperations: 0,
+      pendingOrders: 0,
+      total: 0,
+    },
+  });
+};
+
 /**
  * @desc Upload and process Excel file
  * @route POST /api/import/upload
@@ -40,38 +111,24 @@ const uploadFile = async (req, res) => {
       });
     }
 
-    const { portfolioId, importType = "mixed" } = req.body;
-
-    // Create FileImport record
-    const fileImport = new FileImport({
-      userId,
-      portfolioId: portfolioId || null,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      importType,
-      importDate: new Date(),
-      status: "pending",
-      storage: { path: req.file.path },
-      processing: {
-        totalRows: 0,
-        processedRows: 0,
-        successfulRows: 0,
-        errorRows: 0,
-      },
-      recordsCount: {
-        positions: 0,
-        cashOperations: 0,
-        pendingOrders: 0,
-        total: 0,
-      },
-    });
+    const optionsError = getImportOptionsError(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError,
+      });
+    }
 
+    const { portfolioId } = req.body;
+    const fileImport = createFileImport(req, userId, "pending");
     await fileImport.save();
 
-    // Start background processing
-    processFileBackground(fileImport._id, userId, portfolioId);
+    // Process in the background job queue
+    const job = await JobQueue.enqueue(
+      "file_import",
+      { fileImportId: fileImport._id, userId, portfolioId },
+      { userId, target: { model: "FileImport", id: fileImport._id } }
+    );
 
     res.status(201).json({
       success: true,
@@ -81,6 +138,7 @@ const uploadFile = async (req, res) => {
         filename: fileImport.originalName,
         status: fileImport.status,
         importType: fileImport.importType,
+        jobId: job._id,
       },
     });
   } catch (error) {
@@ -93,6 +151,343 @@ const uploadFile = async (req, res) => {
   }
 };
 
+/**
+ * @desc Parse an uploaded file without importing it
+ * @route POST /api/import/preview
+ * @access Private
+ */
+const previewFile = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    const optionsError = getImportOptionsError(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError,
+      });
+    }
+
+    const fileImport = createFileImport(req, req.user.id, "previewed");
+    fileImport.progress.currentStep = "validating";
+    fileImport.progress.message = "Awaiting confirmation";
+
+    let preview;
+    try {
+      preview = await ImportService.preview(fileImport, req.user.id);
+    } catch (error) {
+      await require("fs")
+        .promises.unlink(req.file.path)
+        .catch(() => {});
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await fileImport.save();
+
+    res.status(201).json({
+      success: true,
+      message: "File parsed successfully - review and commit the import",
+      data: {
+        id: fileImport._id,
+        filename: fileImport.originalName,
+        status: fileImport.status,
+        duplicatePolicy: fileImport.configuration.duplicatePolicy,
+        ...preview,
+      },
+    });
+  } catch (error) {
+    console.error("Preview file error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error previewing file",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Import a previewed file with the confirmed column mapping
+ * @route POST /api/import/:id/commit
+ * @access Private
+ */
+const commitImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { columnMapping, duplicatePolicy } = req.body;
+
+    const fileImport = await FileImport.findOne({ _id: req.params.id, userId });
+
+    if (!fileImport) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    if (fileImport.status !== "previewed") {
+      return res.status(409).json({
+        success: false,
+        message: `Import is already ${fileImport.status}`,
+      });
+    }
+
+    if (columnMapping) {
+      const problems = await ImportService.validateColumnMapping(
+        fileImport,
+        columnMapping
+      );
+
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid column mapping",
+          errors: problems,
+        });
+      }
+    }
+
+    // Only one commit may start the import
+    const claimed = await FileImport.findOneAndUpdate(
+      { _id: fileImport._id, status: "previewed" },
+      {
+        $set: {
+          status: "pending",
+          ...(columnMapping && { columnMapping }),
+          ...(duplicatePolicy && {
+            "configuration.duplicatePolicy": duplicatePolicy,
+          }),
+        },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "Import has already been committed",
+      });
+    }
+
+    const job = await JobQueue.enqueue(
+      "file_import",
+      {
+        fileImportId: claimed._id,
+        userId,
+        portfolioId: claimed.portfolioId,
+      },
+      { userId, target: { model: "FileImport", id: claimed._id } }
+    );
+
+    res.json({
+      success: true,
+      message: "Import started",
+      data: {
+        id: claimed._id,
+        filename: claimed.originalName,
+        status: claimed.status,
+        duplicatePolicy: claimed.configuration.duplicatePolicy,
+        columnMapping: claimed.columnMapping,
+        jobId: job._id,
+      },
+    });
+  } catch (error) {
+    console.error("Commit import error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error committing import",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Revert the records created or overwritten by an import
+ * @route POST /api/import/:id/rollback
+ * @access Private
+ */
+const rollbackImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const fileImport = await FileImport.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!fileImport) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    if (
+      !["completed", "partial", "failed", "cancelled"].includes(
+        fileImport.status
+      )
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `Import is ${fileImport.status} and cannot be rolled back`,
+      });
+    }
+
+    if (fileImport.rollback.isRolledBack || !fileImport.rollback.canRollback) {
+      return res.status(409).json({
+        success: false,
+        message: fileImport.rollback.isRolledBack
+          ? "This import has already been rolled back"
+          : "This import cannot be rolled back",
+      });
+    }
+
+    const summary = await ImportService.rollback(
+      fileImport,
+      req.body.reason || "Rolled back by user"
+    );
+
+    res.json({
+      success: true,
+      message: "Import rolled back successfully",
+      data: {
+        id: fileImport._id,
+        rollback: {
+          isRolledBack: fileImport.rollback.isRolledBack,
+          rollbackTime: fileImport.rollback.rollbackTime,
+          rollbackReason: fileImport.rollback.rollbackReason,
+        },
+        records: summary,
+      },
+    });
+  } catch (error) {
+    console.error("Rollback import error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rolling back import",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Cancel an import: a previewed one is discarded, a running one stops
+ *       after the batch it is writing (records written so far are kept and
+ *       can be rolled back)
+ * @route PUT /api/import/:id/cancel
+ * @access Private
+ */
+const cancelImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const fileImport = await FileImport.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!fileImport) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    if (fileImport.status === "previewed") {
+      // Nothing runs for a previewed import; it can no longer be committed
+      const cancelled = await FileImport.findOneAndUpdate(
+        { _id: fileImport._id, status: "previewed" },
+        {
+          $set: {
+            status: "cancelled",
+            cancelRequestedAt: new Date(),
+            endTime: new Date(),
+            "progress.currentStep": "cancelled",
+            "progress.message": "Cancelled by user",
+          },
+        },
+        { new: true }
+      );
+
+      if (cancelled) {
+        await require("fs")
+          .promises.unlink(cancelled.storage.path)
+          .catch(() => {});
+
+        return res.json({
+          success: true,
+          message: "Import cancelled",
+          data: { id: cancelled._id, status: cancelled.status },
+        });
+      }
+    }
+
+    // The background import checks the flag after every batch
+    const requested = await FileImport.findOneAndUpdate(
+      { _id: fileImport._id, status: { $in: ["pending", "processing"] } },
+      { $set: { cancelRequestedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!requested) {
+      const current = await FileImport.findById(fileImport._id);
+      return res.status(409).json({
+        success: false,
+        message: `Import is already ${current?.status || "deleted"}`,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message:
+        "Cancellation requested - the import stops after the current batch",
+      data: {
+        id: requested._id,
+        status: requested.status,
+        cancelRequestedAt: requested.cancelRequestedAt,
+        progress: requested.progress,
+      },
+    });
+  } catch (error) {
+    console.error("Cancel import error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling import",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
 /**
  * @desc Get import status
  * @route GET /api/import/status/:id
@@ -131,6 +526,10 @@ const getImportStatus = async (req, res) => {
         progress: fileImport.progress || { percentage: 0 },
         processing: fileImport.processing,
         recordsCount: fileImport.recordsCount,
+        deduplication: fileImport.deduplication,
+        duplicatePolicy: fileImport.configuration?.duplicatePolicy || "skip",
+        brokerFormat: fileImport.configuration?.brokerFormat || "auto",
+        cancelRequestedAt: fileImport.cancelRequestedAt || null,
         error: fileImport.error || null,
         portfolio: fileImport.portfolioId,
       },
@@ -263,124 +662,12 @@ const deleteImport = async (req, res) => {
   }
 };
 
-// ✅ SIMPLIFIED: Background processing (moved from portfolios controller)
-const processFileBackground = async (fileImportId, userId, portfolioId) => {
-  const fileImport = await FileImport.findById(fileImportId);
-  if (!fileImport) return;
-
-  try {
-    const workbook = XLSX.readFile(fileImport.storage.path);
-    const sheetNames = workbook.SheetNames;
-
-    let stats = {
-      processed: 0,
-      successful: 0,
-      errors: 0,
-      positions: 0,
-      cash: 0,
-      orders: 0,
-    };
-
-    for (const sheetName of sheetNames) {
-      const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
-        header: 1,
-      });
-
-      if (/position/i.test(sheetName)) {
-        const result = await processPositionsSheet(
-          data,
-          userId,
-          portfolioId,
-          fileImportId
-        );
-        stats.processed += result.processed;
-        stats.successful += result.successful;
-        stats.errors += result.errors;
-        stats.positions += result.successful;
-      } else if (/cash/i.test(sheetName)) {
-        const result = await processCashOperationsSheet(
-          data,
-          userId,
-          portfolioId,
-          fileImportId
-        );
-        stats.processed += result.processed;
-        stats.successful += result.successful;
-        stats.errors += result.errors;
-        stats.cash += result.successful;
-      } else if (/order/i.test(sheetName)) {
-        const result = await processPendingOrdersSheet(
-          data,
-          userId,
-          portfolioId,
-          fileImportId
-        );
-        stats.processed += result.processed;
-        stats.successful += result.successful;
-        stats.errors += result.errors;
-        stats.orders += result.successful;
-      }
-    }
-
-    // Update FileImport with results
-    fileImport.processing = {
-      totalRows: stats.processed,
-      processedRows: stats.processed,
-      successfulRows: stats.successful,
-      errorRows: stats.errors,
-    };
-
-    fileImport.recordsCount = {
-      positions: stats.positions,
-      cashOperations: stats.cash,
-      pendingOrders: stats.orders,
-      total: stats.successful,
-    };
-
-    fileImport.status = "completed";
-    fileImport.endTime = new Date();
-    await fileImport.save();
-  } catch (error) {
-    console.error("Background processing error:", error);
-    fileImport.status = "failed";
-    fileImport.error = error.message;
-    await fileImport.save();
-  }
-};
-
-// ✅ SIMPLIFIED: Processing functions (removed from portfolios controller)
-const processPositionsSheet = async (
-  data,
-  userId,
-  portfolioId,
-  fileImportId
-) => {
-  // Implementation stays the same but simplified error handling
-  // [Previous implementation with fixes]
-};
-
-const processCashOperationsSheet = async (
-  data,
-  userId,
-  portfolioId,
-  fileImportId
-) => {
-  // Implementation stays the same but simplified error handling
-  // [Previous implementation with fixes]
-};
-
-const processPendingOrdersSheet = async (
-  data,
-  userId,
-  portfolioId,
-  fileImportId
-) => {
-  // Implementation stays the same but simplified error handling
-  // [Previous implementation with fixes]
-};
-
 module.exports = {
   uploadFile, // ✅ CORE: File upload with processing
+  previewFile, // Dry run before import
+  commitImport, // Import after preview
+  rollbackImport, // Revert imported records
+  cancelImport, // Stop a running import
   getImportStatus, // ✅ KEEP: Status tracking
   getImportHistory, // ✅ KEEP: History management
   deleteImport, // ✅ SIMPLIFIED: Cleanup
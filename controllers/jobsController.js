@@ -0,0 +1,63 @@
+const Job = require("../models/Job");
+const { validationResult } = require("express-validator");
+
+/**
+ * @desc Get background job status (attempts, next run, failures, result)
+ * @route GET /api/jobs/:id
+ * @access Private
+ */
+const getJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const job = await Job.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        target: job.target?.model ? job.target : null,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        // Next attempt of a queued job
+        runAt: job.status === "queued" ? job.runAt : null,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null,
+        lastError: job.lastError || null,
+        failures: job.failures,
+        result: job.result ?? null,
+        createdAt: job.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching job",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+module.exports = {
+  getJob,
+};
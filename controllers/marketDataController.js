@@ -1,5 +1,7 @@
 const MarketData = require("../models/MarketData");
 const Portfolio = require("../models/Portfolio");
+const BrokerService = require("../services/BrokerService");
+const JobQueue = require("../services/JobQueue");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 
@@ -436,6 +438,55 @@ const getSymbolsNeedingUpdate = async (req, res) => {
   }
 };
 
+/**
+ * @desc Queue a refresh of prices from a broker's quotes (price_refresh job)
+ * @route POST /api/market-data/refresh
+ * @access Private (Admin)
+ */
+const refreshPrices = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { broker, symbols } = req.body;
+
+    if (!BrokerService.getSupportedBrokers().includes(broker)) {
+      return res.status(400).json({
+        success: false,
+        message: `Broker ${broker} is not supported`,
+      });
+    }
+
+    // Without symbols the job refreshes every stale active symbol
+    const job = await JobQueue.enqueue(
+      "price_refresh",
+      { broker, symbols },
+      { userId: req.user.id }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Price refresh queued",
+      data: {
+        jobId: job._id,
+      },
+    });
+  } catch (error) {
+    console.error("Refresh prices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error queueing price refresh",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
 /**
  * @desc Create new market data entry
  * @route POST /api/market-data
@@ -556,6 +607,7 @@ module.exports = {
   getSymbolsBySector,
   recordError,
   getSymbolsNeedingUpdate,
+  refreshPrices,
   createMarketData,
   cleanupOldData,
 };
@@ -1,8 +1,14 @@
 const PendingOrder = require("../models/PendingOrder");
 const Position = require("../models/Position");
+const Portfolio = require("../models/Portfolio");
+const MarketData = require("../models/MarketData");
+const { getSessionClose } = require("../utils/tradingSessions");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 
+// Tolerance for floating point volume comparisons (same as Position)
+const VOLUME_EPSILON = 1e-8;
+
 /**
  * @desc Get pending orders with integrated analytics
  * @route GET /api/pending-orders
@@ -10,6 +16,15 @@ const mongoose = require("mongoose");
  */
 const getPendingOrders = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
     const userId = req.user.id;
     const {
       portfolioId,
@@ -17,6 +32,7 @@ const getPendingOrders = async (req, res) => {
       symbol,
       type,
       side,
+      timeInForce,
       page = 1,
       limit = 50,
       sortBy = "createdAt",
@@ -31,6 +47,7 @@ const getPendingOrders = async (req, res) => {
     if (symbol) query.symbol = new RegExp(symbol, "i");
     if (type) query.type = type;
     if (side) query.side = side;
+    if (timeInForce) query["conditions.timeInForce"] = timeInForce;
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -125,16 +142,23 @@ const createPendingOrder = async (req, res) => {
       volume,
       price,
       stopPrice,
+      trailingAmount,
+      trailingPercent,
       expiryTime,
       currency = "PLN",
       exchange,
       notes,
       tags,
+      riskManagement,
+      conditions = {},
+      orderGroup,
+      ocoOrder,
     } = req.body;
 
     // Validate portfolio if provided
+    let portfolio = null;
     if (portfolioId) {
-      const portfolio = await Portfolio.findOne({ _id: portfolioId, userId });
+      portfolio = await Portfolio.findOne({ _id: portfolioId, userId });
       if (!portfolio) {
         return res.status(404).json({
           success: false,
@@ -143,38 +167,87 @@ const createPendingOrder = async (req, res) => {
       }
     }
 
-    const orderId = `ORD_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    // An expiry time without a time in force means good-till-date; DAY
+    // orders expire at the close of the symbol's trading session
+    const timeInForce = conditions.timeInForce || (expiryTime ? "GTD" : "GTC");
+    let orderExpiry = expiryTime ? new Date(expiryTime) : undefined;
+    if (timeInForce === "DAY") {
+      const marketData = await MarketData.findOne({
+        symbol: symbol.toUpperCase(),
+      }).select("metadata");
+      orderExpiry = getSessionClose(marketData);
+    }
 
-    const order = new PendingOrder({
+    // The first order's ID is the group ID of an OCO or bracket group
+    const orderId = generateOrderId();
+
+    // Fields shared by every order of a group
+    const orderData = {
       userId,
       portfolioId: portfolioId || null,
-      orderId,
       symbol: symbol.toUpperCase(),
       name,
-      type,
-      side: side.toUpperCase(),
       volume,
-      price,
-      stopPrice,
-      purchaseValue: price * volume,
       createdAt: new Date(),
-      expiryTime: expiryTime ? new Date(expiryTime) : undefined,
       currency: currency.toUpperCase(),
       exchange,
-      notes: notes ? notes.trim() : undefined,
       tags: tags ? tags.map((tag) => tag.trim()) : [],
       status: "pending",
+    };
+
+    const order = new PendingOrder({
+      ...orderData,
+      orderId,
+      type,
+      side: side.toLowerCase(),
+      price,
+      stopPrice,
+      trailingAmount,
+      trailingPercent,
+      riskManagement,
+      conditions: { ...conditions, timeInForce },
+      purchaseValue: (price || 0) * volume,
+      expiryTime: orderExpiry,
+      notes: notes ? notes.trim() : undefined,
     });
 
+    let groupOrders = [];
+    if (orderGroup) {
+      const group = buildOrderGroup(order, orderData, {
+        orderGroup,
+        ocoOrder,
+        portfolio,
+        referencePrice: price || stopPrice || req.body.marketData?.lastPrice,
+      });
+      if (group.error) {
+        return res.status(400).json({
+          success: false,
+          message: group.error,
+        });
+      }
+      groupOrders = group.orders;
+    }
+
+    // Nothing is stored unless the whole group is valid
+    for (const groupOrder of [order, ...groupOrders]) {
+      await groupOrder.validate();
+    }
     await order.save();
+    for (const groupOrder of groupOrders) {
+      await groupOrder.save();
+    }
 
     // Populate portfolio info
     await order.populate("portfolioId", "name broker currency");
 
     res.status(201).json({
       success: true,
-      message: "Pending order created successfully",
-      data: { order },
+      message: orderGroup
+        ? `${
+            orderGroup === "oco" ? "OCO" : "Bracket"
+          } order created successfully`
+        : "Pending order created successfully",
+      data: { order, ...(orderGroup && { groupOrders }) },
     });
   } catch (error) {
     console.error("Create pending order error:", error);
@@ -195,7 +268,7 @@ const createPendingOrder = async (req, res) => {
 };
 
 /**
- * @desc Execute pending order (creates position if successful)
+ * @desc Execute pending order (fills into positions via lot matcher)
  * @route PUT /api/pending-orders/:id/execute
  * @access Private
  */
@@ -209,6 +282,7 @@ const executePendingOrder = async (req, res) => {
       commission = 0,
       fees = 0,
       createPosition = true,
+      notes,
     } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -237,79 +311,93 @@ const executePendingOrder = async (req, res) => {
       });
     }
 
-    const volumeToExecute = executedVolume || order.volume;
-    const isFullExecution = volumeToExecute >= order.volume;
+    // `volume` is the order's total; fills add up in execution.executedVolume
+    const remainingVolume =
+      order.volume - (order.execution?.executedVolume || 0);
+    const volumeToExecute = executedVolume || remainingVolume;
+    const isFullExecution = volumeToExecute >= remainingVolume - VOLUME_EPSILON;
 
-    // Update order execution data
-    order.execution = {
-      executedPrice,
-      executedVolume: volumeToExecute,
-      commission,
-      fees,
-      executedTime: new Date(),
-    };
+    if (volumeToExecute > remainingVolume + VOLUME_EPSILON) {
+      return res.status(400).json({
+        success: false,
+        message: `Executed volume cannot exceed the remaining ${remainingVolume}`,
+      });
+    }
 
-    order.status = isFullExecution ? "executed" : "partial";
-    if (!isFullExecution) {
-      order.volume -= volumeToExecute; // Reduce remaining volume
+    if (!isFullExecution && order.conditions?.timeInForce === "FOK") {
+      return res.status(400).json({
+        success: false,
+        message: "Fill-or-kill orders can only be executed in full",
+      });
     }
 
-    await order.save();
+    await order.executeOrder(executedPrice, volumeToExecute, commission, fees);
+
+    // Activate bracket exits / cancel the other order of an OCO pair
+    const group = await order.settleGroup();
 
     let newPosition = null;
+    let matches = [];
 
-    // Create position if requested and fully executed
-    if (createPosition && isFullExecution) {
+    // Fill the executed volume into positions through the lot matcher
+    if (createPosition) {
       try {
-        const positionData = {
-          userId,
+        const fill = await Position.applyTrade({
           portfolioId: order.portfolioId?._id || null,
-          positionId: `POS_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-          brokerPositionId: `BROKER_${Date.now()}_${Math.floor(
-            Math.random() * 1000
-          )}`,
           symbol: order.symbol,
-          name: order.name,
-          type: order.side, // BUY or SELL
+          side: order.side,
           volume: volumeToExecute,
-          openTime: order.execution.executedTime,
-          openPrice: executedPrice,
-          currentPrice: executedPrice,
-          purchaseValue: executedPrice * volumeToExecute,
-          commission: commission,
-          currency: order.currency,
-          exchange: order.exchange,
-          notes: `Created from order ${order.orderId}${
-            notes ? `. ${notes}` : ""
-          }`,
-          tags: order.tags,
-          status: "open",
-        };
-
-        newPosition = new Position(positionData);
-        await newPosition.save();
+          price: executedPrice,
+          time: order.execution.executedTime,
+          commission,
+          source: "order",
+          positionData: {
+            userId,
+            name: order.name,
+            currency: order.currency,
+            exchange: order.exchange,
+            notes: `Created from order ${order.orderId}${
+              notes ? `. ${notes}` : ""
+            }`,
+            tags: order.tags,
+            brokerData: {
+              broker: order.portfolioId?.broker || "MANUAL",
+              brokerSymbol: order.symbol,
+              brokerAccountId: String(order.portfolioId?._id || "manual"),
+            },
+          },
+        });
+
+        newPosition = fill.positions[fill.positions.length - 1] || null;
+        matches = fill.matches;
 
         console.log(
-          `✅ Created position from executed order: ${newPosition.symbol}`
+          `✅ Applied executed order to positions: ${order.symbol} (${matches.length} lot matches)`
         );
       } catch (positionError) {
         console.error(
-          "Error creating position from order:",
+          "Error applying order to positions:",
           positionError.message
         );
-        // Don't fail order execution if position creation fails
+        // Don't fail order execution if position update fails
       }
     }
 
     res.json({
       success: true,
-      message: isFullExecution
-        ? "Order executed successfully"
-        : "Order partially executed",
+      message:
+        order.status === "executed"
+          ? "Order executed successfully"
+          : "Order partially executed",
       data: {
         order,
         position: newPosition,
-        remaining: isFullExecution ? 0 : order.volume,
+        matches,
+        remaining: order.execution.remainingVolume,
+        group: {
+          activated: group.activated.map((groupOrder) => groupOrder.orderId),
+          cancelled: group.cancelled.map((groupOrder) => groupOrder.orderId),
+        },
       },
     });
   } catch (error) {
@@ -323,15 +411,29 @@ const executePendingOrder = async (req, res) => {
 };
 
 /**
- * @desc Cancel/Delete pending order
- * @route DELETE /api/pending-orders/:id
+ * @desc Cancel/Delete pending order. Cancelling a bracket entry, or any
+ * grouped order with cancelGroup, cancels every open order of its group.
+ * @route PUT /api/pending-orders/:id/cancel
  * @access Private
  */
 const cancelPendingOrder = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
-    const { permanent = false, reason } = req.query;
+    const { permanent = false } = req.query;
+    const reason = req.body?.reason || req.query.reason;
+    const cancelGroup = [true, "true"].includes(
+      req.body?.cancelGroup ?? req.query.cancelGroup
+    );
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -341,23 +443,29 @@ const cancelPendingOrder = async (req, res) => {
     }
 
     let order;
+    let cancelledOrders = [];
 
     if (permanent === "true") {
       // Hard delete
       order = await PendingOrder.findOneAndDelete({ _id: id, userId });
     } else {
       // Soft cancel
-      order = await PendingOrder.findOneAndUpdate(
-        { _id: id, userId },
-        {
-          status: "cancelled",
-          cancelledAt: new Date(),
-          cancelReason: reason || "Cancelled by user",
-          notes: (existing) =>
-            existing ? `${existing} [CANCELLED]` : "[CANCELLED]",
-        },
-        { new: true }
-      );
+      order = await PendingOrder.findOne({ _id: id, userId });
+
+      if (order) {
+        const cancelReason = reason || "Cancelled by user";
+        const { groupId, role } = order.orderGroup || {};
+
+        if (groupId && (cancelGroup || role === "entry")) {
+          cancelledOrders = await order.cancelGroup(cancelReason);
+          order =
+            cancelledOrders.find((cancelled) => cancelled._id.equals(id)) ||
+            order;
+        } else {
+          await order.cancelOrder(cancelReason);
+          cancelledOrders = [order];
+        }
+      }
     }
 
     if (!order) {
@@ -380,6 +488,9 @@ const cancelPendingOrder = async (req, res) => {
           symbol: order.symbol,
           status: order.status,
         },
+        cancelledOrderIds: cancelledOrders.map(
+          (cancelled) => cancelled.orderId
+        ),
       },
     });
   } catch (error) {
@@ -392,6 +503,116 @@ const cancelPendingOrder = async (req, res) => {
   }
 };
 
+// Order IDs are drawn independently for every order of a group (which is
+// linked by orderGroup.groupId only); `taken` are the group's IDs so far
+const generateOrderId = (taken = []) => {
+  let orderId;
+  do {
+    orderId = Date.now() * 1000 + Math.floor(Math.random() * 1000);
+  } while (taken.includes(orderId));
+  return orderId;
+};
+
+/**
+ * Orders created together with `entry` for an order group:
+ * - oco: a second leg (ocoOrder) for the same symbol, side and volume;
+ *   filling either leg cancels the other
+ * - bracket: stop-loss (stop) and take-profit (limit) exits on the other
+ *   side, inactive until the entry is executed. Prices not given in
+ *   riskManagement fall back to the portfolio's stopLossDefault and
+ *   takeProfitDefault, percentages of the entry price.
+ * @returns {{orders: Array, error: string}} error when the group is incomplete
+ */
+const buildOrderGroup = (
+  entry,
+  orderData,
+  { orderGroup, ocoOrder, portfolio, referencePrice }
+) => {
+  const groupId = entry.orderId;
+
+  if (orderGroup === "oco") {
+    entry.orderGroup = { groupId, type: "oco", role: "oco_leg" };
+    const leg = new PendingOrder({
+      ...orderData,
+      orderId: generateOrderId([groupId]),
+      type: ocoOrder.type,
+      side: entry.side,
+      price: ocoOrder.price,
+      stopPrice: ocoOrder.stopPrice,
+      trailingAmount: ocoOrder.trailingAmount,
+      trailingPercent: ocoOrder.trailingPercent,
+      purchaseValue: (ocoOrder.price || 0) * entry.volume,
+      conditions: { timeInForce: entry.conditions.timeInForce },
+      expiryTime: entry.expiryTime,
+      notes: `OCO with order ${groupId}`,
+      orderGroup: { groupId, type: "oco", role: "oco_leg" },
+    });
+    return { orders: [leg] };
+  }
+
+  const isBuy = entry.side === "buy";
+  const defaults = portfolio?.settings?.riskManagement || {};
+  const fromDefault = (percent, direction) =>
+    percent > 0 && referencePrice > 0
+      ? Math.round(referencePrice * (1 + (direction * percent) / 100) * 1e8) /
+        1e8
+      : null;
+
+  const stopLoss =
+    entry.riskManagement?.stopLoss?.price ||
+    fromDefault(defaults.stopLossDefault, isBuy ? -1 : 1);
+  const takeProfit =
+    entry.riskManagement?.takeProfit?.price ||
+    fromDefault(defaults.takeProfitDefault, isBuy ? 1 : -1);
+
+  if (!stopLoss && !takeProfit) {
+    return {
+      error:
+        "Bracket order needs a stop loss or take profit price (riskManagement or portfolio defaults)",
+    };
+  }
+
+  const orders = [];
+  const exit = (role, fields) =>
+    new PendingOrder({
+      ...orderData,
+      ...fields,
+      orderId: generateOrderId([
+        groupId,
+        ...orders.map((order) => order.orderId),
+      ]),
+      side: isBuy ? "sell" : "buy",
+      status: "inactive",
+      purchaseValue: fields.price * entry.volume,
+      notes: `${
+        role === "stop_loss" ? "Stop loss" : "Take profit"
+      } of order ${groupId}`,
+      parentOrderId: groupId,
+      orderGroup: { groupId, type: "bracket", role },
+    });
+
+  if (stopLoss) {
+    orders.push(
+      exit("stop_loss", { type: "stop", price: stopLoss, stopPrice: stopLoss })
+    );
+  }
+  if (takeProfit) {
+    orders.push(exit("take_profit", { type: "limit", price: takeProfit }));
+  }
+
+  entry.orderGroup = { groupId, type: "bracket", role: "entry" };
+  entry.childOrderIds = orders.map((order) => order.orderId);
+  entry.riskManagement = {
+    stopLoss: { price: stopLoss || undefined, enabled: Boolean(stopLoss) },
+    takeProfit: {
+      price: takeProfit || undefined,
+      enabled: Boolean(takeProfit),
+    },
+  };
+
+  return { orders };
+};
+
 module.exports = {
   getPendingOrders, // ✅ SIMPLIFIED: Includes stats option
   createPendingOrder, // ✅ KEEP: Core functionality
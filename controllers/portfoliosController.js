@@ -1,6 +1,9 @@
 const Portfolio = require("../models/Portfolio");
 const Position = require("../models/Position");
 const CashOperation = require("../models/CashOperation");
+const BrokerService = require("../services/BrokerService");
+const BrokerSyncScheduler = require("../services/BrokerSyncScheduler");
+const ReconciliationService = require("../services/ReconciliationService");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 
@@ -163,6 +166,14 @@ const createPortfolio = async (req, res) => {
     });
   } catch (error) {
     console.error("Create portfolio error:", error);
+
+    if (error.code === "INVALID_CREDENTIALS") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to create portfolio",
@@ -228,10 +239,8 @@ const updatePortfolio = async (req, res) => {
     // Update fields
     if (description !== undefined) portfolio.description = description.trim();
     if (brokerConfig) {
-      portfolio.brokerConfig = {
-        ...portfolio.brokerConfig.toObject(),
-        ...brokerConfig,
-      };
+      // Merged field by field: credentials not sent (and not loaded) stay
+      portfolio.set("brokerConfig", brokerConfig, { merge: true });
     }
     if (settings) {
       portfolio.settings = {
@@ -250,6 +259,14 @@ const updatePortfolio = async (req, res) => {
     });
   } catch (error) {
     console.error("Update portfolio error:", error);
+
+    if (error.code === "INVALID_CREDENTIALS") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to update portfolio",
@@ -338,16 +355,295 @@ const deletePortfolio = async (req, res) => {
   }
 };
 
+/**
+ * @desc Start a broker sync now (also resumes paused automatic syncs)
+ * @route POST /api/portfolios/:id/sync
+ * @access Private
+ */
+const syncPortfolio = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const portfolio = await Portfolio.findOne({ _id: id, userId });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio not found",
+      });
+    }
+
+    if (!BrokerService.getSupportedBrokers().includes(portfolio.broker)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sync is not available for ${portfolio.broker} portfolios`,
+      });
+    }
+
+    if (!portfolio.isActive || !portfolio.brokerConfig.syncEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Sync is disabled for this portfolio",
+      });
+    }
+
+    const started = await BrokerSyncScheduler.syncNow(portfolio._id, userId);
+
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        message: "Portfolio is already syncing",
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Sync started",
+      data: {
+        portfolioId: started.portfolio._id,
+        status: started.portfolio.status,
+        lastSync: started.portfolio.brokerConfig.lastSync,
+        jobId: started.job._id,
+      },
+    });
+  } catch (error) {
+    console.error("Sync portfolio error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start sync",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// Broker error codes of an order the broker refused (not an outage)
+const ORDER_REJECTION_CODES = [
+  "INVALID_ORDER",
+  "ORDER_NOT_MARKETABLE",
+  "ORDER_REJECTED",
+  "NO_MARKET_DATA",
+];
+
+/**
+ * @desc Place an order on the portfolio's broker account
+ * @route POST /api/portfolios/:id/orders
+ * @access Private
+ */
+const placeOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const portfolio = await Portfolio.findOne({ _id: id, userId });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio not found",
+      });
+    }
+
+    if (!BrokerService.getSupportedBrokers().includes(portfolio.broker)) {
+      return res.status(400).json({
+        success: false,
+        message: `Orders are not available for ${portfolio.broker} portfolios`,
+      });
+    }
+
+    const { symbol, side, volume, type, price, stopLoss, takeProfit, comment } =
+      req.body;
+
+    let order;
+    try {
+      order = await BrokerService.placeOrder(portfolio._id, {
+        symbol,
+        side,
+        volume,
+        type,
+        price,
+        stopLoss,
+        takeProfit,
+        comment,
+      });
+    } catch (brokerError) {
+      if (!ORDER_REJECTION_CODES.includes(brokerError.code)) throw brokerError;
+      return res.status(422).json({
+        success: false,
+        message: `Order rejected by ${portfolio.broker}: ${brokerError.message}`,
+        code: brokerError.code,
+      });
+    }
+
+    console.log(
+      `📤 Order ${order.id} placed on ${portfolio.broker}: ${side} ${volume} ${symbol}`
+    );
+
+    // Bring the fill into local positions right away
+    const sync =
+      portfolio.isActive && portfolio.brokerConfig.syncEnabled
+        ? await BrokerSyncScheduler.syncNow(portfolio._id, userId).catch(
+            () => null
+          )
+        : null;
+
+    res.status(201).json({
+      success: true,
+      message: "Order placed",
+      data: {
+        order,
+        jobId: sync?.job._id || null,
+      },
+    });
+  } catch (error) {
+    console.error("Place order error:", error);
+    res.status(502).json({
+      success: false,
+      message: "Failed to place order with the broker",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Compare local positions and cash with the broker's current state
+ * @route GET /api/portfolios/:id/reconciliation
+ * @access Private
+ */
+const getReconciliation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const portfolio = await findReconcilablePortfolio(req, res);
+    if (!portfolio) return;
+
+    const diff = await ReconciliationService.reconcile(portfolio._id);
+
+    res.json({
+      success: true,
+      message: diff.summary.inSync
+        ? "Portfolio is in sync with the broker"
+        : `Found ${diff.items.length} differences with the broker`,
+      data: {
+        ...diff,
+        // Raw broker records stay on the server
+        items: diff.items.map(({ brokerPosition, ...item }) => item),
+      },
+    });
+  } catch (error) {
+    console.error("Reconciliation error:", error);
+    res.status(502).json({
+      success: false,
+      message: "Failed to reconcile portfolio with the broker",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+/**
+ * @desc Apply selected reconciliation fixes (item IDs from the diff)
+ * @route POST /api/portfolios/:id/reconciliation
+ * @access Private
+ */
+const applyReconciliation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const portfolio = await findReconcilablePortfolio(req, res);
+    if (!portfolio) return;
+
+    const result = await ReconciliationService.applyFixes(
+      portfolio._id,
+      req.body.fixes
+    );
+
+    res.json({
+      success: true,
+      message: `Applied ${result.applied.length} of ${req.body.fixes.length} fixes`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Apply reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to apply reconciliation fixes",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// Portfolio of the user with a broker that can be reconciled; sends the
+// error response and returns null otherwise
+const findReconcilablePortfolio = async (req, res) => {
+  const portfolio = await Portfolio.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!portfolio) {
+    res.status(404).json({
+      success: false,
+      message: "Portfolio not found",
+    });
+    return null;
+  }
+
+  if (!BrokerService.getSupportedBrokers().includes(portfolio.broker)) {
+    res.status(400).json({
+      success: false,
+      message: `Reconciliation is not available for ${portfolio.broker} portfolios`,
+    });
+    return null;
+  }
+
+  return portfolio;
+};
+
 module.exports = {
   getPortfolios, // ✅ SIMPLIFIED: Includes stats option
   createPortfolio, // ✅ KEEP: Core functionality
   updatePortfolio, // ✅ KEEP: Core functionality
   deletePortfolio, // ✅ SIMPLIFIED: Soft delete option
+  syncPortfolio, // Manual broker sync
+  placeOrder, // Broker order
+  getReconciliation, // Local vs broker diff
+  applyReconciliation, // Selected reconciliation fixes
 };
 
-// ❌ REMOVED METHODS (5 methods removed):
+// ❌ REMOVED METHODS (4 methods removed):
 // - getPortfolio (access via getPortfolios with filtering)
 // - getPortfolioStats (merged into getPortfolios)
-// - syncPortfolio (too complex for MVP)
 // - importPortfolio (moved to fileImport controller)
 // - All processing functions (moved to fileImport)
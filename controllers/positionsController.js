@@ -2,6 +2,7 @@ const Position = require("../models/Position");
 const Portfolio = require("../models/Portfolio");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
+const { withTransaction } = require("../utils/transaction");
 
 /**
  * @desc Get all positions with integrated analytics
@@ -133,6 +134,7 @@ const createPosition = async (req, res) => {
       sector,
       notes,
       tags,
+      lotMethod = "FIFO",
     } = req.body;
 
     // Validate portfolio ownership if provided
@@ -173,6 +175,7 @@ const createPosition = async (req, res) => {
       sector,
       notes,
       tags: tags ? tags.map((tag) => tag.trim()) : [],
+      lotMethod,
       status: "open",
     });
 
@@ -238,6 +241,32 @@ const updatePosition = async (req, res) => {
     delete updateData.brokerPositionId;
     delete updateData.createdAt;
     delete updateData.purchaseValue; // Recalculated automatically
+    delete updateData.lots; // Managed by the lot matcher
+    delete updateData.realizedPL;
+
+    // Direct volume/price edits are only safe while the position has one
+    // untouched lot - otherwise they would contradict the lot history
+    if (updateData.volume !== undefined || updateData.openPrice !== undefined) {
+      const existing = await Position.findOne({ _id: id, userId }).select(
+        "lots volume openPrice"
+      );
+
+      if (existing && existing.hasLotHistory) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Volume and open price cannot be edited on a position with lot history",
+        });
+      }
+
+      if (existing && existing.lots.length === 1) {
+        const volume = updateData.volume ?? existing.volume;
+        updateData["lots.0.volume"] = volume;
+        updateData["lots.0.remainingVolume"] = volume;
+        updateData["lots.0.openPrice"] =
+          updateData.openPrice ?? existing.openPrice;
+      }
+    }
 
     // Handle market price update with P&L recalculation
     if (updateData.currentPrice || updateData.marketPrice) {
@@ -300,7 +329,7 @@ const updatePosition = async (req, res) => {
 };
 
 /**
- * @desc Close position with final calculations
+ * @desc Close position (fully, or partially when volume is given)
  * @route PUT /api/positions/:id/close
  * @access Private
  */
@@ -323,6 +352,8 @@ const closePosition = async (req, res) => {
       commission = 0,
       taxes = 0,
       notes,
+      lotMethod,
+      volume,
     } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -348,31 +379,72 @@ const closePosition = async (req, res) => {
       });
     }
 
-    // Update position with closing data
-    position.closePrice = closePrice;
-    position.closeTime = closeTime ? new Date(closeTime) : new Date();
-    position.status = "closed";
+    const openVolume = position.openVolume;
+
+    if (volume !== undefined && volume > openVolume) {
+      return res.status(400).json({
+        success: false,
+        message: `Close volume cannot exceed open volume (${openVolume})`,
+      });
+    }
+
+    // Partial close: split off a closed child, keep the open remainder
+    if (volume !== undefined && volume < openVolume) {
+      let split;
+      try {
+        split = position.partialClose(volume, closePrice, {
+          time: closeTime ? new Date(closeTime) : new Date(),
+          commission,
+          taxes,
+          method: lotMethod,
+        });
+      } catch (splitError) {
+        if (splitError.code !== "INVALID_VOLUME") throw splitError;
+        return res.status(400).json({
+          success: false,
+          message: splitError.message,
+        });
+      }
+      const { child, matches } = split;
+
+      if (notes) child.notes = `${child.notes}. ${notes}`;
+
+      // Both halves or neither; stats are refreshed once the split commits
+      child.$locals.skipPortfolioStats = true;
+      position.$locals.skipPortfolioStats = true;
+      await withTransaction(async (session) => {
+        await child.save({ session });
+        await position.save({ session });
+      });
+
+      const portfolio = await Portfolio.findById(position.portfolioId);
+      if (portfolio) await portfolio.updateStats();
+
+      await Promise.all([
+        child.populate("portfolioId", "name broker currency"),
+        position.populate("portfolioId", "name broker currency"),
+      ]);
+
+      return res.json({
+        success: true,
+        message: "Position partially closed successfully",
+        data: { position: child, remainder: position, matches },
+      });
+    }
+
+    // Match the whole open volume against lots (realizes P&L per lot)
+    const matches = position.matchLots(position.openVolume, closePrice, {
+      time: closeTime ? new Date(closeTime) : new Date(),
+      commission,
+      method: lotMethod,
+    });
 
     // Add additional costs
-    if (commission > 0)
-      position.commission = (position.commission || 0) + commission;
     if (taxes > 0) position.taxes = (position.taxes || 0) + taxes;
     if (notes) {
       position.notes = position.notes ? `${position.notes}. ${notes}` : notes;
     }
 
-    // Calculate final P&L
-    const priceDiff = position.closePrice - position.openPrice;
-    position.grossPL =
-      position.type === "BUY"
-        ? priceDiff * position.volume
-        : -priceDiff * position.volume;
-    position.netPL =
-      position.grossPL -
-      position.commission -
-      position.taxes -
-      Math.abs(position.swap || 0);
-
     await position.save();
 
     // Populate portfolio info
@@ -381,7 +453,7 @@ const closePosition = async (req, res) => {
     res.json({
       success: true,
       message: "Position closed successfully",
-      data: { position },
+      data: { position, matches },
     });
   } catch (error) {
     console.error("Close position error:", error);
@@ -393,6 +465,92 @@ const closePosition = async (req, res) => {
   }
 };
 
+/**
+ * @desc Get tax lot breakdown of a position
+ * @route GET /api/positions/:id/lots
+ * @access Private
+ */
+const getPositionLots = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid position ID format",
+      });
+    }
+
+    const position = await Position.findOne({ _id: id, userId });
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: "Position not found",
+      });
+    }
+
+    const lots = position.lots.map((lot) => {
+      const closedVolume = lot.matches.reduce((sum, m) => sum + m.volume, 0);
+      const realizedPL = lot.matches.reduce((sum, m) => sum + m.realizedPL, 0);
+      const unrealizedPL =
+        position.marketPrice && lot.remainingVolume > 0
+          ? (position.type === "BUY" ? 1 : -1) *
+            (position.marketPrice - lot.openPrice) *
+            lot.remainingVolume
+          : 0;
+
+      return {
+        id: lot._id,
+        openTime: lot.openTime,
+        openPrice: lot.openPrice,
+        volume: lot.volume,
+        remainingVolume: lot.remainingVolume,
+        closedVolume,
+        costBasis: lot.openPrice * lot.volume,
+        commission: lot.commission,
+        source: lot.source,
+        realizedPL,
+        unrealizedPL,
+        matches: lot.matches,
+      };
+    });
+
+    res.json({
+      success: true,
+      message: "Position lots retrieved successfully",
+      data: {
+        position: {
+          id: position._id,
+          positionId: position.positionId,
+          symbol: position.symbol,
+          type: position.type,
+          status: position.status,
+          lotMethod: position.lotMethod,
+        },
+        lots,
+        summary: {
+          lotsCount: lots.length,
+          openLots: lots.filter((lot) => lot.remainingVolume > 0).length,
+          totalVolume: lots.reduce((sum, lot) => sum + lot.volume, 0),
+          openVolume: position.openVolume,
+          averageCost: position.status === "open" ? position.openPrice : null,
+          realizedPL: position.realizedPL,
+          unrealizedPL: lots.reduce((sum, lot) => sum + lot.unrealizedPL, 0),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get position lots error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching position lots",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
 /**
  * @desc Delete position (soft delete)
  * @route DELETE /api/positions/:id
@@ -466,6 +624,7 @@ module.exports = {
   createPosition, // ✅ KEEP: Core functionality
   updatePosition, // ✅ SIMPLIFIED: Includes market price updates
   closePosition, // ✅ KEEP: Important business logic
+  getPositionLots, // ✅ NEW: Tax lot breakdown
   deletePosition, // ✅ SIMPLIFIED: Soft delete option
 };
 
@@ -1,9 +1,8 @@
 const Report = require("../models/Report");
-const Position = require("../models/Position");
-const CashOperation = require("../models/CashOperation");
+const User = require("../models/User");
+const JobQueue = require("../services/JobQueue");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
-const path = require("path");
 const fs = require("fs").promises;
 
 /**
@@ -130,6 +129,13 @@ const createReport = async (req, res) => {
       schedule = {},
     } = req.body;
 
+    // Recurring runs follow the user's local time
+    let nextRun;
+    if (schedule.isRecurring) {
+      const user = await User.findById(userId).select("preferences.timezone");
+      nextRun = Report.calculateNextRun(schedule, user?.preferences?.timezone);
+    }
+
     const report = new Report({
       userId,
       name: name.trim(),
@@ -148,7 +154,7 @@ const createReport = async (req, res) => {
             dayOfMonth: schedule.dayOfMonth,
             dayOfWeek: schedule.dayOfWeek,
             time: schedule.time || "09:00",
-            nextRun: Report.calculateNextRun(schedule),
+            nextRun,
             isActive: true,
           }
         : { isRecurring: false },
@@ -156,14 +162,19 @@ const createReport = async (req, res) => {
 
     await report.save();
 
-    // Start report generation in background
-    generateReportAsync(report._id);
+    // Generate in the background job queue
+    const job = await JobQueue.enqueue(
+      "report_generation",
+      { reportId: report._id },
+      { userId, target: { model: "Report", id: report._id } }
+    );
 
     res.status(201).json({
       success: true,
       message: "Report creation started",
       data: {
         report,
+        jobId: job._id,
       },
     });
   } catch (error) {
@@ -280,14 +291,19 @@ const createTaxReport = async (req, res) => {
     });
     await report.save();
 
-    // Start generation
-    generateReportAsync(report._id);
+    // Generate in the background job queue
+    const job = await JobQueue.enqueue(
+      "report_generation",
+      { reportId: report._id },
+      { userId, target: { model: "Report", id: report._id } }
+    );
 
     res.status(201).json({
       success: true,
       message: "Tax report generation started",
       data: {
         report,
+        jobId: job._id,
       },
     });
   } catch (error) {
@@ -326,190 +342,6 @@ const getScheduledReports = async (req, res) => {
   }
 };
 
-// Background report generation function
-const generateReportAsync = async (reportId) => {
-  try {
-    const report = await Report.findById(reportId).populate(
-      "userId",
-      "name email preferences"
-    );
-
-    if (!report) {
-      console.error("Report not found:", reportId);
-      return;
-    }
-
-    // Update progress
-    await report.updateProgress(
-      10,
-      "initializing",
-      "Starting report generation..."
-    );
-
-    // Fetch data
-    await report.updateProgress(
-      30,
-      "fetching_data",
-      "Fetching portfolio data..."
-    );
-
-    const [positions, cashOperations] = await Promise.all([
-      Position.find({
-        userId: report.userId._id,
-        $or: [
-          {
-            openTime: {
-              $gte: report.dateRange.startDate,
-              $lte: report.dateRange.endDate,
-            },
-          },
-          {
-            closeTime: {
-              $gte: report.dateRange.startDate,
-              $lte: report.dateRange.endDate,
-            },
-          },
-        ],
-      }),
-      CashOperation.find({
-        userId: report.userId._id,
-        time: {
-          $gte: report.dateRange.startDate,
-          $lte: report.dateRange.endDate,
-        },
-      }),
-    ]);
-
-    await report.updateProgress(
-      60,
-      "processing_positions",
-      "Processing positions..."
-    );
-
-    // Generate report content based on type
-    const reportContent = await generateReportContent(
-      report,
-      positions,
-      cashOperations
-    );
-
-    await report.updateProgress(
-      80,
-      "formatting_report",
-      "Formatting report..."
-    );
-
-    // Save report file
-    const filename = `${report.type}_${report.userId.name}_${Date.now()}.${
-      report.format
-    }`;
-    const filePath = path.join(
-      process.env.REPORTS_DIR || "./reports",
-      filename
-    );
-
-    // Ensure reports directory exists
-    await fs.mkdir(path.dirname(filePath), { recursive: true });
-
-    // Write report content to file (simplified - would use proper PDF/Excel generation)
-    await fs.writeFile(filePath, JSON.stringify(reportContent, null, 2));
-
-    await report.markCompleted({
-      filename,
-      originalName: filename,
-      path: filePath,
-      size: (await fs.stat(filePath)).size,
-      mimeType: getMimeType(report.format),
-    });
-
-    console.log(`Report ${reportId} generated successfully`);
-  } catch (error) {
-    console.error("Report generation error:", error);
-    const report = await Report.findById(reportId);
-    if (report) {
-      await report.markFailed(error.message);
-    }
-  }
-};
-
-// Helper function to generate report content
-const generateReportContent = async (report, positions, cashOperations) => {
-  const content = {
-    metadata: {
-      reportId: report.reportId,
-      generatedAt: new Date(),
-      dateRange: report.dateRange,
-      type: report.type,
-      user: report.userId.name,
-    },
-    summary: {},
-    data: {},
-  };
-
-  // Generate content based on report type
-  switch (report.type) {
-    case "tax_report":
-      content.data.closedPositions = positions.filter(
-        (p) => p.status === "closed"
-      );
-      content.data.dividends = cashOperations.filter(
-        (op) => op.type === "dividend"
-      );
-      content.summary.totalTaxableGains = content.data.closedPositions.reduce(
-        (sum, p) => sum + (p.grossPL || 0),
-        0
-      );
-      break;
-
-    case "performance_report":
-      content.data.allPositions = positions;
-      content.data.performanceMetrics = calculatePerformanceMetrics(
-        positions,
-        cashOperations
-      );
-      break;
-
-    default:
-      content.data.positions = positions;
-      content.data.cashOperations = cashOperations;
-  }
-
-  return content;
-};
-
-// Helper function to get MIME type
-const getMimeType = (format) => {
-  const mimeTypes = {
-    pdf: "application/pdf",
-    csv: "text/csv",
-    excel: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-    json: "application/json",
-  };
-  return mimeTypes[format] || "application/octet-stream";
-};
-
-// Helper function for performance calculations
-const calculatePerformanceMetrics = (positions, cashOperations) => {
-  const totalGrossPL = positions.reduce((sum, p) => sum + (p.grossPL || 0), 0);
-  const totalDeposits = cashOperations
-    .filter((op) => op.type === "deposit")
-    .reduce((sum, op) => sum + op.amount, 0);
-  const totalWithdrawals = cashOperations
-    .filter((op) => op.type === "withdrawal")
-    .reduce((sum, op) => sum + op.amount, 0);
-
-  return {
-    totalGrossPL,
-    totalDeposits,
-    totalWithdrawals,
-    netCashFlow: totalDeposits - totalWithdrawals,
-    winRate:
-      (positions.filter((p) => (p.grossPL || 0) > 0).length /
-        Math.max(positions.length, 1)) *
-      100,
-  };
-};
-
 module.exports = {
   getReports,
   getReport,
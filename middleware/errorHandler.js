@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { redactSecrets } = require("../utils/credentialVault");
 
 /**
  * Error Types Classification
@@ -205,8 +206,8 @@ const sendErrorDev = (err, req, res) => {
     request: {
       method: req.method,
       url: req.originalUrl,
-      headers: req.headers,
-      body: req.body,
+      headers: redactSecrets(req.headers),
+      body: redactSecrets(req.body),
       query: req.query,
       params: req.params,
     },
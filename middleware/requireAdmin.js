@@ -0,0 +1,31 @@
+/**
+ * Admin Middleware - Restricts a route to users with role "admin"
+ * Use after authMiddleware (the JWT carries only the user id, so the role
+ * is read from the User document)
+ */
+
+const User = require("../models/User");
+
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select("role isActive");
+
+    if (!user || !user.isActive || user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Administrator access required",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("❌ Admin middleware error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Authorization processing error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+module.exports = requireAdmin;
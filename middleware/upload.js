@@ -1,10 +1,40 @@
 const multer = require("multer");
 const path = require("path");
+const fs = require("fs");
 
 // Folder tymczasowy dla uploadów
-const upload = multer({
-  dest: path.join(__dirname, "../uploads"),
-  limits: { fileSize: 5 * 1024 * 1024 }, // max 5MB
+const uploadDir = path.join(__dirname, "../uploads");
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(null, "upload-" + uniqueSuffix + path.extname(file.originalname));
+  },
 });
 
-module.exports = upload;
+/**
+ * Upload middleware with route-specific limits
+ * @param {Object} options
+ * @param {number} options.maxFileSize - Limit in bytes (default 5MB)
+ * @param {Function} options.fileFilter - multer file filter
+ */
+const createUpload = ({
+  maxFileSize = DEFAULT_MAX_FILE_SIZE,
+  fileFilter,
+} = {}) =>
+  multer({
+    storage,
+    limits: { fileSize: maxFileSize },
+    ...(fileFilter && { fileFilter }),
+  });
+
+module.exports = createUpload();
+module.exports.createUpload = createUpload;
@@ -35,6 +35,7 @@ const cashOperationSchema = new mongoose.Schema(
           "adjustment",
           "tax", // ogólny podatek
           "withholding_tax", // podatek u źródła
+          "currency_conversion", // przewalutowanie
           "stock_purchase", // zakup akcji
           "stock_sale", // sprzedaż akcji
           "close_trade", // zamknięcie pozycji
@@ -77,7 +78,8 @@ const cashOperationSchema = new mongoose.Schema(
       type: String,
       trim: true,
       uppercase: true,
-      maxlength: [10, "Symbol cannot exceed 10 characters"],
+      // Degiro statements identify instruments by ISIN only
+      maxlength: [12, "Symbol cannot exceed 12 characters"],
     },
     // Additional details for specific operation types
     details: {
@@ -201,6 +203,24 @@ const cashOperationSchema = new mongoose.Schema(
       ref: "FileImport",
       default: null,
     },
+
+    // Hashes of the imported row, used to detect re-imports
+    importMeta: {
+      fingerprint: {
+        type: String,
+      },
+      contentHash: {
+        type: String,
+      },
+    },
+
+    // Import that created or last overwrote this record
+    fileImportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FileImport",
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -220,6 +240,7 @@ cashOperationSchema.index({ userId: 1, type: 1 });
 cashOperationSchema.index({ userId: 1, time: -1 });
 cashOperationSchema.index({ userId: 1, status: 1 });
 cashOperationSchema.index({ userId: 1, currency: 1 });
+cashOperationSchema.index({ portfolioId: 1, "importMeta.fingerprint": 1 });
 
 // Pre-save middleware for additional validations and calculations
 cashOperationSchema.pre("save", function (next) {
@@ -0,0 +1,755 @@
+const mongoose = require("mongoose");
+
+// Volume below this threshold is treated as zero (same as Position lots)
+const VOLUME_EPSILON = 1e-8;
+
+// Single record of a document touched by a corporate action
+const adjustmentSchema = new mongoose.Schema(
+  {
+    targetModel: {
+      type: String,
+      required: true,
+      enum: ["Position", "PendingOrder", "Watchlist", "MarketData"],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    operation: {
+      type: String,
+      enum: ["update", "create"],
+      default: "update",
+    },
+    // Pre-adjustment values, kept for audit and undo
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    adjustedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const corporateActionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    actionId: {
+      type: Number,
+      required: [true, "Action ID is required"],
+      unique: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Action type is required"],
+      enum: {
+        values: ["split", "reverse_split", "spin_off", "symbol_change"],
+        message: "Invalid corporate action type",
+      },
+      index: true,
+    },
+    symbol: {
+      type: String,
+      required: [true, "Symbol is required"],
+      uppercase: true,
+      trim: true,
+      maxlength: [12, "Symbol cannot exceed 12 characters"],
+      index: true,
+    },
+    // Target symbol for symbol changes and spin-offs
+    newSymbol: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      maxlength: [12, "New symbol cannot exceed 12 characters"],
+    },
+    newName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // `from` old shares become `to` new shares (split 1:4 => from 1, to 4)
+    ratio: {
+      from: {
+        type: Number,
+        min: [0.0001, "Ratio must be greater than 0"],
+        default: 1,
+      },
+      to: {
+        type: Number,
+        min: [0.0001, "Ratio must be greater than 0"],
+        default: 1,
+      },
+    },
+    // Percent of the parent's cost basis moved to the spun-off company
+    costAllocation: {
+      type: Number,
+      min: [0, "Cost allocation cannot be negative"],
+      max: [100, "Cost allocation cannot exceed 100%"],
+    },
+    exDate: {
+      type: Date,
+      required: [true, "Ex-date is required"],
+      index: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "applied", "reverted", "failed"],
+        message: "Invalid corporate action status",
+      },
+      default: "pending",
+      index: true,
+    },
+    appliedAt: {
+      type: Date,
+    },
+    revertedAt: {
+      type: Date,
+    },
+    errorMessage: {
+      type: String,
+    },
+    adjustments: [adjustmentSchema],
+    summary: {
+      positions: { type: Number, default: 0 },
+      createdPositions: { type: Number, default: 0 },
+      pendingOrders: { type: Number, default: 0 },
+      watchlists: { type: Number, default: 0 },
+      marketData: { type: Number, default: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+corporateActionSchema.index({ userId: 1, symbol: 1, exDate: -1 });
+
+// Pre-save middleware to validate type-specific fields
+corporateActionSchema.pre("save", function (next) {
+  const { from, to } = this.ratio || {};
+
+  if (this.type === "split" && !(to > from)) {
+    return next(new Error("Split ratio must increase the share count"));
+  }
+
+  if (this.type === "reverse_split" && !(from > to)) {
+    return next(new Error("Reverse split ratio must decrease the share count"));
+  }
+
+  if (
+    (this.type === "symbol_change" || this.type === "spin_off") &&
+    !this.newSymbol
+  ) {
+    return next(new Error("New symbol is required for this action type"));
+  }
+
+  if (this.newSymbol && this.newSymbol === this.symbol) {
+    return next(new Error("New symbol must differ from the original symbol"));
+  }
+
+  if (this.type === "spin_off" && this.costAllocation == null) {
+    return next(new Error("Cost allocation is required for spin-offs"));
+  }
+
+  next();
+});
+
+// Virtual for the share count multiplier
+corporateActionSchema.virtual("volumeFactor").get(function () {
+  if (this.type !== "split" && this.type !== "reverse_split") return 1;
+  return this.ratio.to / this.ratio.from;
+});
+
+// Virtual for the price multiplier applied to pre-ex-date prices
+corporateActionSchema.virtual("priceFactor").get(function () {
+  if (this.type === "split" || this.type === "reverse_split") {
+    return this.ratio.from / this.ratio.to;
+  }
+  if (this.type === "spin_off") {
+    return 1 - (this.costAllocation || 0) / 100;
+  }
+  return 1;
+});
+
+const snapshotPosition = (position) => ({
+  symbol: position.symbol,
+  volume: position.volume,
+  openPrice: position.openPrice,
+  purchaseValue: position.purchaseValue,
+  marketPrice: position.marketPrice,
+  grossPL: position.grossPL,
+  lots: position.lots.map((lot) => lot.toObject()),
+  updatedAt: position.updatedAt,
+});
+
+const snapshotPendingOrder = (order) => ({
+  symbol: order.symbol,
+  volume: order.volume,
+  price: order.price,
+  stopPrice: order.stopPrice,
+  trailingAmount: order.trailingAmount,
+  executedVolume: order.execution?.executedVolume,
+  remainingVolume: order.execution?.remainingVolume,
+  stopLossPrice: order.riskManagement?.stopLoss?.price,
+  takeProfitPrice: order.riskManagement?.takeProfit?.price,
+  updatedAt: order.updatedAt,
+});
+
+const snapshotWatchlistItem = (item) => ({
+  _id: item._id,
+  symbol: item.symbol,
+  lastPrice: item.lastPrice,
+  addedPrice: item.performance?.addedPrice,
+  alerts: item.alerts.map((alert) => ({ _id: alert._id, value: alert.value })),
+});
+
+const scale = (value, factor) =>
+  value === null || value === undefined ? value : value * factor;
+
+// Adjust open positions (and their lots) held in the user's portfolios
+const adjustPositions = async (action, portfolioIds) => {
+  const Position = mongoose.model("Position");
+
+  const positions = await Position.find({
+    portfolioId: { $in: portfolioIds },
+    symbol: action.symbol,
+    status: "open",
+    openTime: { $lt: action.exDate },
+  });
+
+  for (const position of positions) {
+    const before = snapshotPosition(position);
+    let created = null;
+
+    // Positions from before lot tracking are adjusted through a seeded lot
+    position.seedLots();
+
+    if (action.type === "symbol_change") {
+      position.symbol = action.newSymbol;
+    } else if (action.type === "spin_off") {
+      created = buildSpinOffPosition(action, position);
+      if (!created) continue;
+    } else {
+      const { volumeFactor, priceFactor } = action;
+
+      position.lots.forEach((lot) => {
+        if (lot.openTime >= action.exDate) return;
+
+        lot.volume *= volumeFactor;
+        lot.remainingVolume *= volumeFactor;
+        lot.openPrice *= priceFactor;
+        lot.matches.forEach((match) => {
+          match.volume *= volumeFactor;
+          match.closePrice *= priceFactor;
+          match.costPrice *= priceFactor;
+        });
+      });
+      position.marketPrice = scale(position.marketPrice, priceFactor);
+    }
+
+    // Keep position totals in line with the adjusted lots
+    position.applyLotTotals();
+    await position.save();
+
+    action.adjustments.push({
+      targetModel: "Position",
+      targetId: position._id,
+      before,
+      after: snapshotPosition(position),
+    });
+    action.summary.positions += 1;
+
+    if (created) {
+      await created.save();
+      action.adjustments.push({
+        targetModel: "Position",
+        targetId: created._id,
+        operation: "create",
+        after: snapshotPosition(created),
+      });
+      action.summary.createdPositions += 1;
+    }
+  }
+};
+
+// Move part of the cost basis into a new position for the spun-off company
+const buildSpinOffPosition = (action, position) => {
+  const Position = mongoose.model("Position");
+  const allocation = action.costAllocation / 100;
+  const sharesPerShare = action.ratio.to / action.ratio.from;
+
+  const lots = [];
+  position.lots.forEach((lot) => {
+    if (lot.remainingVolume <= VOLUME_EPSILON) return;
+    if (lot.openTime >= action.exDate) return;
+
+    const volume = lot.remainingVolume * sharesPerShare;
+    const allocatedCost = lot.remainingVolume * lot.openPrice * allocation;
+
+    lots.push({
+      openTime: lot.openTime,
+      openPrice: allocatedCost / volume,
+      volume,
+      remainingVolume: volume,
+      commission: 0,
+      source: "corporate_action",
+      matches: [],
+    });
+    lot.openPrice *= 1 - allocation;
+  });
+
+  if (lots.length === 0) return null;
+
+  const volume = lots.reduce((sum, lot) => sum + lot.volume, 0);
+  const cost = lots.reduce((sum, lot) => sum + lot.volume * lot.openPrice, 0);
+
+  return new Position({
+    positionId: Date.now() * 1000 + Math.floor(Math.random() * 1000),
+    portfolioId: position.portfolioId,
+    symbol: action.newSymbol,
+    name: action.newName,
+    type: position.type,
+    volume,
+    openTime: lots[0].openTime,
+    openPrice: cost / volume,
+    purchaseValue: cost,
+    status: "open",
+    lotMethod: position.lotMethod,
+    lots,
+    currency: position.currency,
+    exchange: position.exchange,
+    notes: `Spin-off from ${action.symbol}`,
+    importedFrom: position.importedFrom,
+    brokerData: {
+      broker: position.brokerData?.broker || "MANUAL",
+      brokerSymbol: action.newSymbol,
+      brokerAccountId: position.brokerData?.brokerAccountId || "manual",
+    },
+  });
+};
+
+// Adjust price levels and volume on the user's working orders
+const adjustPendingOrders = async (action) => {
+  if (action.type === "spin_off") return;
+
+  const PendingOrder = mongoose.model("PendingOrder");
+  const orders = await PendingOrder.find({
+    userId: action.userId,
+    symbol: action.symbol,
+    status: { $in: ["pending", "partial"] },
+    openTime: { $lt: action.exDate },
+  });
+
+  for (const order of orders) {
+    const before = snapshotPendingOrder(order);
+
+    if (action.type === "symbol_change") {
+      order.symbol = action.newSymbol;
+    } else {
+      const { volumeFactor, priceFactor } = action;
+
+      order.volume *= volumeFactor;
+      order.price = scale(order.price, priceFactor);
+      order.stopPrice = scale(order.stopPrice, priceFactor);
+      order.trailingAmount = scale(order.trailingAmount, priceFactor);
+      order.execution.executedVolume = scale(
+        order.execution.executedVolume,
+        volumeFactor
+      );
+      order.execution.remainingVolume = scale(
+        order.execution.remainingVolume,
+        volumeFactor
+      );
+      order.riskManagement.stopLoss.price = scale(
+        order.riskManagement.stopLoss.price,
+        priceFactor
+      );
+      order.riskManagement.takeProfit.price = scale(
+        order.riskManagement.takeProfit.price,
+        priceFactor
+      );
+    }
+
+    await order.save();
+
+    action.adjustments.push({
+      targetModel: "PendingOrder",
+      targetId: order._id,
+      before,
+      after: snapshotPendingOrder(order),
+    });
+    action.summary.pendingOrders += 1;
+  }
+};
+
+// Adjust watchlist alert thresholds and reference prices
+const adjustWatchlists = async (action) => {
+  if (action.type === "spin_off") return;
+
+  const Watchlist = mongoose.model("Watchlist");
+  const watchlists = await Watchlist.find({
+    userId: action.userId,
+    "items.symbol": action.symbol,
+  });
+
+  for (const watchlist of watchlists) {
+    const items = watchlist.items.filter(
+      (item) => item.symbol === action.symbol
+    );
+    const before = items.map(snapshotWatchlistItem);
+
+    items.forEach((item) => {
+      if (action.type === "symbol_change") {
+        item.symbol = action.newSymbol;
+        return;
+      }
+
+      item.lastPrice = scale(item.lastPrice, action.priceFactor);
+      if (item.performance) {
+        item.performance.addedPrice = scale(
+          item.performance.addedPrice,
+          action.priceFactor
+        );
+      }
+      item.alerts.forEach((alert) => {
+        if (alert.type === "change_percent") return;
+        alert.value *= action.priceFactor;
+      });
+    });
+
+    await watchlist.save();
+
+    action.adjustments.push({
+      targetModel: "Watchlist",
+      targetId: watchlist._id,
+      before: { items: before },
+      after: { items: items.map(snapshotWatchlistItem) },
+    });
+    action.summary.watchlists += 1;
+  }
+};
+
+// Adjust shared price history (read by every user)
+const adjustMarketData = async (action) => {
+  const MarketData = mongoose.model("MarketData");
+
+  const records = await MarketData.find({ symbol: action.symbol });
+
+  for (const record of records) {
+    let before;
+
+    if (action.type === "symbol_change") {
+      before = { symbol: record.symbol };
+      record.symbol = action.newSymbol;
+    } else {
+      const points = record.historicalData.filter(
+        (point) => point.timestamp < action.exDate
+      );
+      if (points.length === 0) continue;
+
+      before = {
+        historicalData: points.map((point) => ({
+          _id: point._id,
+          price: point.price,
+          open: point.open,
+          high: point.high,
+          low: point.low,
+          volume: point.volume,
+        })),
+      };
+
+      points.forEach((point) => {
+        point.price *= action.priceFactor;
+        point.open = scale(point.open, action.priceFactor);
+        point.high = scale(point.high, action.priceFactor);
+        point.low = scale(point.low, action.priceFactor);
+        point.volume = scale(point.volume, action.volumeFactor);
+      });
+    }
+
+    await record.save();
+
+    action.adjustments.push({
+      targetModel: "MarketData",
+      targetId: record._id,
+      before,
+    });
+    action.summary.marketData += 1;
+  }
+};
+
+const isMarketData = (adjustment) => adjustment.targetModel === "MarketData";
+
+// Restore a single adjusted document from its snapshot
+const restoreAdjustment = async (adjustment) => {
+  const Model = mongoose.model(adjustment.targetModel);
+  const doc = await Model.findById(adjustment.targetId);
+  if (!doc) return;
+
+  if (adjustment.operation === "create") {
+    await Model.deleteOne({ _id: doc._id });
+    if (adjustment.targetModel === "Position") {
+      const Portfolio = mongoose.model("Portfolio");
+      const portfolio = await Portfolio.findById(doc.portfolioId);
+      if (portfolio) await portfolio.updateStats();
+    }
+    return;
+  }
+
+  const { before } = adjustment;
+
+  switch (adjustment.targetModel) {
+    case "Position":
+      doc.set({
+        symbol: before.symbol,
+        volume: before.volume,
+        openPrice: before.openPrice,
+        purchaseValue: before.purchaseValue,
+        marketPrice: before.marketPrice,
+        grossPL: before.grossPL,
+        lots: before.lots,
+      });
+      break;
+
+    case "PendingOrder":
+      doc.symbol = before.symbol;
+      doc.volume = before.volume;
+      doc.price = before.price;
+      doc.stopPrice = before.stopPrice;
+      doc.trailingAmount = before.trailingAmount;
+      doc.execution.executedVolume = before.executedVolume;
+      doc.execution.remainingVolume = before.remainingVolume;
+      doc.riskManagement.stopLoss.price = before.stopLossPrice;
+      doc.riskManagement.takeProfit.price = before.takeProfitPrice;
+      break;
+
+    case "Watchlist":
+      before.items.forEach((snapshot) => {
+        const item = doc.items.id(snapshot._id);
+        if (!item) return;
+
+        item.symbol = snapshot.symbol;
+        item.lastPrice = snapshot.lastPrice;
+        if (item.performance) item.performance.addedPrice = snapshot.addedPrice;
+        snapshot.alerts.forEach(({ _id, value }) => {
+          const alert = item.alerts.id(_id);
+          if (alert) alert.value = value;
+        });
+      });
+      break;
+
+    case "MarketData":
+      if (before.symbol) doc.symbol = before.symbol;
+      (before.historicalData || []).forEach((snapshot) => {
+        const point = doc.historicalData.id(snapshot._id);
+        if (!point) return;
+
+        point.price = snapshot.price;
+        point.open = snapshot.open;
+        point.high = snapshot.high;
+        point.low = snapshot.low;
+        point.volume = snapshot.volume;
+      });
+      break;
+  }
+
+  await doc.save();
+};
+
+// Instance method to apply the action to the user's own positions, orders
+// and watchlists. Shared price history is left to applyToMarketData.
+corporateActionSchema.methods.apply = async function () {
+  if (this.status === "applied") {
+    throw new Error("Corporate action has already been applied");
+  }
+
+  const Portfolio = mongoose.model("Portfolio");
+  const portfolios = await Portfolio.find({ userId: this.userId }).select(
+    "_id"
+  );
+
+  this.adjustments = this.adjustments.filter(isMarketData);
+  this.summary = {
+    positions: 0,
+    createdPositions: 0,
+    pendingOrders: 0,
+    watchlists: 0,
+    marketData: this.adjustments.length,
+  };
+  this.errorMessage = undefined;
+
+  try {
+    await adjustPositions(
+      this,
+      portfolios.map((p) => p._id)
+    );
+    await adjustPendingOrders(this);
+    await adjustWatchlists(this);
+  } catch (error) {
+    // Roll back whatever was adjusted before the failure
+    const own = this.adjustments.filter((a) => !isMarketData(a));
+    for (const adjustment of own.reverse()) {
+      await restoreAdjustment(adjustment);
+    }
+    this.adjustments = this.adjustments.filter(isMarketData);
+    this.status = "failed";
+    this.errorMessage = error.message;
+    await this.save();
+    throw error;
+  }
+
+  this.status = "applied";
+  this.appliedAt = new Date();
+  this.revertedAt = undefined;
+
+  return this.save();
+};
+
+// Instance method to list adjusted records changed since the action was applied
+corporateActionSchema.methods.findRevertConflicts = async function () {
+  const conflicts = [];
+
+  for (const adjustment of this.adjustments) {
+    if (!adjustment.after?.updatedAt) continue;
+
+    const Model = mongoose.model(adjustment.targetModel);
+    const doc = await Model.findById(adjustment.targetId).select("updatedAt");
+
+    if (
+      doc &&
+      doc.updatedAt.getTime() !== new Date(adjustment.after.updatedAt).getTime()
+    ) {
+      conflicts.push({
+        targetModel: adjustment.targetModel,
+        targetId: adjustment.targetId,
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+// Instance method to undo the action using the stored snapshots
+corporateActionSchema.methods.revert = async function () {
+  if (this.status !== "applied") {
+    throw new Error("Only applied corporate actions can be reverted");
+  }
+
+  // Shared price history stays adjusted (revertMarketData)
+  const own = this.adjustments.filter((a) => !isMarketData(a));
+  for (const adjustment of [...own].reverse()) {
+    await restoreAdjustment(adjustment);
+  }
+
+  this.adjustments = this.adjustments.filter(isMarketData);
+  this.status = "reverted";
+  this.revertedAt = new Date();
+
+  return this.save();
+};
+
+// Instance method to adjust the shared MarketData price history (renamed
+// for symbol changes, rescaled for splits). Administrators only: it
+// changes prices for every user. An event is adjusted once, through
+// whichever user's copy of it.
+corporateActionSchema.methods.applyToMarketData = async function () {
+  const CorporateAction = mongoose.model("CorporateAction");
+
+  const adjusted = this.adjustments.some(isMarketData)
+    ? this
+    : await CorporateAction.findMarketDataAdjustment(this);
+  if (adjusted) {
+    const error = new Error(
+      `Price history has already been adjusted by corporate action ${adjusted.actionId}`
+    );
+    error.code = "ALREADY_ADJUSTED";
+    throw error;
+  }
+
+  const count = this.adjustments.length;
+  try {
+    await adjustMarketData(this);
+  } catch (error) {
+    for (const adjustment of this.adjustments.slice(count).reverse()) {
+      await restoreAdjustment(adjustment);
+    }
+    this.adjustments.splice(count);
+    this.summary.marketData = 0;
+    throw error;
+  }
+
+  return this.save();
+};
+
+// Instance method to restore the price history adjusted by applyToMarketData
+corporateActionSchema.methods.revertMarketData = async function () {
+  const shared = this.adjustments.filter(isMarketData);
+  if (shared.length === 0) {
+    const error = new Error(
+      "Price history has not been adjusted by this corporate action"
+    );
+    error.code = "NOT_ADJUSTED";
+    throw error;
+  }
+
+  for (const adjustment of [...shared].reverse()) {
+    await restoreAdjustment(adjustment);
+  }
+
+  this.adjustments = this.adjustments.filter((a) => !isMarketData(a));
+  this.summary.marketData = 0;
+
+  return this.save();
+};
+
+// Static method to find a copy of the same event (any user's) that
+// adjusted the shared price history
+corporateActionSchema.statics.findMarketDataAdjustment = function (action) {
+  return this.findOne({
+    _id: { $ne: action._id },
+    type: action.type,
+    symbol: action.symbol,
+    exDate: action.exDate,
+    "ratio.from": action.ratio.from,
+    "ratio.to": action.ratio.to,
+    "adjustments.targetModel": "MarketData",
+  });
+};
+
+// Static method to find user's corporate actions
+corporateActionSchema.statics.findByUser = function (userId, options = {}) {
+  const query = { userId };
+
+  if (options.symbol) query.symbol = options.symbol.toUpperCase();
+  if (options.type) query.type = options.type;
+  if (options.status) query.status = options.status;
+
+  return this.find(query).sort({ exDate: -1 });
+};
+
+module.exports = mongoose.model("CorporateAction", corporateActionSchema);
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+
+// How far back to look for the last published rate (covers long holidays)
+const MAX_LOOKBACK_DAYS = 10;
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+    },
+    // Effective date of the rate, stored as UTC midnight
+    date: {
+      type: Date,
+      required: [true, "Rate date is required"],
+    },
+    // PLN per one unit of currency (NBP average rate)
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0, "Rate must be positive"],
+    },
+    table: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Table number cannot exceed 30 characters"],
+    },
+    source: {
+      type: String,
+      enum: ["nbp", "manual"],
+      default: "nbp",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+exchangeRateSchema.index(
+  { currency: 1, date: -1, source: 1 },
+  { unique: true }
+);
+
+// Calendar day (YYYY-MM-DD) of a timestamp in Polish time
+const toWarsawDay = (date) =>
+  new Date(date).toLocaleDateString("sv-SE", { timeZone: "Europe/Warsaw" });
+
+// Static method to normalize a date to the UTC midnight key used by the table
+exchangeRateSchema.statics.toRateDate = function (date) {
+  return new Date(`${toWarsawDay(date)}T00:00:00.000Z`);
+};
+
+exchangeRateSchema.statics.MAX_LOOKBACK_DAYS = MAX_LOOKBACK_DAYS;
+
+// Static method to find the rate in force on a day: the table published that
+// day or, on weekends and holidays, the last one before it. With `preceding`
+// only tables published strictly before the day count (art. 11a ustawy o PIT:
+// kurs średni NBP z ostatniego dnia roboczego poprzedzającego dzień
+// uzyskania przychodu / poniesienia kosztu).
+exchangeRateSchema.statics.findRate = function (currency, date, options = {}) {
+  const { source = "nbp", preceding = false } = options;
+  const day = this.toRateDate(date);
+  const earliest = new Date(day);
+  earliest.setUTCDate(earliest.getUTCDate() - MAX_LOOKBACK_DAYS);
+
+  return this.findOne({
+    currency: currency.toUpperCase(),
+    source,
+    date: { [preceding ? "$lt" : "$lte"]: day, $gte: earliest },
+  }).sort({ date: -1 });
+};
+
+// Static method to insert or update a batch of rates
+exchangeRateSchema.statics.upsertRates = function (rates, source = "nbp") {
+  if (rates.length === 0) return Promise.resolve({ upsertedCount: 0 });
+
+  return this.bulkWrite(
+    rates.map((rate) => {
+      const date = this.toRateDate(rate.date);
+      const currency = rate.currency.toUpperCase();
+
+      return {
+        updateOne: {
+          filter: { currency, date, source },
+          update: {
+            $set: {
+              currency,
+              date,
+              source,
+              rate: rate.rate,
+              table: rate.table,
+            },
+          },
+          upsert: true,
+        },
+      };
+    })
+  );
+};
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -8,6 +8,12 @@ const fileImportSchema = new mongoose.Schema(
       required: [true, "User ID is required"],
       index: true,
     },
+    portfolioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Portfolio",
+      default: null,
+      index: true,
+    },
     filename: {
       type: String,
       required: [true, "Filename is required"],
@@ -51,11 +57,18 @@ const fileImportSchema = new mongoose.Schema(
     endTime: {
       type: Date,
     },
+    // Set by PUT /api/import/:id/cancel; a running import stops after the
+    // batch it is writing
+    cancelRequestedAt: {
+      type: Date,
+      default: null,
+    },
     status: {
       type: String,
       required: [true, "Status is required"],
       enum: {
         values: [
+          "previewed",
           "pending",
           "processing",
           "completed",
@@ -165,20 +178,61 @@ const fileImportSchema = new mongoose.Schema(
         enum: ["", " ", ",", "."],
         default: "",
       },
+      // Statement layout; "auto" detects it from the file content
+      brokerFormat: {
+        type: String,
+        enum: {
+          values: [
+            "auto",
+            "xtb",
+            "degiro",
+            "ibkr",
+            "trading212",
+            "mbank",
+            "bossa",
+            "pkobp",
+            "ofx",
+            "qif",
+          ],
+          message: "Invalid broker format",
+        },
+        default: "auto",
+      },
+      // What to do with rows that match already imported records
+      duplicatePolicy: {
+        type: String,
+        enum: {
+          values: ["skip", "overwrite", "fail"],
+          message: "Invalid duplicate policy",
+        },
+        default: "skip",
+      },
+    },
+
+    // Rows classified against existing records
+    deduplication: {
+      new: {
+        type: Number,
+        default: 0,
+      },
+      updated: {
+        type: Number,
+        default: 0,
+      },
+      unchanged: {
+        type: Number,
+        default: 0,
+      },
+      conflict: {
+        type: Number,
+        default: 0,
+      },
     },
 
-    // Column mapping
+    // Column mapping confirmed at commit: { [sheetName]: { [field]: header } }
     columnMapping: {
-      symbol: String,
-      type: String,
-      volume: String,
-      openTime: String,
-      openPrice: String,
-      closeTime: String,
-      closePrice: String,
-      amount: String,
-      comment: String,
-      // Add more mappings as needed
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
     },
 
     // Validation rules applied
@@ -222,6 +276,7 @@ const fileImportSchema = new mongoose.Schema(
           "importing",
           "completed",
           "failed",
+          "cancelled",
         ],
         default: "uploading",
       },
@@ -229,6 +284,15 @@ const fileImportSchema = new mongoose.Schema(
         type: String,
         maxlength: [200, "Progress message cannot exceed 200 characters"],
       },
+      // Streamed CSV files report progress by bytes read
+      processedBytes: {
+        type: Number,
+        min: 0,
+      },
+      totalBytes: {
+        type: Number,
+        min: 0,
+      },
     },
 
     // Error tracking
@@ -417,9 +481,9 @@ fileImportSchema.pre("save", function (next) {
     this.recordsCount.cashOperations +
     this.recordsCount.pendingOrders;
 
-  // Set end time when status changes to completed or failed
+  // Set end time when status changes to completed, failed or cancelled
   if (
-    (this.status === "completed" || this.status === "failed") &&
+    ["completed", "failed", "cancelled"].includes(this.status) &&
     !this.endTime
   ) {
     this.endTime = new Date();
@@ -491,8 +555,25 @@ fileImportSchema.methods.markFailed = function (error) {
   return this.save();
 };
 
+// Instance method to mark as cancelled
+// Records written before the cancellation are kept and can be rolled back
+fileImportSchema.methods.markCancelled = function (
+  message = "Cancelled by user"
+) {
+  this.status = "cancelled";
+  this.endTime = new Date();
+  this.progress.currentStep = "cancelled";
+  this.progress.message = message;
+  return this.save();
+};
+
 // Instance method to perform rollback
-fileImportSchema.methods.performRollback = async function (reason) {
+// Records are reverted by ImportService.rollback, which calls this inside
+// its transaction
+fileImportSchema.methods.performRollback = async function (
+  reason,
+  session = null
+) {
   if (!this.rollback.canRollback) {
     throw new Error("This import cannot be rolled back");
   }
@@ -501,14 +582,11 @@ fileImportSchema.methods.performRollback = async function (reason) {
     throw new Error("This import has already been rolled back");
   }
 
-  // Here you would implement the actual rollback logic
-  // This would involve deleting the imported records
-
   this.rollback.isRolledBack = true;
   this.rollback.rollbackTime = new Date();
   this.rollback.rollbackReason = reason;
 
-  return this.save();
+  return this.save({ session });
 };
 
 // Static method to find user's imports
@@ -596,7 +674,7 @@ fileImportSchema.statics.cleanupOldFiles = async function () {
   const now = new Date();
   const filesToDelete = await this.find({
     "cleanup.scheduledDeletion": { $lt: now },
-    status: { $in: ["completed", "failed"] },
+    status: { $in: ["completed", "failed", "previewed", "cancelled"] },
   });
 
   const results = [];
@@ -0,0 +1,320 @@
+const mongoose = require("mongoose");
+
+// Failed attempts kept on the job for inspection
+const MAX_STORED_FAILURES = 20;
+
+// Finished jobs are removed after this many days
+const RETENTION_DAYS = 30;
+
+const JOB_TYPES = [
+  "file_import",
+  "report_generation",
+  "broker_sync",
+  "price_refresh",
+];
+
+const failureSchema = new mongoose.Schema(
+  {
+    attempt: {
+      type: Number,
+      required: true,
+    },
+    message: {
+      type: String,
+      maxlength: [500, "Failure message cannot exceed 500 characters"],
+    },
+    failedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Background job run by services/JobQueue. A worker claims a queued job
+ * with a lease (lockedBy/lockedUntil); a job whose lease expires (the
+ * worker stopped) is claimed again by the next worker.
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Job type is required"],
+      enum: {
+        values: JOB_TYPES,
+        message: "Invalid job type",
+      },
+      index: true,
+    },
+    status: {
+      type: String,
+      required: [true, "Status is required"],
+      enum: {
+        values: ["queued", "running", "completed", "failed"],
+        message: "Invalid job status",
+      },
+      default: "queued",
+    },
+    // Owner, for GET /api/jobs/:id; system jobs have none
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Handler arguments (IDs, not documents)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Document the job works on (FileImport, Report, Portfolio)
+    target: {
+      model: {
+        type: String,
+        enum: ["FileImport", "Report", "Portfolio", "MarketData"],
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    },
+    // Higher runs first among due jobs
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Retries
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: [1, "Max attempts must be at least 1"],
+      max: [20, "Max attempts cannot exceed 20"],
+    },
+    backoff: {
+      strategy: {
+        type: String,
+        enum: ["fixed", "exponential"],
+        default: "exponential",
+      },
+      delayMs: {
+        type: Number,
+        default: 30 * 1000,
+        min: 0,
+      },
+      maxDelayMs: {
+        type: Number,
+        default: 60 * 60 * 1000,
+        min: 0,
+      },
+    },
+
+    // Lease held by the running worker
+    lockedBy: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: {
+      type: String,
+      maxlength: [500, "Error message cannot exceed 500 characters"],
+    },
+    failures: [failureSchema],
+
+    // TTL for finished jobs
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ "target.model": 1, "target.id": 1, createdAt: -1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+jobSchema.virtual("isFinished").get(function () {
+  return this.status === "completed" || this.status === "failed";
+});
+
+// Delay before the next attempt after `attempts` failed ones
+jobSchema.methods.getRetryDelay = function () {
+  const { strategy, delayMs, maxDelayMs } = this.backoff;
+  const delay =
+    strategy === "fixed" ? delayMs : delayMs * 2 ** (this.attempts - 1);
+  return Math.min(delay, maxDelayMs);
+};
+
+// Extend the lease of a running job (long imports)
+jobSchema.methods.renewLease = function (leaseMs) {
+  return this.constructor.updateOne(
+    { _id: this._id, status: "running", lockedBy: this.lockedBy },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+};
+
+// Instance method to mark as completed
+// Only the lease holder may finish the job
+jobSchema.methods.markCompleted = async function (result) {
+  const now = new Date();
+  this.status = "completed";
+  this.finishedAt = now;
+  this.result = result;
+  this.expiresAt = new Date(now.getTime() + RETENTION_DAYS * 86400000);
+
+  await this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy },
+    {
+      $set: {
+        status: this.status,
+        finishedAt: this.finishedAt,
+        result: this.result,
+        expiresAt: this.expiresAt,
+      },
+      $unset: { lockedBy: "", lockedUntil: "" },
+    }
+  );
+  return this;
+};
+
+// Instance method to record a failed attempt: the job is queued again
+// after its backoff delay, or failed when retry is false or no attempts
+// are left
+jobSchema.methods.markFailed = async function (error, { retry = true } = {}) {
+  const now = new Date();
+  const message = String(error?.message || error || "Job failed").slice(0, 500);
+  const willRetry = retry && this.attempts < this.maxAttempts;
+
+  this.lastError = message;
+  this.failures.push({ attempt: this.attempts, message, failedAt: now });
+  if (this.failures.length > MAX_STORED_FAILURES) {
+    this.failures = this.failures.slice(-MAX_STORED_FAILURES);
+  }
+
+  if (willRetry) {
+    this.status = "queued";
+    this.runAt = new Date(now.getTime() + this.getRetryDelay());
+  } else {
+    this.status = "failed";
+    this.finishedAt = now;
+    this.expiresAt = new Date(now.getTime() + RETENTION_DAYS * 86400000);
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy },
+    {
+      $set: {
+        status: this.status,
+        runAt: this.runAt,
+        lastError: this.lastError,
+        failures: this.failures,
+        ...(!willRetry && {
+          finishedAt: this.finishedAt,
+          expiresAt: this.expiresAt,
+        }),
+      },
+      $unset: { lockedBy: "", lockedUntil: "" },
+    }
+  );
+  return this;
+};
+
+// Static method to queue a job
+jobSchema.statics.enqueue = function (type, payload = {}, options = {}) {
+  const { userId, target, runAt, priority, maxAttempts, backoff } = options;
+
+  return this.create({
+    type,
+    payload,
+    userId,
+    target,
+    runAt: runAt || new Date(),
+    priority,
+    maxAttempts,
+    backoff,
+  });
+};
+
+/**
+ * Atomically claim the next due job: a queued one whose runAt has passed,
+ * or a running one whose lease expired with attempts left
+ * @param {string} owner - Worker instance ID
+ * @param {number} leaseMs - Lease length
+ * @param {Array<string>} types - Job types the worker has handlers for
+ */
+jobSchema.statics.claimNext = function (owner, leaseMs, types) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        {
+          status: "running",
+          lockedUntil: { $lte: now },
+          $expr: { $lt: ["$attempts", "$maxAttempts"] },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: owner,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { priority: -1, runAt: 1 } }
+  );
+};
+
+// Fail running jobs whose worker stopped during their last attempt
+jobSchema.statics.failAbandoned = function () {
+  const now = new Date();
+
+  return this.updateMany(
+    {
+      status: "running",
+      lockedUntil: { $lte: now },
+      $expr: { $gte: ["$attempts", "$maxAttempts"] },
+    },
+    {
+      $set: {
+        status: "failed",
+        finishedAt: now,
+        lastError: "Worker stopped during the last attempt",
+        expiresAt: new Date(now.getTime() + RETENTION_DAYS * 86400000),
+      },
+      $unset: { lockedBy: "", lockedUntil: "" },
+    }
+  );
+};
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -354,8 +354,21 @@ marketDataSchema.pre("save", function (next) {
   next();
 });
 
+// Pending orders of the symbol are matched against every new price
+// (services/OrderMatchingService); a failed match never fails the update
+const matchPendingOrders = (symbol, priceData) =>
+  require("../services/OrderMatchingService")
+    .onPrice(symbol, {
+      price: priceData.price,
+      bid: priceData.bid,
+      ask: priceData.ask,
+    })
+    .catch((error) =>
+      console.error(`❌ Order matching for ${symbol} failed:`, error.message)
+    );
+
 // Instance method to update price data
-marketDataSchema.methods.updatePrice = function (priceData) {
+marketDataSchema.methods.updatePrice = async function (priceData) {
   this.currentPrice = priceData.price;
 
   if (priceData.bid) this.bidAsk.bid = priceData.bid;
@@ -384,7 +397,9 @@ marketDataSchema.methods.updatePrice = function (priceData) {
   this.dataSource.errorCount = 0; // Reset error count on successful update
   this.dataSource.lastError = undefined;
 
-  return this.save();
+  await this.save();
+  await matchPendingOrders(this.symbol, priceData);
+  return this;
 };
 
 // Instance method to record error
@@ -526,7 +541,11 @@ marketDataSchema.statics.bulkUpdatePrices = async function (priceUpdates) {
     },
   }));
 
-  return this.bulkWrite(bulkOps);
+  const result = await this.bulkWrite(bulkOps);
+  for (const update of priceUpdates) {
+    await matchPendingOrders(update.symbol, update);
+  }
+  return result;
 };
 
 // Static method to cleanup old historical data
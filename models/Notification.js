@@ -248,8 +248,9 @@ notificationSchema.virtual("timeAgo").get(function () {
   return `${months}mo ago`;
 });
 
-// Pre-save middleware
-notificationSchema.pre("save", function (next) {
+// Pre-validate middleware (the ID is required, and validation runs before
+// pre-save hooks)
+notificationSchema.pre("validate", function (next) {
   if (!this.notificationId) {
     this.notificationId = `notif_${Date.now()}_${Math.random()
       .toString(36)
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// Tolerance for floating point volume comparisons (same as Position)
+const VOLUME_EPSILON = 1e-8;
+
 const pendingOrderSchema = new mongoose.Schema(
   {
     userId: {
@@ -64,10 +67,15 @@ const pendingOrderSchema = new mongoose.Schema(
         message: "Volume must be a positive number",
       },
     },
+    // Limit prices; stops may give only stopPrice and trailing stops
+    // follow the quote
     price: {
       type: Number,
       required: function () {
-        return this.type !== "market";
+        return (
+          ["limit", "stop_limit"].includes(this.type) ||
+          (this.type === "stop" && !this.stopPrice)
+        );
       },
       min: [0, "Price must be positive"],
       validate: {
@@ -117,6 +125,16 @@ const pendingOrderSchema = new mongoose.Schema(
       type: Date,
       index: true,
     },
+    // Set when the order expires: time in force ran out or an IOC/FOK
+    // order could not be filled
+    expiredAt: {
+      type: Date,
+    },
+    expiryReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Expiry reason cannot exceed 200 characters"],
+    },
     status: {
       type: String,
       required: [true, "Order status is required"],
@@ -128,6 +146,7 @@ const pendingOrderSchema = new mongoose.Schema(
           "cancelled",
           "expired",
           "rejected",
+          "inactive", // Bracket child waiting for its entry
         ],
         message: "Invalid order status",
       },
@@ -166,6 +185,10 @@ const pendingOrderSchema = new mongoose.Schema(
       resultingPositionId: {
         type: Number,
       },
+      // Stop of a stop_limit order crossed; it now rests as a limit order
+      triggeredTime: {
+        type: Date,
+      },
     },
 
     // Order conditions
@@ -250,10 +273,28 @@ const pendingOrderSchema = new mongoose.Schema(
     // Metadata
     source: {
       type: String,
-      enum: ["manual", "api", "strategy", "copy_trading"],
+      enum: ["manual", "api", "strategy", "copy_trading", "import"],
       default: "manual",
     },
 
+    // Hashes of the imported row, used to detect re-imports
+    importMeta: {
+      fingerprint: {
+        type: String,
+      },
+      contentHash: {
+        type: String,
+      },
+    },
+
+    // Import that created or last overwrote this record
+    fileImportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FileImport",
+      default: null,
+      index: true,
+    },
+
     notes: {
       type: String,
       trim: true,
@@ -291,6 +332,30 @@ const pendingOrderSchema = new mongoose.Schema(
         type: Number,
       },
     ],
+
+    // Order group: a one-cancels-other pair, or a bracket whose stop-loss
+    // and take-profit children (an OCO pair themselves) stay inactive until
+    // the entry is executed
+    orderGroup: {
+      groupId: {
+        type: Number,
+        index: true,
+      },
+      type: {
+        type: String,
+        enum: {
+          values: ["oco", "bracket"],
+          message: "Order group must be either oco or bracket",
+        },
+      },
+      role: {
+        type: String,
+        enum: {
+          values: ["entry", "stop_loss", "take_profit", "oco_leg"],
+          message: "Invalid order group role",
+        },
+      },
+    },
   },
   {
     timestamps: true,
@@ -305,12 +370,16 @@ const pendingOrderSchema = new mongoose.Schema(
   }
 );
 
+// Orders of a group that can still be filled or activated
+const GROUP_OPEN_STATUSES = ["pending", "partial", "inactive"];
+
 // Compound indexes for better performance
 pendingOrderSchema.index({ userId: 1, status: 1 });
 pendingOrderSchema.index({ userId: 1, symbol: 1 });
 pendingOrderSchema.index({ userId: 1, openTime: -1 });
 pendingOrderSchema.index({ userId: 1, type: 1, side: 1 });
 pendingOrderSchema.index({ status: 1, expiryTime: 1 }); // For cleanup jobs
+pendingOrderSchema.index({ portfolioId: 1, "importMeta.fingerprint": 1 });
 
 // Pre-save middleware for validations and calculations
 pendingOrderSchema.pre("save", function (next) {
@@ -345,13 +414,6 @@ pendingOrderSchema.pre("save", function (next) {
     );
   }
 
-  // Set expiry time for DAY orders
-  if (this.conditions.timeInForce === "DAY" && !this.expiryTime) {
-    const endOfDay = new Date();
-    endOfDay.setHours(23, 59, 59, 999);
-    this.expiryTime = endOfDay;
-  }
-
   next();
 });
 
@@ -377,23 +439,34 @@ pendingOrderSchema.virtual("isExpired").get(function () {
   return this.expiryTime && new Date() > this.expiryTime;
 });
 
-// Instance method to execute order (full or partial)
+// Instance method to execute order (full or partial). `volume` stays the
+// order's total; fills add up in execution.executedVolume and
+// executedPrice is their volume-weighted average.
 pendingOrderSchema.methods.executeOrder = function (
   executedPrice,
   executedVolume = null,
   commission = 0,
   fees = 0
 ) {
-  const volumeToExecute = executedVolume || this.volume;
+  const previousVolume = this.execution.executedVolume || 0;
+  const remainingVolume = this.volume - previousVolume;
+  const volumeToExecute = executedVolume || remainingVolume;
 
-  if (volumeToExecute > this.execution.remainingVolume) {
+  if (volumeToExecute > remainingVolume + VOLUME_EPSILON) {
     throw new Error("Executed volume cannot exceed remaining volume");
   }
 
+  const totalVolume = previousVolume + volumeToExecute;
   this.execution.executedTime = new Date();
-  this.execution.executedPrice = executedPrice;
+  this.execution.executedPrice =
+    previousVolume > 0
+      ? ((this.execution.executedPrice || executedPrice) * previousVolume +
+          executedPrice * volumeToExecute) /
+        totalVolume
+      : executedPrice;
+  // The last fill of a fractional order completes it exactly
   this.execution.executedVolume =
-    (this.execution.executedVolume || 0) + volumeToExecute;
+    this.volume - totalVolume <= VOLUME_EPSILON ? this.volume : totalVolume;
   this.execution.remainingVolume = this.volume - this.execution.executedVolume;
   this.execution.commission = (this.execution.commission || 0) + commission;
   this.execution.fees = (this.execution.fees || 0) + fees;
@@ -420,11 +493,70 @@ pendingOrderSchema.methods.cancelOrder = function (reason = null) {
 };
 
 // Instance method to expire order
-pendingOrderSchema.methods.expireOrder = function () {
+pendingOrderSchema.methods.expireOrder = function (reason = null) {
   this.status = "expired";
+  this.expiredAt = new Date();
+  if (reason) this.expiryReason = reason;
   return this.save();
 };
 
+// Instance method to update the order's group after a fill: an executed
+// bracket entry activates its children, any other grouped order cancels
+// the rest of its OCO pair. Returns the orders it changed.
+pendingOrderSchema.methods.settleGroup = async function () {
+  const result = { activated: [], cancelled: [] };
+  const { groupId, role } = this.orderGroup || {};
+  if (!groupId) return result;
+
+  if (role === "entry") {
+    if (this.status !== "executed") return result;
+
+    const children = await this.constructor.find({
+      "orderGroup.groupId": groupId,
+      status: "inactive",
+    });
+    // Exits cover every fill of the entry (executedVolume is their total);
+    // orders stored as executed without fills cover the whole order
+    const volume = this.execution.executedVolume || this.volume;
+    for (const child of children) {
+      child.status = "pending";
+      child.volume = volume;
+      child.purchaseValue = (child.price || 0) * volume;
+      await child.save();
+      result.activated.push(child);
+    }
+    return result;
+  }
+
+  const siblings = await this.constructor.find({
+    "orderGroup.groupId": groupId,
+    "orderGroup.role": { $ne: "entry" },
+    _id: { $ne: this._id },
+    status: { $in: GROUP_OPEN_STATUSES },
+  });
+  for (const sibling of siblings) {
+    await sibling.cancelOrder(`order ${this.orderId} of its group was filled`);
+    result.cancelled.push(sibling);
+  }
+  return result;
+};
+
+// Instance method to cancel every open order of the order's group
+pendingOrderSchema.methods.cancelGroup = async function (reason = null) {
+  const { groupId } = this.orderGroup || {};
+  const orders = groupId
+    ? await this.constructor.find({
+        "orderGroup.groupId": groupId,
+        status: { $in: GROUP_OPEN_STATUSES },
+      })
+    : [this];
+
+  for (const order of orders) {
+    await order.cancelOrder(reason);
+  }
+  return orders;
+};
+
 // Instance method to reject order
 pendingOrderSchema.methods.rejectOrder = function (reason) {
   this.status = "rejected";
@@ -512,6 +644,19 @@ pendingOrderSchema.statics.getOrderStatistics = async function (
   return result;
 };
 
+// Static method to expire an order unless it was filled or cancelled in
+// the meantime; returns the expired order, or null. Several sweepers can
+// race for the same order, only one of them expires it.
+pendingOrderSchema.statics.claimExpiry = function (id, reason) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: ["pending", "partial"] } },
+    {
+      $set: { status: "expired", expiredAt: new Date(), expiryReason: reason },
+    },
+    { new: true }
+  );
+};
+
 // Static method to cleanup expired orders
 pendingOrderSchema.statics.cleanupExpiredOrders = async function () {
   const expiredOrders = await this.findExpiredOrders();
@@ -1,4 +1,10 @@
 const mongoose = require("mongoose");
+const {
+  SECRET_FIELDS,
+  isEncrypted,
+  encryptCredentials,
+  decryptCredentials,
+} = require("../utils/credentialVault");
 
 const portfolioSchema = new mongoose.Schema(
   {
@@ -28,7 +34,20 @@ const portfolioSchema = new mongoose.Schema(
     broker: {
       type: String,
       // required: [true, "Broker is required"],
-      enum: ["XTB", "PKO", "BINANCE", "BYBIT", "ING", "MANUAL"],
+      enum: [
+        "XTB",
+        "PKO",
+        "BINANCE",
+        "BYBIT",
+        "ING",
+        "DEGIRO",
+        "IBKR",
+        "TRADING212",
+        "MBANK",
+        "BOSSA",
+        "PAPER",
+        "MANUAL",
+      ],
       uppercase: true,
     },
 
@@ -44,12 +63,16 @@ const portfolioSchema = new mongoose.Schema(
         default: "trading",
       },
 
-      // Encrypted API credentials
+      // Encrypted API credentials (utils/credentialVault): secrets are
+      // encrypted on save with the portfolio's data key, which is wrapped
+      // with master key `keyVersion`; only BrokerService decrypts them
       apiCredentials: {
         apiKey: { type: String, select: false },
         secretKey: { type: String, select: false },
         passphrase: { type: String, select: false },
         additionalParams: { type: Object, select: false },
+        dataKey: { type: String, select: false },
+        keyVersion: { type: Number, default: null },
       },
 
       // Sync configuration
@@ -80,6 +103,23 @@ const portfolioSchema = new mongoose.Schema(
         type: String,
         default: null,
       },
+
+      // Scheduling (services/BrokerSyncScheduler)
+      nextSyncAt: {
+        type: Date,
+        default: null,
+      },
+
+      syncStartedAt: {
+        type: Date,
+        default: null,
+      },
+
+      consecutiveFailures: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
     },
 
     // Financial Configuration
@@ -168,16 +208,107 @@ const portfolioSchema = new mongoose.Schema(
     toJSON: {
       transform: function (doc, ret) {
         delete ret.__v;
+        // Selected credentials never leave the server, even encrypted
+        const credentials = ret.brokerConfig?.apiCredentials;
+        if (credentials) {
+          for (const field of [...SECRET_FIELDS, "dataKey"]) {
+            delete credentials[field];
+          }
+        }
         return ret;
       },
     },
   }
 );
 
+// Automatic syncs are paused (status "error") after this many failed ones
+// in a row; until then the interval doubles after every failure
+const MAX_SYNC_FAILURES = 5;
+const MAX_SYNC_BACKOFF_MINUTES = 24 * 60;
+
 // Indexes
 portfolioSchema.index({ userId: 1, broker: 1 });
 portfolioSchema.index({ userId: 1, status: 1 });
 portfolioSchema.index({ "brokerConfig.lastSync": 1 });
+portfolioSchema.index({ status: 1, "brokerConfig.nextSyncAt": 1 });
+
+// Encrypt credentials set in plaintext. All secrets of the portfolio are
+// re-encrypted under a new data key, including stored ones not loaded.
+// Values set already encrypted are kept only when they decrypt with the
+// portfolio's data key; an "enc:" prefix alone is rejected
+portfolioSchema.pre("save", async function () {
+  const path = (field) => `brokerConfig.apiCredentials.${field}`;
+  // New portfolios have every field modified, set or not
+  const modified = SECRET_FIELDS.filter(
+    (field) =>
+      this.isModified(path(field)) && (!this.isNew || this.get(path(field)))
+  );
+  if (modified.length === 0) return;
+
+  const changed = modified.filter(
+    (field) => !isEncrypted(this.get(path(field)))
+  );
+  const copied = modified.filter((field) => !changed.includes(field));
+
+  let current = {};
+  if (!this.isNew) {
+    const stored = await this.constructor
+      .findById(this._id)
+      .select(
+        [...SECRET_FIELDS, "dataKey"]
+          .map((field) => `+${path(field)}`)
+          .join(" ")
+      )
+      .lean();
+    current = stored?.brokerConfig?.apiCredentials || {};
+  }
+
+  let copiedCredentials = {};
+  if (copied.length > 0) {
+    // The data key set with the values, or the stored one
+    const keys = this.get(path("dataKey"))
+      ? {
+          dataKey: this.get(path("dataKey")),
+          keyVersion: this.get(path("keyVersion")),
+        }
+      : { dataKey: current.dataKey, keyVersion: current.keyVersion };
+    try {
+      copiedCredentials = decryptCredentials({
+        ...keys,
+        ...Object.fromEntries(
+          copied.map((field) => [field, this.get(path(field))])
+        ),
+      });
+    } catch (err) {
+      const error = new Error(
+        `Encrypted ${copied.join(
+          ", "
+        )} cannot be decrypted with the portfolio's key; send the credentials in plaintext`
+      );
+      error.code = "INVALID_CREDENTIALS";
+      throw error;
+    }
+  }
+  if (changed.length === 0) return;
+
+  const stored = decryptCredentials(current);
+  const credentials = Object.fromEntries(
+    SECRET_FIELDS.map((field) => [
+      field,
+      changed.includes(field)
+        ? this.get(path(field))
+        : copied.includes(field)
+        ? copiedCredentials[field]
+        : stored[field],
+    ])
+  );
+
+  for (const [field, value] of Object.entries(
+    encryptCredentials(credentials)
+  )) {
+    this.set(path(field), value);
+  }
+});
 
 // Virtual for positions
 portfolioSchema.virtual("positions", {
@@ -194,7 +325,20 @@ portfolioSchema.methods.updateStats = async function () {
     {
       $group: {
         _id: null,
-        totalValue: { $sum: "$marketValue" },
+        totalValue: {
+          $sum: {
+            $cond: [
+              { $eq: ["$status", "open"] },
+              {
+                $ifNull: [
+                  { $multiply: ["$marketPrice", "$volume"] },
+                  "$purchaseValue",
+                ],
+              },
+              0,
+            ],
+          },
+        },
         totalPL: { $sum: "$grossPL" },
         openCount: {
           $sum: { $cond: [{ $eq: ["$status", "open"] }, 1, 0] },
@@ -206,16 +350,14 @@ portfolioSchema.methods.updateStats = async function () {
     },
   ]);
 
-  if (stats.length > 0) {
-    const stat = stats[0];
-    this.stats.totalValue = stat.totalValue || 0;
-    this.stats.totalPL = stat.totalPL || 0;
-    this.stats.totalPLPercent =
-      stat.totalValue > 0 ? (stat.totalPL / stat.totalValue) * 100 : 0;
-    this.stats.openPositionsCount = stat.openCount || 0;
-    this.stats.closedPositionsCount = stat.closedCount || 0;
-    this.stats.lastUpdated = new Date();
-  }
+  const stat = stats[0] || {};
+  this.stats.totalValue = stat.totalValue || 0;
+  this.stats.totalPL = stat.totalPL || 0;
+  this.stats.totalPLPercent =
+    stat.totalValue > 0 ? (stat.totalPL / stat.totalValue) * 100 : 0;
+  this.stats.openPositionsCount = stat.openCount || 0;
+  this.stats.closedPositionsCount = stat.closedCount || 0;
+  this.stats.lastUpdated = new Date();
 
   return this.save();
 };
@@ -228,4 +370,112 @@ portfolioSchema.methods.canSync = function () {
   );
 };
 
+// Minutes until the next automatic sync: the sync interval, doubled after
+// every consecutive failure
+portfolioSchema.methods.getSyncDelayMinutes = function () {
+  const { syncInterval, consecutiveFailures } = this.brokerConfig;
+  return Math.min(
+    syncInterval * 2 ** (consecutiveFailures || 0),
+    MAX_SYNC_BACKOFF_MINUTES
+  );
+};
+
+/**
+ * Record the outcome of a sync started with claimSync/claimDueSync and
+ * release the portfolio
+ * @param {Error|null} error - Sync error, null on success
+ * @returns {Promise<Portfolio>} status is "error" while syncing is paused
+ */
+portfolioSchema.methods.recordSyncResult = function (error) {
+  const now = new Date();
+  const config = this.brokerConfig;
+
+  config.lastSync = now;
+  config.syncStartedAt = null;
+  if (error) {
+    config.lastSyncStatus = "error";
+    config.lastSyncError = String(error.message || error).slice(0, 500);
+    config.consecutiveFailures = (config.consecutiveFailures || 0) + 1;
+  } else {
+    config.lastSyncStatus = "success";
+    config.lastSyncError = null;
+    config.consecutiveFailures = 0;
+  }
+
+  const paused = config.consecutiveFailures >= MAX_SYNC_FAILURES;
+  this.status = paused ? "error" : "active";
+  // Set on the failure that pauses automatic syncs
+  this.$locals.syncPaused = config.consecutiveFailures === MAX_SYNC_FAILURES;
+  config.nextSyncAt = new Date(
+    now.getTime() + this.getSyncDelayMinutes() * 60 * 1000
+  );
+
+  return this.save();
+};
+
+// Filter of portfolios a sync may start for; "error" (paused) portfolios
+// only on manual request
+const syncableFilter = (brokers, statuses) => ({
+  isActive: true,
+  status: { $in: statuses },
+  broker: { $in: brokers },
+  "brokerConfig.syncEnabled": true,
+});
+
+const claimUpdate = () => ({
+  $set: {
+    status: "syncing",
+    "brokerConfig.lastSyncStatus": "in_progress",
+    "brokerConfig.syncStartedAt": new Date(),
+  },
+});
+
+/**
+ * Atomically claim the portfolio whose automatic sync is most overdue
+ * (syncEnabled, settings.autoSync, nextSyncAt passed or never synced)
+ * @param {Array<string>} brokers - Brokers with an adapter
+ */
+portfolioSchema.statics.claimDueSync = function (brokers) {
+  return this.findOneAndUpdate(
+    {
+      ...syncableFilter(brokers, ["active"]),
+      "settings.autoSync": { $ne: false },
+      $or: [
+        { "brokerConfig.nextSyncAt": null },
+        { "brokerConfig.nextSyncAt": { $lte: new Date() } },
+      ],
+    },
+    claimUpdate(),
+    { new: true, sort: { "brokerConfig.nextSyncAt": 1 } }
+  );
+};
+
+// Claim a user's portfolio for a manual sync; null when it is already
+// syncing or cannot be synced
+portfolioSchema.statics.claimSync = function (portfolioId, userId, brokers) {
+  return this.findOneAndUpdate(
+    {
+      _id: portfolioId,
+      userId,
+      ...syncableFilter(brokers, ["active", "error"]),
+    },
+    claimUpdate(),
+    { new: true }
+  );
+};
+
+// Release portfolios left "syncing" by a sync that never finished (the
+// server stopped); counted as a failed sync
+portfolioSchema.statics.releaseStaleSyncs = async function (timeoutMs) {
+  const stale = await this.find({
+    status: "syncing",
+    "brokerConfig.syncStartedAt": { $lt: new Date(Date.now() - timeoutMs) },
+  });
+
+  for (const portfolio of stale) {
+    await portfolio.recordSyncResult(new Error("Sync did not finish"));
+  }
+  return stale.length;
+};
+
 module.exports = mongoose.model("Portfolio", portfolioSchema);
@@ -1,5 +1,89 @@
 const mongoose = require("mongoose");
 
+// Tolerance for floating point volume comparisons
+const VOLUME_EPSILON = 1e-8;
+
+// Smallest volume a lot can hold
+const MIN_LOT_VOLUME = 0.0001;
+
+// Supported lot matching methods (FIFO is required by Polish tax rules)
+const LOT_METHODS = ["FIFO", "LIFO", "AVERAGE"];
+
+// Single sell matched against a lot
+const lotMatchSchema = new mongoose.Schema(
+  {
+    closeTime: {
+      type: Date,
+      required: [true, "Match close time is required"],
+    },
+    closePrice: {
+      type: Number,
+      required: [true, "Match close price is required"],
+      min: [0, "Match close price must be positive"],
+    },
+    volume: {
+      type: Number,
+      required: [true, "Match volume is required"],
+      min: [0, "Match volume must be positive"],
+    },
+    costPrice: {
+      type: Number, // Cost basis per unit used for this match
+      required: [true, "Match cost price is required"],
+      min: [0, "Match cost price must be positive"],
+    },
+    realizedPL: {
+      type: Number,
+      default: 0,
+    },
+    commission: {
+      type: Number,
+      default: 0,
+      min: [0, "Commission must be non-negative"],
+    },
+    method: {
+      type: String,
+      enum: LOT_METHODS,
+    },
+  },
+  { _id: true }
+);
+
+// Tax lot - a single acquisition of the position's instrument
+const lotSchema = new mongoose.Schema(
+  {
+    openTime: {
+      type: Date,
+      required: [true, "Lot open time is required"],
+    },
+    openPrice: {
+      type: Number,
+      required: [true, "Lot open price is required"],
+      min: [0, "Lot open price must be positive"],
+    },
+    volume: {
+      type: Number,
+      required: [true, "Lot volume is required"],
+      min: [MIN_LOT_VOLUME, "Lot volume must be greater than 0"],
+    },
+    remainingVolume: {
+      type: Number,
+      min: [0, "Remaining volume must be non-negative"],
+    },
+    commission: {
+      type: Number,
+      default: 0,
+      min: [0, "Commission must be non-negative"],
+    },
+    source: {
+      type: String,
+      enum: ["manual", "order", "import", "api", "corporate_action"],
+      default: "manual",
+    },
+    matches: [lotMatchSchema],
+  },
+  { _id: true }
+);
+
 const positionSchema = new mongoose.Schema(
   {
     portfolioId: {
@@ -21,7 +105,8 @@ const positionSchema = new mongoose.Schema(
       uppercase: true,
       trim: true,
       minlength: [1, "Symbol must be at least 1 character"],
-      maxlength: [10, "Symbol cannot exceed 10 characters"],
+      // Degiro statements identify instruments by ISIN only
+      maxlength: [12, "Symbol cannot exceed 12 characters"],
       index: true,
     },
     name: {
@@ -130,6 +215,30 @@ const positionSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Tax-lot accounting
+    lotMethod: {
+      type: String,
+      enum: {
+        values: LOT_METHODS,
+        message: "Lot method must be one of: FIFO, LIFO, AVERAGE",
+      },
+      default: "FIFO",
+    },
+    lots: [lotSchema],
+    realizedPL: {
+      type: Number,
+      default: 0,
+    },
+    // Partial close audit trail
+    parentPositionId: {
+      type: Number,
+      index: true,
+    },
+    childPositionIds: [
+      {
+        type: Number,
+      },
+    ],
     currency: {
       type: String,
       enum: ["USD", "EUR", "PLN", "GBP"],
@@ -163,6 +272,24 @@ const positionSchema = new mongoose.Schema(
       enum: ["manual", "excel", "api"],
       default: "manual",
     },
+
+    // Hashes of the imported row, used to detect re-imports
+    importMeta: {
+      fingerprint: {
+        type: String,
+      },
+      contentHash: {
+        type: String,
+      },
+    },
+
+    // Import that created or last overwrote this record
+    fileImportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FileImport",
+      default: null,
+      index: true,
+    },
     lastPriceUpdate: {
       type: Date,
       default: Date.now,
@@ -170,7 +297,20 @@ const positionSchema = new mongoose.Schema(
     brokerData: {
       broker: {
         type: String,
-        enum: ["XTB", "PKO", "BINANCE", "BYBIT", "ING", "MANUAL"],
+        enum: [
+          "XTB",
+          "PKO",
+          "BINANCE",
+          "BYBIT",
+          "ING",
+          "DEGIRO",
+          "IBKR",
+          "TRADING212",
+          "MBANK",
+          "BOSSA",
+          "PAPER",
+          "MANUAL",
+        ],
         required: true,
         uppercase: true,
       },
@@ -224,8 +364,12 @@ const positionSchema = new mongoose.Schema(
 positionSchema.index({ portfolioId: 1, status: 1 });
 positionSchema.index({ portfolioId: 1, symbol: 1 });
 positionSchema.index({ userId: 1, portfolioId: 1 }); // Backward compatibility
+positionSchema.index({ portfolioId: 1, "importMeta.fingerprint": 1 });
 
 positionSchema.post("save", async function () {
+  // Bulk writers (imports) update the stats once when they finish
+  if (this.$locals.skipPortfolioStats) return;
+
   if (this.portfolioId) {
     const Portfolio = mongoose.model("Portfolio");
     const portfolio = await Portfolio.findById(this.portfolioId);
@@ -245,34 +389,68 @@ positionSchema.post("remove", async function () {
   }
 });
 
+// Lot helpers
+const calculateLotPL = (type, costPrice, closePrice, volume) => {
+  return type === "BUY"
+    ? (closePrice - costPrice) * volume
+    : (costPrice - closePrice) * volume;
+};
+
+const orderLotsForMatching = (lots, method) => {
+  const openLots = lots
+    .filter((lot) => lot.remainingVolume > VOLUME_EPSILON)
+    .sort((a, b) => a.openTime - b.openTime);
+
+  return method === "LIFO" ? openLots.reverse() : openLots;
+};
+
+// Volume a lot operation cannot take (code INVALID_VOLUME, a client error)
+const invalidVolumeError = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_VOLUME";
+  return error;
+};
+
+const buildInitialLot = (position) => ({
+  openTime: position.openTime,
+  openPrice: position.openPrice,
+  volume: position.volume,
+  remainingVolume: position.volume,
+  commission: position.commission || 0,
+  source: position.importedFrom === "excel" ? "import" : "manual",
+  matches: [],
+});
+
 // Pre-save middleware to calculate derived values
 positionSchema.pre("save", function (next) {
-  // Calculate purchase value if not provided
-  if (!this.purchaseValue) {
-    this.purchaseValue = this.openPrice * this.volume;
+  // Seed lots for positions created without them, and keep a single
+  // untouched lot in sync when volume/price are edited directly
+  const hasEditedSingleLot =
+    !this.isNew &&
+    this.lots.length === 1 &&
+    this.lots[0].matches.length === 0 &&
+    (this.isModified("volume") ||
+      this.isModified("openPrice") ||
+      this.isModified("openTime"));
+
+  if (hasEditedSingleLot) {
+    this.lots = [buildInitialLot(this)];
   }
-
-  // Calculate sale value for closed positions
-  if (this.status === "closed" && this.closePrice && !this.saleValue) {
-    this.saleValue = this.closePrice * this.volume;
+  this.seedLots();
+
+  // Positions marked closed outside the matcher (legacy data, broker sync)
+  if (
+    this.status === "closed" &&
+    this.closePrice &&
+    this.openVolume > VOLUME_EPSILON
+  ) {
+    this.matchLots(this.openVolume, this.closePrice, {
+      time: this.closeTime || new Date(),
+    });
   }
 
-  // Calculate gross P&L
-  if (this.status === "closed" && this.closePrice) {
-    // For closed positions
-    if (this.type === "BUY") {
-      this.grossPL = (this.closePrice - this.openPrice) * this.volume;
-    } else {
-      this.grossPL = (this.openPrice - this.closePrice) * this.volume;
-    }
-  } else if (this.status === "open" && this.marketPrice) {
-    // For open positions
-    if (this.type === "BUY") {
-      this.grossPL = (this.marketPrice - this.openPrice) * this.volume;
-    } else {
-      this.grossPL = (this.openPrice - this.marketPrice) * this.volume;
-    }
-  }
+  // Volume, prices and gross P&L are derived from lots
+  this.applyLotTotals();
 
   // Calculate net P&L
   this.netPL = this.grossPL - this.commission - this.taxes - this.swap;
@@ -285,45 +463,378 @@ positionSchema.pre("save", function (next) {
   next();
 });
 
-// Instance method to close position
-positionSchema.methods.closePosition = function (closePrice, closeTime = null) {
-  this.status = "closed";
-  this.closePrice = closePrice;
-  this.closeTime = closeTime || new Date();
-  this.saleValue = closePrice * this.volume;
-
-  // Calculate final P&L
-  if (this.type === "BUY") {
-    this.grossPL = (closePrice - this.openPrice) * this.volume;
+// Instance method to give a position stored before lot tracking its
+// initial lot (pre-save does the same), so lot adjustments apply to it
+positionSchema.methods.seedLots = function () {
+  if (this.lots.length === 0) {
+    this.lots = [buildInitialLot(this)];
+  }
+  return this;
+};
+
+// Instance method to recalculate position totals from its lots
+positionSchema.methods.applyLotTotals = function () {
+  const totals = this.lots.reduce(
+    (acc, lot) => {
+      acc.volume += lot.volume;
+      acc.cost += lot.volume * lot.openPrice;
+      acc.openVolume += lot.remainingVolume;
+      acc.openCost += lot.remainingVolume * lot.openPrice;
+
+      lot.matches.forEach((match) => {
+        acc.closedVolume += match.volume;
+        acc.proceeds += match.volume * match.closePrice;
+        acc.realizedPL += match.realizedPL;
+        if (!acc.lastCloseTime || match.closeTime > acc.lastCloseTime) {
+          acc.lastCloseTime = match.closeTime;
+        }
+      });
+
+      return acc;
+    },
+    {
+      volume: 0,
+      cost: 0,
+      openVolume: 0,
+      openCost: 0,
+      closedVolume: 0,
+      proceeds: 0,
+      realizedPL: 0,
+      lastCloseTime: null,
+    }
+  );
+
+  if (totals.volume === 0) return this;
+
+  this.realizedPL = totals.realizedPL;
+
+  if (totals.openVolume > VOLUME_EPSILON) {
+    // Open position reports only the volume still held
+    this.volume = totals.openVolume;
+    this.openPrice = totals.openCost / totals.openVolume;
+    this.purchaseValue = totals.openCost;
+
+    const unrealizedPL = this.marketPrice
+      ? calculateLotPL(
+          this.type,
+          this.openPrice,
+          this.marketPrice,
+          totals.openVolume
+        )
+      : 0;
+    this.grossPL = totals.realizedPL + unrealizedPL;
   } else {
-    this.grossPL = (this.openPrice - closePrice) * this.volume;
+    // Fully matched position reports the whole round trip
+    this.status = "closed";
+    this.volume = totals.volume;
+    this.openPrice = totals.cost / totals.volume;
+    this.purchaseValue = totals.cost;
+    this.closePrice = totals.proceeds / totals.closedVolume;
+    this.saleValue = totals.proceeds;
+    this.closeTime = this.closeTime || totals.lastCloseTime;
+    this.grossPL = totals.realizedPL;
   }
 
-  this.netPL = this.grossPL - this.commission - this.taxes - this.swap;
+  return this;
+};
+
+// Instance method to add a lot (another buy of the same instrument)
+positionSchema.methods.addLot = function ({
+  volume,
+  price,
+  time = new Date(),
+  commission = 0,
+  source = "manual",
+}) {
+  if (this.status !== "open") {
+    throw new Error("Cannot add a lot to a closed position");
+  }
+
+  this.lots.push({
+    openTime: time,
+    openPrice: price,
+    volume,
+    remainingVolume: volume,
+    commission,
+    source,
+    matches: [],
+  });
+
+  this.commission = (this.commission || 0) + commission;
+  this.applyLotTotals();
+
+  return this.lots[this.lots.length - 1];
+};
+
+// Instance method to match a sell (or buy-to-cover) against open lots
+positionSchema.methods.matchLots = function (volume, closePrice, options = {}) {
+  const {
+    time = new Date(),
+    commission = 0,
+    method = this.lotMethod || "FIFO",
+  } = options;
+
+  if (!LOT_METHODS.includes(method)) {
+    throw new Error(`Unsupported lot method: ${method}`);
+  }
+
+  const openVolume = this.openVolume;
+  if (volume <= 0 || volume > openVolume + VOLUME_EPSILON) {
+    throw new Error(
+      `Cannot match volume ${volume}: open volume is ${openVolume}`
+    );
+  }
+
+  const openLots = orderLotsForMatching(this.lots, method);
+  const matches = [];
+
+  const recordMatch = (lot, matchedVolume, costPrice) => {
+    const match = {
+      closeTime: time,
+      closePrice,
+      volume: matchedVolume,
+      costPrice,
+      realizedPL: calculateLotPL(
+        this.type,
+        costPrice,
+        closePrice,
+        matchedVolume
+      ),
+      commission: (commission * matchedVolume) / volume,
+      method,
+    };
+
+    lot.matches.push(match);
+    lot.remainingVolume = Math.max(0, lot.remainingVolume - matchedVolume);
+    if (lot.remainingVolume < VOLUME_EPSILON) lot.remainingVolume = 0;
+
+    matches.push({ lotId: lot._id, ...match });
+  };
+
+  if (method === "AVERAGE") {
+    // Weighted average: every open lot is reduced pro rata at the pooled cost
+    const averageCost =
+      openLots.reduce(
+        (sum, lot) => sum + lot.remainingVolume * lot.openPrice,
+        0
+      ) / openVolume;
+
+    openLots.forEach((lot) => {
+      recordMatch(
+        lot,
+        (volume * lot.remainingVolume) / openVolume,
+        averageCost
+      );
+    });
+  } else {
+    let volumeToMatch = volume;
+
+    for (const lot of openLots) {
+      if (volumeToMatch <= VOLUME_EPSILON) break;
+
+      const matchedVolume = Math.min(lot.remainingVolume, volumeToMatch);
+      recordMatch(lot, matchedVolume, lot.openPrice);
+      volumeToMatch -= matchedVolume;
+    }
+  }
+
+  this.commission = (this.commission || 0) + commission;
+  if (this.openVolume <= VOLUME_EPSILON) {
+    this.closeTime = time;
+  }
+  this.applyLotTotals();
+
+  return matches;
+};
+
+// Instance method to close position
+positionSchema.methods.closePosition = function (closePrice, closeTime = null) {
+  this.matchLots(this.openVolume, closePrice, {
+    time: closeTime || new Date(),
+  });
 
   return this.save();
 };
 
+// Instance method to split off part of the position as a closed child.
+// This document keeps the open remainder; the returned child is unsaved.
+positionSchema.methods.partialClose = function (
+  volume,
+  closePrice,
+  options = {}
+) {
+  const { time = new Date(), commission = 0, taxes = 0, method } = options;
+  const openVolume = this.openVolume;
+
+  if (this.status !== "open") {
+    throw new Error("Cannot partially close a closed position");
+  }
+
+  if (volume <= 0 || volume >= openVolume - VOLUME_EPSILON) {
+    throw invalidVolumeError(
+      `Partial close volume must be between 0 and the open volume (${openVolume})`
+    );
+  }
+
+  // Pro-rate swap booked on the position; commission moves with the lots
+  const ratio = volume / openVolume;
+  const movedSwap = (this.swap || 0) * ratio;
+
+  const matches = this.matchLots(volume, closePrice, {
+    time,
+    commission,
+    method,
+  });
+
+  // Move the matched part of every lot to the child
+  let movedCommission = 0;
+  const childLots = matches.map(({ lotId, ...match }) => {
+    const lot = this.lots.id(lotId);
+    const lotCommission = (lot.commission * match.volume) / lot.volume;
+    movedCommission += lotCommission;
+
+    lot.matches.pull(lot.matches[lot.matches.length - 1]._id);
+    lot.volume -= match.volume;
+    lot.commission -= lotCommission;
+    if (lot.volume < VOLUME_EPSILON) {
+      this.lots.pull(lot._id);
+    }
+
+    return {
+      openTime: lot.openTime,
+      openPrice: lot.openPrice,
+      volume: match.volume,
+      remainingVolume: 0,
+      commission: lotCommission,
+      source: lot.source,
+      matches: [match],
+    };
+  });
+
+  // Lots below the minimum lot volume would fail validation on save
+  if (
+    childLots.some((lot) => lot.volume < MIN_LOT_VOLUME) ||
+    this.lots.some((lot) => lot.volume < MIN_LOT_VOLUME)
+  ) {
+    throw invalidVolumeError(
+      `Partial close of ${volume} would leave a lot below the minimum volume (${MIN_LOT_VOLUME})`
+    );
+  }
+
+  // matchLots booked the closing commission here; it belongs to the child
+  const childCommission = movedCommission + commission;
+  this.commission = Math.max(0, (this.commission || 0) - childCommission);
+  this.swap = (this.swap || 0) - movedSwap;
+  this.applyLotTotals();
+
+  const costBasis = childLots.reduce(
+    (sum, lot) => sum + lot.volume * lot.openPrice,
+    0
+  );
+
+  const child = new this.constructor({
+    positionId: Date.now() * 1000 + Math.floor(Math.random() * 1000),
+    portfolioId: this.portfolioId,
+    symbol: this.symbol,
+    name: this.name,
+    type: this.type,
+    volume,
+    openTime: childLots.reduce(
+      (earliest, lot) => (lot.openTime < earliest ? lot.openTime : earliest),
+      childLots[0].openTime
+    ),
+    openPrice: costBasis / volume,
+    purchaseValue: costBasis,
+    closeTime: time,
+    closePrice,
+    status: "closed",
+    commission: childCommission,
+    swap: movedSwap,
+    taxes,
+    lotMethod: this.lotMethod,
+    lots: childLots,
+    currency: this.currency,
+    exchange: this.exchange,
+    sector: this.sector,
+    tags: this.tags,
+    importedFrom: this.importedFrom,
+    brokerData: this.brokerData && {
+      broker: this.brokerData.broker,
+      brokerSymbol: this.brokerData.brokerSymbol,
+      brokerAccountId: this.brokerData.brokerAccountId,
+    },
+    parentPositionId: this.positionId,
+    notes: `Partial close of position ${this.positionId}`,
+  });
+
+  this.childPositionIds.push(child.positionId);
+
+  return { child, matches };
+};
+
 // Instance method to update market price
 positionSchema.methods.updateMarketPrice = function (newPrice) {
   if (this.status === "open") {
     this.marketPrice = newPrice;
     this.lastPriceUpdate = new Date();
 
-    // Recalculate gross P&L
-    if (this.type === "BUY") {
-      this.grossPL = (newPrice - this.openPrice) * this.volume;
-    } else {
-      this.grossPL = (this.openPrice - newPrice) * this.volume;
-    }
-
-    this.netPL = this.grossPL - this.commission - this.taxes - this.swap;
-
+    // Gross and net P&L are recalculated from lots on save
     return this.save();
   }
   throw new Error("Cannot update market price for closed position");
 };
 
+// Instance method to bring the lots in line with a volume and average
+// open price reported by a broker: a larger volume is added as a lot
+// priced so the average matches, a smaller one is matched at the market
+// price. Open prices of existing lots are not rewritten.
+positionSchema.methods.alignLots = function ({
+  volume,
+  openPrice,
+  marketPrice,
+  time = new Date(),
+}) {
+  const openVolume = this.openVolume;
+  const difference = volume - openVolume;
+
+  if (difference > VOLUME_EPSILON) {
+    const openCost = this.lots.reduce(
+      (sum, lot) => sum + lot.remainingVolume * lot.openPrice,
+      0
+    );
+    const price = (volume * openPrice - openCost) / difference;
+    this.addLot({
+      volume: difference,
+      price: price > 0 ? price : openPrice,
+      time,
+      source: "api",
+    });
+  } else if (difference < -VOLUME_EPSILON) {
+    this.matchLots(-difference, marketPrice || this.marketPrice || openPrice, {
+      time,
+    });
+  }
+
+  return this;
+};
+
+// Virtual for volume still held across all lots
+positionSchema.virtual("openVolume").get(function () {
+  if (!this.lots || this.lots.length === 0) {
+    return this.status === "open" ? this.volume : 0;
+  }
+  return this.lots.reduce((sum, lot) => sum + (lot.remainingVolume || 0), 0);
+});
+
+// Virtual for lots that volume or price edits would discard (several
+// lots, or a lot with matches)
+positionSchema.virtual("hasLotHistory").get(function () {
+  return (
+    (this.lots || []).length > 1 ||
+    (this.lots || []).some((lot) => lot.matches.length > 0)
+  );
+});
+
 // Virtual for current value
 positionSchema.virtual("currentValue").get(function () {
   if (this.status === "closed") {
@@ -344,6 +855,95 @@ positionSchema.virtual("duration").get(function () {
   return Math.floor((endDate - this.openTime) / (1000 * 60 * 60 * 24)); // days
 });
 
+// Static method to apply an executed trade through the lot matcher.
+// Reduces an opposite open position first, then adds a lot to (or opens)
+// a position in the trade direction with any remaining volume.
+positionSchema.statics.applyTrade = async function (trade) {
+  const {
+    portfolioId,
+    symbol,
+    side,
+    volume,
+    price,
+    time = new Date(),
+    commission = 0,
+    source = "manual",
+    positionData = {},
+  } = trade;
+
+  const type = side.toUpperCase();
+  const oppositeType = type === "BUY" ? "SELL" : "BUY";
+  const result = { positions: [], matches: [] };
+  let remainingVolume = volume;
+
+  const opposing = await this.findOne({
+    portfolioId,
+    symbol: symbol.toUpperCase(),
+    type: oppositeType,
+    status: "open",
+  }).sort({ openTime: 1 });
+
+  if (opposing) {
+    const matchedVolume = Math.min(remainingVolume, opposing.openVolume);
+    result.matches = opposing.matchLots(matchedVolume, price, {
+      time,
+      commission: (commission * matchedVolume) / volume,
+    });
+    await opposing.save();
+    result.positions.push(opposing);
+    remainingVolume -= matchedVolume;
+  }
+
+  if (remainingVolume <= VOLUME_EPSILON) return result;
+
+  const lotCommission = (commission * remainingVolume) / volume;
+  let position = await this.findOne({
+    portfolioId,
+    symbol: symbol.toUpperCase(),
+    type,
+    status: "open",
+  }).sort({ openTime: 1 });
+
+  if (position) {
+    position.addLot({
+      volume: remainingVolume,
+      price,
+      time,
+      commission: lotCommission,
+      source,
+    });
+  } else {
+    position = new this({
+      positionId: Date.now() * 1000 + Math.floor(Math.random() * 1000),
+      ...positionData,
+      portfolioId,
+      symbol: symbol.toUpperCase(),
+      type,
+      volume: remainingVolume,
+      openTime: time,
+      openPrice: price,
+      purchaseValue: price * remainingVolume,
+      commission: lotCommission,
+      status: "open",
+      lots: [
+        {
+          openTime: time,
+          openPrice: price,
+          volume: remainingVolume,
+          remainingVolume,
+          commission: lotCommission,
+          source,
+        },
+      ],
+    });
+  }
+
+  await position.save();
+  result.positions.push(position);
+
+  return result;
+};
+
 // Static method to find user's positions
 positionSchema.statics.findByUser = function (userId, status = null) {
   const query = { userId };
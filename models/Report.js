@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const {
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
 
 const reportSchema = new mongoose.Schema(
   {
@@ -224,11 +229,40 @@ const reportSchema = new mongoose.Schema(
       lastRun: {
         type: Date,
       },
+      lastStatus: {
+        type: String,
+        enum: ["success", "failed"],
+      },
+      lastError: {
+        type: String,
+      },
+      // Consecutive failed runs; the schedule is paused after too many
+      failureCount: {
+        type: Number,
+        default: 0,
+      },
+      lastReportId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Report",
+      },
+      // Lease held by the scheduler instance currently running this schedule
+      lockedBy: {
+        type: String,
+      },
+      lockedUntil: {
+        type: Date,
+      },
       isActive: {
         type: Boolean,
         default: true,
       },
     },
+    // Recurring report this report was generated from
+    sourceReportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      index: true,
+    },
     // Email delivery settings
     delivery: {
       email: {
@@ -661,51 +695,133 @@ reportSchema.statics.createTaxReport = function (
   });
 };
 
-// Static method to schedule next run for recurring reports
-reportSchema.statics.calculateNextRun = function (schedule) {
-  const now = new Date();
-  const nextRun = new Date();
+// Static method to schedule next run for recurring reports.
+// Runs happen at schedule.time in the given timezone: daily, on dayOfWeek
+// (weekly), or on dayOfMonth of every month / quarter start / January.
+reportSchema.statics.calculateNextRun = function (
+  schedule,
+  timezone = DEFAULT_TIMEZONE,
+  from = new Date()
+) {
+  const [hour, minute] = (schedule.time || "09:00").split(":").map(Number);
+  const now = getZonedParts(from, timezone);
+  const at = (year, month, day) =>
+    zonedTimeToUtc({ year, month, day, hour, minute }, timezone);
 
+  // Candidate runs in order; the first one after `from` wins
+  let candidates;
   switch (schedule.frequency) {
     case "daily":
-      nextRun.setDate(now.getDate() + 1);
+      candidates = [0, 1].map((offset) =>
+        at(now.year, now.month, now.day + offset)
+      );
+      break;
+    case "weekly": {
+      const target = schedule.dayOfWeek ?? now.weekday;
+      const days = (target - now.weekday + 7) % 7;
+      candidates = [days, days + 7].map((offset) =>
+        at(now.year, now.month, now.day + offset)
+      );
       break;
-    case "weekly":
-      nextRun.setDate(now.getDate() + 7);
-      if (schedule.dayOfWeek !== undefined) {
-        const daysUntilTarget = (schedule.dayOfWeek - now.getDay() + 7) % 7;
-        nextRun.setDate(
-          now.getDate() + daysUntilTarget + (daysUntilTarget === 0 ? 7 : 0)
+    }
+    case "monthly":
+    case "quarterly":
+    case "yearly": {
+      const step = { monthly: 1, quarterly: 3, yearly: 12 }[schedule.frequency];
+      const firstMonth = now.month - ((now.month - 1) % step);
+      candidates = [0, 1].map((index) => {
+        const month = firstMonth + index * step;
+        const year = now.year + Math.floor((month - 1) / 12);
+        const monthOfYear = ((month - 1) % 12) + 1;
+        // Clamp e.g. day 31 to the last day of shorter months
+        const daysInMonth = new Date(
+          Date.UTC(year, monthOfYear, 0)
+        ).getUTCDate();
+        return at(
+          year,
+          monthOfYear,
+          Math.min(schedule.dayOfMonth || 1, daysInMonth)
         );
-      }
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown schedule frequency: ${schedule.frequency}`);
+  }
+
+  return candidates.find((candidate) => candidate > from);
+};
+
+// Static method to get the period that has just finished at runAt:
+// previous day, Monday-Sunday week, month, quarter or year
+reportSchema.statics.getSchedulePeriod = function (
+  frequency,
+  runAt,
+  timezone = DEFAULT_TIMEZONE
+) {
+  const now = getZonedParts(runAt, timezone);
+  const midnight = (year, month, day) =>
+    zonedTimeToUtc({ year, month, day }, timezone);
+
+  let startDate;
+  let endDate;
+  switch (frequency) {
+    case "daily":
+      startDate = midnight(now.year, now.month, now.day - 1);
+      endDate = midnight(now.year, now.month, now.day);
+      break;
+    case "weekly": {
+      const monday = now.day - ((now.weekday + 6) % 7);
+      startDate = midnight(now.year, now.month, monday - 7);
+      endDate = midnight(now.year, now.month, monday);
       break;
+    }
     case "monthly":
-      nextRun.setMonth(now.getMonth() + 1);
-      if (schedule.dayOfMonth) {
-        nextRun.setDate(schedule.dayOfMonth);
-      }
+      startDate = midnight(now.year, now.month - 1, 1);
+      endDate = midnight(now.year, now.month, 1);
       break;
-    case "quarterly":
-      nextRun.setMonth(now.getMonth() + 3);
-      if (schedule.dayOfMonth) {
-        nextRun.setDate(schedule.dayOfMonth);
-      }
+    case "quarterly": {
+      const quarterStart = now.month - ((now.month - 1) % 3);
+      startDate = midnight(now.year, quarterStart - 3, 1);
+      endDate = midnight(now.year, quarterStart, 1);
       break;
+    }
     case "yearly":
-      nextRun.setFullYear(now.getFullYear() + 1);
-      if (schedule.dayOfMonth) {
-        nextRun.setDate(schedule.dayOfMonth);
-      }
+      startDate = midnight(now.year - 1, 1, 1);
+      endDate = midnight(now.year, 1, 1);
       break;
+    default:
+      throw new Error(`Unknown schedule frequency: ${frequency}`);
   }
 
-  // Set time
-  if (schedule.time) {
-    const [hours, minutes] = schedule.time.split(":").map(Number);
-    nextRun.setHours(hours, minutes, 0, 0);
-  }
+  // Report queries use inclusive bounds
+  return { startDate, endDate: new Date(endDate.getTime() - 1) };
+};
+
+// Static method to take the lease on one due recurring report.
+// The update is atomic, so each run is claimed by a single instance.
+reportSchema.statics.claimDueSchedule = function (owner, leaseMs) {
+  const now = new Date();
 
-  return nextRun;
+  return this.findOneAndUpdate(
+    {
+      "schedule.isRecurring": true,
+      "schedule.isActive": true,
+      "schedule.nextRun": { $lte: now },
+      $or: [
+        { "schedule.lockedUntil": { $exists: false } },
+        { "schedule.lockedUntil": null },
+        { "schedule.lockedUntil": { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        "schedule.lockedBy": owner,
+        "schedule.lockedUntil": new Date(now.getTime() + leaseMs),
+      },
+    },
+    { new: true, sort: { "schedule.nextRun": 1 } }
+  );
 };
 
 module.exports = mongoose.model("Report", reportSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { isValidTimezone } = require("../utils/timezone");
 
 const userSchema = new mongoose.Schema(
   {
@@ -58,6 +59,15 @@ const userSchema = new mongoose.Schema(
         enum: ["light", "dark", "auto"],
         default: "light",
       },
+      // Used for scheduled reports
+      timezone: {
+        type: String,
+        default: "Europe/Warsaw",
+        validate: {
+          validator: isValidTimezone,
+          message: "Invalid timezone",
+        },
+      },
       notifications: {
         email: {
           type: Boolean,
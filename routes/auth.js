@@ -10,6 +10,7 @@ const {
   changePassword,
 } = require("../controllers/authController");
 const authMiddleware = require("../middleware/auth");
+const { isValidTimezone } = require("../utils/timezone");
 
 const router = express.Router();
 
@@ -102,6 +103,10 @@ router.put(
       .optional()
       .isIn(["light", "dark", "auto"])
       .withMessage("Theme must be one of: light, dark, auto"),
+    body("preferences.timezone")
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage("Timezone must be a valid IANA timezone"),
     body("preferences.notifications.email")
       .optional()
       .isBoolean()
@@ -0,0 +1,193 @@
+const express = require("express");
+const { body, query, param } = require("express-validator");
+const {
+  getCorporateActions,
+  getCorporateAction,
+  createCorporateAction,
+  applyCorporateAction,
+  revertCorporateAction,
+  applyCorporateActionToMarketData,
+  revertCorporateActionMarketData,
+  deleteCorporateAction,
+} = require("../controllers/corporateActionsController");
+const authMiddleware = require("../middleware/auth");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/corporate-actions
+ * @desc    Get corporate actions for user
+ * @access  Private
+ */
+router.get(
+  "/",
+  [
+    query("symbol")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 12 })
+      .withMessage("Symbol must be between 1 and 12 characters"),
+    query("type")
+      .optional()
+      .isIn(["split", "reverse_split", "spin_off", "symbol_change"])
+      .withMessage("Invalid corporate action type"),
+    query("status")
+      .optional()
+      .isIn(["pending", "applied", "reverted", "failed"])
+      .withMessage("Invalid corporate action status"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  getCorporateActions
+);
+
+/**
+ * @route   POST /api/corporate-actions
+ * @desc    Create corporate action
+ * @access  Private
+ */
+router.post(
+  "/",
+  [
+    body("type")
+      .isIn(["split", "reverse_split", "spin_off", "symbol_change"])
+      .withMessage(
+        "Type must be one of: split, reverse_split, spin_off, symbol_change"
+      ),
+    body("symbol")
+      .trim()
+      .notEmpty()
+      .withMessage("Symbol is required")
+      .isLength({ min: 1, max: 12 })
+      .withMessage("Symbol must be between 1 and 12 characters")
+      .matches(/^[A-Za-z0-9\.]+$/)
+      .withMessage("Symbol can only contain letters, numbers, and dots"),
+    body("newSymbol")
+      .if(body("type").isIn(["spin_off", "symbol_change"]))
+      .trim()
+      .notEmpty()
+      .withMessage("New symbol is required for spin-offs and symbol changes")
+      .isLength({ min: 1, max: 12 })
+      .withMessage("New symbol must be between 1 and 12 characters")
+      .matches(/^[A-Za-z0-9\.]+$/)
+      .withMessage("New symbol can only contain letters, numbers, and dots"),
+    body("newName")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Name cannot exceed 100 characters"),
+    body("ratio.from")
+      .if(body("type").isIn(["split", "reverse_split", "spin_off"]))
+      .isFloat({ min: 0.0001 })
+      .withMessage("Ratio 'from' must be a positive number")
+      .toFloat(),
+    body("ratio.to")
+      .if(body("type").isIn(["split", "reverse_split", "spin_off"]))
+      .isFloat({ min: 0.0001 })
+      .withMessage("Ratio 'to' must be a positive number")
+      .toFloat(),
+    body("costAllocation")
+      .if(body("type").equals("spin_off"))
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Cost allocation must be between 0 and 100 percent")
+      .toFloat(),
+    body("exDate")
+      .isISO8601()
+      .withMessage("Ex-date must be a valid date")
+      .toDate(),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    body("apply")
+      .optional()
+      .isBoolean()
+      .withMessage("Apply must be boolean")
+      .toBoolean(),
+  ],
+  createCorporateAction
+);
+
+/**
+ * @route   GET /api/corporate-actions/:id
+ * @desc    Get corporate action with adjustment audit trail
+ * @access  Private
+ */
+router.get(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid corporate action ID")],
+  getCorporateAction
+);
+
+/**
+ * @route   POST /api/corporate-actions/:id/apply
+ * @desc    Apply corporate action to the user's positions, orders and watchlists
+ * @access  Private
+ */
+router.post(
+  "/:id/apply",
+  [param("id").isMongoId().withMessage("Invalid corporate action ID")],
+  applyCorporateAction
+);
+
+/**
+ * @route   POST /api/corporate-actions/:id/revert
+ * @desc    Undo applied corporate action
+ * @access  Private
+ */
+router.post(
+  "/:id/revert",
+  [
+    param("id").isMongoId().withMessage("Invalid corporate action ID"),
+    body("force").optional().isBoolean().withMessage("Force must be boolean"),
+  ],
+  revertCorporateAction
+);
+
+/**
+ * @route   POST /api/corporate-actions/:id/market-data
+ * @desc    Adjust the shared price history (rename or rescale MarketData)
+ * @access  Private (admin)
+ */
+router.post(
+  "/:id/market-data",
+  requireAdmin,
+  [param("id").isMongoId().withMessage("Invalid corporate action ID")],
+  applyCorporateActionToMarketData
+);
+
+/**
+ * @route   POST /api/corporate-actions/:id/market-data/revert
+ * @desc    Restore the price history adjusted for a corporate action
+ * @access  Private (admin)
+ */
+router.post(
+  "/:id/market-data/revert",
+  requireAdmin,
+  [param("id").isMongoId().withMessage("Invalid corporate action ID")],
+  revertCorporateActionMarketData
+);
+
+/**
+ * @route   DELETE /api/corporate-actions/:id
+ * @desc    Delete corporate action that is not applied
+ * @access  Private
+ */
+router.delete(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid corporate action ID")],
+  deleteCorporateAction
+);
+
+module.exports = router;
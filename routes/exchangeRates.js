@@ -0,0 +1,120 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const {
+  getExchangeRates,
+  getExchangeRate,
+  storeExchangeRates,
+  importExchangeRateFile,
+} = require("../controllers/exchangeRatesController");
+const authMiddleware = require("../middleware/auth");
+const requireAdmin = require("../middleware/requireAdmin");
+const upload = require("../middleware/upload");
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/exchange-rates
+ * @desc Get stored NBP exchange rates
+ * @access Private
+ */
+router.get(
+  "/",
+  [
+    query("currency")
+      .optional()
+      .isLength({ min: 3, max: 3 })
+      .withMessage("Currency must be a 3-letter ISO code"),
+    query("from")
+      .optional()
+      .isISO8601()
+      .withMessage("From must be a valid date"),
+    query("to").optional().isISO8601().withMessage("To must be a valid date"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage("Limit must be between 1 and 500"),
+  ],
+  getExchangeRates
+);
+
+/**
+ * @route GET /api/exchange-rates/rate
+ * @desc Get exchange rate for a date (falls back to last business day)
+ * @access Private
+ */
+router.get(
+  "/rate",
+  [
+    query("from")
+      .isLength({ min: 3, max: 3 })
+      .withMessage("From must be a 3-letter ISO code"),
+    query("to")
+      .optional()
+      .isLength({ min: 3, max: 3 })
+      .withMessage("To must be a 3-letter ISO code"),
+    query("date")
+      .optional()
+      .isISO8601()
+      .withMessage("Date must be a valid date"),
+    query("preceding")
+      .optional()
+      .isBoolean()
+      .withMessage("Preceding must be boolean"),
+  ],
+  getExchangeRate
+);
+
+/**
+ * @route POST /api/exchange-rates
+ * @desc Store NBP average exchange rates sent as JSON
+ * @access Private (admin)
+ */
+router.post(
+  "/",
+  requireAdmin,
+  [
+    body("rates")
+      .isArray({ min: 1, max: 5000 })
+      .withMessage("Rates must be a non-empty array (max 5000 items)"),
+    body("rates.*.currency")
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 3 })
+      .withMessage("Currency must be a 3-letter ISO code"),
+    body("rates.*.date")
+      .isISO8601()
+      .withMessage("Rate date must be a valid date"),
+    body("rates.*.rate")
+      .isFloat({ gt: 0 })
+      .withMessage("Rate must be a positive number")
+      .toFloat(),
+    body("rates.*.table")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage("Table number cannot exceed 30 characters"),
+  ],
+  storeExchangeRates
+);
+
+/**
+ * @route POST /api/exchange-rates/import
+ * @desc Import NBP Table A file (archiwum_tab_a_YYYY.csv or API JSON)
+ * @access Private (admin)
+ */
+router.post(
+  "/import",
+  requireAdmin,
+  upload.single("file"),
+  importExchangeRateFile
+);
+
+module.exports = router;
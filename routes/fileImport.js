@@ -1,62 +1,159 @@
 const express = require("express");
-const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const { body, param } = require("express-validator");
 const {
   uploadFile,
+  previewFile,
+  commitImport,
+  rollbackImport,
+  cancelImport,
   getImportHistory,
   getImportStatus,
 } = require("../controllers/fileImportController");
 // const { authenticate } = require("../middleware/auth"); // Your auth middleware
 const authMiddleware = require("../middleware/auth");
+const { createUpload } = require("../middleware/upload");
+const { isStreamingFormat } = require("../utils/excel");
 
 const router = express.Router();
 
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, "../uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// CSV files are read in batches; workbooks and XML/OFX/QIF statements are
+// parsed whole and keep the lower limit (checked after upload by
+// checkFileSize, multer only knows one limit per route)
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_STREAMING_FILE_SIZE = 100 * 1024 * 1024; // 100MB
 
-// 🔧 MULTER CONFIGURATION - This was missing!
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir); // Save to uploads directory
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, "import-" + uniqueSuffix + path.extname(file.originalname));
-  },
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
+const upload = createUpload({
+  maxFileSize: MAX_STREAMING_FILE_SIZE,
   fileFilter: function (req, file, cb) {
     // Check file types
     const allowedMimeTypes = [
       "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", // .xlsx
       "application/vnd.ms-excel", // .xls
       "text/csv", // .csv
+      "application/xml", // .xml (IBKR Flex Query)
+      "text/xml",
+      "application/x-ofx", // .ofx
+      "application/vnd.intu.qfx", // .qfx
+      "application/qif", // .qif
+      "application/x-qif",
     ];
+    // OFX/QFX and QIF have no registered MIME type; browsers usually send
+    // application/octet-stream or text/plain
+    const allowedExtensions = [".ofx", ".qfx", ".qif"];
 
-    if (allowedMimeTypes.includes(file.mimetype)) {
+    if (
+      allowedMimeTypes.includes(file.mimetype) ||
+      allowedExtensions.includes(path.extname(file.originalname).toLowerCase())
+    ) {
       cb(null, true);
     } else {
       cb(
         new Error(
-          "Invalid file type. Only Excel (.xlsx, .xls) and CSV files are allowed."
+          "Invalid file type. Only Excel (.xlsx, .xls), CSV, XML, OFX/QFX and QIF files are allowed."
         )
       );
     }
   },
 });
 
+const checkFileSize = (req, res, next) => {
+  if (
+    req.file &&
+    !isStreamingFormat(req.file.originalname) &&
+    req.file.size > MAX_FILE_SIZE
+  ) {
+    fs.promises.unlink(req.file.path).catch(() => {});
+    return res.status(413).json({
+      success: false,
+      message: `File too large. Maximum size is ${
+        MAX_FILE_SIZE / (1024 * 1024)
+      }MB (${MAX_STREAMING_FILE_SIZE / (1024 * 1024)}MB for CSV files)`,
+    });
+  }
+
+  next();
+};
+
 // 🔧 ROUTES WITH PROPER MIDDLEWARE
-router.post("/upload", authMiddleware, upload.single("file"), uploadFile); // Added multer middleware!
+router.post(
+  "/upload",
+  authMiddleware,
+  upload.single("file"),
+  checkFileSize,
+  uploadFile
+); // Added multer middleware!
+
+/**
+ * @route   POST /api/import/preview
+ * @desc    Parse a file and return detected sheets, column mapping,
+ *          normalized sample rows and validation errors without importing
+ * @access  Private
+ */
+router.post(
+  "/preview",
+  authMiddleware,
+  upload.single("file"),
+  checkFileSize,
+  previewFile
+);
+
+/**
+ * @route   POST /api/import/:id/commit
+ * @desc    Import a previewed file, optionally with an edited column mapping
+ * @access  Private
+ */
+router.post(
+  "/:id/commit",
+  authMiddleware,
+  [
+    param("id").isMongoId().withMessage("Invalid import ID format"),
+    body("columnMapping")
+      .optional()
+      .isObject()
+      .withMessage("Column mapping must be an object keyed by sheet name"),
+    body("duplicatePolicy")
+      .optional()
+      .isIn(["skip", "overwrite", "fail"])
+      .withMessage("Duplicate policy must be skip, overwrite or fail"),
+  ],
+  commitImport
+);
+
+/**
+ * @route   POST /api/import/:id/rollback
+ * @desc    Delete records created by an import and restore the ones it
+ *          overwrote
+ * @access  Private
+ */
+router.post(
+  "/:id/rollback",
+  authMiddleware,
+  [
+    param("id").isMongoId().withMessage("Invalid import ID format"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Rollback reason cannot exceed 200 characters"),
+  ],
+  rollbackImport
+);
+
+/**
+ * @route   PUT /api/import/:id/cancel
+ * @desc    Cancel a previewed import or stop a running one after the
+ *          current batch
+ * @access  Private
+ */
+router.put(
+  "/:id/cancel",
+  authMiddleware,
+  [param("id").isMongoId().withMessage("Invalid import ID format")],
+  cancelImport
+);
+
 router.get("/history", authMiddleware, getImportHistory);
 router.get("/:id/status", authMiddleware, getImportStatus);
 
@@ -0,0 +1,23 @@
+const express = require("express");
+const { param } = require("express-validator");
+const { getJob } = require("../controllers/jobsController");
+const authMiddleware = require("../middleware/auth");
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Get background job status (imports, reports, broker syncs, price
+ *       refreshes)
+ * @access Private
+ */
+router.get(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid job ID format")],
+  getJob
+);
+
+module.exports = router;
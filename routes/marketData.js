@@ -13,10 +13,12 @@ const {
   getSymbolsBySector,
   recordError,
   getSymbolsNeedingUpdate,
+  refreshPrices,
   createMarketData,
   cleanupOldData,
 } = require("../controllers/marketDataController");
 const authMiddleware = require("../middleware/auth");
+const requireAdmin = require("../middleware/requireAdmin");
 
 const router = express.Router();
 
@@ -304,6 +306,29 @@ router.put(
  */
 router.get("/update-needed", getSymbolsNeedingUpdate);
 
+/**
+ * @route POST /api/market-data/refresh
+ * @desc Queue a price refresh from a broker's quotes
+ * @access Private (Admin)
+ */
+router.post(
+  "/refresh",
+  requireAdmin,
+  [
+    body("broker").trim().notEmpty().withMessage("Broker is required"),
+    body("symbols")
+      .optional()
+      .isArray({ min: 1, max: 500 })
+      .withMessage("Symbols must be an array of 1-500 items"),
+    body("symbols.*")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 12 })
+      .withMessage("Each symbol must be between 1 and 12 characters"),
+  ],
+  refreshPrices
+);
+
 /**
  * @route POST /api/market-data/:symbol/error
  * @desc Record data source error
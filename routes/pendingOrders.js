@@ -30,6 +30,7 @@ router.get(
         "cancelled",
         "expired",
         "rejected",
+        "inactive",
       ])
       .withMessage("Invalid order status"),
     query("symbol")
@@ -44,6 +45,10 @@ router.get(
       .optional()
       .isIn(["buy", "sell"])
       .withMessage("Side must be either buy or sell"),
+    query("timeInForce")
+      .optional()
+      .isIn(["GTC", "IOC", "FOK", "DAY", "GTD"])
+      .withMessage("Invalid time in force value"),
     query("page")
       .optional()
       .isInt({ min: 1 })
@@ -113,10 +118,25 @@ router.post(
       .optional()
       .isFloat({ min: 0.01, max: 100 })
       .withMessage("Trailing percent must be between 0.01 and 100"),
+    body("expiryTime")
+      .if(body("conditions.timeInForce").equals("GTD"))
+      .notEmpty()
+      .withMessage("Expiry time is required for GTD orders"),
     body("expiryTime")
       .optional()
       .isISO8601()
-      .withMessage("Expiry time must be a valid ISO date"),
+      .withMessage("Expiry time must be a valid ISO date")
+      .bail()
+      .custom((expiryTime, { req }) => {
+        const timeInForce = req.body.conditions?.timeInForce;
+        if (timeInForce && timeInForce !== "GTD") {
+          throw new Error("Expiry time can only be set on GTD orders");
+        }
+        if (new Date(expiryTime) <= new Date()) {
+          throw new Error("Expiry time must be in the future");
+        }
+        return true;
+      }),
     body("currency")
       .optional()
       .isIn(["USD", "EUR", "PLN", "GBP"])
@@ -181,6 +201,85 @@ router.post(
       .optional()
       .isFloat({ min: 0 })
       .withMessage("Last price must be non-negative"),
+    body("orderGroup")
+      .optional()
+      .isIn(["oco", "bracket"])
+      .withMessage("Order group must be either oco or bracket")
+      .custom((orderGroup, { req }) => {
+        if (orderGroup !== "bracket" || !req.body.price) return true;
+
+        // Exits must lie on the right side of the entry price
+        const entry = Number(req.body.price);
+        const isBuy = String(req.body.side).toLowerCase() === "buy";
+        const stopLoss = Number(req.body.riskManagement?.stopLoss?.price);
+        const takeProfit = Number(req.body.riskManagement?.takeProfit?.price);
+
+        if (stopLoss && (isBuy ? stopLoss >= entry : stopLoss <= entry)) {
+          throw new Error(
+            `Stop loss must be ${isBuy ? "below" : "above"} the entry price`
+          );
+        }
+        if (takeProfit && (isBuy ? takeProfit <= entry : takeProfit >= entry)) {
+          throw new Error(
+            `Take profit must be ${isBuy ? "above" : "below"} the entry price`
+          );
+        }
+        return true;
+      }),
+    body("ocoOrder")
+      .if(body("orderGroup").equals("oco"))
+      .isObject()
+      .withMessage("OCO orders require the second leg in ocoOrder"),
+    body("ocoOrder.type")
+      .if(body("orderGroup").equals("oco"))
+      .isIn(["limit", "stop", "stop_limit", "trailing_stop"])
+      .withMessage(
+        "OCO leg type must be limit, stop, stop_limit or trailing_stop"
+      ),
+    // Each leg type needs only the prices it is matched on
+    body("ocoOrder.price")
+      .if(body("orderGroup").equals("oco"))
+      .if(body("ocoOrder.type").isIn(["limit", "stop_limit"]))
+      .isFloat({ min: 0.01 })
+      .withMessage("OCO limit and stop limit legs require a positive price"),
+    body("ocoOrder.price")
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage("OCO leg price must be a positive number"),
+    body("ocoOrder.stopPrice")
+      .if(body("orderGroup").equals("oco"))
+      .if(body("ocoOrder.type").isIn(["stop", "stop_limit"]))
+      .custom((stopPrice, { req }) =>
+        Boolean(
+          stopPrice ||
+            (req.body.ocoOrder.type === "stop" && req.body.ocoOrder.price)
+        )
+      )
+      .withMessage("OCO stop legs require a stop price"),
+    body("ocoOrder.stopPrice")
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage("OCO leg stop price must be a positive number"),
+    body("ocoOrder")
+      .if(body("orderGroup").equals("oco"))
+      .if(body("ocoOrder.type").equals("trailing_stop"))
+      .custom((leg) => Boolean(leg.trailingAmount || leg.trailingPercent))
+      .withMessage(
+        "OCO trailing stop legs require a trailing amount or trailing percent"
+      ),
+    body("ocoOrder.trailingAmount")
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage("OCO leg trailing amount must be a positive number"),
+    body("ocoOrder.trailingPercent")
+      .optional()
+      .isFloat({ min: 0.01, max: 100 })
+      .withMessage("OCO leg trailing percent must be between 0.01 and 100"),
+    body("type")
+      .if(body("orderGroup").equals("oco"))
+      .not()
+      .equals("market")
+      .withMessage("Market orders cannot be part of an OCO pair"),
   ],
   createPendingOrder
 );
@@ -213,13 +312,18 @@ router.put(
       .optional()
       .isBoolean()
       .withMessage("Create position must be boolean"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
   ],
   executePendingOrder
 );
 
 /**
  * @route   PUT /api/pending-orders/:id/cancel
- * @desc    Cancel pending order
+ * @desc    Cancel pending order (cancelGroup: every open order of its OCO/bracket group)
  * @access  Private
  */
 router.put(
@@ -231,6 +335,10 @@ router.put(
       .trim()
       .isLength({ max: 200 })
       .withMessage("Reason cannot exceed 200 characters"),
+    body("cancelGroup")
+      .optional()
+      .isBoolean()
+      .withMessage("Cancel group must be boolean"),
   ],
   cancelPendingOrder
 );
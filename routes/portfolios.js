@@ -6,6 +6,10 @@ const {
   createPortfolio,
   updatePortfolio,
   deletePortfolio,
+  syncPortfolio,
+  placeOrder,
+  getReconciliation,
+  applyReconciliation,
 } = require("../controllers/portfoliosController");
 const authMiddleware = require("../middleware/auth");
 
@@ -30,7 +34,20 @@ router.get(
       .withMessage("includeInactive must be boolean"),
     query("broker")
       .optional()
-      .isIn(["XTB", "PKO", "BINANCE", "BYBIT", "ING", "MANUAL"])
+      .isIn([
+        "XTB",
+        "PKO",
+        "BINANCE",
+        "BYBIT",
+        "ING",
+        "DEGIRO",
+        "IBKR",
+        "TRADING212",
+        "MBANK",
+        "BOSSA",
+        "PAPER",
+        "MANUAL",
+      ])
       .withMessage("Invalid broker"),
     query("sortBy")
       .optional()
@@ -59,7 +76,20 @@ router.post(
       .isLength({ min: 2, max: 100 })
       .withMessage("Name must be between 2 and 100 characters"),
     body("broker")
-      .isIn(["XTB", "PKO", "BINANCE", "BYBIT", "ING", "MANUAL"])
+      .isIn([
+        "XTB",
+        "PKO",
+        "BINANCE",
+        "BYBIT",
+        "ING",
+        "DEGIRO",
+        "IBKR",
+        "TRADING212",
+        "MBANK",
+        "BOSSA",
+        "PAPER",
+        "MANUAL",
+      ])
       .withMessage("Invalid broker"),
     body("currency")
       .isIn(["USD", "EUR", "PLN", "GBP", "USDT", "BTC"])
@@ -98,4 +128,90 @@ router.put(
   updatePortfolio
 );
 
+/**
+ * @route   POST /api/portfolios/:id/sync
+ * @desc    Sync positions from the broker now
+ * @access  Private
+ */
+router.post(
+  "/:id/sync",
+  [param("id").isMongoId().withMessage("Invalid portfolio ID")],
+  syncPortfolio
+);
+
+/**
+ * @route   POST /api/portfolios/:id/orders
+ * @desc    Place an order on the broker account of the portfolio
+ * @access  Private
+ */
+router.post(
+  "/:id/orders",
+  [
+    param("id").isMongoId().withMessage("Invalid portfolio ID"),
+    body("symbol")
+      .trim()
+      .notEmpty()
+      .withMessage("Symbol is required")
+      .isLength({ max: 20 })
+      .withMessage("Symbol cannot exceed 20 characters"),
+    body("side")
+      .isIn(["buy", "sell"])
+      .withMessage("Side must be either buy or sell"),
+    body("volume")
+      .isFloat({ gt: 0 })
+      .withMessage("Volume must be greater than 0")
+      .toFloat(),
+    body("type")
+      .optional()
+      .isIn(["market", "limit", "stop"])
+      .withMessage("Type must be market, limit or stop"),
+    body("price")
+      .if(body("type").isIn(["limit", "stop"]))
+      .isFloat({ gt: 0 })
+      .withMessage("Price is required for limit and stop orders")
+      .toFloat(),
+    body(["stopLoss", "takeProfit"])
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Stop loss and take profit must be positive numbers")
+      .toFloat(),
+    body("comment")
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Comment cannot exceed 100 characters"),
+  ],
+  placeOrder
+);
+
+/**
+ * @route   GET /api/portfolios/:id/reconciliation
+ * @desc    Diff of local positions and cash against the broker
+ * @access  Private
+ */
+router.get(
+  "/:id/reconciliation",
+  [param("id").isMongoId().withMessage("Invalid portfolio ID")],
+  getReconciliation
+);
+
+/**
+ * @route   POST /api/portfolios/:id/reconciliation
+ * @desc    Apply selected fixes of the reconciliation diff
+ * @access  Private
+ */
+router.post(
+  "/:id/reconciliation",
+  [
+    param("id").isMongoId().withMessage("Invalid portfolio ID"),
+    body("fixes")
+      .isArray({ min: 1, max: 500 })
+      .withMessage("fixes must be a list of 1-500 reconciliation item IDs"),
+    body("fixes.*")
+      .isString()
+      .withMessage("Each fix must be a reconciliation item ID"),
+  ],
+  applyReconciliation
+);
+
 module.exports = router;
@@ -5,6 +5,7 @@ const {
   createPosition,
   updatePosition,
   closePosition,
+  getPositionLots,
   deletePosition,
 } = require("../controllers/positionsController");
 const authMiddleware = require("../middleware/auth");
@@ -130,6 +131,10 @@ router.post(
       .trim()
       .isLength({ min: 1, max: 20 })
       .withMessage("Each tag must be between 1 and 20 characters"),
+    body("lotMethod")
+      .optional()
+      .isIn(["FIFO", "LIFO", "AVERAGE"])
+      .withMessage("Lot method must be one of: FIFO, LIFO, AVERAGE"),
   ],
   createPosition
 );
@@ -211,7 +216,7 @@ router.put(
 
 /**
  * @route   PUT /api/positions/:id/close
- * @desc    Close position
+ * @desc    Close position (partial close when volume is given)
  * @access  Private
  */
 router.put(
@@ -221,6 +226,11 @@ router.put(
     body("closePrice")
       .isFloat({ min: 0.01 })
       .withMessage("Close price must be a positive number"),
+    body("volume")
+      .optional()
+      .isFloat({ min: 0.0001 })
+      .withMessage("Close volume must be a positive number greater than 0")
+      .toFloat(),
     body("closeTime")
       .optional()
       .isISO8601()
@@ -238,10 +248,25 @@ router.put(
       .trim()
       .isLength({ max: 500 })
       .withMessage("Notes cannot exceed 500 characters"),
+    body("lotMethod")
+      .optional()
+      .isIn(["FIFO", "LIFO", "AVERAGE"])
+      .withMessage("Lot method must be one of: FIFO, LIFO, AVERAGE"),
   ],
   closePosition
 );
 
+/**
+ * @route   GET /api/positions/:id/lots
+ * @desc    Get tax lot breakdown of a position
+ * @access  Private
+ */
+router.get(
+  "/:id/lots",
+  [param("id").isMongoId().withMessage("Invalid position ID")],
+  getPositionLots
+);
+
 /**
  * @route   DELETE /api/positions/:id
  * @desc    Delete position
@@ -145,7 +145,7 @@ router.post(
       .isBoolean()
       .withMessage("isRecurring must be boolean"),
     body("schedule.frequency")
-      .optional()
+      .if(body("schedule.isRecurring").equals("true"))
       .isIn(["daily", "weekly", "monthly", "quarterly", "yearly"])
       .withMessage("Invalid schedule frequency"),
     body("schedule.dayOfMonth")
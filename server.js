@@ -26,6 +26,12 @@ const {
   getDatabaseStats,
 } = require("./utils/database");
 
+// Background services
+const ReportScheduler = require("./services/ReportScheduler");
+const JobQueue = require("./services/JobQueue");
+const BrokerSyncScheduler = require("./services/BrokerSyncScheduler");
+const OrderExpiryScheduler = require("./services/OrderExpiryScheduler");
+
 // Middleware
 const { sanitizeInput } = require("./middleware/validation");
 const {
@@ -50,6 +56,9 @@ const watchlistsRoutes = require("./routes/watchlists");
 const marketDataRoutes = require("./routes/marketData");
 const reportsRoutes = require("./routes/reports");
 const portfoliosRoutes = require("./routes/portfolios");
+const corporateActionsRoutes = require("./routes/corporateActions");
+const exchangeRatesRoutes = require("./routes/exchangeRates");
+const jobsRoutes = require("./routes/jobs");
 
 // Configuration
 const PORT = process.env.PORT || 5000;
@@ -199,6 +208,7 @@ app.get("/api", (req, res) => {
       pendingOrders: "/api/pending-orders",
       analytics: "/api/analytics",
       fileImport: "/api/import",
+      jobs: "/api/jobs",
     },
     documentation: "/api/docs",
     health: "/health",
@@ -217,6 +227,9 @@ app.use("/api/watchlists", watchlistsRoutes);
 app.use("/api/market-data", marketDataRoutes);
 app.use("/api/reports", reportsRoutes);
 app.use("/api/portfolios", portfoliosRoutes);
+app.use("/api/corporate-actions", corporateActionsRoutes);
+app.use("/api/exchange-rates", exchangeRatesRoutes);
+app.use("/api/jobs", jobsRoutes);
 
 /**
  * Health Check Endpoints
@@ -390,6 +403,27 @@ const startServer = async () => {
       await initializeDatabase();
     }
 
+    // Run recurring reports
+    if (process.env.REPORT_SCHEDULER_ENABLED !== "false") {
+      ReportScheduler.start();
+    }
+
+    // Run queued imports, reports and syncs (disable on API-only instances;
+    // jobs then wait for an instance with the worker)
+    if (process.env.JOB_QUEUE_ENABLED !== "false") {
+      JobQueue.start();
+    }
+
+    // Queue broker syncs at each portfolio's syncInterval
+    if (process.env.BROKER_SYNC_ENABLED !== "false") {
+      BrokerSyncScheduler.start();
+    }
+
+    // Expire pending orders by their time in force
+    if (process.env.ORDER_EXPIRY_ENABLED !== "false") {
+      OrderExpiryScheduler.start();
+    }
+
     // Start HTTP server
     const server = app.listen(PORT, () => {
       console.log("✅ Server started successfully!");
@@ -427,6 +461,13 @@ const startServer = async () => {
 const shutdown = (signal) => {
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
 
+  // Don't claim new scheduled reports while shutting down
+  ReportScheduler.stop();
+  // Don't claim new jobs; a running job's lease expires and it is retried
+  JobQueue.stop();
+  BrokerSyncScheduler.stop();
+  OrderExpiryScheduler.stop();
+
   // Give the server some time to finish existing requests
   setTimeout(() => {
     console.log("⏰ Forcing shutdown after timeout");
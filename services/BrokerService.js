@@ -1,21 +1,38 @@
 // services/BrokerService.js - NOWY PLIK
 const XTBAdapter = require("./brokers/XTBAdapter");
+const PaperBrokerAdapter = require("./brokers/PaperBrokerAdapter");
+const BinanceAdapter = require("./brokers/BinanceAdapter");
+const BybitAdapter = require("./brokers/BybitAdapter");
 // const PKOAdapter = require("./brokers/PKOAdapter");
-// const BinanceAdapter = require("./brokers/BinanceAdapter");
-// const BybitAdapter = require("./brokers/BybitAdapter");
 // const INGAdapter = require("./brokers/INGAdapter");
+const { decryptCredentials, redactText } = require("../utils/credentialVault");
+
+// Selected for syncs only (select: false on the portfolio)
+const API_CREDENTIAL_FIELDS = [
+  "+brokerConfig.apiCredentials.apiKey",
+  "+brokerConfig.apiCredentials.secretKey",
+  "+brokerConfig.apiCredentials.passphrase",
+  "+brokerConfig.apiCredentials.additionalParams",
+  "+brokerConfig.apiCredentials.dataKey",
+].join(" ");
 
 class BrokerService {
   constructor() {
     this.adapters = new Map([
       ["XTB", new XTBAdapter()],
+      ["PAPER", new PaperBrokerAdapter()],
+      ["BINANCE", new BinanceAdapter()],
+      ["BYBIT", new BybitAdapter()],
       // ["PKO", new PKOAdapter()],
-      // ["BINANCE", new BinanceAdapter()],
-      // ["BYBIT", new BybitAdapter()],
       // ["ING", new INGAdapter()],
     ]);
   }
 
+  // Brokers that can be synced
+  getSupportedBrokers() {
+    return [...this.adapters.keys()];
+  }
+
   getAdapter(broker) {
     const adapter = this.adapters.get(broker);
     if (!adapter) {
@@ -24,70 +41,294 @@ class BrokerService {
     return adapter;
   }
 
-  async syncPortfolio(portfolioId) {
+  // Portfolio with the (encrypted) API credentials its adapter needs
+  async loadPortfolio(portfolioId) {
     const Portfolio = require("../models/Portfolio");
-    const Position = require("../models/Position");
 
-    const portfolio = await Portfolio.findById(portfolioId);
+    const portfolio = await Portfolio.findById(portfolioId).select(
+      API_CREDENTIAL_FIELDS
+    );
     if (!portfolio) {
       throw new Error("Portfolio not found");
     }
+    return portfolio;
+  }
+
+  /**
+   * Run `fn` with the portfolio's broker configuration, credentials
+   * decrypted. The plaintext copy exists only for the call; errors thrown
+   * by it have the secrets removed from their message.
+   */
+  async withBrokerConfig(portfolio, fn) {
+    const { apiCredentials = {}, ...config } =
+      portfolio.brokerConfig.toObject();
+    const credentials = decryptCredentials(apiCredentials);
+    const brokerConfig = {
+      ...config,
+      // Owner of the account, for adapters keeping per-user state (PAPER)
+      userId: String(portfolio.userId),
+      apiCredentials: {
+        additionalParams: apiCredentials.additionalParams,
+        ...credentials,
+      },
+    };
+
+    try {
+      return await fn(brokerConfig);
+    } catch (error) {
+      if (error && error.message) {
+        error.message = redactText(error.message, credentials);
+      }
+      throw error;
+    }
+  }
 
+  // Credentials for the adapter's account calls (getAccountInfo); adapters
+  // without getCredentials take the broker configuration itself
+  getAccountCredentials(adapter, brokerConfig) {
+    return adapter.getCredentials
+      ? adapter.getCredentials(brokerConfig)
+      : brokerConfig;
+  }
+
+  async syncPortfolio(portfolioId) {
+    const portfolio = await this.loadPortfolio(portfolioId);
     const adapter = this.getAdapter(portfolio.broker);
 
     try {
-      // Get positions from broker
-      const brokerPositions = await adapter.getPositions(
-        portfolio.brokerConfig
+      return await this.withBrokerConfig(portfolio, (brokerConfig) =>
+        this.syncPositions(portfolio, adapter, brokerConfig)
+      );
+    } catch (error) {
+      throw new Error(`Sync failed: ${error.message}`);
+    }
+  }
+
+  async syncPositions(portfolio, adapter, brokerConfig) {
+    const Position = require("../models/Position");
+
+    // Get positions from broker
+    const brokerPositions = await adapter.getPositions(brokerConfig);
+
+    // Normalize and sync positions
+    const syncResults = [];
+
+    for (const brokerPosition of brokerPositions) {
+      // Find existing position or create new
+      const existing = await Position.findOne({
+        portfolioId: portfolio._id,
+        "brokerData.brokerPositionId": brokerPosition.id,
+      });
+
+      const position = await this.saveBrokerPosition(
+        portfolio,
+        adapter,
+        brokerPosition,
+        existing
       );
+      syncResults.push(position);
+    }
 
-      // Normalize and sync positions
-      const syncResults = [];
+    // Deposits and withdrawals, for brokers reporting them
+    const cashOperations = adapter.getCashOperations
+      ? await this.syncCashOperations(adapter, portfolio, brokerConfig)
+      : [];
 
-      for (const brokerPosition of brokerPositions) {
-        const normalizedPosition = adapter.normalizePosition(brokerPosition);
+    return {
+      success: true,
+      syncedPositions: syncResults.length,
+      positions: syncResults,
+      syncedCashOperations: cashOperations.length,
+    };
+  }
 
-        // Find existing position or create new
-        let position = await Position.findOne({
-          portfolioId: portfolio._id,
-          "brokerData.brokerPositionId": brokerPosition.id,
-        });
+  /**
+   * Write a position reported by the broker: update `position` with the
+   * normalized data, or create a new position linked to the broker's ID.
+   * Positions with lot history keep their lots; a volume difference is
+   * added or matched as a lot (Position.alignLots).
+   */
+  async saveBrokerPosition(portfolio, adapter, brokerPosition, position) {
+    const Position = require("../models/Position");
+    const normalizedPosition = adapter.normalizePosition(brokerPosition);
 
-        if (position) {
-          // Update existing position
-          Object.assign(position, normalizedPosition);
-          position.brokerData.lastSyncAt = new Date();
-          position.brokerData.syncStatus = "synced";
-        } else {
-          // Create new position
-          position = new Position({
-            ...normalizedPosition,
-            portfolioId: portfolio._id,
-            userId: portfolio.userId,
-            brokerData: {
-              broker: portfolio.broker,
-              brokerPositionId: brokerPosition.id,
-              brokerSymbol: brokerPosition.symbol,
-              brokerAccountId: portfolio.brokerConfig.accountId,
-              originalData: brokerPosition,
-              lastSyncAt: new Date(),
-              syncStatus: "synced",
-            },
+    if (position) {
+      if (position.hasLotHistory) {
+        // Lots are the source of volume and open price: add or match a lot
+        // for the volume difference instead of overwriting the totals
+        const {
+          volume,
+          openPrice,
+          openTime,
+          purchaseValue,
+          commission,
+          status,
+          ...details
+        } = normalizedPosition;
+        Object.assign(position, details);
+        if (position.status === "open") {
+          position.alignLots({
+            volume,
+            openPrice,
+            marketPrice: normalizedPosition.marketPrice,
           });
         }
+      } else {
+        // Update existing position
+        Object.assign(position, normalizedPosition);
+      }
+      position.brokerData.lastSyncAt = new Date();
+      position.brokerData.syncStatus = "synced";
 
-        await position.save();
-        syncResults.push(position);
+      // Imported positions matched by number are linked to the broker's ID
+      if (!position.brokerData.brokerPositionId) {
+        Object.assign(position.brokerData, {
+          broker: portfolio.broker,
+          brokerPositionId: brokerPosition.id,
+          brokerSymbol: brokerPosition.symbol,
+          brokerAccountId: portfolio.brokerConfig.accountId,
+        });
       }
+    } else {
+      // Create new position
+      position = new Position({
+        ...normalizedPosition,
+        portfolioId: portfolio._id,
+        userId: portfolio.userId,
+        brokerData: {
+          broker: portfolio.broker,
+          brokerPositionId: brokerPosition.id,
+          brokerSymbol: brokerPosition.symbol,
+          brokerAccountId: portfolio.brokerConfig.accountId,
+          originalData: brokerPosition,
+          lastSyncAt: new Date(),
+          syncStatus: "synced",
+        },
+      });
+    }
 
-      return {
-        success: true,
-        syncedPositions: syncResults.length,
-        positions: syncResults,
-      };
-    } catch (error) {
-      throw new Error(`Sync failed: ${error.message}`);
+    await position.save();
+    return position;
+  }
+
+  // Create the broker's cash operations not stored yet; the first sync
+  // takes the adapter's whole history, later ones a day before the last
+  async syncCashOperations(adapter, portfolio, brokerConfig) {
+    const CashOperation = require("../models/CashOperation");
+    const { lastSync } = brokerConfig;
+
+    const operations = await adapter.getCashOperations(
+      brokerConfig,
+      lastSync
+        ? { from: new Date(lastSync.getTime() - 24 * 60 * 60 * 1000) }
+        : {}
+    );
+
+    const created = [];
+    for (const operation of operations) {
+      const exists = await CashOperation.exists({
+        portfolioId: portfolio._id,
+        operationId: operation.operationId,
+      });
+      if (exists) continue;
+
+      const cashOperation = new CashOperation({
+        ...operation,
+        userId: portfolio.userId,
+        portfolioId: portfolio._id,
+      });
+      try {
+        await cashOperation.save();
+      } catch (error) {
+        // Operation IDs are unique across portfolios: the same account
+        // synced into another portfolio already holds this one
+        if (error.code === 11000 && error.keyPattern?.operationId) {
+          console.warn(
+            `⚠️ Cash operation ${operation.operationId} belongs to another portfolio, skipped`
+          );
+          continue;
+        }
+        throw error;
+      }
+      created.push(cashOperation);
     }
+
+    return created;
+  }
+
+  /**
+   * Run a sync claimed by BrokerSyncScheduler (Portfolio.claimSync or
+   * claimDueSync) and record the outcome on the portfolio: lastSync,
+   * lastSyncStatus, lastSyncError and the backoff of the next automatic
+   * sync. The owner gets a portfolio_update notification when syncing
+   * starts failing and when it is paused.
+   */
+  async runSync(portfolioId) {
+    const Portfolio = require("../models/Portfolio");
+
+    let result = null;
+    let error = null;
+    try {
+      result = await this.syncPortfolio(portfolioId);
+    } catch (err) {
+      error = err;
+    }
+
+    const portfolio = await Portfolio.findById(portfolioId);
+    if (!portfolio) {
+      throw new Error("Portfolio not found");
+    }
+
+    await portfolio.recordSyncResult(error);
+
+    if (error) {
+      console.error(
+        `❌ Sync of portfolio ${portfolio._id} failed (${portfolio.brokerConfig.consecutiveFailures} in a row):`,
+        error.message
+      );
+      await this.notifySyncError(portfolio);
+      throw error;
+    }
+
+    console.log(
+      `🔄 Portfolio ${portfolio._id} synced (${result.syncedPositions} positions)`
+    );
+    return result;
+  }
+
+  async notifySyncError(portfolio) {
+    const Notification = require("../models/Notification");
+    const { consecutiveFailures, lastSyncError, nextSyncAt } =
+      portfolio.brokerConfig;
+    const paused = Boolean(portfolio.$locals.syncPaused);
+
+    // First failure of a series and the pause; not every retry
+    if (!portfolio.settings.notificationsEnabled) return;
+    if (consecutiveFailures !== 1 && !paused) return;
+
+    const name = portfolio.name || portfolio.broker;
+    const notification = new Notification({
+      userId: portfolio.userId,
+      title: paused
+        ? `${name}: automatic sync paused`
+        : `${name}: sync with ${portfolio.broker} failed`,
+      message: paused
+        ? `Sync failed ${consecutiveFailures} times in a row and was paused. Last error: ${lastSyncError}. Start a sync manually once the problem is fixed.`
+        : `${lastSyncError}. Next attempt at ${nextSyncAt.toISOString()}.`,
+      type: "portfolio_update",
+      priority: paused ? "high" : "medium",
+      category: "portfolio",
+      metadata: {
+        systemComponent: "broker_sync",
+        extra: { portfolioId: portfolio._id, consecutiveFailures },
+      },
+    });
+
+    await notification
+      .save()
+      .catch((err) =>
+        console.error("❌ Sync notification failed:", err.message)
+      );
   }
 
   async testConnection(broker, credentials) {
@@ -99,6 +340,23 @@ class BrokerService {
     const adapter = this.getAdapter(broker);
     return await adapter.getAccountInfo(credentials);
   }
+
+  /**
+   * Send an order to the portfolio's broker account
+   * (POST /api/portfolios/:id/orders); positions follow with the next sync
+   * @param {string} portfolioId - Portfolio with a supported broker
+   * @param {Object} orderData - symbol, side, volume, type, price, stopLoss,
+   *   takeProfit, comment
+   * @returns {Promise<Object>} Broker's order confirmation
+   */
+  async placeOrder(portfolioId, orderData) {
+    const portfolio = await this.loadPortfolio(portfolioId);
+    const adapter = this.getAdapter(portfolio.broker);
+
+    return await this.withBrokerConfig(portfolio, (brokerConfig) =>
+      adapter.placeOrder(brokerConfig, orderData)
+    );
+  }
 }
 
 module.exports = new BrokerService();
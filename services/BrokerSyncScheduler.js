@@ -0,0 +1,112 @@
+// services/BrokerSyncScheduler.js - queues broker syncs of portfolios at their brokerConfig.syncInterval
+const Portfolio = require("../models/Portfolio");
+const BrokerService = require("./BrokerService");
+const JobQueue = require("./JobQueue");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// A portfolio still "syncing" after this long is released as failed
+const DEFAULT_SYNC_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * In-process scheduler. Each due portfolio is claimed in the DB (status
+ * "syncing"), so a sync is queued once even with several servers up; the
+ * sync itself runs as a broker_sync job (BrokerService.runSync), which
+ * records the result and schedules the next one. Failed syncs are not
+ * retried by the queue: the next automatic sync backs off instead.
+ */
+class BrokerSyncScheduler {
+  constructor() {
+    this.intervalMs =
+      Number(process.env.BROKER_SYNC_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.syncTimeoutMs =
+      Number(process.env.BROKER_SYNC_TIMEOUT_MS) || DEFAULT_SYNC_TIMEOUT_MS;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log("🔄 Broker sync scheduler started");
+
+    this.tick();
+  }
+
+  // Stop polling and wait for the portfolios being queued, if any
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log("🔄 Broker sync scheduler stopped");
+    }
+    await this.ticking;
+  }
+
+  // Claim and queue due portfolios until none are left
+  tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = (async () => {
+      const released = await Portfolio.releaseStaleSyncs(this.syncTimeoutMs);
+      if (released > 0) {
+        console.warn(`⚠️ Released ${released} portfolios stuck in syncing`);
+      }
+
+      const brokers = BrokerService.getSupportedBrokers();
+      let portfolio;
+      while (
+        this.timer &&
+        (portfolio = await Portfolio.claimDueSync(brokers))
+      ) {
+        await this.queueSync(portfolio, "scheduled");
+      }
+    })()
+      .catch((error) => console.error("❌ Broker sync scheduler error:", error))
+      .finally(() => {
+        this.ticking = null;
+      });
+
+    return this.ticking;
+  }
+
+  /**
+   * Start a manual sync (POST /api/portfolios/:id/sync)
+   * @returns {Promise<Object|null>} { portfolio, job }, or null when the
+   *   portfolio is already syncing or cannot be synced
+   */
+  async syncNow(portfolioId, userId) {
+    const portfolio = await Portfolio.claimSync(
+      portfolioId,
+      userId,
+      BrokerService.getSupportedBrokers()
+    );
+    if (!portfolio) return null;
+
+    const job = await this.queueSync(portfolio, "manual");
+    return { portfolio, job };
+  }
+
+  async queueSync(portfolio, trigger) {
+    try {
+      return await JobQueue.enqueue(
+        "broker_sync",
+        { portfolioId: portfolio._id, trigger },
+        {
+          userId: portfolio.userId,
+          target: { model: "Portfolio", id: portfolio._id },
+          maxAttempts: 1,
+          // Manual syncs go before scheduled ones
+          priority: trigger === "manual" ? 1 : 0,
+        }
+      );
+    } catch (error) {
+      await portfolio.recordSyncResult(error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BrokerSyncScheduler();
@@ -1,55 +1,149 @@
-// services/CurrencyService.js - NOWY PLIK
-const axios = require("axios");
+// services/CurrencyService.js - NBP exchange rates backed by ExchangeRate
+const ExchangeRate = require("../models/ExchangeRate");
+const NbpApiProvider = require("./exchangeRates/NbpApiProvider");
+const LocalFileProvider = require("./exchangeRates/LocalFileProvider");
+const { parseNbpTable } = require("./exchangeRates/nbpTableParser");
+
+const BASE_CURRENCY = "PLN";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createDefaultProvider = () =>
+  process.env.EXCHANGE_RATE_PROVIDER === "file"
+    ? new LocalFileProvider()
+    : new NbpApiProvider();
 
 class CurrencyService {
   constructor() {
     this.cache = new Map();
     this.cacheTTL = 60 * 60 * 1000; // 1 hour
-    this.apiKey = process.env.EXCHANGE_RATE_API_KEY;
-    this.baseUrl = "https://api.exchangerate-api.com/v4/latest";
+    this.provider = createDefaultProvider();
   }
 
-  async getExchangeRate(from, to) {
-    if (from === to) return 1;
+  // Swap the rate source (e.g. LocalFileProvider in tests or offline setups)
+  setProvider(provider) {
+    this.provider = provider;
+    this.clearCache();
+  }
 
-    const cacheKey = `${from}_${to}`;
+  /**
+   * Get the NBP average rate (PLN per unit) for a day.
+   * Rates come from the ExchangeRate table; days after the last stored table
+   * are fetched from the provider and stored. Weekends and holidays fall back to the last
+   * published table, up to ExchangeRate.MAX_LOOKBACK_DAYS back.
+   * @param {string} currency - ISO currency code
+   * @param {Date} date - Transaction or valuation date
+   * @param {Object} options - { preceding: true } for the tax rule (table
+   *   from the business day before the date)
+   */
+  async getRateToPln(currency, date = new Date(), options = {}) {
+    const code = currency.toUpperCase();
+    const day = ExchangeRate.toRateDate(date);
+
+    if (code === BASE_CURRENCY) {
+      return { currency: code, rate: 1, date: day, table: null };
+    }
+
+    const { preceding = false } = options;
+    const cacheKey = `${code}_${day.toISOString().slice(0, 10)}_${
+      preceding ? "preceding" : "effective"
+    }`;
     const cached = this.cache.get(cacheKey);
 
     if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
-      return cached.rate;
+      return cached.value;
     }
 
-    try {
-      const response = await axios.get(`${this.baseUrl}/${from}`, {
-        timeout: 5000,
+    const lookup = () =>
+      ExchangeRate.findRate(code, date, {
+        source: this.provider.source,
+        preceding,
       });
 
-      const rate = response.data.rates[to];
-      if (!rate) {
-        throw new Error(`Exchange rate not found for ${from} to ${to}`);
-      }
+    let found = await lookup();
+    const end = preceding ? new Date(day.getTime() - DAY_MS) : day;
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        rate,
-        timestamp: Date.now(),
-      });
+    // An older table may only mean the days after it were never fetched
+    if (!found || found.date < end) {
+      const start = found
+        ? new Date(found.date.getTime() + DAY_MS)
+        : new Date(day.getTime() - ExchangeRate.MAX_LOOKBACK_DAYS * DAY_MS);
 
-      return rate;
-    } catch (error) {
-      console.error("Exchange rate fetch error:", error);
+      await this.syncRates(code, start, end);
+      found = await lookup();
+    }
 
-      // Return cached rate if available, even if expired
-      if (cached) {
-        return cached.rate;
-      }
+    if (!found) {
+      throw new Error(
+        `No NBP exchange rate for ${code} ${
+          preceding ? "before" : "on or before"
+        } ${day.toISOString().slice(0, 10)}`
+      );
+    }
 
-      throw new Error(`Failed to get exchange rate from ${from} to ${to}`);
+    const value = {
+      currency: code,
+      rate: found.rate,
+      date: found.date,
+      table: found.table,
+    };
+    this.cache.set(cacheKey, { value, timestamp: Date.now() });
+
+    return value;
+  }
+
+  /**
+   * Get the rate converting one unit of `from` into `to` (cross via PLN).
+   */
+  async getExchangeRate(from, to, date = new Date(), options = {}) {
+    if (from === to) return 1;
+
+    const [fromRate, toRate] = await Promise.all([
+      this.getRateToPln(from, date, options),
+      this.getRateToPln(to, date, options),
+    ]);
+
+    return fromRate.rate / toRate.rate;
+  }
+
+  // Fetch a range from the provider and store it; provider errors are logged
+  // so lookups can still fall back to whatever is already stored
+  async syncRates(currency, startDate, endDate) {
+    try {
+      const rates = await this.provider.getRates(currency, startDate, endDate);
+      await ExchangeRate.upsertRates(rates, this.provider.source);
+      return rates.length;
+    } catch (error) {
+      console.error(
+        `Exchange rate provider ${this.provider.providerName} error:`,
+        error.message
+      );
+      return 0;
     }
   }
 
-  async convertAmount(amount, from, to) {
-    const rate = await this.getExchangeRate(from, to);
+  /**
+   * Import an NBP Table A file (archive CSV or API JSON) into ExchangeRate.
+   */
+  async importNbpFile(content, format) {
+    const rates = parseNbpTable(content, format);
+    const result = await ExchangeRate.upsertRates(rates);
+    const dates = rates.map((r) => r.date).sort();
+
+    this.clearCache();
+
+    return {
+      parsed: rates.length,
+      inserted: result.upsertedCount || 0,
+      updated: result.modifiedCount || 0,
+      currencies: [...new Set(rates.map((r) => r.currency))].sort(),
+      dateRange: dates.length
+        ? { from: dates[0], to: dates[dates.length - 1] }
+        : null,
+    };
+  }
+
+  async convertAmount(amount, from, to, date = new Date()) {
+    const rate = await this.getExchangeRate(from, to, date);
     return amount * rate;
   }
 
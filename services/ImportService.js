@@ -0,0 +1,1542 @@
+// services/ImportService.js - statement import: parse, validate, deduplicate, write
+const crypto = require("crypto");
+const XLSX = require("xlsx");
+const FileImport = require("../models/FileImport");
+const Portfolio = require("../models/Portfolio");
+const Position = require("../models/Position");
+const CashOperation = require("../models/CashOperation");
+const PendingOrder = require("../models/PendingOrder");
+const {
+  findHeaderRow,
+  mapHeaderRow,
+  normalizeHeader,
+  readMappedRow,
+  validateData,
+  getValidatorsForType,
+  readStatementInput,
+  detectBrokerFormat,
+  getBrokerFormat,
+  isStreamingFormat,
+  COLUMN_MAPPINGS,
+  DATA_VALIDATORS,
+} = require("../utils/excel");
+const {
+  readCsvBatches,
+  readCsvRows,
+  CSV_SHEET_NAME,
+} = require("../utils/csvStream");
+const { tradesToPositions, stableId } = require("../utils/brokerFormats");
+const { withTransaction } = require("../utils/transaction");
+
+// Rows per bulk write and per streamed CSV batch; progress is saved and
+// cancellation checked between batches
+const BATCH_SIZE = 500;
+
+// CSV rows read to recognise a broker format before reading the whole file
+const DETECTION_ROWS = 100;
+
+// Row errors stored on the import; processing.errorRows counts all of them
+const MAX_STORED_ERRORS = 1000;
+
+// Normalized rows and row errors returned per sheet by preview()
+const PREVIEW_SAMPLE_ROWS = 5;
+const PREVIEW_MAX_ERRORS = 50;
+
+// Required fields the builders fill from another column when missing:
+// cash comment from the operation type, order side from "BUY LIMIT"
+const DERIVED_FIELDS = {
+  cash_operations: { comment: "type" },
+  orders: { side: "type" },
+};
+
+const SUPPORTED_CURRENCIES = ["USD", "EUR", "PLN", "GBP"];
+
+// Instrument currency from the XTB symbol suffix (AAPL.US, CDR.PL, SAP.DE)
+const SYMBOL_SUFFIX_CURRENCIES = {
+  US: "USD",
+  PL: "PLN",
+  UK: "GBP",
+  DE: "EUR",
+  FR: "EUR",
+  NL: "EUR",
+  IT: "EUR",
+  ES: "EUR",
+  BE: "EUR",
+  PT: "EUR",
+  FI: "EUR",
+  IE: "EUR",
+  AT: "EUR",
+};
+
+// Sheet kind by XTB sheet name ("CLOSED POSITION HISTORY", "OPEN POSITION
+// 27042024", "CASH OPERATION HISTORY", "PENDING ORDERS"); other sheets
+// (CSV files, renamed sheets) by the header row that matches best
+const getSheetDataType = (sheetName, data) => {
+  if (/position/i.test(sheetName)) return "positions";
+  if (/cash/i.test(sheetName)) return "cash_operations";
+  if (/order/i.test(sheetName)) return "orders";
+
+  let best = null;
+  let bestScore = 0;
+
+  Object.keys(COLUMN_MAPPINGS).forEach((dataType) => {
+    const headerIndex = findHeaderRow(data, dataType);
+    if (headerIndex === -1) return;
+
+    const score = Object.keys(mapHeaderRow(data[headerIndex], dataType)).length;
+    if (score > bestScore) {
+      best = dataType;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+const isBlankRow = (row) =>
+  !row || row.every((cell) => cell === "" || cell === null);
+
+// XTB closes every sheet with a "Total" row
+const isSummaryRow = (row) =>
+  /^(total|suma)$/i.test(
+    String(row.find((cell) => cell !== "" && cell !== null) ?? "").trim()
+  );
+
+// Account currency and number from the block above the header row
+const readAccountInfo = (data, headerIndex) => {
+  const info = {};
+
+  for (let i = 0; i < headerIndex - 1; i++) {
+    data[i].forEach((cell, column) => {
+      const label = String(cell).trim().toLowerCase();
+      const value = data[i + 1]?.[column];
+      if (value === "" || value === undefined) return;
+
+      if (label === "currency" && !info.currency) {
+        info.currency = String(value).trim().toUpperCase();
+      } else if (label === "account" && !info.accountId) {
+        info.accountId = String(value).trim();
+      }
+    });
+  }
+
+  return info;
+};
+
+const getSymbolCurrency = (symbol, fallback) =>
+  SYMBOL_SUFFIX_CURRENCIES[symbol.split(".").pop()] || fallback;
+
+const getAccountCurrency = (account, portfolio) =>
+  SUPPORTED_CURRENCIES.includes(account.currency)
+    ? account.currency
+    : portfolio.currency;
+
+const rowError = (message, field, value) => {
+  const error = new Error(message);
+  error.field = field;
+  error.value = value;
+  return error;
+};
+
+// Validate a mapped row with the shared validators; the first failing
+// field is reported on the row
+const validateRow = (mappedRow, dataType) => {
+  const { validRows, errors } = validateData([mappedRow], dataType);
+
+  if (errors.length > 0) {
+    const [first] = errors[0].errors;
+    throw rowError(
+      errors[0].errors.map((e) => e.error).join("; "),
+      first.field,
+      first.value
+    );
+  }
+
+  return { ...mappedRow, ...validRows[0] };
+};
+
+const addImportError = (fileImport, row, error, options = {}) => {
+  if (fileImport.errors.length >= MAX_STORED_ERRORS) return;
+
+  fileImport.errors.push({
+    row,
+    error,
+    field: options.field,
+    value: options.value,
+    severity: options.severity || "error",
+  });
+};
+
+const createWriteResult = () => ({
+  successful: 0,
+  errors: 0,
+  skipped: 0,
+  positions: 0,
+  cashOperations: 0,
+  pendingOrders: 0,
+  cancelled: false,
+});
+
+const countDuplicates = (counts) =>
+  counts.updated + counts.unchanged + counts.conflict;
+
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+// Sheets as rows; CSV files are read in batches instead of as a workbook
+const readWorkbookRows = async (filePath, { maxRows = null } = {}) => {
+  if (isStreamingFormat(filePath)) {
+    const { rows } = await readCsvRows(filePath, { maxRows });
+    return [{ name: CSV_SHEET_NAME, data: rows }];
+  }
+
+  const workbook = XLSX.readFile(filePath);
+  return workbook.SheetNames.map((name) => ({
+    name,
+    data: XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+      header: 1,
+      defval: "",
+    }),
+  }));
+};
+
+const getImportErrorMessage = (error) => {
+  if (error.code === 11000) {
+    return "Record with this ID has already been imported";
+  }
+  return error.message;
+};
+
+const generateRecordId = () =>
+  Date.now() * 1000 + Math.floor(Math.random() * 1000);
+
+// Stable hash of plain values (ObjectIds and dates included)
+const hashValues = (values) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify(values, (key, value) =>
+        typeof value === "number" ? Number(value.toFixed(8)) : value
+      )
+    )
+    .digest("hex");
+
+// Import record for model data: fingerprint from the identity fields (to
+// find the same trade when IDs differ) and a hash of the whole content
+const createRecord = (
+  typeConfig,
+  data,
+  { sheet, dataType, rowNumber },
+  portfolio
+) => ({
+  sheet,
+  dataType,
+  rowNumber,
+  data,
+  fingerprint: hashValues([
+    String(portfolio._id),
+    ...typeConfig.identity.map((field) => data[field] ?? null),
+  ]),
+  contentHash: hashValues(data),
+});
+
+// XTB order types read "BUY LIMIT", "SELL STOP", ...
+const parseOrderType = (typeValue, sideValue) => {
+  const text = `${typeValue || ""} ${sideValue || ""}`.toLowerCase();
+  const side = /\bsell\b/.test(text)
+    ? "sell"
+    : /\bbuy\b/.test(text)
+    ? "buy"
+    : null;
+
+  let type = "limit";
+  if (/stop[ _]?limit/.test(text)) type = "stop_limit";
+  else if (/trailing/.test(text)) type = "trailing_stop";
+  else if (/stop/.test(text)) type = "stop";
+  else if (/market/.test(text)) type = "market";
+
+  return { side, type };
+};
+
+// Record builders: mapped row -> model data, nothing is written here.
+// The external ID is left undefined when the file has none.
+
+const buildPosition = (mappedRow, { portfolio, account }) => {
+  const row = validateRow(mappedRow, "positions");
+  const isClosed = Boolean(row.close_time && row.close_price);
+  const accountCurrency = getAccountCurrency(account, portfolio);
+
+  // XTB reports costs as negative amounts; the model stores them as positive
+  const commission = Math.abs(row.commission || 0);
+  const swap = -((row.swap || 0) + (DATA_VALIDATORS.number(row.rollover) || 0));
+
+  return {
+    portfolioId: portfolio._id,
+    positionId: DATA_VALIDATORS.positiveNumber(row.position_id) || undefined,
+    symbol: row.symbol,
+    type: row.type,
+    volume: row.volume,
+    openTime: row.open_time,
+    openPrice: row.open_price,
+    closeTime: isClosed ? row.close_time : null,
+    closePrice: isClosed ? row.close_price : null,
+    marketPrice: isClosed
+      ? null
+      : DATA_VALIDATORS.positiveNumber(row.market_price),
+    purchaseValue: row.volume * row.open_price,
+    saleValue: isClosed ? row.volume * row.close_price : null,
+    grossPL: DATA_VALIDATORS.number(row.profit) || 0,
+    status: isClosed ? "closed" : "open",
+    commission,
+    swap,
+    taxes: Math.abs(row.taxes || 0),
+    currency: getSymbolCurrency(row.symbol, accountCurrency),
+    notes: row.comment ? String(row.comment).slice(0, 500) : undefined,
+    importedFrom: "excel",
+    brokerData: {
+      broker: portfolio.broker || "XTB",
+      brokerPositionId: row.position_id ? String(row.position_id) : undefined,
+      brokerSymbol: row.symbol,
+      brokerAccountId:
+        account.accountId ||
+        portfolio.brokerConfig?.accountId ||
+        String(portfolio._id),
+    },
+  };
+};
+
+const buildCashOperation = (mappedRow, { userId, portfolio, account }) => {
+  // XTB leaves the comment empty for some operations
+  const row = validateRow(
+    { ...mappedRow, comment: mappedRow.comment || mappedRow.type },
+    "cash_operations"
+  );
+
+  return {
+    userId,
+    portfolioId: portfolio._id,
+    operationId: DATA_VALIDATORS.positiveNumber(row.operation_id) || undefined,
+    type: row.type,
+    time: row.time,
+    amount: row.amount,
+    // Cash operations are booked in the account currency
+    currency: mappedRow.currency
+      ? row.currency
+      : getAccountCurrency(account, portfolio),
+    comment: String(row.comment).slice(0, 200),
+    symbol: row.symbol || undefined,
+    source: "import",
+  };
+};
+
+const buildPendingOrder = (mappedRow, { userId, portfolio, account }) => {
+  const { side, type } = parseOrderType(mappedRow.type, mappedRow.side);
+  const row = validateRow(
+    { ...mappedRow, side: side || mappedRow.side },
+    "orders"
+  );
+
+  if (!side) {
+    throw rowError(
+      `Invalid order side: ${mappedRow.type}`,
+      "side",
+      mappedRow.type
+    );
+  }
+
+  const price = row.price || undefined;
+
+  return {
+    userId,
+    portfolioId: portfolio._id,
+    orderId: DATA_VALIDATORS.positiveNumber(row.order_id) || undefined,
+    symbol: row.symbol,
+    type,
+    side,
+    volume: row.volume,
+    price,
+    stopPrice: DATA_VALIDATORS.positiveNumber(row.stop_price) || undefined,
+    purchaseValue: price ? price * row.volume : 0,
+    openTime: row.open_time,
+    status: "pending",
+    currency: getSymbolCurrency(
+      row.symbol,
+      getAccountCurrency(account, portfolio)
+    ),
+    source: "import",
+  };
+};
+
+// Broker statement builders (utils/brokerFormats): parsed position or cash
+// operation -> model data. IDs are derived from the broker's own IDs so a
+// re-imported statement matches the records it created.
+
+const checkCurrency = (currency) => {
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw rowError(`Unsupported currency: ${currency}`, "currency", currency);
+  }
+};
+
+const buildBrokerPosition = (position, { format, portfolio }) => {
+  // QIF carries no currency; OFX has it per statement
+  const currency = position.currency || portfolio.currency;
+  checkCurrency(currency);
+  if (position.symbol.length > 12) {
+    throw rowError(
+      "Symbol cannot exceed 12 characters",
+      "symbol",
+      position.symbol
+    );
+  }
+
+  return {
+    portfolioId: portfolio._id,
+    positionId: stableId(format.id, position.accountId || "", position.tradeId),
+    symbol: position.symbol,
+    name: position.name ? position.name.slice(0, 100) : undefined,
+    type: position.type,
+    volume: position.volume,
+    openTime: position.openTime,
+    openPrice: position.openPrice,
+    closeTime: position.closeTime,
+    closePrice: position.closePrice,
+    purchaseValue: position.purchaseValue,
+    saleValue: position.saleValue,
+    grossPL: position.grossPL,
+    realizedPL: position.realizedPL,
+    status: position.status,
+    commission: position.commission,
+    taxes: position.taxes,
+    currency,
+    exchange: position.exchange ? position.exchange.slice(0, 50) : undefined,
+    lots: position.lots,
+    importedFrom: "excel",
+    brokerData: {
+      broker: format.broker || portfolio.broker || "MANUAL",
+      brokerPositionId: String(position.tradeId),
+      brokerSymbol: position.isin || position.symbol,
+      brokerAccountId:
+        position.accountId ||
+        portfolio.brokerConfig?.accountId ||
+        String(portfolio._id),
+    },
+  };
+};
+
+const buildBrokerCashOperation = (operation, { format, userId, portfolio }) => {
+  const currency = operation.currency || portfolio.currency;
+  checkCurrency(currency);
+
+  return {
+    userId,
+    portfolioId: portfolio._id,
+    operationId: stableId(
+      format.id,
+      operation.accountId || "",
+      operation.operationId
+    ),
+    type: operation.type,
+    time: operation.time,
+    amount: operation.amount,
+    currency,
+    comment: String(operation.comment || operation.type).slice(0, 200),
+    symbol:
+      operation.symbol && operation.symbol.length <= 12
+        ? operation.symbol
+        : undefined,
+    source: "import",
+  };
+};
+
+// Per data type: model, external ID field, builder and the fields that
+// identify the same trade/operation when the broker ID does not match
+const RECORD_TYPES = {
+  positions: {
+    model: Position,
+    idField: "positionId",
+    countKey: "positions",
+    build: buildPosition,
+    identity: ["symbol", "type", "openTime", "openPrice", "volume"],
+  },
+  cash_operations: {
+    model: CashOperation,
+    idField: "operationId",
+    countKey: "cashOperations",
+    build: buildCashOperation,
+    identity: ["type", "time", "amount", "symbol"],
+    linkImport: (fileImport) => ({ importBatchId: fileImport._id }),
+  },
+  orders: {
+    model: PendingOrder,
+    idField: "orderId",
+    countKey: "pendingOrders",
+    build: buildPendingOrder,
+    identity: ["symbol", "side", "type", "volume", "price", "openTime"],
+  },
+};
+
+class ImportService {
+  /**
+   * Import an uploaded statement in the background.
+   * Rows are validated and classified against existing records first
+   * (new / updated / unchanged / conflict); then new rows are created and
+   * updated rows handled according to configuration.duplicatePolicy.
+   * CSV files in the XTB layout are streamed and written batch by batch;
+   * workbooks and broker statements are parsed whole and written in
+   * batches. Progress is saved after every batch, where a cancellation
+   * requested with PUT /api/import/:id/cancel stops the import.
+   * Runs as a file_import job (services/JobQueue); errors are rethrown
+   * after the import is marked failed so the job can decide on a retry.
+   * @returns {Promise<FileImport|null>} the finished import
+   */
+  async processFile(fileImportId, userId, portfolioId) {
+    const fileImport = await FileImport.findById(fileImportId);
+    if (!fileImport) return null;
+
+    try {
+      if (fileImport.cancelRequestedAt) {
+        await fileImport.markCancelled("Cancelled before processing started");
+        return fileImport;
+      }
+
+      // A retried job re-runs an interrupted or failed attempt; rows that
+      // attempt wrote are found again as unchanged
+      if (fileImport.status !== "pending") {
+        fileImport.errors = [];
+        fileImport.endTime = undefined;
+      }
+
+      const portfolio = await this.getPortfolio(portfolioId, userId);
+
+      fileImport.status = "processing";
+      await fileImport.updateProgress(5, "parsing", "Reading file...");
+
+      const context = { userId, portfolio, fileImport };
+      const policy = fileImport.configuration?.duplicatePolicy || "skip";
+      const statement = await this.readBrokerStatement(fileImport);
+      const result =
+        !statement && isStreamingFormat(fileImport.storage.path)
+          ? await this.importStream(context, policy)
+          : await this.importParsed(statement, context, policy);
+      const { stats, counts, written } = result;
+
+      result.issues.forEach((issue) =>
+        addImportError(fileImport, issue.row, issue.error, issue)
+      );
+      fileImport.deduplication = counts;
+
+      // Update FileImport with results
+      fileImport.processing = {
+        totalRows: stats.processed,
+        processedRows: stats.processed,
+        successfulRows: written.successful,
+        errorRows: stats.errors + written.errors,
+        skippedRows: stats.skipped + written.skipped,
+        duplicateRows: counts.updated + counts.unchanged,
+      };
+
+      fileImport.recordsCount = {
+        positions: written.positions,
+        cashOperations: written.cashOperations,
+        pendingOrders: written.pendingOrders,
+        total: written.successful,
+      };
+
+      // Position saves skipped the per-document stats update
+      if (written.positions > 0) await portfolio.updateStats();
+
+      if (result.cancelled) {
+        await fileImport.markCancelled(
+          `Cancelled after ${stats.processed} rows - ${written.successful} records imported`
+        );
+        return fileImport;
+      }
+
+      if (policy === "fail" && countDuplicates(counts) > 0) {
+        await fileImport.markFailed(
+          `${countDuplicates(
+            counts
+          )} rows match existing records (duplicate policy: fail)`
+        );
+        return fileImport;
+      }
+
+      const errorRows = fileImport.processing.errorRows;
+      if (errorRows > 0 && written.successful + written.skipped === 0) {
+        await fileImport.markFailed(`All ${errorRows} rows failed to import`);
+        return fileImport;
+      }
+
+      fileImport.status = errorRows > 0 ? "partial" : "completed";
+      fileImport.endTime = new Date();
+      fileImport.progress.percentage = 100;
+      fileImport.progress.currentStep = "completed";
+      fileImport.progress.message = `Imported ${written.successful} of ${stats.processed} rows`;
+      await fileImport.save();
+      return fileImport;
+    } catch (error) {
+      console.error("Background processing error:", error);
+      await fileImport.markFailed(error.message.slice(0, 200));
+      throw error;
+    }
+  }
+
+  // Workbook or broker statement: every row is built and classified, then
+  // written in batches unless the duplicate policy fails the import
+  async importParsed(statement, context, policy) {
+    const { fileImport } = context;
+    const { records, issues, stats, counts } = await this.analyze(
+      fileImport,
+      context,
+      {
+        statement,
+        onSheetsRead: (sheets) =>
+          fileImport.updateProgress(
+            10,
+            "validating",
+            `Validating ${sheets.length} sheets...`
+          ),
+      }
+    );
+
+    const written =
+      policy === "fail" && countDuplicates(counts) > 0
+        ? createWriteResult()
+        : await this.writeRecords(records, policy, context);
+
+    return { issues, stats, counts, written, cancelled: written.cancelled };
+  }
+
+  // XTB-layout CSV: streamed once, or twice with the fail policy, which
+  // must find every duplicate before anything is written
+  async importStream(context, policy) {
+    if (policy === "fail") {
+      const check = await this.streamCsvFile(context, {
+        progress: { from: 10, to: 40, label: "Checked" },
+      });
+      if (check.cancelled || countDuplicates(check.counts) > 0) return check;
+    }
+
+    return this.streamCsvFile(context, {
+      write: true,
+      policy,
+      progress: policy === "fail" ? { from: 40, to: 95 } : { from: 10, to: 95 },
+    });
+  }
+
+  /**
+   * Dry run: parse, validate and classify every row without writing any
+   * record. Returns the statement format, and per sheet the detected type,
+   * the column mapping in use (header names), normalized sample rows and
+   * row errors. XTB-layout CSV files are streamed and only the sample rows
+   * are kept.
+   */
+  async preview(fileImport, userId, { sampleRows = PREVIEW_SAMPLE_ROWS } = {}) {
+    const portfolio = await this.getPortfolio(fileImport.portfolioId, userId);
+    const context = { userId, portfolio, fileImport };
+    const statement = await this.readBrokerStatement(fileImport);
+    const { sheets, records, issues, stats, counts } =
+      !statement && isStreamingFormat(fileImport.storage.path)
+        ? await this.streamCsvFile(context, { sampleRows })
+        : await this.analyze(fileImport, context, { statement });
+
+    return {
+      brokerFormat: fileImport.configuration.brokerFormat,
+      sheets: sheets.map((sheet) => {
+        const sheetRecords = records.filter(
+          (record) => record.sheet === sheet.name
+        );
+        const sheetIssues = issues.filter(
+          (issue) => issue.sheet === sheet.name
+        );
+        // Broker statements have a fixed layout and no editable mapping
+        const mapping = sheet.columns ? this.describeColumns(sheet) : {};
+
+        return {
+          name: sheet.name,
+          dataType: sheet.dataType,
+          headerRow: sheet.columns ? sheet.headerIndex + 1 : null,
+          headers: sheet.columns ? sheet.headers.filter(Boolean) : [],
+          ...mapping,
+          totalRows: sheet.stats.processed,
+          validRows: sheet.stats.valid,
+          errorRows: sheet.stats.errors,
+          sampleRows: sheetRecords.slice(0, sampleRows).map((record) => ({
+            row: record.rowNumber,
+            status: record.status,
+            data: record.data,
+          })),
+          errors: sheetIssues.slice(0, PREVIEW_MAX_ERRORS),
+        };
+      }),
+      warnings: issues.filter((issue) => !issue.sheet || issue.row === 0),
+      summary: {
+        totalRows: stats.processed,
+        validRows: stats.valid,
+        errorRows: stats.errors,
+        skippedRows: stats.skipped,
+        deduplication: counts,
+      },
+    };
+  }
+
+  /**
+   * Check a user-edited mapping ({ [sheetName]: { [field]: header } })
+   * against the sheets of the file
+   * @returns {Promise<string[]>} Problems found, empty when valid
+   */
+  async validateColumnMapping(fileImport, columnMapping) {
+    const brokerFormat = getBrokerFormat(
+      fileImport.configuration?.brokerFormat
+    );
+    if (brokerFormat) {
+      return [
+        `Column mapping cannot be changed for ${brokerFormat.label} statements`,
+      ];
+    }
+
+    const { sheets } = await this.readSheets(fileImport.storage.path, null, {
+      maxRows: DETECTION_ROWS,
+    });
+    const problems = [];
+
+    Object.entries(columnMapping).forEach(([sheetName, fields]) => {
+      const sheet = sheets.find((candidate) => candidate.name === sheetName);
+
+      if (!sheet) {
+        problems.push(`Unknown sheet: ${sheetName}`);
+        return;
+      }
+
+      if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+        problems.push(`[${sheetName}] Mapping must be an object`);
+        return;
+      }
+
+      const headers = sheet.headers.map(normalizeHeader);
+
+      Object.entries(fields).forEach(([field, header]) => {
+        if (!COLUMN_MAPPINGS[sheet.dataType][field]) {
+          problems.push(`[${sheetName}] Unknown field: ${field}`);
+        } else if (
+          header !== null &&
+          header !== "" &&
+          !headers.includes(normalizeHeader(header))
+        ) {
+          problems.push(`[${sheetName}] Column not found: ${header}`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  async getPortfolio(portfolioId, userId) {
+    const portfolio = portfolioId
+      ? await Portfolio.findOne({ _id: portfolioId, userId })
+      : null;
+
+    if (!portfolio) {
+      throw new Error("Portfolio not found - select a portfolio to import to");
+    }
+
+    return portfolio;
+  }
+
+  // Read, build and classify all rows; nothing is written. statement is
+  // the result of readBrokerStatement when the caller already read it.
+  async analyze(fileImport, context, { statement, onSheetsRead } = {}) {
+    if (statement === undefined) {
+      statement = await this.readBrokerStatement(fileImport);
+    }
+    const { sheets, issues } = statement
+      ? this.parseBrokerStatement(statement, context)
+      : await this.readSheets(
+          fileImport.storage.path,
+          fileImport.columnMapping
+        );
+    if (onSheetsRead) await onSheetsRead(sheets);
+
+    // Detected format is kept so the commit does not detect it again
+    fileImport.configuration.brokerFormat = statement
+      ? statement.format.id
+      : "xtb";
+
+    const records = [];
+    const stats = { processed: 0, valid: 0, errors: 0, skipped: 0 };
+
+    for (const sheet of sheets) {
+      // Broker statement records are built while parsing
+      const result = sheet.stats || this.buildSheetRecords(sheet, context);
+      result.valid = result.records.length;
+      sheet.stats = result;
+      stats.processed += result.processed;
+      stats.valid += result.valid;
+      stats.errors += result.errors;
+      stats.skipped += result.skipped;
+      issues.push(...result.issues);
+      records.push(...result.records);
+    }
+
+    for (const [dataType, typeConfig] of Object.entries(RECORD_TYPES)) {
+      await this.classifyRecords(
+        records.filter((record) => record.dataType === dataType),
+        typeConfig,
+        context.portfolio
+      );
+    }
+
+    const counts = { new: 0, updated: 0, unchanged: 0, conflict: 0 };
+    records.forEach((record) => {
+      counts[record.status] += 1;
+    });
+
+    return { sheets, records, issues, stats, counts };
+  }
+
+  /**
+   * Stream an XTB-layout CSV file: the header is located in the first
+   * batch, then every batch is built, classified and, with write, written
+   * before the next one is read. Only sampleRows records are kept.
+   * @param {Object} context - { userId, portfolio, fileImport }
+   * @param {Object} options - write, policy, sampleRows, progress
+   *   ({ from, to, label } percentages; saves progress and stops on a
+   *   requested cancellation after every batch)
+   * @returns {Promise<Object>} { sheets, records, issues, stats, counts, written, cancelled }
+   */
+  async streamCsvFile(
+    context,
+    { write = false, policy = "skip", sampleRows = 0, progress = null } = {}
+  ) {
+    const { fileImport } = context;
+    const stats = { processed: 0, valid: 0, errors: 0, skipped: 0 };
+    const counts = { new: 0, updated: 0, unchanged: 0, conflict: 0 };
+    const written = createWriteResult();
+    const records = [];
+    const issues = [];
+    // Duplicate rows are tracked across batches
+    const classifyState = { seen: new Map(), fileIds: new Set() };
+    let sheet;
+    let cancelled = false;
+
+    fileImport.configuration.brokerFormat = "xtb";
+
+    for await (const batch of readCsvBatches(fileImport.storage.path, {
+      batchSize: BATCH_SIZE,
+    })) {
+      let rows = batch.rows;
+      let firstRow = batch.firstRow;
+
+      if (sheet === undefined) {
+        sheet = this.locateSheet(
+          CSV_SHEET_NAME,
+          rows,
+          fileImport.columnMapping,
+          issues
+        );
+        if (!sheet) break;
+
+        sheet.stats = stats;
+        sheet.account = readAccountInfo(rows, sheet.headerIndex);
+        firstRow = sheet.headerIndex + 1;
+        rows = rows.slice(firstRow);
+      }
+
+      const result = this.buildRowRecords(
+        sheet,
+        { ...context, account: sheet.account },
+        rows,
+        firstRow
+      );
+      stats.processed += result.processed;
+      stats.valid += result.records.length;
+      stats.errors += result.errors;
+      stats.skipped += result.skipped;
+      issues.push(...result.issues.slice(0, MAX_STORED_ERRORS - issues.length));
+
+      await this.classifyRecords(
+        result.records,
+        RECORD_TYPES[sheet.dataType],
+        context.portfolio,
+        classifyState
+      );
+      result.records.forEach((record) => {
+        counts[record.status] += 1;
+      });
+      records.push(...result.records.slice(0, sampleRows - records.length));
+
+      if (write)
+        await this.writeBatch(result.records, policy, context, written);
+
+      if (progress) {
+        const { from, to, label = "Processed" } = progress;
+        fileImport.processing.processedRows = stats.processed;
+        fileImport.progress.processedBytes = batch.bytesRead;
+        fileImport.progress.totalBytes = batch.totalBytes;
+        await fileImport.updateProgress(
+          from + Math.round((batch.bytesRead / batch.totalBytes) * (to - from)),
+          "importing",
+          `${label} ${stats.processed} rows (${formatMegabytes(
+            batch.bytesRead
+          )} of ${formatMegabytes(batch.totalBytes)} MB)`
+        );
+
+        if (await this.isCancelRequested(fileImport)) {
+          cancelled = true;
+          break;
+        }
+      }
+    }
+
+    return {
+      sheets: sheet ? [sheet] : [],
+      records,
+      issues,
+      stats,
+      counts,
+      written,
+      cancelled,
+    };
+  }
+
+  // Cancellation is requested on the stored document by another request
+  async isCancelRequested(fileImport) {
+    const current = await FileImport.findById(fileImport._id)
+      .select("cancelRequestedAt")
+      .lean();
+    return Boolean(current?.cancelRequestedAt);
+  }
+
+  /**
+   * Statement of a broker other than XTB, by configuration.brokerFormat or
+   * detected from the content when it is "auto"
+   * @returns {Promise<Object|null>} { format, input }, null for XTB files
+   */
+  async readBrokerStatement(fileImport) {
+    const requested = fileImport.configuration?.brokerFormat || "auto";
+    if (requested === "xtb") return null;
+
+    // The format is recognised from the first CSV rows; the whole file is
+    // only read for broker statements
+    const head = await readStatementInput(
+      fileImport.storage.path,
+      fileImport.originalName,
+      { maxRows: DETECTION_ROWS }
+    );
+    const format =
+      requested === "auto"
+        ? detectBrokerFormat(head)
+        : getBrokerFormat(requested);
+
+    if (format && !format.detect(head)) {
+      throw new Error(`File is not a ${format.label} statement`);
+    }
+    if (!format && !head.sheets.length) {
+      throw new Error(
+        "Unrecognized statement format - supported text statements are IBKR Flex Query XML, OFX/QFX and QIF"
+      );
+    }
+    if (!format) return null;
+
+    const input = head.truncated
+      ? await readStatementInput(
+          fileImport.storage.path,
+          fileImport.originalName
+        )
+      : head;
+    return { format, input };
+  }
+
+  /**
+   * Parse a broker statement into sheets whose records are already built.
+   * Buys become positions with sells matched FIFO (tradesToPositions).
+   * Rows the format does not import are reported as warnings and skipped.
+   */
+  parseBrokerStatement({ format, input }, context) {
+    const parsed = format.parse(input);
+    if (parsed.sections.length === 0) {
+      throw new Error(
+        `No ${format.label} trades or cash operations found in the file`
+      );
+    }
+
+    const sheets = new Map();
+    parsed.sections.forEach((section) => {
+      const sheet = sheets.get(section.name);
+      if (sheet) {
+        // IBKR CSV exports can hold several sections in one file
+        sheet.stats.processed += section.rows;
+        if (sheet.dataType !== section.dataType) sheet.dataType = "history";
+        return;
+      }
+      sheets.set(section.name, {
+        name: section.name,
+        dataType: section.dataType,
+        broker: format.id,
+        stats: {
+          processed: section.rows,
+          errors: 0,
+          skipped: 0,
+          records: [],
+          issues: [],
+        },
+      });
+    });
+
+    const rowIssues = [...parsed.issues];
+    const buildContext = { ...context, format };
+    const addRecord = (dataType, build, item) => {
+      try {
+        sheets
+          .get(item.sheet)
+          .stats.records.push(
+            createRecord(
+              RECORD_TYPES[dataType],
+              build(item, buildContext),
+              { sheet: item.sheet, dataType, rowNumber: item.rowNumber },
+              context.portfolio
+            )
+          );
+      } catch (error) {
+        rowIssues.push({
+          sheet: item.sheet,
+          row: item.rowNumber,
+          error: error.message,
+          field: error.field,
+          value: error.value,
+        });
+      }
+    };
+
+    tradesToPositions(parsed.trades, rowIssues).forEach((position) =>
+      addRecord("positions", buildBrokerPosition, position)
+    );
+    parsed.cashOperations.forEach((operation) =>
+      addRecord("cash_operations", buildBrokerCashOperation, operation)
+    );
+
+    const errorRows = new Set();
+    rowIssues.forEach((issue) => {
+      const { stats } = sheets.get(issue.sheet);
+      stats.issues.push({
+        row: issue.row,
+        sheet: issue.sheet,
+        error: `[${issue.sheet}] ${issue.error}`.slice(0, 500),
+        field: issue.field,
+        value: issue.value,
+        ...(issue.severity && { severity: issue.severity }),
+      });
+
+      // One statement row can produce several records and issues
+      if (issue.severity === "warning") {
+        stats.skipped += 1;
+      } else if (!errorRows.has(`${issue.sheet}:${issue.row}`)) {
+        errorRows.add(`${issue.sheet}:${issue.row}`);
+        stats.errors += 1;
+      }
+    });
+
+    return { sheets: [...sheets.values()], issues: [] };
+  }
+
+  /**
+   * Recognised sheets with their header row located.
+   * columnMapping ({ [sheetName]: { [field]: header } }) overrides the
+   * automatic mapping; a null or empty header unmaps the field. maxRows
+   * limits the CSV rows read when only the header is needed.
+   */
+  async readSheets(filePath, columnMapping = null, { maxRows = null } = {}) {
+    const sheets = [];
+    const issues = [];
+
+    for (const { name, data } of await readWorkbookRows(filePath, {
+      maxRows,
+    })) {
+      const sheet = this.locateSheet(name, data, columnMapping, issues);
+      if (sheet) sheets.push(sheet);
+    }
+
+    return { sheets, issues };
+  }
+
+  // Data type, header row and column mapping of a sheet; null when it holds
+  // no importable data (a missing header row is reported in issues)
+  locateSheet(sheetName, data, columnMapping, issues) {
+    const dataType = getSheetDataType(sheetName, data);
+    if (!dataType) return null;
+
+    const headerIndex = findHeaderRow(data, dataType);
+
+    if (headerIndex === -1) {
+      issues.push({
+        row: 0,
+        sheet: sheetName,
+        error: `[${sheetName}] Header row not found`,
+        severity: "warning",
+      });
+      return null;
+    }
+
+    const headers = data[headerIndex].map((cell) => String(cell).trim());
+    const columns = mapHeaderRow(headers, dataType);
+    const overrides = columnMapping?.[sheetName] || {};
+
+    Object.entries(overrides).forEach(([field, header]) => {
+      const index = headers
+        .map(normalizeHeader)
+        .indexOf(normalizeHeader(header));
+
+      if (header === null || header === "" || index === -1) {
+        delete columns[field];
+      } else {
+        columns[field] = index;
+      }
+    });
+
+    return {
+      name: sheetName,
+      dataType,
+      data,
+      headerIndex,
+      headers,
+      columns,
+    };
+  }
+
+  // Column mapping of a sheet as header names, plus what is left unmapped
+  describeColumns(sheet) {
+    const columnMapping = {};
+    Object.entries(sheet.columns).forEach(([field, index]) => {
+      columnMapping[field] = sheet.headers[index];
+    });
+
+    const used = Object.values(sheet.columns);
+    const required = Object.entries(getValidatorsForType(sheet.dataType))
+      .filter(([, validator]) => validator.required)
+      .map(([field]) => field);
+
+    return {
+      columnMapping,
+      availableFields: Object.keys(COLUMN_MAPPINGS[sheet.dataType]),
+      unmappedColumns: sheet.headers.filter(
+        (header, index) => header && !used.includes(index)
+      ),
+      missingFields: required.filter((field) => {
+        const source = DERIVED_FIELDS[sheet.dataType]?.[field];
+        return (
+          sheet.columns[field] === undefined &&
+          (!source || sheet.columns[source] === undefined)
+        );
+      }),
+    };
+  }
+
+  // Build model data for every row below the header, collecting row errors
+  buildSheetRecords(sheet, context) {
+    const start = sheet.headerIndex + 1;
+    return this.buildRowRecords(
+      sheet,
+      { ...context, account: readAccountInfo(sheet.data, sheet.headerIndex) },
+      sheet.data.slice(start),
+      start
+    );
+  }
+
+  // Build model data for rows of a sheet; firstRow is the 0-based index of
+  // rows[0] in the sheet (streamed CSV batches start mid-file)
+  buildRowRecords(sheet, context, rows, firstRow) {
+    const typeConfig = RECORD_TYPES[sheet.dataType];
+    const result = {
+      processed: 0,
+      errors: 0,
+      skipped: 0,
+      records: [],
+      issues: [],
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (isBlankRow(row)) continue;
+
+      if (isSummaryRow(row)) {
+        result.skipped += 1;
+        continue;
+      }
+
+      // Spreadsheet row numbers are 1-based
+      const rowNumber = firstRow + i + 1;
+      result.processed += 1;
+
+      try {
+        const data = typeConfig.build(
+          readMappedRow(row, sheet.columns),
+          context
+        );
+
+        result.records.push(
+          createRecord(
+            typeConfig,
+            data,
+            { sheet: sheet.name, dataType: sheet.dataType, rowNumber },
+            context.portfolio
+          )
+        );
+      } catch (error) {
+        result.errors += 1;
+        result.issues.push({
+          row: rowNumber,
+          sheet: sheet.name,
+          error: `[${sheet.name}] ${error.message}`.slice(0, 500),
+          field: error.field,
+          value: error.value,
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Match records against existing ones by external ID, then by
+   * fingerprint, and set record.status:
+   * - new: no match
+   * - unchanged: matched, same content as when it was imported
+   * - updated: matched, content differs (e.g. position closed since)
+   * - conflict: ID owned by another portfolio, ID and fingerprint point at
+   *   different records, or a conflicting duplicate row in the same file
+   * state carries the rows and IDs seen so far across streamed batches.
+   */
+  async classifyRecords(
+    records,
+    typeConfig,
+    portfolio,
+    state = { seen: new Map(), fileIds: new Set() }
+  ) {
+    if (records.length === 0) return records;
+
+    const { model, idField } = typeConfig;
+    const ids = records
+      .map((record) => record.data[idField])
+      .filter((id) => id !== undefined);
+    const fingerprints = records.map((record) => record.fingerprint);
+
+    const existing = await model.find({
+      $or: [
+        { [idField]: { $in: ids } },
+        {
+          portfolioId: portfolio._id,
+          "importMeta.fingerprint": { $in: fingerprints },
+        },
+      ],
+    });
+
+    const byId = new Map(existing.map((doc) => [doc[idField], doc]));
+    const byFingerprint = new Map();
+    existing
+      .filter(
+        (doc) =>
+          doc.importMeta?.fingerprint &&
+          String(doc.portfolioId) === String(portfolio._id)
+      )
+      .forEach((doc) => {
+        const docs = byFingerprint.get(doc.importMeta.fingerprint) || [];
+        byFingerprint.set(doc.importMeta.fingerprint, [...docs, doc]);
+      });
+    const { seen, fileIds } = state;
+    ids.forEach((id) => fileIds.add(id));
+
+    records.forEach((record) => {
+      const id = record.data[idField];
+      const key = id !== undefined ? `id:${id}` : `fp:${record.fingerprint}`;
+
+      // Same row earlier in this file (overlapping sheets)
+      if (seen.has(key)) {
+        const same = seen.get(key).contentHash === record.contentHash;
+        record.status = same ? "unchanged" : "conflict";
+        record.reason = same ? null : "Conflicting duplicate row in file";
+        return;
+      }
+      seen.set(key, record);
+
+      const idMatch = id !== undefined ? byId.get(id) : null;
+      // Identical fills in one statement share a fingerprint: records with
+      // another ID from this file (or an earlier batch) belong to those rows,
+      // and the fingerprint only identifies a record when one is left
+      const contentMatches = (
+        byFingerprint.get(record.fingerprint) || []
+      ).filter(
+        (doc) =>
+          id === undefined || doc[idField] === id || !fileIds.has(doc[idField])
+      );
+      const fingerprintMatch =
+        id === undefined || contentMatches.length === 1
+          ? contentMatches[contentMatches.length - 1] || null
+          : null;
+
+      if (idMatch && String(idMatch.portfolioId) !== String(portfolio._id)) {
+        record.status = "conflict";
+        record.reason = `${idField} ${id} belongs to another portfolio`;
+        return;
+      }
+
+      if (
+        idMatch &&
+        fingerprintMatch &&
+        !idMatch._id.equals(fingerprintMatch._id) &&
+        idMatch.importMeta?.fingerprint !== record.fingerprint
+      ) {
+        record.status = "conflict";
+        record.reason = `${idField} ${id} and row content match different records`;
+        return;
+      }
+
+      record.existing = idMatch || fingerprintMatch || null;
+
+      if (!record.existing) {
+        record.status = "new";
+      } else if (
+        record.existing.importMeta?.contentHash === record.contentHash
+      ) {
+        record.status = "unchanged";
+      } else {
+        record.status = "updated";
+      }
+    });
+
+    return records;
+  }
+
+  // Create new records and overwrite updated ones when the policy allows
+  // it, BATCH_SIZE records at a time
+  async writeRecords(records, policy, context) {
+    const { fileImport } = context;
+    const result = createWriteResult();
+
+    for (let start = 0; start < records.length; start += BATCH_SIZE) {
+      await this.writeBatch(
+        records.slice(start, start + BATCH_SIZE),
+        policy,
+        context,
+        result
+      );
+
+      const processedRows = Math.min(start + BATCH_SIZE, records.length);
+      fileImport.processing.processedRows = processedRows;
+      await fileImport.updateProgress(
+        40 + Math.round((processedRows / records.length) * 55),
+        "importing",
+        `Processed ${processedRows} of ${records.length} rows`
+      );
+
+      if (
+        processedRows < records.length &&
+        (await this.isCancelRequested(fileImport))
+      ) {
+        result.cancelled = true;
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Write one batch of classified records with a bulkSave per model, which
+   * runs validation and save hooks like save(). Counts are added to result.
+   */
+  async writeBatch(records, policy, context, result) {
+    const { fileImport } = context;
+    const pending = [];
+
+    const reportError = (record, error) => {
+      result.errors += 1;
+      addImportError(
+        fileImport,
+        record.rowNumber,
+        `[${record.sheet}] ${getImportErrorMessage(error)}`.slice(0, 500),
+        { field: error.field, value: error.value }
+      );
+    };
+
+    for (const record of records) {
+      const typeConfig = RECORD_TYPES[record.dataType];
+      const { model, idField } = typeConfig;
+
+      if (record.status === "conflict") {
+        reportError(record, new Error(record.reason));
+        continue;
+      }
+
+      if (
+        record.status === "unchanged" ||
+        (record.status === "updated" && policy !== "overwrite")
+      ) {
+        result.skipped += 1;
+        continue;
+      }
+
+      const data = {
+        ...record.data,
+        ...(typeConfig.linkImport && typeConfig.linkImport(fileImport)),
+        fileImportId: fileImport._id,
+        importMeta: {
+          fingerprint: record.fingerprint,
+          contentHash: record.contentHash,
+        },
+      };
+      let doc;
+      let snapshot = null;
+
+      if (record.status === "new") {
+        data[idField] = data[idField] ?? generateRecordId();
+        doc = new model(data);
+      } else {
+        doc = record.existing;
+        // State before the overwrite, restored on rollback
+        snapshot = doc.toObject({ virtuals: false, getters: false });
+
+        delete data[idField];
+        doc.set(data);
+        // XTB rows carry no lots; they are rebuilt from the imported
+        // open/close data
+        if (record.dataType === "positions" && !data.lots) doc.lots = [];
+      }
+
+      // Portfolio stats are updated once when the import finishes
+      doc.$locals.skipPortfolioStats = true;
+      pending.push({ record, typeConfig, doc, snapshot });
+    }
+
+    for (const { model } of Object.values(RECORD_TYPES)) {
+      const entries = pending.filter(
+        (entry) => entry.typeConfig.model === model
+      );
+      if (entries.length === 0) continue;
+
+      const failures = await this.saveDocuments(
+        model,
+        entries.map((entry) => entry.doc)
+      );
+
+      entries.forEach(({ record, typeConfig, doc, snapshot }) => {
+        if (failures.has(doc)) {
+          reportError(record, failures.get(doc));
+          return;
+        }
+
+        if (snapshot) {
+          this.addRollbackSnapshot(fileImport, record.dataType, snapshot);
+        }
+        result.successful += 1;
+        result[typeConfig.countKey] += 1;
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * bulkSave documents of one model
+   * @returns {Promise<Map>} Failed document -> error. Duplicate keys fail
+   *   single documents; a hook or validator rejects the whole bulkSave
+   *   before anything is written, so the documents are then saved one by
+   *   one to find the failing ones.
+   */
+  async saveDocuments(model, docs) {
+    const failures = new Map();
+
+    try {
+      await model.bulkSave(docs, { ordered: false });
+    } catch (error) {
+      if (error.writeErrors) {
+        const docsById = new Map(docs.map((doc) => [String(doc._id), doc]));
+        [].concat(error.writeErrors).forEach((writeError) => {
+          const operation = writeError.getOperation();
+          const doc = docsById.get(String(operation._id ?? operation.q?._id));
+          if (doc) failures.set(doc, writeError);
+        });
+      } else if (error.name === "MongooseBulkSaveIncompleteError") {
+        throw error;
+      } else {
+        for (const doc of docs) {
+          try {
+            await doc.save();
+          } catch (saveError) {
+            failures.set(doc, saveError);
+          }
+        }
+      }
+    }
+
+    return failures;
+  }
+
+  addRollbackSnapshot(fileImport, dataType, snapshot) {
+    const rollbackData = fileImport.rollback.rollbackData || {};
+    rollbackData.overwritten = rollbackData.overwritten || [];
+    rollbackData.overwritten.push({ dataType, snapshot });
+
+    fileImport.rollback.rollbackData = rollbackData;
+    fileImport.markModified("rollback.rollbackData");
+  }
+
+  /**
+   * Revert an import in one transaction: records it created are deleted,
+   * records it overwrote are restored from rollbackData. Records changed
+   * by a later import (fileImportId moved on) are left alone and counted
+   * as skipped.
+   * @returns {Promise<Object>} { deleted, restored, skipped } by data type
+   */
+  async rollback(fileImport, reason) {
+    const overwritten = fileImport.rollback.rollbackData?.overwritten || [];
+
+    const result = await withTransaction(async (session) => {
+      const summary = {};
+
+      for (const [dataType, { model }] of Object.entries(RECORD_TYPES)) {
+        const snapshots = overwritten
+          .filter((entry) => entry.dataType === dataType)
+          .map((entry) => entry.snapshot);
+        const counts = { deleted: 0, restored: 0, skipped: 0 };
+
+        for (const snapshot of snapshots) {
+          const { matchedCount } = await model.replaceOne(
+            { _id: snapshot._id, fileImportId: fileImport._id },
+            snapshot,
+            { session }
+          );
+          counts[matchedCount ? "restored" : "skipped"] += 1;
+        }
+
+        const { deletedCount } = await model.deleteMany(
+          {
+            fileImportId: fileImport._id,
+            _id: { $nin: snapshots.map((snapshot) => snapshot._id) },
+          },
+          { session }
+        );
+        counts.deleted = deletedCount;
+
+        summary[RECORD_TYPES[dataType].countKey] = counts;
+      }
+
+      fileImport.rollback.rollbackData = {
+        ...fileImport.rollback.rollbackData,
+        result: summary,
+      };
+      fileImport.markModified("rollback.rollbackData");
+      await fileImport.performRollback(reason, session);
+
+      return summary;
+    });
+
+    // Stats come from positions; replaceOne/deleteMany skip the save hooks
+    if (fileImport.portfolioId) {
+      const portfolio = await Portfolio.findById(fileImport.portfolioId);
+      if (portfolio) await portfolio.updateStats();
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,132 @@
+// services/JobQueue.js - runs queued background jobs (imports, reports, broker syncs, price refreshes)
+const os = require("os");
+const crypto = require("crypto");
+const Job = require("../models/Job");
+const jobHandlers = require("./jobs/handlers");
+
+const DEFAULT_INTERVAL_MS = 5 * 1000;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * In-process worker over the Job collection. Every instance polls, and
+ * each job is claimed with a DB lease, so it runs once even with several
+ * servers up. The lease is renewed while the handler runs; a crashed
+ * instance's jobs are picked up again when their lease expires.
+ *
+ * Handlers are async (payload, job) => result. A thrown error is retried
+ * with the job's backoff unless error.retryable === false.
+ */
+class JobQueue {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+    this.intervalMs =
+      Number(process.env.JOB_QUEUE_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.leaseMs = Number(process.env.JOB_QUEUE_LEASE_MS) || DEFAULT_LEASE_MS;
+    this.handlers = new Map(Object.entries(jobHandlers));
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a job and wake the worker
+   * @param {string} type - Job type with a registered handler
+   * @param {Object} payload - Handler arguments
+   * @param {Object} options - userId, target, runAt, priority, maxAttempts, backoff
+   * @returns {Promise<Job>}
+   */
+  async enqueue(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type ${type}`);
+    }
+
+    const job = await Job.enqueue(type, payload, options);
+    if (this.timer && job.runAt <= new Date()) setImmediate(() => this.tick());
+    return job;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log(`🧵 Job queue started (${this.instanceId})`);
+
+    this.tick();
+  }
+
+  // Stop polling and wait for the job being run, if any
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log("🧵 Job queue stopped");
+    }
+    await this.ticking;
+  }
+
+  // Claim and run due jobs until none are left
+  tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = (async () => {
+      await Job.failAbandoned();
+
+      const types = [...this.handlers.keys()];
+      let job;
+      while (
+        this.timer &&
+        (job = await Job.claimNext(this.instanceId, this.leaseMs, types))
+      ) {
+        await this.run(job);
+      }
+    })()
+      .catch((error) => console.error("❌ Job queue error:", error))
+      .finally(() => {
+        this.ticking = null;
+      });
+
+    return this.ticking;
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    const heartbeat = setInterval(
+      () =>
+        job
+          .renewLease(this.leaseMs)
+          .catch((error) =>
+            console.error(
+              `❌ Job ${job._id} lease renewal failed:`,
+              error.message
+            )
+          ),
+      Math.max(1000, Math.floor(this.leaseMs / 3))
+    );
+    heartbeat.unref();
+
+    try {
+      const result = await handler(job.payload, job);
+      await job.markCompleted(result);
+      console.log(`✅ Job ${job.type} ${job._id} completed`);
+    } catch (error) {
+      const retry = error.retryable !== false;
+      await job.markFailed(error, { retry });
+      console.error(
+        `❌ Job ${job.type} ${job._id} attempt ${job.attempts}/${
+          job.maxAttempts
+        } failed${job.status === "queued" ? " (will retry)" : ""}:`,
+        error.message
+      );
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = new JobQueue();
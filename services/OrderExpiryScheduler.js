@@ -0,0 +1,213 @@
+// services/OrderExpiryScheduler.js - expires pending orders by their time in force
+const PendingOrder = require("../models/PendingOrder");
+const MarketData = require("../models/MarketData");
+const Notification = require("../models/Notification");
+const { isSessionOpen, getSessionClose } = require("../utils/tradingSessions");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+const ACTIVE_STATUSES = ["pending", "partial"];
+
+const IMMEDIATE_REASONS = {
+  IOC: "Immediate-or-cancel order was not filled",
+  FOK: "Fill-or-kill order could not be filled in full",
+};
+
+/**
+ * In-process sweeper for conditions.timeInForce:
+ * - GTC: never expires (an expiryTime set on it is still honoured)
+ * - GTD: expires at expiryTime
+ * - DAY: expires at the close of the trading session it was placed in
+ *   (MarketData metadata.tradingHours of the symbol, utils/tradingSessions)
+ * - IOC/FOK: expires once it has had a chance to fill in an open session;
+ *   OrderMatchingService expires them at the first price that misses them
+ *
+ * Every order is expired with PendingOrder.claimExpiry, so it expires once
+ * even with several servers up. The owner gets a notification with the
+ * reason, which is also kept in expiryReason.
+ */
+class OrderExpiryScheduler {
+  constructor() {
+    this.intervalMs =
+      Number(process.env.ORDER_EXPIRY_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log("⏰ Order expiry scheduler started");
+
+    this.tick();
+  }
+
+  // Stop polling and wait for the running sweep, if any
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log("⏰ Order expiry scheduler stopped");
+    }
+    await this.ticking;
+  }
+
+  tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = this.sweep()
+      .then((expired) => {
+        if (expired.length > 0) {
+          console.log(`⏰ Expired ${expired.length} pending orders`);
+        }
+        return expired;
+      })
+      .catch((error) =>
+        console.error("❌ Order expiry scheduler error:", error)
+      )
+      .finally(() => {
+        this.ticking = null;
+      });
+
+    return this.ticking;
+  }
+
+  /**
+   * Expire the active orders whose time in force has run out
+   * @param {Date} now - Time of the sweep
+   * @returns {Promise<Array>} Expired orders
+   */
+  async sweep(now = new Date()) {
+    const orders = await PendingOrder.find({
+      status: { $in: ACTIVE_STATUSES },
+      $or: [
+        { "conditions.timeInForce": { $in: ["DAY", "IOC", "FOK"] } },
+        { expiryTime: { $lte: now } },
+      ],
+    }).populate("portfolioId", "name settings");
+
+    const sessions = new Map();
+    const expired = [];
+
+    for (const order of orders) {
+      try {
+        if (!sessions.has(order.symbol)) {
+          sessions.set(
+            order.symbol,
+            await MarketData.findOne({ symbol: order.symbol }).select(
+              "metadata"
+            )
+          );
+        }
+
+        const reason = this.getExpiryReason(
+          order,
+          sessions.get(order.symbol),
+          now
+        );
+        if (!reason) continue;
+
+        const result = await this.expire(order, reason);
+        if (result) expired.push(result);
+      } catch (error) {
+        console.error(
+          `❌ Expiry of order ${order.orderId} failed:`,
+          error.message
+        );
+      }
+    }
+
+    return expired;
+  }
+
+  // Why the order expires at `now`, or null while it is still valid
+  getExpiryReason(order, marketData, now) {
+    const timeInForce = order.conditions?.timeInForce || "GTC";
+
+    switch (timeInForce) {
+      case "DAY": {
+        const close = getSessionClose(marketData, order.openTime);
+        return now >= close
+          ? `Trading session ended at ${close.toISOString()} (DAY order)`
+          : null;
+      }
+
+      case "IOC":
+      case "FOK":
+        // The order has seen at least one sweep interval of open market
+        return isSessionOpen(marketData, now) &&
+          now - order.openTime >= this.intervalMs
+          ? IMMEDIATE_REASONS[timeInForce]
+          : null;
+
+      default:
+        return order.expiryTime && order.expiryTime <= now
+          ? `Expiry time ${order.expiryTime.toISOString()} passed (${timeInForce} order)`
+          : null;
+    }
+  }
+
+  /**
+   * Expire an active order, the inactive exits of a bracket entry with it,
+   * and notify the owner
+   * @returns {Promise<Object|null>} The expired order, or null when it was
+   *   filled or cancelled meanwhile
+   */
+  async expire(order, reason) {
+    const expired = await PendingOrder.claimExpiry(order._id, reason);
+    if (!expired) return null;
+
+    const { groupId, role } = expired.orderGroup || {};
+    if (groupId && role === "entry") {
+      await PendingOrder.updateMany(
+        { "orderGroup.groupId": groupId, status: "inactive" },
+        {
+          $set: {
+            status: "expired",
+            expiredAt: expired.expiredAt,
+            expiryReason: `Entry order ${expired.orderId} expired`,
+          },
+        }
+      );
+    }
+
+    console.log(`⏰ Order ${expired.orderId} expired: ${reason}`);
+    await this.notifyExpiry(expired, order.portfolioId, reason);
+    return expired;
+  }
+
+  async notifyExpiry(order, portfolio, reason) {
+    if (portfolio?.settings && !portfolio.settings.notificationsEnabled) {
+      return;
+    }
+
+    const notification = new Notification({
+      userId: order.userId,
+      title: `Order expired: ${order.side} ${order.volume} ${order.symbol}`,
+      message: `Your ${order.type.replace("_", " ")} order ${order.orderId}${
+        portfolio?.name ? ` in ${portfolio.name}` : ""
+      } expired. ${reason}.`,
+      type: "warning",
+      priority: "medium",
+      category: "trading",
+      metadata: {
+        orderId: order._id,
+        symbol: order.symbol,
+        extra: {
+          timeInForce: order.conditions?.timeInForce,
+          reason,
+        },
+      },
+    });
+
+    await notification
+      .save()
+      .catch((err) =>
+        console.error("❌ Order expiry notification failed:", err.message)
+      );
+  }
+}
+
+module.exports = new OrderExpiryScheduler();
@@ -0,0 +1,261 @@
+// services/OrderMatchingService.js - fills pending orders against incoming market prices
+const PendingOrder = require("../models/PendingOrder");
+const Position = require("../models/Position");
+const Notification = require("../models/Notification");
+const OrderExpiryScheduler = require("./OrderExpiryScheduler");
+
+const ACTIVE_STATUSES = ["pending", "partial"];
+const IMMEDIATE_TIME_IN_FORCE = ["IOC", "FOK"];
+
+/**
+ * Local order-matching simulator. Every price written to MarketData
+ * (updatePrice, bulkUpdatePrices) is matched against the symbol's active
+ * orders:
+ * - market: fills at the quote
+ * - limit: buy when ask <= price, sell when bid >= price
+ * - stop: buy when ask >= stopPrice, sell when bid <= stopPrice (stopPrice
+ *   falls back to price); fills at the quote
+ * - stop_limit: once the stop is crossed (execution.triggeredTime) it
+ *   rests as a limit order at price
+ * - trailing_stop: stopPrice follows the best quote by trailingAmount or
+ *   trailingPercent and never moves back; fills like a stop
+ *
+ * Buys fill at the ask and sells at the bid, the last price when the quote
+ * has no side. Fills go into positions through Position.applyTrade and the
+ * owner gets a trade_execution notification. A fill settles the order's
+ * group (PendingOrder.settleGroup): bracket exits are activated and the
+ * other order of an OCO pair is cancelled. IOC and FOK orders a price
+ * does not fill are expired.
+ *
+ * ORDER_MATCHING_ENABLED=false turns the simulator off (orders then only
+ * execute through PUT /api/pending-orders/:id/execute).
+ */
+class OrderMatchingService {
+  constructor() {
+    // Evaluations of a symbol run one after another, so two price updates
+    // arriving together cannot fill the same order twice
+    this.queues = new Map();
+  }
+
+  get enabled() {
+    return process.env.ORDER_MATCHING_ENABLED !== "false";
+  }
+
+  /**
+   * Match a new price of a symbol against its active orders
+   * @param {string} symbol - Symbol of the MarketData entry
+   * @param {Object} quote - price, bid, ask
+   * @returns {Promise<Array>} Orders filled by this price
+   */
+  onPrice(symbol, quote) {
+    if (!this.enabled || !quote || !(quote.price > 0)) {
+      return Promise.resolve([]);
+    }
+
+    const key = symbol.toUpperCase();
+    const previous = this.queues.get(key) || Promise.resolve();
+    const run = previous.then(() => this.evaluateSymbol(key, quote));
+    const queued = run.catch(() => {});
+
+    this.queues.set(key, queued);
+    queued.then(() => {
+      if (this.queues.get(key) === queued) this.queues.delete(key);
+    });
+
+    return run;
+  }
+
+  async evaluateSymbol(symbol, quote) {
+    const orders = await PendingOrder.find({
+      symbol,
+      status: { $in: ACTIVE_STATUSES },
+    })
+      .sort({ openTime: 1 })
+      .populate("portfolioId", "name broker currency settings");
+
+    const filled = [];
+    const cancelled = new Set();
+    for (const order of orders) {
+      // The other leg of an OCO pair filled earlier in this run
+      if (cancelled.has(String(order._id))) continue;
+
+      try {
+        const fillPrice = this.evaluateOrder(order, quote);
+
+        if (fillPrice === null) {
+          // IOC/FOK orders get a single chance to fill
+          if (IMMEDIATE_TIME_IN_FORCE.includes(order.conditions?.timeInForce)) {
+            await OrderExpiryScheduler.expire(
+              order,
+              `Not filled at ${quote.price} (${order.conditions.timeInForce} order)`
+            );
+            continue;
+          }
+
+          // Ratcheted trailing stop or triggered stop-limit
+          if (order.isModified()) await order.save();
+          continue;
+        }
+
+        const fill = await this.fillOrder(order, fillPrice);
+        fill.group.cancelled.forEach((groupOrder) =>
+          cancelled.add(String(groupOrder._id))
+        );
+        filled.push(fill);
+      } catch (error) {
+        console.error(
+          `❌ Order matching of ${order.orderId} (${symbol}) failed:`,
+          error.message
+        );
+      }
+    }
+
+    return filled;
+  }
+
+  /**
+   * Price the order fills at for a quote, or null when it does not fill.
+   * Updates the order's trailing stop and stop-limit trigger in place.
+   */
+  evaluateOrder(order, quote) {
+    const isBuy = order.side === "buy";
+    const fillPrice = (isBuy ? quote.ask : quote.bid) || quote.price;
+
+    switch (order.type) {
+      case "market":
+        return fillPrice;
+
+      case "limit":
+        return crossesLimit(isBuy, fillPrice, order.price) ? fillPrice : null;
+
+      case "stop":
+        return crossesStop(isBuy, fillPrice, order.stopPrice || order.price)
+          ? fillPrice
+          : null;
+
+      case "stop_limit":
+        if (!order.execution.triggeredTime) {
+          if (!crossesStop(isBuy, fillPrice, order.stopPrice)) return null;
+          order.execution.triggeredTime = new Date();
+        }
+        return crossesLimit(isBuy, fillPrice, order.price) ? fillPrice : null;
+
+      case "trailing_stop": {
+        const trail = order.trailingAmount
+          ? order.trailingAmount
+          : (fillPrice * order.trailingPercent) / 100;
+        const candidate = round(isBuy ? fillPrice + trail : fillPrice - trail);
+
+        // Sell stops only rise, buy stops only fall
+        if (
+          !order.stopPrice ||
+          (isBuy ? candidate < order.stopPrice : candidate > order.stopPrice)
+        ) {
+          order.stopPrice = candidate;
+        }
+        return crossesStop(isBuy, fillPrice, order.stopPrice)
+          ? fillPrice
+          : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  async fillOrder(order, price) {
+    const volume = order.execution.remainingVolume ?? order.volume;
+    const portfolio = order.portfolioId;
+
+    await order.executeOrder(price, volume);
+
+    let fill = { positions: [], matches: [] };
+    try {
+      fill = await Position.applyTrade({
+        portfolioId: portfolio?._id || null,
+        symbol: order.symbol,
+        side: order.side,
+        volume,
+        price,
+        time: order.execution.executedTime,
+        commission: 0,
+        source: "order",
+        positionData: {
+          userId: order.userId,
+          name: order.name,
+          currency: order.currency,
+          exchange: order.exchange,
+          notes: `Created from order ${order.orderId} (filled at ${price})`,
+          tags: order.tags,
+          brokerData: {
+            broker: portfolio?.broker || "MANUAL",
+            brokerSymbol: order.symbol,
+            brokerAccountId: String(portfolio?._id || "manual"),
+          },
+        },
+      });
+    } catch (positionError) {
+      // The order stays executed, as with manual execution
+      console.error(
+        `❌ Error applying order ${order.orderId} to positions:`,
+        positionError.message
+      );
+    }
+
+    const position = fill.positions[fill.positions.length - 1] || null;
+    console.log(
+      `✅ Order ${order.orderId} filled: ${order.side} ${volume} ${order.symbol} @ ${price}`
+    );
+
+    await this.notifyExecution(order, portfolio, { volume, price, position });
+
+    // Bracket exits start matching from the next price
+    const group = await order.settleGroup();
+
+    return { order, position, matches: fill.matches, group };
+  }
+
+  async notifyExecution(order, portfolio, { volume, price, position }) {
+    if (portfolio?.settings && !portfolio.settings.notificationsEnabled) {
+      return;
+    }
+
+    const notification = new Notification({
+      userId: order.userId,
+      title: `${order.side === "buy" ? "Bought" : "Sold"} ${volume} ${
+        order.symbol
+      }`,
+      message: `Your ${order.type.replace("_", " ")} order ${
+        order.orderId
+      } was filled at ${price} ${order.currency}${
+        portfolio?.name ? ` in ${portfolio.name}` : ""
+      }.`,
+      type: "trade_execution",
+      priority: "high",
+      category: "trading",
+      metadata: {
+        orderId: order._id,
+        positionId: position?._id,
+        symbol: order.symbol,
+        currentPrice: price,
+        extra: { orderType: order.type, side: order.side, volume },
+      },
+    });
+
+    await notification
+      .save()
+      .catch((err) =>
+        console.error("❌ Trade execution notification failed:", err.message)
+      );
+  }
+}
+
+const crossesLimit = (isBuy, price, limit) =>
+  isBuy ? price <= limit : price >= limit;
+
+const crossesStop = (isBuy, price, stop) =>
+  Boolean(stop) && (isBuy ? price >= stop : price <= stop);
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+module.exports = new OrderMatchingService();
@@ -0,0 +1,459 @@
+// services/ReconciliationService.js - compares local positions and cash with the broker's state
+const Position = require("../models/Position");
+const CashOperation = require("../models/CashOperation");
+const BrokerService = require("./BrokerService");
+const { redactText } = require("../utils/credentialVault");
+
+const VOLUME_EPSILON = 1e-8;
+
+// Open prices may differ by rounding (0.01%)
+const PRICE_TOLERANCE = 0.0001;
+
+const DEFAULT_CASH_TOLERANCE = 0.01;
+
+const CASH_CURRENCIES = CashOperation.schema.path("currency").enumValues;
+
+/**
+ * Reconciliation of a synced portfolio. The diff lists:
+ * - missing_locally: broker positions with no local position
+ * - missing_at_broker: local open positions the broker no longer holds
+ * - mismatch: volume, open price or status differing from the broker
+ * - cash_drift: broker cash vs the portfolio's completed cash operations
+ *
+ * Every item has a stable `id` and the `fix` applying it would make;
+ * applyFixes recomputes the diff and applies only the selected items.
+ * Local positions are matched by brokerData.brokerPositionId, then by
+ * positionId (positions imported from broker statements).
+ */
+class ReconciliationService {
+  constructor() {
+    this.cashTolerance =
+      Number(process.env.RECONCILIATION_CASH_TOLERANCE) ||
+      DEFAULT_CASH_TOLERANCE;
+  }
+
+  async reconcile(portfolioId) {
+    const portfolio = await BrokerService.loadPortfolio(portfolioId);
+    const adapter = BrokerService.getAdapter(portfolio.broker);
+    return BrokerService.withBrokerConfig(portfolio, (brokerConfig) =>
+      this.buildDiff(portfolio, adapter, brokerConfig)
+    );
+  }
+
+  async buildDiff(portfolio, adapter, brokerConfig) {
+    const [brokerPositions, localPositions] = await Promise.all([
+      adapter.getPositions(brokerConfig),
+      Position.find({ portfolioId: portfolio._id }),
+    ]);
+
+    const items = [];
+    const matched = new Set();
+
+    for (const brokerPosition of brokerPositions) {
+      const normalized = adapter.normalizePosition(brokerPosition);
+      const local =
+        localPositions.find(
+          (position) =>
+            position.brokerData?.brokerPositionId === String(brokerPosition.id)
+        ) ||
+        localPositions.find(
+          (position) =>
+            !position.brokerData?.brokerPositionId &&
+            position.positionId === normalized.positionId
+        );
+
+      if (!local) {
+        items.push({
+          id: `missing_locally:${brokerPosition.id}`,
+          kind: "missing_locally",
+          symbol: normalized.symbol,
+          brokerPositionId: String(brokerPosition.id),
+          broker: summarize(normalized),
+          fix: {
+            action: "create",
+            description: `Create ${normalized.status} ${normalized.type} ${normalized.volume} ${normalized.symbol} from the broker`,
+          },
+          brokerPosition,
+        });
+        continue;
+      }
+
+      matched.add(String(local._id));
+      const differences = compare(local, normalized);
+      if (differences.length === 0) continue;
+
+      items.push({
+        id: `mismatch:${brokerPosition.id}`,
+        kind: "mismatch",
+        symbol: normalized.symbol,
+        brokerPositionId: String(brokerPosition.id),
+        positionId: local._id,
+        differences,
+        local: summarize(local),
+        broker: summarize(normalized),
+        fix: mismatchFix(local, normalized, differences),
+        brokerPosition,
+      });
+    }
+
+    // Closed local positions may be older than the broker's history
+    const missingAtBroker = localPositions.filter(
+      (position) =>
+        position.status === "open" && !matched.has(String(position._id))
+    );
+    const closings = await this.findClosings(
+      portfolio,
+      adapter,
+      brokerConfig,
+      missingAtBroker
+    );
+
+    for (const position of missingAtBroker) {
+      const closing = closings.get(String(position._id));
+      const closePrice =
+        closing?.price || position.marketPrice || position.openPrice;
+
+      items.push({
+        id: `missing_at_broker:${position._id}`,
+        kind: "missing_at_broker",
+        symbol: position.symbol,
+        brokerPositionId: position.brokerData?.brokerPositionId || null,
+        positionId: position._id,
+        local: summarize(position),
+        fix: {
+          action: "close",
+          closePrice,
+          closeTime: closing?.time || null,
+          description: closing
+            ? `Close ${position.symbol} at ${closePrice} as reported by the broker`
+            : `Close ${position.symbol} at the last known price ${closePrice}`,
+        },
+      });
+    }
+
+    const cash = await this.compareCash(portfolio, adapter, brokerConfig);
+    if (cash.drift !== null && Math.abs(cash.drift) >= this.cashTolerance) {
+      items.push({
+        id: "cash_drift",
+        kind: "cash_drift",
+        cash,
+        fix: {
+          action: "adjust",
+          amount: cash.drift,
+          description: `Book an adjustment of ${cash.drift} ${cash.currency}`,
+        },
+      });
+    }
+
+    return {
+      portfolioId: portfolio._id,
+      broker: portfolio.broker,
+      checkedAt: new Date(),
+      summary: {
+        brokerPositions: brokerPositions.length,
+        localPositions: localPositions.length,
+        missingLocally: countKind(items, "missing_locally"),
+        missingAtBroker: countKind(items, "missing_at_broker"),
+        mismatches: countKind(items, "mismatch"),
+        cashDrift: cash.drift,
+        inSync: items.length === 0,
+      },
+      cash,
+      items,
+    };
+  }
+
+  /**
+   * Closing trades of positions the broker no longer holds, from the
+   * adapter's transactions since the oldest of them. Brokers without
+   * transaction history give none.
+   */
+  async findClosings(portfolio, adapter, brokerConfig, positions) {
+    const closings = new Map();
+    const linked = positions.filter(
+      (position) => position.brokerData?.brokerPositionId
+    );
+    if (linked.length === 0) return closings;
+
+    let transactions;
+    try {
+      transactions = await adapter.getTransactions(brokerConfig, {
+        from: new Date(
+          Math.min(...linked.map((position) => position.openTime.getTime()))
+        ),
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️ Reconciliation of ${
+          portfolio._id
+        }: no broker transactions (${redactText(
+          error.message,
+          brokerConfig.apiCredentials
+        )})`
+      );
+      return closings;
+    }
+
+    for (const position of linked) {
+      const brokerId = position.brokerData.brokerPositionId;
+      const closing = transactions
+        .filter(
+          (transaction) =>
+            String(transaction.positionId) === brokerId ||
+            (transaction.positionIds || []).includes(brokerId)
+        )
+        .map((transaction) => ({
+          price: transaction.closePrice ?? transaction.price,
+          time: new Date(transaction.closeTime || transaction.time),
+        }))
+        .filter((transaction) => transaction.price)
+        .sort((a, b) => b.time - a.time)[0];
+
+      if (closing) closings.set(String(position._id), closing);
+    }
+
+    return closings;
+  }
+
+  // Broker cash (cash, or balance for margin accounts) against the sum of
+  // completed cash operations booked in the account currency. Adapters
+  // whose cash operations leave out trade settlements are not compared.
+  async compareCash(portfolio, adapter, brokerConfig) {
+    let accountInfo;
+    try {
+      accountInfo = await adapter.getAccountInfo(
+        BrokerService.getAccountCredentials(adapter, brokerConfig)
+      );
+    } catch (error) {
+      return unavailableCash(
+        null,
+        redactText(error.message, brokerConfig.apiCredentials)
+      );
+    }
+
+    const brokerCash = accountInfo.cash ?? accountInfo.balance;
+    const currency = accountInfo.currency;
+    if (brokerCash === undefined || brokerCash === null) {
+      return unavailableCash(currency, "Broker does not report cash");
+    }
+    if (!adapter.syncsTradeCash) {
+      return {
+        ...unavailableCash(
+          currency,
+          `Trades on ${portfolio.broker} are not booked as cash operations`
+        ),
+        broker: round(brokerCash),
+      };
+    }
+    if (!CASH_CURRENCIES.includes(currency)) {
+      return unavailableCash(
+        currency,
+        `Cash operations are not kept in ${currency}`
+      );
+    }
+
+    const [ledger] = await CashOperation.aggregate([
+      {
+        $match: {
+          portfolioId: portfolio._id,
+          status: "completed",
+          currency,
+        },
+      },
+      { $group: { _id: null, total: { $sum: "$amount" }, count: { $sum: 1 } } },
+    ]);
+    const local = round(ledger?.total || 0);
+
+    return {
+      currency,
+      broker: round(brokerCash),
+      local,
+      operations: ledger?.count || 0,
+      drift: round(brokerCash - local),
+    };
+  }
+
+  /**
+   * Apply the selected items of a fresh diff
+   * @param {string} portfolioId - Portfolio to reconcile
+   * @param {string[]} fixIds - Item IDs from the diff
+   * @returns {Promise<{applied: Array, skipped: Array}>} skipped lists IDs
+   *   no longer in the diff (already fixed or synced meanwhile)
+   */
+  async applyFixes(portfolioId, fixIds) {
+    const portfolio = await BrokerService.loadPortfolio(portfolioId);
+    const adapter = BrokerService.getAdapter(portfolio.broker);
+    const diff = await BrokerService.withBrokerConfig(
+      portfolio,
+      (brokerConfig) => this.buildDiff(portfolio, adapter, brokerConfig)
+    );
+
+    const applied = [];
+    const skipped = [];
+
+    for (const id of new Set(fixIds)) {
+      const item = diff.items.find((candidate) => candidate.id === id);
+      if (!item) {
+        skipped.push({ id, reason: "Not in the current reconciliation" });
+        continue;
+      }
+      if (item.fix.action === "none") {
+        skipped.push({ id, reason: item.fix.description });
+        continue;
+      }
+
+      applied.push({
+        id,
+        kind: item.kind,
+        action: item.fix.action,
+        result: await this.applyFix(portfolio, adapter, item),
+      });
+    }
+
+    return { applied, skipped };
+  }
+
+  async applyFix(portfolio, adapter, item) {
+    switch (item.kind) {
+      case "missing_locally": {
+        const position = await BrokerService.saveBrokerPosition(
+          portfolio,
+          adapter,
+          item.brokerPosition
+        );
+        return { positionId: position._id };
+      }
+
+      case "mismatch": {
+        const position = await Position.findById(item.positionId);
+        await BrokerService.saveBrokerPosition(
+          portfolio,
+          adapter,
+          item.brokerPosition,
+          position
+        );
+        return { positionId: position._id };
+      }
+
+      case "missing_at_broker": {
+        const position = await Position.findById(item.positionId);
+        await position.closePosition(
+          item.fix.closePrice,
+          item.fix.closeTime || new Date()
+        );
+        return { positionId: position._id, closePrice: item.fix.closePrice };
+      }
+
+      case "cash_drift": {
+        const { drift, currency } = item.cash;
+        const cashOperation = new CashOperation({
+          userId: portfolio.userId,
+          portfolioId: portfolio._id,
+          operationId: Date.now() * 1000 + Math.floor(Math.random() * 1000),
+          type: "adjustment",
+          time: new Date(),
+          amount: drift,
+          currency,
+          comment: `Reconciliation with ${portfolio.broker} cash balance`,
+          status: "completed",
+          source: "automatic",
+        });
+        await cashOperation.save();
+        return { cashOperationId: cashOperation._id, amount: drift };
+      }
+
+      default:
+        throw new Error(`Unknown reconciliation item ${item.kind}`);
+    }
+  }
+}
+
+// Fields of a position shown side by side in the diff
+const summarize = (position) => ({
+  positionId: position.positionId,
+  symbol: position.symbol,
+  type: position.type,
+  status: position.status,
+  volume: position.volume,
+  openPrice: position.openPrice,
+  openTime: position.openTime,
+  closePrice: position.closePrice ?? null,
+});
+
+const compare = (local, normalized) => {
+  const differences = [];
+
+  if (Math.abs(local.volume - normalized.volume) > VOLUME_EPSILON) {
+    differences.push("volume");
+  }
+  if (
+    Math.abs(local.openPrice - normalized.openPrice) >
+    Math.abs(normalized.openPrice) * PRICE_TOLERANCE
+  ) {
+    differences.push("openPrice");
+  }
+  if (local.status !== normalized.status) {
+    differences.push("status");
+  }
+
+  return differences;
+};
+
+/**
+ * Fix of a mismatch. Positions with lot history are aligned through their
+ * lots: a volume difference becomes a lot added at the price matching the
+ * broker's average, or a match at the market price. Their open price
+ * (without a volume difference) and a closed status cannot be taken over
+ * without rewriting the lots, so those mismatches get action "none".
+ */
+const mismatchFix = (local, normalized, differences) => {
+  if (!local.hasLotHistory) {
+    return {
+      action: "update",
+      description: `Update ${differences.join(", ")} of ${
+        local.symbol
+      } from the broker`,
+    };
+  }
+
+  if (local.status !== "open") {
+    return {
+      action: "none",
+      description: `${local.symbol} is closed by its lots while the broker holds ${normalized.volume}; reopen it by editing the lots`,
+    };
+  }
+
+  if (!differences.includes("volume")) {
+    return {
+      action: "none",
+      description: `Open price of ${local.symbol} comes from its ${local.lots.length} lots; edit the lots to match the broker's ${normalized.openPrice}`,
+    };
+  }
+
+  const difference = normalized.volume - local.volume;
+  return {
+    action: "update",
+    description:
+      difference > 0
+        ? `Add a lot of ${difference} ${local.symbol} to match the broker's volume and open price`
+        : `Match ${-difference} ${
+            local.symbol
+          } of the lots at the market price to match the broker's volume`,
+  };
+};
+
+const countKind = (items, kind) =>
+  items.filter((item) => item.kind === kind).length;
+
+const unavailableCash = (currency, reason) => ({
+  currency,
+  broker: null,
+  local: null,
+  operations: 0,
+  drift: null,
+  reason,
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,77 @@
+// services/ReportFileService.js - renders report content into the requested file format
+const ReportFormatter = require("./reports/ReportFormatter");
+const { buildReportSections } = require("./reports/reportSections");
+const CsvRenderer = require("./reports/CsvRenderer");
+const XlsxRenderer = require("./reports/XlsxRenderer");
+const PdfRenderer = require("./reports/PdfRenderer");
+
+class JsonRenderer {
+  constructor() {
+    this.extension = "json";
+    this.mimeType = "application/json";
+  }
+
+  async render(sections, meta, content) {
+    return Buffer.from(JSON.stringify(content, null, 2), "utf8");
+  }
+}
+
+class ReportFileService {
+  constructor() {
+    this.renderers = {
+      pdf: PdfRenderer,
+      excel: XlsxRenderer,
+      csv: CsvRenderer,
+      json: JsonRenderer,
+    };
+  }
+
+  getRenderer(format, formatter) {
+    const Renderer = this.renderers[format];
+    if (!Renderer) {
+      throw new Error(`Unsupported report format: ${format}`);
+    }
+    return new Renderer(formatter);
+  }
+
+  /**
+   * Render report content in report.format.
+   * @returns {Promise<{buffer: Buffer, extension: string, mimeType: string}>}
+   */
+  async render(report, content) {
+    const formatter = new ReportFormatter(report.configuration?.formatting);
+    const renderer = this.getRenderer(report.format, formatter);
+
+    let sections = [];
+    if (report.format !== "json") {
+      sections = await buildReportSections(report, content, formatter);
+    }
+
+    // Spreadsheets need at least one sheet
+    if (report.format !== "json" && sections.length === 0) {
+      sections.push({
+        key: "empty",
+        title: "Report",
+        kind: "summary",
+        items: [{ label: "Info", value: "No sections selected" }],
+      });
+    }
+
+    const meta = {
+      title: report.name,
+      subtitle: `${formatter.formatDate(
+        report.dateRange.startDate
+      )} - ${formatter.formatDate(report.dateRange.endDate)}`,
+    };
+
+    const buffer = await renderer.render(sections, meta, content);
+
+    return {
+      buffer,
+      extension: renderer.extension,
+      mimeType: renderer.mimeType,
+    };
+  }
+}
+
+module.exports = new ReportFileService();
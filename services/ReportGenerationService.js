@@ -0,0 +1,200 @@
+// services/ReportGenerationService.js - builds report content and writes the report file
+const path = require("path");
+const fs = require("fs").promises;
+const Report = require("../models/Report");
+const Position = require("../models/Position");
+const CashOperation = require("../models/CashOperation");
+const TaxReportService = require("./TaxReportService");
+const ReportFileService = require("./ReportFileService");
+
+class ReportGenerationService {
+  /**
+   * Generate the report file in the background.
+   * @returns {Promise<Report|null>} report marked completed or failed
+   */
+  async generate(reportId) {
+    try {
+      const report = await Report.findById(reportId).populate(
+        "userId",
+        "name email preferences"
+      );
+
+      if (!report) {
+        console.error("Report not found:", reportId);
+        return null;
+      }
+
+      // Update progress
+      await report.updateProgress(
+        10,
+        "initializing",
+        "Starting report generation..."
+      );
+
+      // Fetch data
+      await report.updateProgress(
+        30,
+        "fetching_data",
+        "Fetching portfolio data..."
+      );
+
+      const [positions, cashOperations] = await Promise.all([
+        Position.find({
+          userId: report.userId._id,
+          $or: [
+            {
+              openTime: {
+                $gte: report.dateRange.startDate,
+                $lte: report.dateRange.endDate,
+              },
+            },
+            {
+              closeTime: {
+                $gte: report.dateRange.startDate,
+                $lte: report.dateRange.endDate,
+              },
+            },
+          ],
+        }),
+        CashOperation.find({
+          userId: report.userId._id,
+          time: {
+            $gte: report.dateRange.startDate,
+            $lte: report.dateRange.endDate,
+          },
+        }),
+      ]);
+
+      await report.updateProgress(
+        60,
+        "processing_positions",
+        "Processing positions..."
+      );
+
+      // Generate report content based on type
+      const reportContent = await this.generateReportContent(
+        report,
+        positions,
+        cashOperations
+      );
+
+      await report.updateProgress(
+        80,
+        "formatting_report",
+        "Formatting report..."
+      );
+
+      // Render file in the requested format
+      const file = await ReportFileService.render(report, reportContent);
+
+      const filename = `${report.type}_${report.userId.name}_${Date.now()}.${
+        file.extension
+      }`;
+      const filePath = path.join(
+        process.env.REPORTS_DIR || "./reports",
+        filename
+      );
+
+      // Ensure reports directory exists
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      await fs.writeFile(filePath, file.buffer);
+
+      await report.markCompleted({
+        filename,
+        originalName: filename,
+        path: filePath,
+        size: file.buffer.length,
+        mimeType: file.mimeType,
+      });
+
+      console.log(`Report ${reportId} generated successfully`);
+      return report;
+    } catch (error) {
+      console.error("Report generation error:", error);
+      const report = await Report.findById(reportId);
+      if (report) {
+        await report.markFailed(error.message);
+      }
+      return report;
+    }
+  }
+
+  // Build report content based on report type
+  async generateReportContent(report, positions, cashOperations) {
+    const content = {
+      metadata: {
+        reportId: report.reportId,
+        generatedAt: new Date(),
+        dateRange: report.dateRange,
+        type: report.type,
+        user: report.userId.name,
+      },
+      summary: {},
+      data: {},
+    };
+
+    // Generate content based on report type
+    switch (report.type) {
+      case "tax_report": {
+        const taxSettings = report.configuration.taxSettings || {};
+        const pit38 = await TaxReportService.calculatePit38(
+          report.userId._id,
+          taxSettings.taxYear || report.dateRange.startDate.getFullYear(),
+          {
+            includeDividends: taxSettings.includeDividends !== false,
+            includeForeignTax: taxSettings.includeForeignTax !== false,
+          }
+        );
+
+        content.metadata.taxYear = pit38.taxYear;
+        content.summary = pit38.form.summary;
+        content.data.pit38 = pit38.form;
+        content.data.transactions = pit38.appendix.transactions;
+        content.data.dividends = pit38.appendix.dividends;
+        break;
+      }
+
+      case "performance_report":
+        content.data.allPositions = positions;
+        content.data.performanceMetrics = this.calculatePerformanceMetrics(
+          positions,
+          cashOperations
+        );
+        break;
+
+      default:
+        content.data.positions = positions;
+        content.data.cashOperations = cashOperations;
+    }
+
+    return content;
+  }
+
+  // Performance calculations
+  calculatePerformanceMetrics(positions, cashOperations) {
+    const totalGrossPL = positions.reduce(
+      (sum, p) => sum + (p.grossPL || 0),
+      0
+    );
+    const totalDeposits = cashOperations
+      .filter((op) => op.type === "deposit")
+      .reduce((sum, op) => sum + op.amount, 0);
+    const totalWithdrawals = cashOperations
+      .filter((op) => op.type === "withdrawal")
+      .reduce((sum, op) => sum + op.amount, 0);
+
+    return {
+      totalGrossPL,
+      totalDeposits,
+      totalWithdrawals,
+      netCashFlow: totalDeposits - totalWithdrawals,
+      winRate:
+        (positions.filter((p) => (p.grossPL || 0) > 0).length /
+          Math.max(positions.length, 1)) *
+        100,
+    };
+  }
+}
+
+module.exports = new ReportGenerationService();
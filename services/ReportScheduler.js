@@ -0,0 +1,198 @@
+// services/ReportScheduler.js - runs recurring reports when schedule.nextRun is due
+const os = require("os");
+const crypto = require("crypto");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const ReportGenerationService = require("./ReportGenerationService");
+const { DEFAULT_TIMEZONE, getZonedParts } = require("../utils/timezone");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+// Schedules are paused after this many failed runs in a row
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+/**
+ * In-process scheduler. Every instance polls, but each due schedule is
+ * claimed with a DB lease (schedule.lockedBy/lockedUntil), so a run happens
+ * once even with several servers up. A crashed instance's lease expires
+ * after leaseMs and the schedule is picked up again.
+ */
+class ReportScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+    this.intervalMs =
+      Number(process.env.REPORT_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.leaseMs =
+      Number(process.env.REPORT_SCHEDULER_LEASE_MS) || DEFAULT_LEASE_MS;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log(`⏰ Report scheduler started (${this.instanceId})`);
+
+    this.tick();
+  }
+
+  // Stop polling and wait for the schedule being run, if any
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log("⏰ Report scheduler stopped");
+    }
+    await this.ticking;
+  }
+
+  // Claim and run due schedules until none are left
+  tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = (async () => {
+      let report;
+      while (
+        this.timer &&
+        (report = await Report.claimDueSchedule(this.instanceId, this.leaseMs))
+      ) {
+        await this.runSchedule(report);
+      }
+    })()
+      .catch((error) => console.error("❌ Report scheduler error:", error))
+      .finally(() => {
+        this.ticking = null;
+      });
+
+    return this.ticking;
+  }
+
+  async runSchedule(template) {
+    const runAt = template.schedule.nextRun;
+    const user = await User.findById(template.userId).select(
+      "preferences.timezone"
+    );
+    const timezone = user?.preferences?.timezone || DEFAULT_TIMEZONE;
+
+    let generated = null;
+    let error = null;
+
+    try {
+      generated = await this.createRun(template, runAt, timezone);
+      const result = await ReportGenerationService.generate(generated._id);
+
+      if (!result || result.status !== "completed") {
+        throw new Error(
+          result?.generation?.errorMessage || "Report generation failed"
+        );
+      }
+
+      console.log(
+        `📅 Scheduled report ${template.reportId} generated ${generated.reportId}`
+      );
+    } catch (err) {
+      error = err;
+      console.error(
+        `❌ Scheduled report ${template.reportId} failed:`,
+        err.message
+      );
+    }
+
+    await this.finishRun(template, { timezone, generated, error });
+  }
+
+  // Copy of the recurring report covering the period that just finished
+  async createRun(template, runAt, timezone) {
+    const source = template.toObject({ virtuals: false });
+    const dateRange = Report.getSchedulePeriod(
+      source.schedule.frequency,
+      runAt,
+      timezone
+    );
+    const start = getZonedParts(dateRange.startDate, timezone);
+    const configuration = source.configuration || {};
+
+    if (source.type === "tax_report") {
+      configuration.taxSettings = {
+        ...configuration.taxSettings,
+        taxYear: start.year,
+      };
+    }
+
+    const label = [start.year, start.month, start.day]
+      .map((part) => String(part).padStart(2, "0"))
+      .join("-");
+
+    const report = new Report({
+      userId: source.userId,
+      name: `${source.name.slice(0, 185)} (${label})`,
+      description: source.description,
+      type: source.type,
+      format: source.format,
+      dateRange,
+      configuration,
+      metadata: source.metadata,
+      sourceReportId: source._id,
+      schedule: { isRecurring: false },
+    });
+
+    await report.save();
+    return report;
+  }
+
+  // Advance nextRun and release the lease
+  async finishRun(template, { timezone, generated, error }) {
+    const now = new Date();
+    const failureCount = error ? (template.schedule.failureCount || 0) + 1 : 0;
+
+    const set = {
+      "schedule.lastRun": now,
+      "schedule.lastStatus": error ? "failed" : "success",
+      "schedule.failureCount": failureCount,
+    };
+    const unset = {
+      "schedule.lockedBy": "",
+      "schedule.lockedUntil": "",
+    };
+
+    if (generated) set["schedule.lastReportId"] = generated._id;
+    if (error) {
+      set["schedule.lastError"] = error.message;
+    } else {
+      unset["schedule.lastError"] = "";
+    }
+
+    try {
+      // Periods missed while no instance was running are skipped
+      set["schedule.nextRun"] = Report.calculateNextRun(
+        template.schedule,
+        timezone,
+        now
+      );
+    } catch (scheduleError) {
+      set["schedule.isActive"] = false;
+      set["schedule.lastError"] = scheduleError.message;
+      delete unset["schedule.lastError"];
+    }
+
+    if (failureCount >= MAX_CONSECUTIVE_FAILURES) {
+      set["schedule.isActive"] = false;
+      console.warn(
+        `⚠️ Scheduled report ${template.reportId} paused after ${failureCount} failed runs`
+      );
+    }
+
+    // Only the lease holder may finish the run
+    await Report.updateOne(
+      { _id: template._id, "schedule.lockedBy": this.instanceId },
+      { $set: set, $unset: unset }
+    );
+  }
+}
+
+module.exports = new ReportScheduler();
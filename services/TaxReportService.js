@@ -0,0 +1,407 @@
+// services/TaxReportService.js - PIT-38 calculator
+const Position = require("../models/Position");
+const Portfolio = require("../models/Portfolio");
+const CashOperation = require("../models/CashOperation");
+const ExchangeRate = require("../models/ExchangeRate");
+const MarketData = require("../models/MarketData");
+const CurrencyService = require("./CurrencyService");
+
+const TAX_RATE = 0.19;
+const BASE_CURRENCY = "PLN";
+
+// Withholding tax is matched to a dividend paid within this many days
+const WITHHOLDING_MATCH_DAYS = 7;
+
+// Issuer country names in MarketData.marketInfo.country meaning Poland
+const POLAND = ["PL", "POLAND", "POLSKA"];
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Tax amounts on the form are rounded to full złoty (art. 63 Ordynacji podatkowej)
+const roundToZloty = (value) => Math.round(value);
+
+class TaxReportService {
+  /**
+   * Calculate PIT-38 for a user and tax year.
+   * Every leg is converted to PLN at the NBP average rate from the last
+   * business day before the transaction, using the local ExchangeRate table
+   * (gaps are filled from the configured CurrencyService provider).
+   */
+  async calculatePit38(userId, taxYear, options = {}) {
+    const { includeDividends = true, includeForeignTax = true } = options;
+    const startDate = new Date(Date.UTC(taxYear, 0, 1) - 60 * 60 * 1000);
+    const endDate = new Date(Date.UTC(taxYear + 1, 0, 1) - 60 * 60 * 1000);
+    const inTaxYear = (date) => date >= startDate && date < endDate;
+
+    const rateLookup = this.createRateLookup();
+
+    const portfolios = await Portfolio.find({ userId }).select("_id name");
+    const portfolioIds = portfolios.map((p) => p._id);
+
+    const positions = await Position.find({
+      portfolioId: { $in: portfolioIds },
+      $or: [
+        { "lots.matches.closeTime": { $gte: startDate, $lt: endDate } },
+        { status: "closed", closeTime: { $gte: startDate, $lt: endDate } },
+      ],
+    });
+
+    // Capital gains (section C/D)
+    const trades = positions
+      .flatMap((position) => this.extractClosedTrades(position))
+      .filter((trade) => inTaxYear(trade.closeTime));
+
+    const transactions = [];
+    for (const trade of trades) {
+      transactions.push(await this.convertTrade(trade, rateLookup));
+    }
+
+    // Foreign dividends (section G)
+    let dividends = [];
+    if (includeDividends) {
+      const cashOperations = await CashOperation.find({
+        userId,
+        type: { $in: ["dividend", "withholding_tax"] },
+        status: "completed",
+        time: { $gte: startDate, $lt: endDate },
+      }).sort({ time: 1 });
+
+      dividends = await this.convertDividends(
+        cashOperations,
+        rateLookup,
+        includeForeignTax
+      );
+    }
+
+    if (rateLookup.missing.size > 0) {
+      throw new Error(
+        `Missing NBP exchange rates preceding: ${[...rateLookup.missing]
+          .sort()
+          .join(", ")}`
+      );
+    }
+
+    return {
+      taxYear,
+      form: this.buildPit38Fields(transactions, dividends),
+      appendix: {
+        transactions: transactions.sort((a, b) => a.closeTime - b.closeTime),
+        dividends,
+      },
+    };
+  }
+
+  /**
+   * Split a position into closed trades, one per lot match.
+   * Short positions are sold at open and bought back at close.
+   */
+  extractClosedTrades(position) {
+    const base = {
+      positionId: position.positionId,
+      portfolioId: position.portfolioId,
+      symbol: position.symbol,
+      type: position.type,
+      currency: position.currency || BASE_CURRENCY,
+    };
+
+    if (position.lots.length === 0) {
+      // Legacy position without lot history
+      if (position.status !== "closed" || !position.closeTime) return [];
+
+      return [
+        {
+          ...base,
+          volume: position.volume,
+          openTime: position.openTime,
+          openPrice: position.openPrice,
+          openCommission: 0,
+          closeTime: position.closeTime,
+          closePrice: position.closePrice,
+          closeCommission: position.commission || 0,
+        },
+      ];
+    }
+
+    return position.lots.flatMap((lot) =>
+      lot.matches.map((match) => ({
+        ...base,
+        volume: match.volume,
+        openTime: lot.openTime,
+        openPrice: match.costPrice,
+        openCommission: lot.volume
+          ? ((lot.commission || 0) * match.volume) / lot.volume
+          : 0,
+        closeTime: match.closeTime,
+        closePrice: match.closePrice,
+        closeCommission: match.commission || 0,
+      }))
+    );
+  }
+
+  async convertTrade(trade, rateLookup) {
+    const openRate = await rateLookup(trade.currency, trade.openTime);
+    const closeRate = await rateLookup(trade.currency, trade.closeTime);
+
+    const openValue = trade.volume * trade.openPrice * openRate.rate;
+    const closeValue = trade.volume * trade.closePrice * closeRate.rate;
+    const commissionPLN =
+      trade.openCommission * openRate.rate +
+      trade.closeCommission * closeRate.rate;
+
+    const isLong = trade.type === "BUY";
+    const incomePLN = isLong ? closeValue : openValue;
+    const costPLN = (isLong ? openValue : closeValue) + commissionPLN;
+
+    return {
+      positionId: trade.positionId,
+      portfolioId: trade.portfolioId,
+      symbol: trade.symbol,
+      type: trade.type,
+      currency: trade.currency,
+      volume: trade.volume,
+      openTime: trade.openTime,
+      openPrice: trade.openPrice,
+      openRate: openRate.rate,
+      openRateDate: openRate.date,
+      openRateTable: openRate.table,
+      closeTime: trade.closeTime,
+      closePrice: trade.closePrice,
+      closeRate: closeRate.rate,
+      closeRateDate: closeRate.date,
+      closeRateTable: closeRate.table,
+      commissionPLN: round2(commissionPLN),
+      incomePLN: round2(incomePLN),
+      costPLN: round2(costPLN),
+      profitPLN: round2(incomePLN - costPLN),
+    };
+  }
+
+  /**
+   * Convert foreign dividends and pair them with the withholding tax
+   * deducted at source. Dividends of Polish issuers are taxed by the
+   * Polish payer and are not declared on PIT-38, whatever currency they
+   * were booked in; foreign dividends credited in PLN are declared.
+   * Without a known issuer country, a PLN dividend with the full 19%
+   * withheld is taken as paid by a Polish payer.
+   */
+  async convertDividends(cashOperations, rateLookup, includeForeignTax) {
+    const dividends = cashOperations.filter((op) => op.type === "dividend");
+    const withholdings = cashOperations.filter(
+      (op) => op.type === "withholding_tax"
+    );
+    const countries = await this.findIssuerCountries(
+      dividends.map((dividend) => dividend.symbol)
+    );
+
+    const rows = [];
+    for (const dividend of dividends) {
+      const paidAt = dividend.details?.paymentDate || dividend.time;
+      const rate = await rateLookup(dividend.currency, paidAt);
+      const grossPLN = Math.abs(dividend.amount) * rate.rate;
+
+      rows.push({
+        operationId: dividend.operationId,
+        portfolioId: dividend.portfolioId,
+        symbol: dividend.symbol,
+        currency: dividend.currency,
+        paidAt,
+        grossAmount: Math.abs(dividend.amount),
+        withholdingAmount: 0,
+        rate: rate.rate,
+        rateDate: rate.date,
+        rateTable: rate.table,
+        grossPLN,
+        withholdingPLN: 0,
+        issuerCountry: countries.get(dividend.symbol) || null,
+      });
+    }
+
+    for (const withholding of withholdings) {
+      const row = this.findDividendForWithholding(rows, withholding);
+      if (!row) continue;
+
+      const rate =
+        withholding.currency === row.currency
+          ? { rate: row.rate }
+          : await rateLookup(withholding.currency, row.paidAt);
+
+      row.withholdingAmount += Math.abs(withholding.amount);
+      row.withholdingPLN += Math.abs(withholding.amount) * rate.rate;
+    }
+
+    const declared = rows.filter((row) =>
+      row.issuerCountry
+        ? row.issuerCountry !== "PL"
+        : row.currency !== BASE_CURRENCY ||
+          row.withholdingPLN < row.grossPLN * TAX_RATE - 0.01
+    );
+
+    return declared.map((row) => {
+      if (!includeForeignTax) {
+        row.withholdingAmount = 0;
+        row.withholdingPLN = 0;
+      }
+
+      const taxDuePLN = row.grossPLN * TAX_RATE;
+      // Foreign tax is credited only up to the Polish 19%
+      const creditPLN = Math.min(row.withholdingPLN, taxDuePLN);
+
+      return {
+        ...row,
+        grossPLN: round2(row.grossPLN),
+        withholdingPLN: round2(row.withholdingPLN),
+        taxDuePLN: round2(taxDuePLN),
+        creditPLN: round2(creditPLN),
+        toPayPLN: round2(taxDuePLN - creditPLN),
+      };
+    });
+  }
+
+  /**
+   * Issuer country (ISO code, or the name stored in MarketData) by symbol:
+   * from the instrument's ISIN or country in MarketData, an ISIN used as
+   * the symbol (Degiro) or the XTB market suffix (CDR.PL, AAPL.US)
+   */
+  async findIssuerCountries(symbols) {
+    const unique = [...new Set(symbols.filter(Boolean))];
+    const records = await MarketData.find({ symbol: { $in: unique } }).select(
+      "symbol marketInfo.country metadata.isin"
+    );
+
+    const countries = new Map();
+    unique.forEach((symbol) => {
+      const record = records.find((candidate) => candidate.symbol === symbol);
+      const isin = record?.metadata?.isin?.toUpperCase();
+      const name = record?.marketInfo?.country?.trim().toUpperCase();
+      const suffix = symbol.match(/\.([A-Z]{2})$/)?.[1];
+
+      let country = null;
+      if (isin && ISIN_PATTERN.test(isin)) country = isin.slice(0, 2);
+      else if (name) country = POLAND.includes(name) ? "PL" : name;
+      else if (ISIN_PATTERN.test(symbol)) country = symbol.slice(0, 2);
+      else if (suffix) country = suffix === "UK" ? "GB" : suffix;
+
+      if (country) countries.set(symbol, country);
+    });
+
+    return countries;
+  }
+
+  findDividendForWithholding(rows, withholding) {
+    const maxDiff = WITHHOLDING_MATCH_DAYS * 24 * 60 * 60 * 1000;
+    let best = null;
+
+    rows.forEach((row) => {
+      if (row.symbol !== withholding.symbol) return;
+      if (String(row.portfolioId) !== String(withholding.portfolioId)) return;
+
+      const diff = Math.abs(new Date(row.paidAt) - withholding.time);
+      if (diff > maxDiff) return;
+      if (!best || diff < best.diff) best = { row, diff };
+    });
+
+    return best?.row || null;
+  }
+
+  /**
+   * Map totals onto PIT-38 (wersja 17) fields.
+   * All trades are reported as "inne przychody" (poz. 22-23); amounts
+   * already reported by a Polish broker on PIT-8C should be moved to
+   * poz. 20-21 by the taxpayer.
+   */
+  buildPit38Fields(transactions, dividends) {
+    const income = round2(transactions.reduce((s, t) => s + t.incomePLN, 0));
+    const costs = round2(transactions.reduce((s, t) => s + t.costPLN, 0));
+    const profit = income - costs;
+    const taxBase = profit > 0 ? roundToZloty(profit) : 0;
+    const capitalGainsTax = roundToZloty(taxBase * TAX_RATE);
+
+    const dividendTax = roundToZloty(
+      dividends.reduce((s, d) => s + d.taxDuePLN, 0)
+    );
+    const dividendCredit = roundToZloty(
+      dividends.reduce((s, d) => s + d.creditPLN, 0)
+    );
+
+    return {
+      sectionC: {
+        poz20_pit8cIncome: 0,
+        poz21_pit8cCosts: 0,
+        poz22_otherIncome: income,
+        poz23_otherCosts: costs,
+        poz24_totalIncome: income,
+        poz25_totalCosts: costs,
+        poz26_profit: profit > 0 ? round2(profit) : 0,
+        poz27_loss: profit < 0 ? round2(-profit) : 0,
+      },
+      sectionD: {
+        poz28_previousLosses: 0,
+        poz29_taxBase: taxBase,
+        poz30_taxRate: TAX_RATE * 100,
+        poz31_tax: capitalGainsTax,
+        poz32_foreignTaxPaid: 0,
+        poz33_taxDue: capitalGainsTax,
+      },
+      sectionG: {
+        poz45_dividendTax: dividendTax,
+        poz46_foreignTaxPaid: dividendCredit,
+        poz47_dividendTaxDue: Math.max(0, dividendTax - dividendCredit),
+      },
+      summary: {
+        transactionsCount: transactions.length,
+        dividendsCount: dividends.length,
+        totalTaxDue:
+          capitalGainsTax + Math.max(0, dividendTax - dividendCredit),
+      },
+    };
+  }
+
+  /**
+   * Memoized rate lookup for a single calculation.
+   * Missing rates are collected instead of thrown so all gaps are reported at once.
+   */
+  createRateLookup() {
+    const cache = new Map();
+    const missing = new Set();
+
+    const lookup = async (currency, date) => {
+      if (currency === BASE_CURRENCY) {
+        return { rate: 1, date: null, table: null };
+      }
+
+      const key = `${currency} ${ExchangeRate.toRateDate(date)
+        .toISOString()
+        .slice(0, 10)}`;
+
+      if (!cache.has(key)) {
+        try {
+          const found = await CurrencyService.getRateToPln(currency, date, {
+            preceding: true,
+          });
+          cache.set(key, {
+            rate: found.rate,
+            date: found.date,
+            table: found.table,
+          });
+        } catch (error) {
+          cache.set(key, null);
+        }
+      }
+
+      const result = cache.get(key);
+      if (!result) {
+        missing.add(key);
+        return { rate: 0, date: null, table: null };
+      }
+
+      return result;
+    };
+
+    lookup.missing = missing;
+    return lookup;
+  }
+}
+
+module.exports = new TaxReportService();
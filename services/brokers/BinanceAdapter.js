@@ -0,0 +1,297 @@
+// services/brokers/BinanceAdapter.js - Binance spot account (REST API v3, SAPI capital endpoints)
+const CryptoExchangeAdapter = require("./crypto/CryptoExchangeAdapter");
+const ExchangeHttpClient = require("./crypto/ExchangeHttpClient");
+
+const DEFAULT_BASE_URL = "https://api.binance.com";
+const RECV_WINDOW_MS = 5000;
+
+// Binance error code for a symbol that is not listed
+const INVALID_SYMBOL = -1121;
+
+// Deposit history covers at most 90 days per request
+const TRANSFER_WINDOW_MS = 90 * 24 * 60 * 60 * 1000;
+
+// deposit status 1 and withdrawal status 6 are completed
+const DEPOSIT_STATUS = { 0: "pending", 1: "completed", 6: "completed" };
+const WITHDRAWAL_STATUS = {
+  0: "pending",
+  1: "cancelled",
+  2: "pending",
+  3: "failed",
+  4: "pending",
+  5: "failed",
+  6: "completed",
+};
+
+class BinanceAdapter extends CryptoExchangeAdapter {
+  constructor() {
+    super("BINANCE");
+    this.http = new ExchangeHttpClient({
+      name: "Binance",
+      baseUrl: process.env.BINANCE_API_URL || DEFAULT_BASE_URL,
+      sign: (request, credentials) => this.sign(request, credentials),
+    });
+  }
+
+  // Signed endpoints: HMAC-SHA256 of the query string, API key in a header.
+  // Orders are sent as query parameters as well.
+  sign(request, { apiKey, secretKey }) {
+    request.params = {
+      ...request.params,
+      recvWindow: RECV_WINDOW_MS,
+      timestamp: Date.now(),
+    };
+    const query = new URLSearchParams(request.params).toString();
+
+    request.params.signature = this.hmacSha256(secretKey, query);
+    request.query = `${query}&signature=${request.params.signature}`;
+    request.body = null;
+    request.headers["X-MBX-APIKEY"] = apiKey;
+  }
+
+  async call(method, endpoint, params, credentials) {
+    const { status, body } = await this.http.request(method, endpoint, params, {
+      signed: Boolean(credentials),
+      credentials,
+    });
+
+    if (status >= 400) {
+      const error = new Error(body.msg || body.message || `HTTP ${status}`);
+      error.code = body.code ?? status;
+      error.status = status;
+      throw error;
+    }
+    return body;
+  }
+
+  async getBalances(credentials) {
+    const account = await this.call(
+      "GET",
+      "/api/v3/account",
+      { omitZeroBalances: true },
+      credentials
+    );
+
+    return (
+      account.balances
+        .map((balance) => ({
+          asset: balance.asset,
+          free: Number(balance.free),
+          locked: Number(balance.locked),
+        }))
+        // Simple Earn positions (LDBTC) mirror coins lent out
+        .filter((balance) => !balance.asset.startsWith("LD"))
+    );
+  }
+
+  async getTicker(symbol) {
+    try {
+      const ticker = await this.call("GET", "/api/v3/ticker/24hr", { symbol });
+      return {
+        symbol: ticker.symbol,
+        price: Number(ticker.lastPrice),
+        bid: Number(ticker.bidPrice),
+        ask: Number(ticker.askPrice),
+        high: Number(ticker.highPrice),
+        low: Number(ticker.lowPrice),
+        open: Number(ticker.openPrice),
+        volume: Number(ticker.volume),
+      };
+    } catch (error) {
+      if (error.code === INVALID_SYMBOL) return null;
+      throw error;
+    }
+  }
+
+  // myTrades per symbol from the first trade, paged by trade ID (time
+  // filters are limited to 24 hours), so the cost basis sees the whole
+  // history regardless of `since`
+  async getTrades(credentials, symbols) {
+    const trades = [];
+
+    for (const symbol of symbols) {
+      let fromId = 0;
+      for (;;) {
+        let page;
+        try {
+          page = await this.call(
+            "GET",
+            "/api/v3/myTrades",
+            { symbol, fromId, limit: 1000 },
+            credentials
+          );
+        } catch (error) {
+          if (error.code === INVALID_SYMBOL) break;
+          throw error;
+        }
+
+        trades.push(
+          ...page.map((trade) => ({
+            id: `${trade.symbol}:${trade.id}`,
+            orderId: String(trade.orderId),
+            symbol: trade.symbol,
+            side: trade.isBuyer ? "BUY" : "SELL",
+            qty: Number(trade.qty),
+            price: Number(trade.price),
+            quoteQty: Number(trade.quoteQty),
+            fee: Number(trade.commission),
+            feeAsset: trade.commissionAsset,
+            time: trade.time,
+          }))
+        );
+
+        if (page.length < 1000) break;
+        fromId = page[page.length - 1].id + 1;
+      }
+    }
+
+    return trades;
+  }
+
+  async getTransfers(credentials, from, to) {
+    const transfers = [];
+
+    for (let start = from; start < to; start += TRANSFER_WINDOW_MS) {
+      const window = {
+        startTime: start,
+        endTime: Math.min(start + TRANSFER_WINDOW_MS, to),
+      };
+
+      const deposits = await this.call(
+        "GET",
+        "/sapi/v1/capital/deposit/hisrec",
+        window,
+        credentials
+      );
+      const withdrawals = await this.call(
+        "GET",
+        "/sapi/v1/capital/withdraw/history",
+        window,
+        credentials
+      );
+
+      transfers.push(
+        ...deposits.map((deposit) => ({
+          id: String(deposit.id || deposit.txId),
+          type: "deposit",
+          asset: deposit.coin,
+          amount: Number(deposit.amount),
+          fee: 0,
+          time: deposit.completeTime || deposit.insertTime,
+          status: DEPOSIT_STATUS[deposit.status] || "pending",
+          txId: deposit.txId,
+          network: deposit.network,
+        })),
+        ...withdrawals.map((withdrawal) => ({
+          id: String(withdrawal.id),
+          type: "withdrawal",
+          asset: withdrawal.coin,
+          amount: Number(withdrawal.amount),
+          fee: Number(withdrawal.transactionFee || 0),
+          // "2024-03-01 10:15:00" in UTC
+          time: Date.parse(
+            `${(withdrawal.completeTime || withdrawal.applyTime).replace(
+              " ",
+              "T"
+            )}Z`
+          ),
+          status: WITHDRAWAL_STATUS[withdrawal.status] || "pending",
+          txId: withdrawal.txId,
+          network: withdrawal.network,
+        }))
+      );
+    }
+
+    // Windows share their boundaries
+    return [
+      ...new Map(
+        transfers.map((transfer) => [
+          `${transfer.type}:${transfer.id}`,
+          transfer,
+        ])
+      ).values(),
+    ];
+  }
+
+  async getAccountInfo(credentials) {
+    this.validateCredentials(credentials);
+
+    try {
+      const account = await this.call(
+        "GET",
+        "/api/v3/account",
+        { omitZeroBalances: true },
+        credentials
+      );
+
+      const balances = account.balances.map((balance) => ({
+        asset: balance.asset,
+        free: Number(balance.free),
+        locked: Number(balance.locked),
+      }));
+
+      return {
+        broker: this.brokerName,
+        accountType: account.accountType,
+        canTrade: account.canTrade,
+        currency: "USD",
+        cash: this.getCashBalance(balances),
+        balances,
+        updatedAt: new Date(account.updateTime),
+      };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * New spot order
+   * @param {Object} brokerConfig - Portfolio broker configuration
+   * @param {Object} orderData - symbol, side (buy/sell), volume, type
+   *   (market/limit), price (limit)
+   */
+  async placeOrder(brokerConfig, orderData) {
+    const { symbol, side, volume, type = "market", price } = orderData;
+    const credentials = this.getCredentials(brokerConfig);
+    this.validateCredentials(credentials);
+
+    if (!["market", "limit"].includes(type)) {
+      throw new Error(`Order type ${type} is not supported by Binance`);
+    }
+
+    try {
+      const order = await this.call(
+        "POST",
+        "/api/v3/order",
+        {
+          symbol: symbol.toUpperCase(),
+          side: String(side).toUpperCase(),
+          type: type.toUpperCase(),
+          quantity: volume,
+          ...(type === "limit" && { price, timeInForce: "GTC" }),
+          newOrderRespType: "FULL",
+        },
+        credentials
+      );
+
+      return {
+        id: String(order.orderId),
+        orderId: order.orderId,
+        symbol: order.symbol,
+        status: order.status.toLowerCase(),
+        executedVolume: Number(order.executedQty),
+        executedValue: Number(order.cummulativeQuoteQty),
+        fills: (order.fills || []).map((fill) => ({
+          price: Number(fill.price),
+          volume: Number(fill.qty),
+          commission: Number(fill.commission),
+          commissionAsset: fill.commissionAsset,
+        })),
+      };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+}
+
+module.exports = BinanceAdapter;
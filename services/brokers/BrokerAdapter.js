@@ -3,6 +3,9 @@ class BrokerAdapter {
   constructor(brokerName) {
     this.brokerName = brokerName;
     this.supportedOperations = [];
+    // Cash operations (synced or imported) include trade settlements, so
+    // their sum is comparable with the broker's cash
+    this.syncsTradeCash = true;
   }
 
   // Abstract methods - must be implemented by subclasses
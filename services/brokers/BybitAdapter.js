@@ -0,0 +1,311 @@
+// services/brokers/BybitAdapter.js - Bybit unified trading account, spot (REST API v5)
+const CryptoExchangeAdapter = require("./crypto/CryptoExchangeAdapter");
+const ExchangeHttpClient = require("./crypto/ExchangeHttpClient");
+
+const DEFAULT_BASE_URL = "https://api.bybit.com";
+const RECV_WINDOW_MS = 5000;
+
+// Bybit retCode for a symbol that is not listed
+const INVALID_SYMBOL = 10001;
+
+// Execution and transfer history covers at most 7 / 30 days per request
+const EXECUTION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const TRANSFER_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const PAGE_LIMIT = 100;
+
+// Deposit status 3 is success; withdrawals report names
+const DEPOSIT_STATUS = {
+  1: "pending",
+  2: "pending",
+  3: "completed",
+  4: "failed",
+};
+const WITHDRAWAL_STATUS = {
+  SecurityCheck: "pending",
+  Pending: "pending",
+  success: "completed",
+  CancelByUser: "cancelled",
+  Reject: "failed",
+  Fail: "failed",
+  BlockchainConfirmed: "pending",
+};
+
+class BybitAdapter extends CryptoExchangeAdapter {
+  constructor() {
+    super("BYBIT");
+    this.http = new ExchangeHttpClient({
+      name: "Bybit",
+      baseUrl: process.env.BYBIT_API_URL || DEFAULT_BASE_URL,
+      sign: (request, credentials) => this.sign(request, credentials),
+    });
+  }
+
+  // HMAC-SHA256 of timestamp + API key + recv window + query string (GET)
+  // or JSON body (POST), sent in X-BAPI-* headers
+  sign(request, { apiKey, secretKey }) {
+    const timestamp = String(Date.now());
+    const payload = request.method === "GET" ? request.query : request.body;
+
+    Object.assign(request.headers, {
+      "X-BAPI-API-KEY": apiKey,
+      "X-BAPI-TIMESTAMP": timestamp,
+      "X-BAPI-RECV-WINDOW": String(RECV_WINDOW_MS),
+      "X-BAPI-SIGN": this.hmacSha256(
+        secretKey,
+        `${timestamp}${apiKey}${RECV_WINDOW_MS}${payload}`
+      ),
+    });
+  }
+
+  // Bybit answers HTTP 200 with a retCode; the data is in `result`
+  async call(method, endpoint, params, credentials) {
+    const { status, body } = await this.http.request(method, endpoint, params, {
+      signed: Boolean(credentials),
+      credentials,
+    });
+
+    if (status >= 400 || body.retCode !== 0) {
+      const error = new Error(body.retMsg || body.message || `HTTP ${status}`);
+      error.code = body.retCode ?? status;
+      error.status = status;
+      throw error;
+    }
+    return body.result;
+  }
+
+  // Pages of a cursor-paginated list
+  async callPaged(endpoint, params, credentials, listField = "list") {
+    const items = [];
+    let cursor;
+
+    do {
+      const result = await this.call(
+        "GET",
+        endpoint,
+        { ...params, limit: PAGE_LIMIT, cursor },
+        credentials
+      );
+      items.push(...(result[listField] || []));
+      cursor = result.nextPageCursor;
+    } while (cursor);
+
+    return items;
+  }
+
+  async getBalances(credentials) {
+    const result = await this.call(
+      "GET",
+      "/v5/account/wallet-balance",
+      { accountType: "UNIFIED" },
+      credentials
+    );
+    const wallet = result.list[0] || { coin: [] };
+
+    return wallet.coin.map((coin) => {
+      const total = Number(coin.walletBalance);
+      const locked = Number(coin.locked || 0);
+      return { asset: coin.coin, free: total - locked, locked };
+    });
+  }
+
+  async getTicker(symbol) {
+    let result;
+    try {
+      result = await this.call("GET", "/v5/market/tickers", {
+        category: "spot",
+        symbol,
+      });
+    } catch (error) {
+      if (error.code === INVALID_SYMBOL) return null;
+      throw error;
+    }
+
+    const ticker = result.list[0];
+    if (!ticker) return null;
+
+    return {
+      symbol: ticker.symbol,
+      price: Number(ticker.lastPrice),
+      bid: Number(ticker.bid1Price),
+      ask: Number(ticker.ask1Price),
+      high: Number(ticker.highPrice24h),
+      low: Number(ticker.lowPrice24h),
+      open: Number(ticker.prevPrice24h),
+      volume: Number(ticker.volume24h),
+    };
+  }
+
+  // Spot executions of all symbols in 7-day windows since `since`,
+  // filtered to the requested symbols
+  async getTrades(credentials, symbols, since) {
+    const wanted = new Set(symbols);
+    const trades = [];
+
+    for (let start = since; start < Date.now(); start += EXECUTION_WINDOW_MS) {
+      const executions = await this.callPaged(
+        "/v5/execution/list",
+        {
+          category: "spot",
+          startTime: start,
+          endTime: Math.min(start + EXECUTION_WINDOW_MS, Date.now()),
+        },
+        credentials
+      );
+
+      trades.push(
+        ...executions
+          .filter((execution) => wanted.has(execution.symbol))
+          .map((execution) => ({
+            id: execution.execId,
+            orderId: execution.orderId,
+            symbol: execution.symbol,
+            side: execution.side === "Buy" ? "BUY" : "SELL",
+            qty: Number(execution.execQty),
+            price: Number(execution.execPrice),
+            quoteQty: Number(execution.execValue),
+            fee: Number(execution.execFee || 0),
+            feeAsset: execution.feeCurrency || null,
+            time: Number(execution.execTime),
+          }))
+      );
+    }
+
+    // Windows share their boundaries
+    return [...new Map(trades.map((trade) => [trade.id, trade])).values()];
+  }
+
+  async getTransfers(credentials, from, to) {
+    const transfers = [];
+
+    for (let start = from; start < to; start += TRANSFER_WINDOW_MS) {
+      const window = {
+        startTime: start,
+        endTime: Math.min(start + TRANSFER_WINDOW_MS, to),
+      };
+
+      const deposits = await this.callPaged(
+        "/v5/asset/deposit/query-record",
+        window,
+        credentials,
+        "rows"
+      );
+      const withdrawals = await this.callPaged(
+        "/v5/asset/withdraw/query-record",
+        { ...window, withdrawType: 0 },
+        credentials,
+        "rows"
+      );
+
+      transfers.push(
+        ...deposits.map((deposit) => ({
+          id: String(deposit.id || deposit.txID),
+          type: "deposit",
+          asset: deposit.coin,
+          amount: Number(deposit.amount),
+          fee: Number(deposit.depositFee || 0),
+          time: Number(deposit.successAt),
+          status: DEPOSIT_STATUS[deposit.status] || "pending",
+          txId: deposit.txID,
+          network: deposit.chain,
+        })),
+        ...withdrawals.map((withdrawal) => ({
+          id: String(withdrawal.withdrawId),
+          type: "withdrawal",
+          asset: withdrawal.coin,
+          amount: Number(withdrawal.amount),
+          fee: Number(withdrawal.withdrawFee || 0),
+          time: Number(withdrawal.updateTime || withdrawal.createTime),
+          status: WITHDRAWAL_STATUS[withdrawal.status] || "pending",
+          txId: withdrawal.txID,
+          network: withdrawal.chain,
+        }))
+      );
+    }
+
+    return [
+      ...new Map(
+        transfers.map((transfer) => [
+          `${transfer.type}:${transfer.id}`,
+          transfer,
+        ])
+      ).values(),
+    ];
+  }
+
+  async getAccountInfo(credentials) {
+    this.validateCredentials(credentials);
+
+    try {
+      const result = await this.call(
+        "GET",
+        "/v5/account/wallet-balance",
+        { accountType: "UNIFIED" },
+        credentials
+      );
+      const wallet = result.list[0] || { coin: [] };
+      const balances = wallet.coin.map((coin) => ({
+        asset: coin.coin,
+        free: Number(coin.walletBalance) - Number(coin.locked || 0),
+        locked: Number(coin.locked || 0),
+      }));
+
+      return {
+        broker: this.brokerName,
+        accountType: wallet.accountType,
+        currency: "USD",
+        cash: this.getCashBalance(balances),
+        equity: Number(wallet.totalEquity),
+        walletBalance: Number(wallet.totalWalletBalance),
+        availableBalance: Number(wallet.totalAvailableBalance),
+        balances,
+      };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * New spot order
+   * @param {Object} brokerConfig - Portfolio broker configuration
+   * @param {Object} orderData - symbol, side (buy/sell), volume, type
+   *   (market/limit), price (limit)
+   */
+  async placeOrder(brokerConfig, orderData) {
+    const { symbol, side, volume, type = "market", price } = orderData;
+    const credentials = this.getCredentials(brokerConfig);
+    this.validateCredentials(credentials);
+
+    if (!["market", "limit"].includes(type)) {
+      throw new Error(`Order type ${type} is not supported by Bybit`);
+    }
+
+    try {
+      const order = await this.call(
+        "POST",
+        "/v5/order/create",
+        {
+          category: "spot",
+          symbol: symbol.toUpperCase(),
+          side: String(side).toLowerCase() === "buy" ? "Buy" : "Sell",
+          orderType: type === "limit" ? "Limit" : "Market",
+          qty: String(volume),
+          // Market quantities are in the coin, not the quote
+          ...(type === "market" && { marketUnit: "baseCoin" }),
+          ...(type === "limit" && { price: String(price), timeInForce: "GTC" }),
+        },
+        credentials
+      );
+
+      return {
+        id: order.orderId,
+        orderId: order.orderId,
+        symbol: symbol.toUpperCase(),
+        status: "accepted",
+      };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+}
+
+module.exports = BybitAdapter;
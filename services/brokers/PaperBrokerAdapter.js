@@ -0,0 +1,423 @@
+// services/brokers/PaperBrokerAdapter.js - simulated broker for paper trading
+const fs = require("fs");
+const BrokerAdapter = require("./BrokerAdapter");
+const MarketData = require("../../models/MarketData");
+
+const DEFAULT_INITIAL_CASH = 100000;
+
+// Tolerance for floating point volume comparisons
+const VOLUME_EPSILON = 1e-8;
+
+// Position.currency values; other account currencies are reported as USD
+const POSITION_CURRENCIES = ["USD", "EUR", "PLN", "GBP"];
+
+/**
+ * Broker without a network connection: accounts, positions and fills live
+ * in this process (optionally persisted to PAPER_BROKER_STATE_FILE) and
+ * orders are filled at the prices in MarketData. Paper portfolios sync
+ * like any other broker, so the whole sync path can be run locally.
+ *
+ * Accounts are keyed by the owner (brokerConfig.userId, set by
+ * BrokerService) and brokerConfig.accountId, so users picking the same
+ * account ID do not share an account; they are opened on first use with
+ * PAPER_BROKER_INITIAL_CASH.
+ */
+class PaperBrokerAdapter extends BrokerAdapter {
+  constructor() {
+    super("PAPER");
+    this.supportedOperations = [
+      "positions",
+      "transactions",
+      "orders",
+      "marketdata",
+    ];
+    this.stateFile = process.env.PAPER_BROKER_STATE_FILE || null;
+    this.initialCash =
+      Number(process.env.PAPER_BROKER_INITIAL_CASH) || DEFAULT_INITIAL_CASH;
+    this.commissionRate = Number(process.env.PAPER_BROKER_COMMISSION_RATE) || 0;
+    // Fills and the initial cash are not booked as cash operations
+    this.syncsTradeCash = false;
+    this.accounts = null;
+  }
+
+  getRequiredCredentials() {
+    return ["userId", "accountId"];
+  }
+
+  async authenticate(credentials) {
+    this.validateCredentials(credentials);
+    const account = await this.getAccount(credentials);
+    return { authenticated: true, accountId: account.accountId };
+  }
+
+  async testConnection(credentials) {
+    try {
+      await this.authenticate(credentials);
+      return { success: true, message: "Connection successful" };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  async getPositions(brokerConfig) {
+    const account = await this.getAccount(brokerConfig);
+    const positions = Object.values(account.positions);
+
+    // Report open positions at the current market price
+    for (const position of positions) {
+      if (position.status !== "open") continue;
+      const marketData = await MarketData.findBySymbol(position.symbol);
+      if (marketData) position.marketPrice = marketData.currentPrice;
+    }
+
+    return positions.map((position) => ({ ...position }));
+  }
+
+  async getAccountInfo(credentials) {
+    this.validateCredentials(credentials);
+    const account = await this.getAccount(credentials);
+    const positions = await this.getPositions(credentials);
+
+    const marketValue = positions
+      .filter((position) => position.status === "open")
+      .reduce((sum, position) => {
+        const value =
+          (position.marketPrice || position.openPrice) * position.volume;
+        return sum + (position.side === "BUY" ? value : -value);
+      }, 0);
+
+    return {
+      broker: this.brokerName,
+      accountId: account.accountId,
+      currency: account.currency,
+      initialCash: account.initialCash,
+      cash: round(account.cash),
+      marketValue: round(marketValue),
+      equity: round(account.cash + marketValue),
+      openPositions: positions.filter((position) => position.status === "open")
+        .length,
+    };
+  }
+
+  /**
+   * Fills and cash movements of the account
+   * @param {Object} brokerConfig - userId, accountId
+   * @param {Object} dateRange - Optional from/to
+   */
+  async getTransactions(brokerConfig, dateRange = {}) {
+    const account = await this.getAccount(brokerConfig);
+    const from = dateRange.from ? new Date(dateRange.from) : null;
+    const to = dateRange.to ? new Date(dateRange.to) : null;
+
+    return account.transactions
+      .filter((transaction) => {
+        const time = new Date(transaction.time);
+        return (!from || time >= from) && (!to || time <= to);
+      })
+      .map((transaction) => ({ ...transaction }));
+  }
+
+  /**
+   * Fill an order at the MarketData price: buys at the ask, sells at the
+   * bid (current price when there is no quote). A buy first reduces open
+   * SELL positions of the symbol, oldest first, and vice versa; the rest
+   * opens a new position. Limit orders are filled only when marketable.
+   * @param {Object} brokerConfig - userId, accountId
+   * @param {Object} orderData - symbol, side (buy/sell), volume, type
+   *   (market/limit), price (limit)
+   */
+  async placeOrder(brokerConfig, orderData) {
+    const { symbol, side, volume, type = "market", price } = orderData;
+    const account = await this.getAccount(brokerConfig);
+
+    if (!symbol) throw this.orderError("Symbol is required");
+    if (!["buy", "sell"].includes(String(side).toLowerCase())) {
+      throw this.orderError("Side must be either buy or sell");
+    }
+    if (!(volume > 0)) throw this.orderError("Volume must be greater than 0");
+    if (!["market", "limit"].includes(type)) {
+      throw this.orderError(`Order type ${type} is not supported`);
+    }
+    if (type === "limit" && !(price > 0)) {
+      throw this.orderError("Limit price is required");
+    }
+
+    const direction = String(side).toUpperCase();
+    const quote = await this.getMarketData(symbol);
+    const fillPrice =
+      direction === "BUY" ? quote.ask || quote.price : quote.bid || quote.price;
+
+    if (
+      type === "limit" &&
+      (direction === "BUY" ? fillPrice > price : fillPrice < price)
+    ) {
+      throw this.orderError(
+        `Limit ${direction} ${quote.symbol} @ ${price} is not marketable at ${fillPrice}`,
+        "ORDER_NOT_MARKETABLE"
+      );
+    }
+
+    const time = new Date();
+    const commission = round(fillPrice * volume * this.commissionRate);
+    const orderId = this.nextId(account);
+    const fill = {
+      id: `PAPER-${account.accountId}-T${orderId}`,
+      orderId,
+      type: "trade",
+      symbol: quote.symbol,
+      side: direction,
+      volume,
+      price: fillPrice,
+      commission,
+      time: time.toISOString(),
+      positionIds: [],
+    };
+
+    let remaining = volume;
+    const opposing = Object.values(account.positions)
+      .filter(
+        (position) =>
+          position.symbol === quote.symbol &&
+          position.status === "open" &&
+          position.side !== direction
+      )
+      .sort((a, b) => new Date(a.openTime) - new Date(b.openTime));
+
+    for (const position of opposing) {
+      if (remaining <= VOLUME_EPSILON) break;
+      const closed = Math.min(remaining, position.volume);
+      const closedPosition = this.reducePosition(
+        account,
+        position,
+        closed,
+        fillPrice,
+        time
+      );
+      closedPosition.commission = round(
+        closedPosition.commission + (commission * closed) / volume
+      );
+      fill.positionIds.push(closedPosition.id);
+      remaining -= closed;
+    }
+
+    if (remaining > VOLUME_EPSILON) {
+      const position = this.openPosition(account, {
+        symbol: quote.symbol,
+        name: quote.name || quote.symbol,
+        currency: quote.currency,
+        side: direction,
+        volume: remaining,
+        openPrice: fillPrice,
+        openTime: time.toISOString(),
+        commission: round((commission * remaining) / volume),
+        marketPrice: quote.price,
+      });
+      fill.positionIds.push(position.id);
+    }
+
+    // Buys pay, sells receive the traded value
+    const value = fillPrice * volume;
+    account.cash += (direction === "BUY" ? -value : value) - commission;
+    account.transactions.push(fill);
+
+    await this.saveState();
+    return { ...fill, status: "filled" };
+  }
+
+  async getMarketData(symbol) {
+    const marketData = await MarketData.findBySymbol(symbol);
+    if (!marketData) {
+      const error = new Error(`No market data for ${symbol}`);
+      error.code = "NO_MARKET_DATA";
+      throw error;
+    }
+
+    return {
+      symbol: marketData.symbol,
+      name: marketData.name,
+      currency: marketData.marketInfo?.currency,
+      price: marketData.currentPrice,
+      bid: marketData.bidAsk?.bid,
+      ask: marketData.bidAsk?.ask,
+      volume: marketData.dailyData?.volume,
+      high: marketData.dailyData?.high,
+      low: marketData.dailyData?.low,
+      open: marketData.dailyData?.open,
+    };
+  }
+
+  normalizePosition(paperPosition) {
+    const closed = paperPosition.status === "closed";
+    return {
+      positionId: paperPosition.positionId,
+      symbol: paperPosition.symbol,
+      name: paperPosition.name,
+      volume: paperPosition.volume,
+      openPrice: paperPosition.openPrice,
+      openTime: new Date(paperPosition.openTime),
+      purchaseValue: paperPosition.openPrice * paperPosition.volume,
+      marketPrice: paperPosition.marketPrice || null,
+      currency: POSITION_CURRENCIES.includes(paperPosition.currency)
+        ? paperPosition.currency
+        : "USD",
+      type: paperPosition.side,
+      commission: paperPosition.commission,
+      status: closed ? "closed" : "open",
+      closeTime: closed ? new Date(paperPosition.closeTime) : null,
+      closePrice: closed ? paperPosition.closePrice : null,
+      importedFrom: "api",
+    };
+  }
+
+  // Account management (tests and local setups)
+
+  // Add or withdraw (negative amount) cash
+  async deposit(brokerConfig, amount) {
+    const account = await this.getAccount(brokerConfig);
+    account.cash += amount;
+    account.transactions.push({
+      id: `PAPER-${account.accountId}-C${this.nextId(account)}`,
+      type: amount >= 0 ? "deposit" : "withdrawal",
+      amount: Math.abs(amount),
+      time: new Date().toISOString(),
+    });
+
+    await this.saveState();
+    return { accountId: account.accountId, cash: round(account.cash) };
+  }
+
+  async resetAccount(brokerConfig) {
+    await this.loadState();
+    delete this.accounts[this.accountKey(brokerConfig)];
+    await this.saveState();
+  }
+
+  // Internals
+
+  accountKey({ userId, accountId } = {}) {
+    if (!userId) {
+      throw new Error("Paper account owner (brokerConfig.userId) is required");
+    }
+    if (!accountId) {
+      throw new Error("Paper account ID (brokerConfig.accountId) is required");
+    }
+    return `${userId}:${accountId}`;
+  }
+
+  async getAccount(brokerConfig) {
+    const key = this.accountKey(brokerConfig);
+
+    await this.loadState();
+    if (!this.accounts[key]) {
+      this.accounts[key] = {
+        accountId: brokerConfig.accountId,
+        userId: String(brokerConfig.userId),
+        currency: process.env.PAPER_BROKER_CURRENCY || "USD",
+        initialCash: this.initialCash,
+        cash: this.initialCash,
+        nextId: 1,
+        positions: {},
+        transactions: [],
+        createdAt: new Date().toISOString(),
+      };
+      await this.saveState();
+    }
+    return this.accounts[key];
+  }
+
+  nextId(account) {
+    return account.nextId++;
+  }
+
+  openPosition(account, data) {
+    // Same scheme as Position.applyTrade, kept for the life of the position
+    const positionId = Date.now() * 1000 + Math.floor(Math.random() * 1000);
+    const position = {
+      id: `PAPER-${account.accountId}-${this.nextId(account)}`,
+      positionId,
+      status: "open",
+      closePrice: null,
+      closeTime: null,
+      ...data,
+    };
+    account.positions[position.id] = position;
+    return position;
+  }
+
+  // Close a position, or split off its closed part the way brokers report
+  // partial closes: a closed position with the closed volume
+  reducePosition(account, position, volume, price, time) {
+    if (position.volume - volume <= VOLUME_EPSILON) {
+      Object.assign(position, {
+        status: "closed",
+        closePrice: price,
+        closeTime: time.toISOString(),
+        marketPrice: price,
+      });
+      return position;
+    }
+
+    const commission = round((position.commission * volume) / position.volume);
+    position.commission = round(position.commission - commission);
+    position.volume -= volume;
+
+    return this.openPosition(account, {
+      symbol: position.symbol,
+      name: position.name,
+      currency: position.currency,
+      side: position.side,
+      volume,
+      openPrice: position.openPrice,
+      openTime: position.openTime,
+      commission,
+      marketPrice: price,
+      status: "closed",
+      closePrice: price,
+      closeTime: time.toISOString(),
+      parentId: position.id,
+    });
+  }
+
+  orderError(message, code = "INVALID_ORDER") {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  async loadState() {
+    if (this.accounts) return;
+
+    this.accounts = {};
+    if (!this.stateFile) return;
+
+    try {
+      this.accounts = JSON.parse(
+        await fs.promises.readFile(this.stateFile, "utf8")
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(
+          "❌ Paper broker state could not be read:",
+          error.message
+        );
+      }
+    }
+  }
+
+  async saveState() {
+    if (!this.stateFile) return;
+
+    try {
+      await fs.promises.writeFile(
+        this.stateFile,
+        JSON.stringify(this.accounts, null, 2)
+      );
+    } catch (error) {
+      console.error("❌ Paper broker state could not be saved:", error.message);
+    }
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+module.exports = PaperBrokerAdapter;
@@ -1,5 +1,29 @@
 // services/brokers/XTBAdapter.js - AKTUALIZACJA ISTNIEJĄCEGO
 const BrokerAdapter = require("./BrokerAdapter");
+const XApiClient = require("./xtb/XApiClient");
+
+// xAPI TRADE_RECORD.cmd
+const CMD = {
+  BUY: 0,
+  SELL: 1,
+  BUY_LIMIT: 2,
+  SELL_LIMIT: 3,
+  BUY_STOP: 4,
+  SELL_STOP: 5,
+};
+
+// xAPI tradeTransInfo.type
+const TRANSACTION_TYPE = { OPEN: 0, CLOSE: 2, DELETE: 4 };
+
+// xAPI tradeTransactionStatus.requestStatus
+const REQUEST_STATUS = { ERROR: 0, PENDING: 1, ACCEPTED: 3, REJECTED: 4 };
+
+const SUPPORTED_CURRENCIES = ["USD", "EUR", "PLN", "GBP"];
+
+// Closed trades fetched on the first sync; later syncs start a day before
+// the previous one
+const DEFAULT_HISTORY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class XTBAdapter extends BrokerAdapter {
   constructor() {
@@ -10,50 +34,365 @@ class XTBAdapter extends BrokerAdapter {
       "realtime",
       "orders",
     ];
+    this.historyDays =
+      Number(process.env.XTB_HISTORY_DAYS) || DEFAULT_HISTORY_DAYS;
   }
 
   getRequiredCredentials() {
-    return ["login", "password"]; // or API key if available
+    return ["login", "password"];
+  }
+
+  /**
+   * xAPI credentials of a portfolio: login is the XTB account number
+   * (brokerConfig.accountId), the password is kept in
+   * apiCredentials.secretKey and additionalParams.server selects the
+   * "demo" (default) or "real" server
+   */
+  getCredentials(brokerConfig) {
+    const { accountId, apiCredentials = {} } = brokerConfig;
+    return {
+      login: apiCredentials.additionalParams?.login || accountId,
+      password: apiCredentials.secretKey,
+      server: apiCredentials.additionalParams?.server,
+    };
+  }
+
+  /**
+   * Log in and run `fn` with the connected client; the session is closed
+   * afterwards
+   */
+  async withSession(credentials, fn) {
+    this.validateCredentials(credentials);
+
+    const client = new XApiClient({ server: credentials.server });
+    try {
+      await client.connect();
+      await client.login(credentials.login, credentials.password);
+      return await fn(client);
+    } finally {
+      await client.logout();
+      client.close();
+    }
+  }
+
+  async authenticate(credentials) {
+    try {
+      return await this.withSession(credentials, async (client) => ({
+        authenticated: true,
+        streamSessionId: client.streamSessionId,
+      }));
+    } catch (error) {
+      throw this.formatError(error);
+    }
   }
 
+  /**
+   * Open trades and trades closed since the last sync, each with the
+   * instrument's name and profit currency from getSymbol
+   */
   async getPositions(brokerConfig) {
-    // Use existing XTB integration code
-    // But adapt to new broker config format
-    const { accountId, apiCredentials } = brokerConfig;
+    const since = brokerConfig.lastSync
+      ? new Date(brokerConfig.lastSync).getTime() - DAY_MS
+      : Date.now() - this.historyDays * DAY_MS;
 
     try {
-      // Your existing XTB API calls here
-      const positions = await this.xtbApi.getPositions();
-      return positions;
+      return await this.withSession(
+        this.getCredentials(brokerConfig),
+        async (client) => {
+          const openTrades = await client.getTrades(true);
+          const closedTrades = await client.getTradesHistory(since, 0);
+          const { currency: accountCurrency } = await client.getMarginLevel();
+
+          // Pending orders are not positions
+          const trades = [...openTrades, ...closedTrades].filter(
+            (trade) => trade.cmd === CMD.BUY || trade.cmd === CMD.SELL
+          );
+
+          const symbols = new Map();
+          for (const symbol of new Set(trades.map((trade) => trade.symbol))) {
+            symbols.set(symbol, await client.getSymbol(symbol));
+          }
+
+          // A partial close can leave a history record with the number of
+          // a still open position; it is kept apart under its order number
+          const openNumbers = new Set(
+            openTrades.map((trade) => trade.position)
+          );
+
+          return trades.map((trade) => {
+            const split = trade.closed && openNumbers.has(trade.position);
+            const symbol = symbols.get(trade.symbol) || {};
+            return {
+              ...trade,
+              id: String(split ? trade.order : trade.position),
+              positionNumber: split ? trade.order : trade.position,
+              description: symbol.description,
+              currency: symbol.currencyProfit || accountCurrency,
+            };
+          });
+        }
+      );
     } catch (error) {
       throw this.formatError(error);
     }
   }
 
   normalizePosition(xtbPosition) {
+    const closed = Boolean(xtbPosition.closed && xtbPosition.close_time);
+    const volume = xtbPosition.volume;
+
     return {
+      positionId: xtbPosition.positionNumber ?? xtbPosition.position,
       symbol: xtbPosition.symbol,
-      name: xtbPosition.customComment || xtbPosition.symbol,
-      volume: xtbPosition.volume,
-      openPrice: xtbPosition.open_price,
-      marketPrice: xtbPosition.close_price, // Current market price
-      currency: "USD", // XTB typically USD
-      type: xtbPosition.cmd === 0 ? "BUY" : "SELL",
+      name: (
+        xtbPosition.description ||
+        xtbPosition.customComment ||
+        xtbPosition.symbol
+      ).slice(0, 100),
+      type: xtbPosition.cmd === CMD.SELL ? "SELL" : "BUY",
+      volume,
       openTime: new Date(xtbPosition.open_time),
-      commission: xtbPosition.commission,
-      swap: xtbPosition.storage,
-      grossPL: xtbPosition.profit,
-      status: xtbPosition.close_time ? "closed" : "open",
-      closeTime: xtbPosition.close_time
-        ? new Date(xtbPosition.close_time)
-        : null,
-      closePrice: xtbPosition.close_price,
+      openPrice: xtbPosition.open_price,
+      purchaseValue: volume * xtbPosition.open_price,
+      // For open trades close_price is the current price
+      marketPrice: closed ? null : xtbPosition.close_price || null,
+      closeTime: closed ? new Date(xtbPosition.close_time) : null,
+      closePrice: closed ? xtbPosition.close_price : null,
+      saleValue: closed ? volume * xtbPosition.close_price : null,
+      grossPL: xtbPosition.profit || 0,
+      status: closed ? "closed" : "open",
+      // XTB reports costs as negative amounts; the model stores them as positive
+      commission: Math.abs(xtbPosition.commission || 0),
+      swap: xtbPosition.storage ? -xtbPosition.storage : 0,
+      currency: SUPPORTED_CURRENCIES.includes(xtbPosition.currency)
+        ? xtbPosition.currency
+        : "USD",
+      notes:
+        [xtbPosition.customComment, xtbPosition.comment]
+          .filter(Boolean)
+          .join(". ")
+          .slice(0, 500) || undefined,
+      importedFrom: "api",
     };
   }
 
+  async getAccountInfo(credentials) {
+    try {
+      const margin = await this.withSession(credentials, (client) =>
+        client.getMarginLevel()
+      );
+
+      return {
+        broker: this.brokerName,
+        accountId: String(credentials.login),
+        currency: margin.currency,
+        balance: margin.balance,
+        credit: margin.credit,
+        equity: margin.equity,
+        margin: margin.margin,
+        freeMargin: margin.margin_free,
+        marginLevel: margin.margin_level,
+      };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Closed trades in the date range (default: the history period)
+   * @param {Object} brokerConfig - Portfolio broker configuration
+   * @param {Object} dateRange - Optional from/to
+   */
+  async getTransactions(brokerConfig, dateRange = {}) {
+    const start = dateRange.from
+      ? new Date(dateRange.from).getTime()
+      : Date.now() - this.historyDays * DAY_MS;
+    const end = dateRange.to ? new Date(dateRange.to).getTime() : 0;
+
+    try {
+      const trades = await this.withSession(
+        this.getCredentials(brokerConfig),
+        (client) => client.getTradesHistory(start, end)
+      );
+
+      return trades.map((trade) => ({
+        id: String(trade.order),
+        positionId: String(trade.position),
+        symbol: trade.symbol,
+        side: trade.cmd === CMD.SELL ? "SELL" : "BUY",
+        volume: trade.volume,
+        openPrice: trade.open_price,
+        openTime: new Date(trade.open_time),
+        closePrice: trade.close_price,
+        closeTime: trade.close_time ? new Date(trade.close_time) : null,
+        profit: trade.profit,
+        commission: Math.abs(trade.commission || 0),
+        swap: trade.storage ? -trade.storage : 0,
+      }));
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Send a tradeTransaction and return its request status
+   * @param {Object} brokerConfig - Portfolio broker configuration
+   * @param {Object} orderData - symbol, side (buy/sell), volume, type
+   *   (market/limit/stop), price, stopLoss, takeProfit, comment; positionId
+   *   closes that position (all of it without volume), orderId cancels a
+   *   pending order
+   */
+  async placeOrder(brokerConfig, orderData) {
+    try {
+      return await this.withSession(
+        this.getCredentials(brokerConfig),
+        async (client) => {
+          const transaction = await this.buildTransaction(client, orderData);
+          const { order } = await client.tradeTransaction(transaction);
+          const status = await client.tradeTransactionStatus(order);
+
+          if (
+            status.requestStatus === REQUEST_STATUS.ERROR ||
+            status.requestStatus === REQUEST_STATUS.REJECTED
+          ) {
+            const error = new Error(status.message || "Order rejected");
+            error.code = "ORDER_REJECTED";
+            throw error;
+          }
+
+          return {
+            id: String(order),
+            orderId: order,
+            symbol: transaction.symbol,
+            status:
+              status.requestStatus === REQUEST_STATUS.ACCEPTED
+                ? "accepted"
+                : "pending",
+            message: status.message,
+          };
+        }
+      );
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  // tradeTransInfo for placeOrder
+  async buildTransaction(client, orderData) {
+    const {
+      symbol,
+      side,
+      volume,
+      type = "market",
+      price,
+      stopLoss,
+      takeProfit,
+      comment,
+      positionId,
+      orderId,
+    } = orderData;
+    const base = {
+      symbol,
+      volume,
+      price: 0,
+      sl: 0,
+      tp: 0,
+      offset: 0,
+      expiration: 0,
+      order: 0,
+      customComment: comment || "",
+    };
+
+    if (orderId) {
+      const orders = await client.getTrades(false);
+      const pending = orders.find((trade) => trade.order === Number(orderId));
+      if (!pending) throw new Error(`Order ${orderId} not found`);
+
+      return {
+        ...base,
+        type: TRANSACTION_TYPE.DELETE,
+        cmd: pending.cmd,
+        symbol: pending.symbol,
+        volume: pending.volume,
+        order: pending.order,
+      };
+    }
+
+    if (positionId) {
+      const trades = await client.getTrades(true);
+      const trade = trades.find((open) => open.position === Number(positionId));
+      if (!trade) throw new Error(`Position ${positionId} not found`);
+
+      // A BUY closes at the bid, a SELL at the ask
+      const quote = await client.getSymbol(trade.symbol);
+      return {
+        ...base,
+        type: TRANSACTION_TYPE.CLOSE,
+        cmd: trade.cmd,
+        symbol: trade.symbol,
+        volume: volume || trade.volume,
+        order: trade.position,
+        price: trade.cmd === CMD.BUY ? quote.bid : quote.ask,
+      };
+    }
+
+    const isBuy = String(side).toLowerCase() === "buy";
+    const cmd = {
+      market: isBuy ? CMD.BUY : CMD.SELL,
+      limit: isBuy ? CMD.BUY_LIMIT : CMD.SELL_LIMIT,
+      stop: isBuy ? CMD.BUY_STOP : CMD.SELL_STOP,
+    }[type];
+    if (cmd === undefined) {
+      throw new Error(`Order type ${type} is not supported by XTB`);
+    }
+
+    // Market orders are priced from the current quote
+    let orderPrice = price;
+    if (type === "market") {
+      const quote = await client.getSymbol(symbol);
+      orderPrice = isBuy ? quote.ask : quote.bid;
+    }
+
+    return {
+      ...base,
+      type: TRANSACTION_TYPE.OPEN,
+      cmd,
+      price: orderPrice,
+      sl: stopLoss || 0,
+      tp: takeProfit || 0,
+    };
+  }
+
+  // Quotes for price refreshes come from a dedicated account
+  // (XTB_MARKET_DATA_LOGIN / XTB_MARKET_DATA_PASSWORD)
+  async getMarketData(symbol) {
+    const credentials = {
+      login: process.env.XTB_MARKET_DATA_LOGIN,
+      password: process.env.XTB_MARKET_DATA_PASSWORD,
+      server: process.env.XTB_MARKET_DATA_SERVER,
+    };
+
+    try {
+      const quote = await this.withSession(credentials, (client) =>
+        client.getSymbol(symbol)
+      );
+
+      return {
+        symbol: quote.symbol,
+        // xStation charts bid prices
+        price: quote.bid,
+        bid: quote.bid,
+        ask: quote.ask,
+        high: quote.high,
+        low: quote.low,
+      };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
   async testConnection(credentials) {
     try {
-      // Test XTB connection
       await this.authenticate(credentials);
       return { success: true, message: "Connection successful" };
     } catch (error) {
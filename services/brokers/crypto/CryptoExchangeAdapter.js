@@ -0,0 +1,368 @@
+// services/brokers/crypto/CryptoExchangeAdapter.js - shared spot-account logic of exchange adapters
+const crypto = require("crypto");
+const BrokerAdapter = require("../BrokerAdapter");
+
+// Coins held as cash; holdings are priced and their trades looked up
+// against these, in order
+const QUOTE_ASSETS = ["USDT", "USDC", "FDUSD"];
+
+// Coins pegged to the US dollar, booked as USD cash operations
+const USD_STABLECOINS = ["USDT", "USDC", "FDUSD", "BUSD", "TUSD", "DAI"];
+
+// Holdings worth less than this (in USD) are dust, not positions
+const MIN_POSITION_VALUE = 1;
+
+// Trades and transfers fetched for cost basis and cash operations
+const DEFAULT_HISTORY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tolerance for floating point volume comparisons
+const VOLUME_EPSILON = 1e-8;
+
+/**
+ * Base of spot exchange adapters. Exchanges report balances, not positions:
+ * every coin held (other than the quote coins, which are cash) becomes one
+ * open BUY position whose open price is the average cost derived from the
+ * account's trade history. Coins with no trades in the history (deposited
+ * from elsewhere) are opened at the current price.
+ *
+ * Subclasses implement the exchange calls on normalized data:
+ * - getBalances(credentials) -> [{ asset, free, locked }]
+ * - getTicker(symbol) -> { symbol, price, bid, ask, high, low, volume } or
+ *   null for an unknown symbol
+ * - getTrades(credentials, symbols, since) -> [{ id, symbol, side, qty,
+ *   price, quoteQty, fee, feeAsset, time }], at least those since `since`
+ * - getTransfers(credentials, from, to) -> [{ id, type, asset, amount, fee,
+ *   time, status, txId, network }]
+ */
+class CryptoExchangeAdapter extends BrokerAdapter {
+  constructor(brokerName) {
+    super(brokerName);
+    this.supportedOperations = [
+      "positions",
+      "transactions",
+      "cash_operations",
+      "orders",
+      "marketdata",
+    ];
+    this.historyDays =
+      Number(process.env.CRYPTO_HISTORY_DAYS) || DEFAULT_HISTORY_DAYS;
+    // Only deposits and withdrawals are synced; trades move stablecoins
+    // without a cash operation
+    this.syncsTradeCash = false;
+  }
+
+  getRequiredCredentials() {
+    return ["apiKey", "secretKey"];
+  }
+
+  getCredentials(brokerConfig) {
+    const { apiCredentials = {} } = brokerConfig;
+    return {
+      apiKey: apiCredentials.apiKey,
+      secretKey: apiCredentials.secretKey,
+    };
+  }
+
+  hmacSha256(secret, payload) {
+    return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  }
+
+  async authenticate(credentials) {
+    this.validateCredentials(credentials);
+    try {
+      await this.getBalances(credentials);
+      return { authenticated: true };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  async testConnection(credentials) {
+    try {
+      await this.authenticate(credentials);
+      return { success: true, message: "Connection successful" };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  async getPositions(brokerConfig) {
+    const credentials = this.getCredentials(brokerConfig);
+    this.validateCredentials(credentials);
+    const since = Date.now() - this.historyDays * DAY_MS;
+
+    try {
+      const holdings = [];
+      for (const balance of await this.getBalances(credentials)) {
+        const volume = balance.free + balance.locked;
+        if (volume <= VOLUME_EPSILON || QUOTE_ASSETS.includes(balance.asset)) {
+          continue;
+        }
+
+        const pairs = QUOTE_ASSETS.map((quote) => `${balance.asset}${quote}`);
+        const ticker = await this.findTicker(pairs);
+        if (!ticker || ticker.price * volume < MIN_POSITION_VALUE) continue;
+
+        holdings.push({ balance, volume, pairs, ticker });
+      }
+
+      // One history lookup for all coins held
+      const trades = await this.getTrades(
+        credentials,
+        holdings.flatMap((holding) => holding.pairs),
+        since
+      );
+
+      return holdings.map(({ balance, volume, pairs, ticker }) => ({
+        id: `${this.brokerName}-${balance.asset}`,
+        positionNumber: this.getPositionNumber(brokerConfig, balance.asset),
+        symbol: ticker.symbol,
+        asset: balance.asset,
+        free: balance.free,
+        locked: balance.locked,
+        volume,
+        price: ticker.price,
+        costBasis: deriveCostBasis(
+          trades.filter((trade) => pairs.includes(trade.symbol)),
+          balance.asset,
+          volume,
+          ticker.price
+        ),
+      }));
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  // Position.positionId of a coin held on an account, the same every sync
+  getPositionNumber(brokerConfig, asset) {
+    return stableNumber(this.brokerName, brokerConfig.accountId, asset);
+  }
+
+  // Dollar stablecoins held, the account's cash
+  getCashBalance(balances) {
+    return balances
+      .filter((balance) => USD_STABLECOINS.includes(balance.asset))
+      .reduce((sum, balance) => sum + balance.free + balance.locked, 0);
+  }
+
+  async findTicker(symbols) {
+    for (const symbol of symbols) {
+      const ticker = await this.getTicker(symbol);
+      if (ticker) return ticker;
+    }
+    return null;
+  }
+
+  normalizePosition(holding) {
+    const { costBasis } = holding;
+    return {
+      positionId: holding.positionNumber,
+      symbol: holding.symbol,
+      name: holding.asset,
+      type: "BUY",
+      volume: holding.volume,
+      openTime: costBasis.openTime ? new Date(costBasis.openTime) : new Date(),
+      openPrice: costBasis.averagePrice,
+      purchaseValue: costBasis.averagePrice * holding.volume,
+      marketPrice: holding.price,
+      // Quote coins are valued 1:1 with the dollar
+      currency: "USD",
+      commission: costBasis.fees,
+      status: "open",
+      notes:
+        costBasis.source === "market"
+          ? "No trades in the exchange history; opened at the market price"
+          : costBasis.coveredVolume + VOLUME_EPSILON < holding.volume
+          ? `Cost basis from trades covers ${costBasis.coveredVolume} of ${holding.volume} ${holding.asset}`
+          : undefined,
+      importedFrom: "api",
+    };
+  }
+
+  async getMarketData(symbol) {
+    try {
+      const ticker = await this.getTicker(symbol.toUpperCase());
+      if (!ticker)
+        throw new Error(`Symbol ${symbol} is not traded on ${this.brokerName}`);
+      return ticker;
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Trades and deposits/withdrawals in the date range (default: the
+   * history period)
+   * @param {Object} brokerConfig - Portfolio broker configuration
+   * @param {Object} dateRange - Optional from/to, symbols (default: pairs
+   *   of the coins held)
+   */
+  async getTransactions(brokerConfig, dateRange = {}) {
+    const credentials = this.getCredentials(brokerConfig);
+    this.validateCredentials(credentials);
+    const from = dateRange.from
+      ? new Date(dateRange.from).getTime()
+      : Date.now() - this.historyDays * DAY_MS;
+    const to = dateRange.to ? new Date(dateRange.to).getTime() : Date.now();
+
+    try {
+      const symbols =
+        dateRange.symbols ||
+        (await this.getBalances(credentials))
+          .filter((balance) => !QUOTE_ASSETS.includes(balance.asset))
+          .flatMap((balance) =>
+            QUOTE_ASSETS.map((quote) => `${balance.asset}${quote}`)
+          );
+
+      const trades = (await this.getTrades(credentials, symbols, from))
+        .filter((trade) => trade.time >= from && trade.time <= to)
+        .map((trade) => ({ ...trade, type: "trade" }));
+      const transfers = await this.getTransfers(credentials, from, to);
+
+      return [...trades, ...transfers]
+        .sort((a, b) => a.time - b.time)
+        .map((transaction) => ({
+          ...transaction,
+          time: new Date(transaction.time),
+        }));
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Completed deposits and withdrawals of dollar stablecoins, as
+   * CashOperation data (without userId/portfolioId). Transfers of other
+   * coins move holdings, not cash, and are left to getPositions.
+   */
+  async getCashOperations(brokerConfig, dateRange = {}) {
+    const credentials = this.getCredentials(brokerConfig);
+    this.validateCredentials(credentials);
+    const from = dateRange.from
+      ? new Date(dateRange.from).getTime()
+      : Date.now() - this.historyDays * DAY_MS;
+    const to = dateRange.to ? new Date(dateRange.to).getTime() : Date.now();
+
+    try {
+      const transfers = await this.getTransfers(credentials, from, to);
+      return transfers
+        .filter(
+          (transfer) =>
+            transfer.status === "completed" &&
+            USD_STABLECOINS.includes(transfer.asset) &&
+            transfer.amount > 0
+        )
+        .map((transfer) => this.normalizeCashOperation(transfer));
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  normalizeCashOperation(transfer) {
+    const isDeposit = transfer.type === "deposit";
+    // Withdrawals leave the account with their network fee
+    const amount = isDeposit
+      ? transfer.amount
+      : -(transfer.amount + (transfer.fee || 0));
+
+    return {
+      operationId: stableNumber(this.brokerName, transfer.type, transfer.id),
+      type: isDeposit ? "deposit" : "withdrawal",
+      time: new Date(transfer.time),
+      amount,
+      currency: "USD",
+      comment: `${this.brokerName} ${transfer.type} ${transfer.amount} ${
+        transfer.asset
+      }${transfer.network ? ` (${transfer.network})` : ""}`.slice(0, 200),
+      status: "completed",
+      source: "api",
+      details: {
+        paymentMethod: "crypto",
+        transactionId: transfer.txId
+          ? String(transfer.txId).slice(0, 100)
+          : undefined,
+      },
+    };
+  }
+}
+
+// Numeric ID (52 bits, exact in a double) derived from the given parts
+const stableNumber = (...parts) =>
+  parseInt(
+    crypto
+      .createHash("sha256")
+      .update(parts.join(":"))
+      .digest("hex")
+      .slice(0, 13),
+    16
+  );
+
+/**
+ * Average cost of a coin from its trades in any quote coin: buys add their
+ * quote value (and quote fees), sells remove cost pro rata. Fees paid in
+ * the coin itself reduce the quantity bought; fees in other coins (BNB)
+ * are not part of the cost. The holding period starts at the last buy
+ * after the quantity was sold out.
+ * @param {Array} trades - Normalized trades of the coin's pairs
+ * @param {string} asset - Coin held
+ * @param {number} volume - Current balance
+ * @param {number} marketPrice - Fallback open price without trades
+ */
+const deriveCostBasis = (trades, asset, volume, marketPrice) => {
+  const unique = new Map(trades.map((trade) => [trade.id, trade]));
+  const sorted = [...unique.values()].sort((a, b) => a.time - b.time);
+
+  let quantity = 0;
+  let cost = 0;
+  let fees = 0;
+  let openTime = null;
+
+  for (const trade of sorted) {
+    const quoteAsset = trade.symbol.slice(asset.length);
+    const assetFee = trade.feeAsset === asset ? trade.fee : 0;
+    const quoteFee = trade.feeAsset === quoteAsset ? trade.fee : 0;
+
+    if (trade.side === "BUY") {
+      if (quantity <= VOLUME_EPSILON) {
+        quantity = 0;
+        cost = 0;
+        fees = 0;
+        openTime = trade.time;
+      }
+      quantity += trade.qty - assetFee;
+      cost += trade.quoteQty + quoteFee;
+      fees += quoteFee + assetFee * trade.price;
+    } else if (quantity > VOLUME_EPSILON) {
+      const sold = Math.min(trade.qty + assetFee, quantity);
+      const share = sold / quantity;
+      cost -= cost * share;
+      fees -= fees * share;
+      quantity -= sold;
+    }
+  }
+
+  if (quantity <= VOLUME_EPSILON) {
+    return {
+      source: "market",
+      averagePrice: marketPrice,
+      coveredVolume: 0,
+      fees: 0,
+      openTime: null,
+    };
+  }
+
+  return {
+    source: "trades",
+    averagePrice: cost / quantity,
+    coveredVolume: Math.min(quantity, volume),
+    fees: Math.round(fees * 100) / 100,
+    openTime,
+  };
+};
+
+// Exposed for tests
+CryptoExchangeAdapter.deriveCostBasis = deriveCostBasis;
+
+module.exports = CryptoExchangeAdapter;
@@ -0,0 +1,194 @@
+// services/brokers/crypto/ExchangeHttpClient.js - REST client for crypto exchanges with recorded fixtures
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// Parameters that differ on every call (signatures, time windows computed
+// from the current time) and are not part of a fixture key
+const VOLATILE_PARAMS = [
+  "timestamp",
+  "recvWindow",
+  "signature",
+  "startTime",
+  "endTime",
+];
+
+/**
+ * JSON over HTTPS for one exchange. Authentication is left to the
+ * adapter's `sign(request)` hook, which adds headers or parameters to a
+ * signed request.
+ *
+ * EXCHANGE_HTTP_FIXTURES switches the transport:
+ * - "replay" answers every request from the recorded fixtures
+ *   (EXCHANGE_FIXTURES_DIR, default ./fixtures) without network access
+ * - "record" calls the exchange and stores each response as a fixture
+ *
+ * A fixture file holds the responses of one endpoint
+ * (<exchange>/<METHOD>_<path>.json) as a list of { params, status, body };
+ * a request is answered by the first entry whose params it contains.
+ */
+class ExchangeHttpClient {
+  constructor({ name, baseUrl, sign, timeoutMs }) {
+    this.name = name;
+    this.baseUrl = baseUrl;
+    this.sign = sign;
+    this.timeoutMs =
+      timeoutMs ||
+      Number(process.env.EXCHANGE_API_TIMEOUT_MS) ||
+      DEFAULT_TIMEOUT_MS;
+  }
+
+  get fixturesMode() {
+    return process.env.EXCHANGE_HTTP_FIXTURES || null;
+  }
+
+  get fixturesDir() {
+    return process.env.EXCHANGE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  }
+
+  /**
+   * @param {string} method - GET or POST
+   * @param {string} endpoint - Path on the exchange API
+   * @param {Object} params - Query parameters (GET) or JSON body (POST)
+   * @param {Object} options - signed, credentials ({ apiKey, secretKey })
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async request(method, endpoint, params = {}, options = {}) {
+    const request = {
+      method,
+      endpoint,
+      params: dropEmpty(params),
+      headers: { "Content-Type": "application/json" },
+      query: "",
+      body: null,
+    };
+
+    if (method === "GET") {
+      request.query = new URLSearchParams(request.params).toString();
+    } else {
+      request.body = JSON.stringify(request.params);
+    }
+
+    if (options.signed) {
+      this.sign(request, options.credentials);
+    }
+
+    if (this.fixturesMode === "replay") {
+      return this.replay(request);
+    }
+
+    const response = await this.send(request);
+    if (this.fixturesMode === "record") {
+      await this.record(request, response);
+    }
+    return response;
+  }
+
+  async send({ method, endpoint, headers, query, body }) {
+    const url = `${this.baseUrl}${endpoint}${query ? `?${query}` : ""}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: method === "GET" ? undefined : body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      // Keep the socket error code (ECONNRESET, ...) for retry decisions
+      const networkError = new Error(
+        `${this.name} request failed: ${error.cause?.message || error.message}`
+      );
+      networkError.code =
+        error.name === "TimeoutError" ? "ETIMEDOUT" : error.cause?.code;
+      throw networkError;
+    }
+
+    const text = await response.text();
+    let json;
+    try {
+      json = text ? JSON.parse(text) : {};
+    } catch (error) {
+      json = { message: text.slice(0, 200) };
+    }
+
+    return { status: response.status, body: json };
+  }
+
+  fixturePath(method, endpoint) {
+    const name = `${method}_${endpoint.replace(/^\//, "").replace(/\//g, "_")}`;
+    return path.join(this.fixturesDir, this.name.toLowerCase(), `${name}.json`);
+  }
+
+  async replay({ method, endpoint, params }) {
+    const file = this.fixturePath(method, endpoint);
+
+    let entries;
+    try {
+      entries = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (error) {
+      const missing = new Error(
+        `No ${this.name} fixture for ${method} ${endpoint}`
+      );
+      missing.code = "NO_FIXTURE";
+      throw missing;
+    }
+
+    const key = fixtureParams(params);
+    const entry = entries.find((candidate) =>
+      Object.entries(candidate.params || {}).every(
+        ([name, value]) => key[name] === String(value)
+      )
+    );
+    if (!entry) {
+      const missing = new Error(
+        `No ${this.name} fixture for ${method} ${endpoint} ${JSON.stringify(
+          key
+        )}`
+      );
+      missing.code = "NO_FIXTURE";
+      throw missing;
+    }
+
+    return { status: entry.status || 200, body: entry.body };
+  }
+
+  async record({ method, endpoint, params }, response) {
+    const file = this.fixturePath(method, endpoint);
+    const key = fixtureParams(params);
+
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (error) {
+      // First response of this endpoint
+    }
+
+    entries = entries.filter(
+      (entry) => JSON.stringify(entry.params) !== JSON.stringify(key)
+    );
+    entries.push({ params: key, status: response.status, body: response.body });
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, `${JSON.stringify(entries, null, 2)}\n`);
+  }
+}
+
+const dropEmpty = (params) =>
+  Object.fromEntries(
+    Object.entries(params).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+
+const fixtureParams = (params) =>
+  Object.fromEntries(
+    Object.entries(params)
+      .filter(([name]) => !VOLATILE_PARAMS.includes(name))
+      .map(([name, value]) => [name, String(value)])
+  );
+
+module.exports = ExchangeHttpClient;
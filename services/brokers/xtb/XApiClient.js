@@ -0,0 +1,228 @@
+// services/brokers/xtb/XApiClient.js - XTB xAPI (xStation) JSON command client
+const net = require("net");
+const tls = require("tls");
+
+// xAPI hosts: demo and real accounts use different ports
+const DEFAULT_HOST = "xapi.xtb.com";
+const DEFAULT_PORTS = { demo: 5124, real: 5112 };
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// xAPI drops connections sending more than one command per 200 ms
+const MIN_COMMAND_INTERVAL_MS = 200;
+
+// Responses are JSON objects terminated by an empty line
+const RESPONSE_SEPARATOR = "\n\n";
+
+/**
+ * One connection to the xAPI main (request/response) socket. Commands are
+ * sent one at a time, spaced MIN_COMMAND_INTERVAL_MS apart, and matched to
+ * their response by customTag. A response with status false rejects with
+ * an Error carrying the xAPI errorCode as `code`.
+ *
+ * Connection settings come from XTB_API_HOST, XTB_API_PORT and XTB_API_TLS
+ * ("false" for the local mock server, see ./mockServer.js).
+ */
+class XApiClient {
+  constructor(options = {}) {
+    const server = options.server === "real" ? "real" : "demo";
+
+    this.host = options.host || process.env.XTB_API_HOST || DEFAULT_HOST;
+    this.port =
+      options.port || Number(process.env.XTB_API_PORT) || DEFAULT_PORTS[server];
+    this.tls = options.tls ?? process.env.XTB_API_TLS !== "false";
+    this.timeoutMs =
+      options.timeoutMs ||
+      Number(process.env.XTB_API_TIMEOUT_MS) ||
+      DEFAULT_TIMEOUT_MS;
+
+    this.socket = null;
+    this.buffer = "";
+    this.pending = new Map();
+    this.sequence = 0;
+    this.queue = Promise.resolve();
+    this.lastCommandAt = 0;
+    this.streamSessionId = null;
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve(this);
+
+    return new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const event = this.tls ? "secureConnect" : "connect";
+      const socket = this.tls
+        ? tls.connect({ ...options, servername: this.host })
+        : net.connect(options);
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(
+          this.createError(`Connection to ${this.host} timed out`, "ETIMEDOUT")
+        );
+      }, this.timeoutMs);
+
+      socket.setEncoding("utf8");
+      socket.once(event, () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve(this);
+      });
+      socket.on("error", (error) => {
+        clearTimeout(timer);
+        if (this.socket) this.rejectAll(error);
+        else reject(error);
+      });
+      socket.on("close", () => {
+        this.socket = null;
+        this.rejectAll(this.createError("Connection closed", "ECONNRESET"));
+      });
+      socket.on("data", (chunk) => this.onData(chunk));
+    });
+  }
+
+  /**
+   * Send a command and resolve with its response
+   * @param {string} command - xAPI command name (getTrades, ...)
+   * @param {Object} args - Command arguments
+   */
+  command(command, args) {
+    const run = async () => {
+      const wait = this.lastCommandAt + MIN_COMMAND_INTERVAL_MS - Date.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      this.lastCommandAt = Date.now();
+      return this.send(command, args);
+    };
+
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  send(command, args) {
+    if (!this.socket) {
+      return Promise.reject(this.createError("Not connected", "ECONNRESET"));
+    }
+
+    const customTag = `${command}:${++this.sequence}`;
+    const message = { command, customTag };
+    if (args) message.arguments = args;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(customTag);
+        reject(this.createError(`${command} timed out`, "ETIMEDOUT"));
+      }, this.timeoutMs);
+
+      this.pending.set(customTag, { resolve, reject, timer });
+      this.socket.write(JSON.stringify(message));
+    });
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf(RESPONSE_SEPARATOR)) !== -1) {
+      const text = this.buffer.slice(0, index).trim();
+      this.buffer = this.buffer.slice(index + RESPONSE_SEPARATOR.length);
+      if (text) this.onResponse(text);
+    }
+  }
+
+  onResponse(text) {
+    let response;
+    try {
+      response = JSON.parse(text);
+    } catch (error) {
+      this.rejectAll(this.createError("Invalid xAPI response", "EPROTO"));
+      return;
+    }
+
+    // Responses without a tag answer the oldest command
+    const tag = response.customTag || this.pending.keys().next().value;
+    const request = this.pending.get(tag);
+    if (!request) return;
+
+    this.pending.delete(tag);
+    clearTimeout(request.timer);
+
+    if (response.status) {
+      request.resolve(response);
+    } else {
+      request.reject(
+        this.createError(
+          response.errorDescr || "xAPI command failed",
+          response.errorCode || "XAPI_ERROR"
+        )
+      );
+    }
+  }
+
+  rejectAll(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  async login(userId, password, appName = "portfolio-manager") {
+    const response = await this.command("login", {
+      userId: String(userId),
+      password,
+      appName,
+    });
+    this.streamSessionId = response.streamSessionId;
+    return response;
+  }
+
+  async logout() {
+    if (!this.socket) return;
+    await this.command("logout").catch(() => {});
+  }
+
+  // Commands used by XTBAdapter, resolving with their returnData
+
+  async getTrades(openedOnly = true) {
+    return (await this.command("getTrades", { openedOnly })).returnData;
+  }
+
+  // start/end in ms since epoch; end 0 means now
+  async getTradesHistory(start, end = 0) {
+    return (await this.command("getTradesHistory", { start, end })).returnData;
+  }
+
+  async getMarginLevel() {
+    return (await this.command("getMarginLevel")).returnData;
+  }
+
+  async getSymbol(symbol) {
+    return (await this.command("getSymbol", { symbol })).returnData;
+  }
+
+  async tradeTransaction(tradeTransInfo) {
+    return (await this.command("tradeTransaction", { tradeTransInfo }))
+      .returnData;
+  }
+
+  async tradeTransactionStatus(order) {
+    return (await this.command("tradeTransactionStatus", { order })).returnData;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = XApiClient;
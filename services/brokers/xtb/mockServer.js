@@ -0,0 +1,505 @@
+// services/brokers/xtb/mockServer.js - local xAPI server for offline development and tests
+//
+// Run: node services/brokers/xtb/mockServer.js
+// then XTB_API_HOST=127.0.0.1 XTB_API_PORT=5124 XTB_API_TLS=false and an XTB
+// portfolio with brokerConfig.accountId "12345678" and
+// brokerConfig.apiCredentials.secretKey "demo".
+const net = require("net");
+
+const DEFAULT_PORT = 5124;
+
+// Trade commands (TRADE_RECORD.cmd / tradeTransInfo.cmd)
+const CMD = {
+  BUY: 0,
+  SELL: 1,
+  BUY_LIMIT: 2,
+  SELL_LIMIT: 3,
+  BUY_STOP: 4,
+  SELL_STOP: 5,
+};
+
+// tradeTransInfo.type
+const TRANSACTION_TYPE = {
+  OPEN: 0,
+  PENDING: 1,
+  CLOSE: 2,
+  MODIFY: 3,
+  DELETE: 4,
+};
+
+// tradeTransactionStatus.requestStatus
+const REQUEST_STATUS = { ERROR: 0, PENDING: 1, ACCEPTED: 3, REJECTED: 4 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default fixture: one demo account with two open positions and one closed
+const createFixture = () => {
+  const now = Date.now();
+  return {
+    accounts: [
+      {
+        userId: "12345678",
+        password: "demo",
+        currency: "PLN",
+        balance: 10000,
+        credit: 0,
+      },
+    ],
+    symbols: {
+      "AAPL.US": {
+        description: "Apple Inc",
+        currency: "USD",
+        currencyProfit: "USD",
+        categoryName: "STC",
+        contractSize: 1,
+        precision: 2,
+        bid: 190.1,
+        ask: 190.3,
+        high: 191.5,
+        low: 188.2,
+      },
+      "CDR.PL": {
+        description: "CD Projekt SA",
+        currency: "PLN",
+        currencyProfit: "PLN",
+        categoryName: "STC",
+        contractSize: 1,
+        precision: 2,
+        bid: 121.4,
+        ask: 121.6,
+        high: 123,
+        low: 119.8,
+      },
+      EURUSD: {
+        description: "Euro to American Dollar",
+        currency: "EUR",
+        currencyProfit: "USD",
+        categoryName: "FX",
+        contractSize: 100000,
+        precision: 5,
+        bid: 1.08412,
+        ask: 1.08421,
+        high: 1.0855,
+        low: 1.0832,
+      },
+    },
+    trades: [
+      {
+        position: 1001,
+        order: 1001,
+        order2: 1001,
+        symbol: "AAPL.US",
+        cmd: CMD.BUY,
+        volume: 10,
+        open_price: 180.5,
+        open_time: now - 30 * DAY_MS,
+        commission: 0,
+        storage: 0,
+        customComment: "Core holding",
+      },
+      {
+        position: 1002,
+        order: 1002,
+        order2: 1002,
+        symbol: "CDR.PL",
+        cmd: CMD.BUY,
+        volume: 20,
+        open_price: 110,
+        open_time: now - 10 * DAY_MS,
+        commission: -2.2,
+        storage: 0,
+      },
+    ],
+    history: [
+      {
+        position: 1000,
+        order: 1003,
+        order2: 1000,
+        symbol: "EURUSD",
+        cmd: CMD.SELL,
+        volume: 0.1,
+        open_price: 1.0901,
+        open_time: now - 20 * DAY_MS,
+        close_price: 1.0851,
+        close_time: now - 15 * DAY_MS,
+        commission: 0,
+        storage: -1.35,
+        profit: 50,
+        comment: "",
+      },
+    ],
+  };
+};
+
+/**
+ * xAPI main socket for local use: login/logout, getTrades,
+ * getTradesHistory, getMarginLevel, getSymbol, tradeTransaction and
+ * tradeTransactionStatus over plain TCP. Market orders fill at the fixture
+ * bid/ask; pending orders are accepted and kept, but never filled.
+ * Trades are shared by all fixture accounts and closed trades book their
+ * profit to the first one.
+ */
+class XApiMockServer {
+  constructor(fixture = createFixture()) {
+    this.accounts = fixture.accounts;
+    this.symbols = fixture.symbols;
+    this.trades = fixture.trades;
+    this.history = fixture.history;
+    this.orders = [];
+    this.transactions = new Map();
+    this.nextOrder =
+      Math.max(
+        1000,
+        ...[...this.trades, ...this.history].map((trade) =>
+          Math.max(trade.position, trade.order)
+        )
+      ) + 1;
+    this.server = null;
+    this.commands = [];
+  }
+
+  listen(port = DEFAULT_PORT, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.onConnection(socket));
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  onConnection(socket) {
+    const session = { account: null };
+    let buffer = "";
+
+    socket.setEncoding("utf8");
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+
+      for (;;) {
+        const [request, rest] = takeJson(buffer);
+        buffer = rest;
+        if (!request) break;
+
+        const response = this.handle(session, request);
+        socket.write(`${JSON.stringify(response)}\n\n`);
+        if (request.command === "logout") socket.end();
+      }
+    });
+  }
+
+  handle(session, request) {
+    const { command, arguments: args = {}, customTag } = request;
+    this.commands.push(command);
+
+    try {
+      if (command !== "login" && !session.account) {
+        throw xapiError("BE103", "User is not logged");
+      }
+
+      const handler = this[`cmd_${command}`];
+      if (!handler) throw xapiError("EX000", `Unknown command ${command}`);
+
+      return { status: true, ...handler.call(this, args, session), customTag };
+    } catch (error) {
+      return {
+        status: false,
+        errorCode: error.code || "EX001",
+        errorDescr: error.message,
+        customTag,
+      };
+    }
+  }
+
+  cmd_login({ userId, password }, session) {
+    const account = this.accounts.find(
+      (candidate) =>
+        candidate.userId === String(userId) && candidate.password === password
+    );
+    if (!account)
+      throw xapiError("BE005", "userPasswordCheck: Invalid login or password");
+
+    session.account = account;
+    return { streamSessionId: `mock-${account.userId}-${Date.now()}` };
+  }
+
+  cmd_logout() {
+    return {};
+  }
+
+  cmd_getTrades({ openedOnly = true }) {
+    const open = this.trades.map((trade) => this.toTradeRecord(trade));
+    const orders = this.orders.map((order) => this.toTradeRecord(order));
+    return { returnData: openedOnly ? open : [...open, ...orders] };
+  }
+
+  cmd_getTradesHistory({ start = 0, end = 0 }) {
+    const to = end || Date.now();
+    const from = start || to - 30 * DAY_MS;
+
+    return {
+      returnData: this.history
+        .filter((trade) => trade.close_time >= from && trade.close_time <= to)
+        .map((trade) => this.toTradeRecord(trade)),
+    };
+  }
+
+  cmd_getMarginLevel(args, session) {
+    const { balance, credit, currency } = session.account;
+    const profit = this.trades.reduce(
+      (sum, trade) => sum + this.getProfit(trade),
+      0
+    );
+    const margin = this.trades.reduce(
+      (sum, trade) =>
+        sum +
+        trade.volume *
+          this.getSymbolData(trade.symbol).contractSize *
+          trade.open_price *
+          0.2,
+      0
+    );
+    const equity = round(balance + credit + profit);
+
+    return {
+      returnData: {
+        balance,
+        credit,
+        currency,
+        equity,
+        margin: round(margin),
+        margin_free: round(equity - margin),
+        margin_level: margin ? round((equity / margin) * 100) : 0,
+      },
+    };
+  }
+
+  cmd_getSymbol({ symbol }) {
+    const data = this.getSymbolData(symbol);
+    return {
+      returnData: {
+        symbol,
+        ...data,
+        time: Date.now(),
+        timeString: new Date().toString(),
+      },
+    };
+  }
+
+  cmd_tradeTransaction({ tradeTransInfo = {} }) {
+    const { cmd, type, symbol, volume, price, order, customComment } =
+      tradeTransInfo;
+    const orderNumber = this.nextOrder++;
+
+    if (type === TRANSACTION_TYPE.OPEN && cmd === CMD.BUY) {
+      this.openTrade(orderNumber, tradeTransInfo, "ask");
+    } else if (type === TRANSACTION_TYPE.OPEN && cmd === CMD.SELL) {
+      this.openTrade(orderNumber, tradeTransInfo, "bid");
+    } else if (type === TRANSACTION_TYPE.OPEN && cmd >= CMD.BUY_LIMIT) {
+      this.getSymbolData(symbol);
+      if (!(price > 0)) throw xapiError("BE004", "Invalid price");
+      this.orders.push({
+        position: orderNumber,
+        order: orderNumber,
+        order2: orderNumber,
+        symbol,
+        cmd,
+        volume,
+        open_price: price,
+        open_time: Date.now(),
+        customComment,
+      });
+    } else if (type === TRANSACTION_TYPE.CLOSE) {
+      this.closeTrade(orderNumber, order, volume);
+    } else if (type === TRANSACTION_TYPE.DELETE) {
+      const index = this.orders.findIndex((pending) => pending.order === order);
+      if (index === -1) throw xapiError("BE9", `Order ${order} not found`);
+      this.orders.splice(index, 1);
+    } else {
+      throw xapiError("BE001", "Invalid transaction type or command");
+    }
+
+    this.transactions.set(orderNumber, REQUEST_STATUS.ACCEPTED);
+    return { returnData: { order: orderNumber } };
+  }
+
+  cmd_tradeTransactionStatus({ order }) {
+    const requestStatus = this.transactions.get(order);
+    if (requestStatus === undefined) {
+      throw xapiError("BE9", `Order ${order} not found`);
+    }
+
+    return {
+      returnData: {
+        order,
+        requestStatus,
+        message: null,
+        customComment: null,
+        ask: null,
+        bid: null,
+      },
+    };
+  }
+
+  openTrade(orderNumber, { cmd, symbol, volume, customComment }, side) {
+    const data = this.getSymbolData(symbol);
+    if (!(volume > 0)) throw xapiError("BE002", "Invalid volume");
+
+    this.trades.push({
+      position: orderNumber,
+      order: orderNumber,
+      order2: orderNumber,
+      symbol,
+      cmd,
+      volume,
+      open_price: data[side],
+      open_time: Date.now(),
+      commission: 0,
+      storage: 0,
+      customComment,
+    });
+  }
+
+  // Full close moves the trade to the history; a partial close books the
+  // closed volume as a history record of its own order
+  closeTrade(orderNumber, position, volume) {
+    const trade = this.trades.find((open) => open.position === position);
+    if (!trade) throw xapiError("BE9", `Position ${position} not found`);
+    if (!(volume > 0) || volume > trade.volume) {
+      throw xapiError("BE002", "Invalid volume");
+    }
+
+    const data = this.getSymbolData(trade.symbol);
+    const closed = {
+      ...trade,
+      order: orderNumber,
+      order2: trade.order,
+      volume,
+      close_price: trade.cmd === CMD.BUY ? data.bid : data.ask,
+      close_time: Date.now(),
+    };
+    closed.profit = round(this.getProfit(closed));
+
+    if (volume < trade.volume) {
+      trade.volume = round(trade.volume - volume);
+      closed.position = orderNumber;
+    } else {
+      this.trades.splice(this.trades.indexOf(trade), 1);
+    }
+
+    this.history.push(closed);
+    const account = this.accounts[0];
+    account.balance = round(account.balance + closed.profit);
+  }
+
+  getSymbolData(symbol) {
+    const data = this.symbols[symbol];
+    if (!data) throw xapiError("BE115", `Symbol ${symbol} does not exist`);
+    return data;
+  }
+
+  getProfit(trade) {
+    const data = this.getSymbolData(trade.symbol);
+    const price =
+      trade.close_price ?? (trade.cmd === CMD.BUY ? data.bid : data.ask);
+    const direction = trade.cmd === CMD.BUY ? 1 : -1;
+    return (
+      (price - trade.open_price) * direction * trade.volume * data.contractSize
+    );
+  }
+
+  toTradeRecord(trade) {
+    const data = this.getSymbolData(trade.symbol);
+    const closed = trade.close_time != null;
+    const isOrder = trade.cmd >= CMD.BUY_LIMIT;
+    const closePrice = closed
+      ? trade.close_price
+      : trade.cmd === CMD.BUY
+      ? data.bid
+      : data.ask;
+
+    return {
+      position: trade.position,
+      order: trade.order,
+      order2: trade.order2,
+      symbol: trade.symbol,
+      cmd: trade.cmd,
+      volume: trade.volume,
+      digits: data.precision,
+      open_price: trade.open_price,
+      open_time: trade.open_time,
+      open_timeString: new Date(trade.open_time).toString(),
+      close_price: isOrder ? 0 : closePrice,
+      close_time: closed ? trade.close_time : null,
+      close_timeString: closed ? new Date(trade.close_time).toString() : null,
+      closed,
+      commission: trade.commission || 0,
+      storage: trade.storage || 0,
+      profit: isOrder ? null : round(trade.profit ?? this.getProfit(trade)),
+      margin_rate: 0,
+      nominalValue: round(trade.volume * data.contractSize * trade.open_price),
+      sl: trade.sl || 0,
+      tp: trade.tp || 0,
+      expiration: null,
+      offset: 0,
+      comment: trade.comment || "",
+      customComment: trade.customComment || null,
+      timestamp: Date.now(),
+    };
+  }
+}
+
+// Split the first complete JSON object off the stream; requests are sent
+// back to back without separators
+const takeJson = (buffer) => {
+  const start = buffer.indexOf("{");
+  if (start === -1) return [null, ""];
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < buffer.length; i++) {
+    const char = buffer[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      try {
+        return [JSON.parse(buffer.slice(start, i + 1)), buffer.slice(i + 1)];
+      } catch (error) {
+        return [{ command: null }, buffer.slice(i + 1)];
+      }
+    }
+  }
+
+  return [null, buffer.slice(start)];
+};
+
+const xapiError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+if (require.main === module) {
+  const port = Number(process.env.XTB_MOCK_PORT) || DEFAULT_PORT;
+  new XApiMockServer().listen(port).then((address) => {
+    console.log(
+      `🧪 xAPI mock server listening on ${address.address}:${address.port}`
+    );
+  });
+}
+
+module.exports = { XApiMockServer, createFixture, CMD };
@@ -0,0 +1,26 @@
+// services/exchangeRates/ExchangeRateProvider.js - provider interface
+class ExchangeRateProvider {
+  constructor(providerName, source = "nbp") {
+    this.providerName = providerName;
+    // Key under which fetched rates are stored in ExchangeRate
+    this.source = source;
+  }
+
+  // Abstract method - must be implemented by subclasses.
+  // Resolves to [{ currency, date: "YYYY-MM-DD", rate, table }] with rates in PLN.
+  async getRates(currency, startDate, endDate) {
+    throw new Error("getRates() must be implemented");
+  }
+
+  // Optional methods
+  async testConnection() {
+    return true;
+  }
+
+  // Utility methods
+  formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+}
+
+module.exports = ExchangeRateProvider;
@@ -0,0 +1,74 @@
+// services/exchangeRates/LocalFileProvider.js - NBP tables from local files
+const fs = require("fs").promises;
+const path = require("path");
+const ExchangeRateProvider = require("./ExchangeRateProvider");
+const { parseNbpTable } = require("./nbpTableParser");
+
+/**
+ * Serves rates from NBP Table A files (CSV archive or API JSON) kept in a
+ * directory. Used in tests and air-gapped deployments instead of the API.
+ */
+class LocalFileProvider extends ExchangeRateProvider {
+  constructor(options = {}) {
+    super("nbp-file");
+    this.directory =
+      options.directory || process.env.NBP_RATES_DIR || "./data/nbp";
+    this.loading = null;
+  }
+
+  loadRates() {
+    // Share one load between concurrent lookups
+    if (!this.loading) this.loading = this.readDirectory();
+    return this.loading;
+  }
+
+  async readDirectory() {
+    const rates = new Map();
+
+    let files = [];
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      console.warn(`⚠️ NBP rates directory not readable: ${this.directory}`);
+      return rates;
+    }
+
+    for (const file of files.sort()) {
+      const format = path.extname(file).slice(1).toLowerCase();
+      if (format !== "csv" && format !== "json") continue;
+
+      const content = await fs.readFile(
+        path.join(this.directory, file),
+        "utf8"
+      );
+      parseNbpTable(content, format).forEach((rate) => {
+        if (!rates.has(rate.currency)) rates.set(rate.currency, []);
+        rates.get(rate.currency).push(rate);
+      });
+    }
+
+    return rates;
+  }
+
+  async getRates(currency, startDate, endDate) {
+    const rates = await this.loadRates();
+    const from = this.formatDate(startDate);
+    const to = this.formatDate(endDate);
+
+    return (rates.get(currency.toUpperCase()) || []).filter(
+      (rate) => rate.date >= from && rate.date <= to
+    );
+  }
+
+  async testConnection() {
+    const rates = await this.loadRates();
+    return rates.size > 0;
+  }
+
+  // Drop parsed files so new ones are picked up
+  reload() {
+    this.loading = null;
+  }
+}
+
+module.exports = LocalFileProvider;
@@ -0,0 +1,64 @@
+// services/exchangeRates/NbpApiProvider.js - NBP Web API (Table A)
+const ExchangeRateProvider = require("./ExchangeRateProvider");
+const { parseNbpJson } = require("./nbpTableParser");
+
+// NBP limits a single query to 93 days
+const MAX_RANGE_DAYS = 93;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class NbpApiProvider extends ExchangeRateProvider {
+  constructor(options = {}) {
+    super("nbp-api");
+    this.baseUrl =
+      options.baseUrl || process.env.NBP_API_URL || "https://api.nbp.pl/api";
+    this.timeout = options.timeout || 5000;
+  }
+
+  async getRates(currency, startDate, endDate) {
+    const rates = [];
+    let from = new Date(startDate);
+    const end = new Date(endDate);
+
+    while (from <= end) {
+      const to = new Date(
+        Math.min(end.getTime(), from.getTime() + (MAX_RANGE_DAYS - 1) * DAY_MS)
+      );
+      rates.push(...(await this.fetchRange(currency, from, to)));
+      from = new Date(to.getTime() + DAY_MS);
+    }
+
+    return rates;
+  }
+
+  async fetchRange(currency, from, to) {
+    const url = `${
+      this.baseUrl
+    }/exchangerates/rates/A/${currency.toLowerCase()}/${this.formatDate(
+      from
+    )}/${this.formatDate(to)}/?format=json`;
+
+    const response = await fetch(url, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    // NBP answers 404 when no table was published in the range
+    if (response.status === 404) return [];
+
+    if (!response.ok) {
+      throw new Error(`NBP API responded with ${response.status}`);
+    }
+
+    return parseNbpJson(await response.json());
+  }
+
+  async testConnection() {
+    const response = await fetch(`${this.baseUrl}/exchangerates/tables/A/`, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    return response.ok;
+  }
+}
+
+module.exports = NbpApiProvider;
@@ -0,0 +1,192 @@
+// services/exchangeRates/nbpTableParser.js - NBP Table A file parser
+
+// Archive column headers carry the unit, e.g. "1USD", "100HUF", "10000IDR"
+const CURRENCY_COLUMN = /^(\d+)\s*([A-Z]{3})$/;
+
+const parseDecimal = (value) =>
+  parseFloat(String(value).trim().replace(/\s/g, "").replace(",", "."));
+
+const parseDate = (value) => {
+  const text = String(value).trim();
+
+  // Archive files use YYYYMMDD
+  if (/^\d{8}$/.test(text)) {
+    return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.slice(0, 10);
+  }
+
+  return null;
+};
+
+const detectDelimiter = (line) => {
+  const candidates = [";", ",", "\t"];
+  return candidates.reduce((best, delimiter) =>
+    line.split(delimiter).length > line.split(best).length ? delimiter : best
+  );
+};
+
+const splitLines = (content) =>
+  content
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+
+/**
+ * Parse the NBP yearly archive (archiwum_tab_a_YYYY.csv):
+ * one row per table, one column per currency.
+ */
+const parseArchiveCsv = (lines, delimiter) => {
+  const headerIndex = lines.findIndex((line) =>
+    /^data$/i.test(line.split(delimiter)[0].trim())
+  );
+  const header = lines[headerIndex].split(delimiter).map((c) => c.trim());
+
+  const currencyColumns = [];
+  let tableColumn = -1;
+
+  header.forEach((cell, index) => {
+    const match = cell.match(CURRENCY_COLUMN);
+    if (match) {
+      currencyColumns.push({
+        index,
+        multiplier: parseInt(match[1]),
+        currency: match[2],
+      });
+    } else if (index > 0 && cell) {
+      // "nr tabeli" is followed by "pełny numer tabeli"; keep the last one
+      tableColumn = index;
+    }
+  });
+
+  const rates = [];
+
+  lines.slice(headerIndex + 1).forEach((line) => {
+    const cells = line.split(delimiter);
+    const date = parseDate(cells[0]);
+    if (!date) return; // description and footer rows
+
+    const table = tableColumn >= 0 ? cells[tableColumn]?.trim() : undefined;
+
+    currencyColumns.forEach(({ index, multiplier, currency }) => {
+      const value = parseDecimal(cells[index]);
+      if (!Number.isFinite(value) || value <= 0) return;
+
+      rates.push({ currency, date, rate: value / multiplier, table });
+    });
+  });
+
+  return rates;
+};
+
+/**
+ * Parse a long-format CSV: date;code;mid[;table]
+ */
+const parseLongCsv = (lines, delimiter) => {
+  const header = lines[0].split(delimiter).map((c) => c.trim().toLowerCase());
+
+  const find = (...names) => header.findIndex((h) => names.includes(h));
+  const dateIndex = find("date", "effectivedate", "data");
+  const currencyIndex = find("code", "currency", "kod", "waluta");
+  const rateIndex = find("mid", "rate", "kurs");
+  const tableIndex = find("table", "no", "tabela");
+
+  if (dateIndex < 0 || currencyIndex < 0 || rateIndex < 0) {
+    throw new Error(
+      "Unrecognized NBP CSV layout: expected archive columns or date/code/mid"
+    );
+  }
+
+  return lines.slice(1).reduce((rates, line) => {
+    const cells = line.split(delimiter);
+    const date = parseDate(cells[dateIndex]);
+    const rate = parseDecimal(cells[rateIndex]);
+    const currency = cells[currencyIndex]?.trim().toUpperCase();
+
+    if (date && /^[A-Z]{3}$/.test(currency) && rate > 0) {
+      rates.push({
+        currency,
+        date,
+        rate,
+        table: tableIndex >= 0 ? cells[tableIndex]?.trim() : undefined,
+      });
+    }
+
+    return rates;
+  }, []);
+};
+
+const parseNbpCsv = (content) => {
+  const lines = splitLines(content);
+  if (lines.length === 0) return [];
+
+  const delimiter = detectDelimiter(lines[0]);
+  const isArchive = lines.some((line) =>
+    /^data$/i.test(line.split(delimiter)[0].trim())
+  );
+
+  return isArchive
+    ? parseArchiveCsv(lines, delimiter)
+    : parseLongCsv(lines, delimiter);
+};
+
+/**
+ * Parse NBP Web API JSON: either whole tables
+ * ([{ no, effectiveDate, rates: [{ code, mid }] }]) or a single-currency
+ * series ({ code, rates: [{ no, effectiveDate, mid }] }).
+ */
+const parseNbpJson = (content) => {
+  const data = typeof content === "string" ? JSON.parse(content) : content;
+  const documents = Array.isArray(data) ? data : [data];
+  const rates = [];
+
+  documents.forEach((doc) => {
+    if (doc.code) {
+      doc.rates.forEach((entry) => {
+        rates.push({
+          currency: doc.code.toUpperCase(),
+          date: parseDate(entry.effectiveDate),
+          rate: entry.mid,
+          table: entry.no,
+        });
+      });
+      return;
+    }
+
+    (doc.rates || []).forEach((entry) => {
+      rates.push({
+        currency: entry.code.toUpperCase(),
+        date: parseDate(doc.effectiveDate),
+        rate: entry.mid,
+        table: doc.no,
+      });
+    });
+  });
+
+  return rates.filter((r) => r.date && r.rate > 0);
+};
+
+/**
+ * Parse an NBP Table A file into { currency, date, rate, table } records.
+ * @param {string} content - File content
+ * @param {string} format - "csv" or "json"
+ */
+const parseNbpTable = (content, format) => {
+  switch (format) {
+    case "csv":
+      return parseNbpCsv(content);
+    case "json":
+      return parseNbpJson(content);
+    default:
+      throw new Error(`Unsupported NBP file format: ${format}`);
+  }
+};
+
+module.exports = {
+  parseNbpTable,
+  parseNbpCsv,
+  parseNbpJson,
+};
@@ -0,0 +1,118 @@
+// services/jobs/handlers.js - JobQueue handlers by job type
+const MarketData = require("../../models/MarketData");
+const ImportService = require("../ImportService");
+const ReportGenerationService = require("../ReportGenerationService");
+const BrokerService = require("../BrokerService");
+
+// Errors worth retrying: the database or a remote API was unreachable
+const isTransientError = (error) =>
+  [
+    "MongoNetworkError",
+    "MongoNetworkTimeoutError",
+    "MongoServerSelectionError",
+    "MongoNotConnectedError",
+  ].includes(error.name) ||
+  Boolean(error.hasErrorLabel?.("RetryableWriteError")) ||
+  ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN"].includes(error.code);
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+module.exports = {
+  /**
+   * Process an uploaded or committed statement (ImportService.processFile).
+   * Row and format errors fail the import and the job; only database
+   * outages are retried, and a retry re-runs the import with its rows
+   * already written found as unchanged.
+   */
+  async file_import({ fileImportId, userId, portfolioId }) {
+    let fileImport;
+    try {
+      fileImport = await ImportService.processFile(
+        fileImportId,
+        userId,
+        portfolioId
+      );
+    } catch (error) {
+      if (!isTransientError(error)) error.retryable = false;
+      throw error;
+    }
+
+    if (!fileImport) throw permanentError("Import not found");
+    if (fileImport.status === "failed") {
+      throw permanentError(fileImport.progress?.message || "Import failed");
+    }
+
+    return {
+      status: fileImport.status,
+      records: fileImport.recordsCount.total,
+      errorRows: fileImport.processing.errorRows,
+    };
+  },
+
+  // Generate a report file; failed generations (NBP rates unavailable) are
+  // retried
+  async report_generation({ reportId }) {
+    const report = await ReportGenerationService.generate(reportId);
+
+    if (!report) throw permanentError("Report not found");
+    if (report.status !== "completed") {
+      throw new Error(
+        report.generation?.errorMessage || "Report generation failed"
+      );
+    }
+
+    return { status: report.status, file: report.file?.filename };
+  },
+
+  // Sync claimed by BrokerSyncScheduler; a failure is recorded on the
+  // portfolio, which backs off its next automatic sync
+  async broker_sync({ portfolioId }) {
+    try {
+      const result = await BrokerService.runSync(portfolioId);
+      return { syncedPositions: result.syncedPositions };
+    } catch (error) {
+      error.retryable = false;
+      throw error;
+    }
+  },
+
+  /**
+   * Refresh MarketData prices from a broker's quotes: the given symbols,
+   * or every active symbol not updated in the last 5 minutes
+   */
+  async price_refresh({ broker, symbols }) {
+    let adapter;
+    try {
+      adapter = BrokerService.getAdapter(broker);
+    } catch (error) {
+      throw permanentError(error.message);
+    }
+
+    const entries = symbols?.length
+      ? await MarketData.find({
+          symbol: { $in: symbols.map((symbol) => symbol.toUpperCase()) },
+        })
+      : await MarketData.findSymbolsNeedingUpdate();
+
+    const result = { updated: 0, failed: 0 };
+    for (const entry of entries) {
+      try {
+        const quote = await adapter.getMarketData(entry.symbol);
+        await entry.updatePrice(quote);
+        result.updated += 1;
+      } catch (error) {
+        await entry.recordError(error.message);
+        result.failed += 1;
+      }
+    }
+
+    if (entries.length > 0 && result.updated === 0) {
+      throw new Error(`No prices could be refreshed from ${broker}`);
+    }
+    return result;
+  },
+};
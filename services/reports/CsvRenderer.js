@@ -0,0 +1,51 @@
+// services/reports/CsvRenderer.js - one CSV block per report section
+class CsvRenderer {
+  constructor(formatter) {
+    this.formatter = formatter;
+    this.extension = "csv";
+    this.mimeType = "text/csv";
+    this.delimiter = ",";
+  }
+
+  escape(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  line(cells) {
+    return cells.map((cell) => this.escape(cell)).join(this.delimiter);
+  }
+
+  renderSection(section) {
+    const lines = [this.line([`# ${section.title}`])];
+
+    if (section.kind === "summary") {
+      section.items.forEach((item) => {
+        lines.push(this.line([item.label, this.formatter.formatItem(item)]));
+      });
+    } else {
+      lines.push(this.line(section.columns.map((column) => column.label)));
+      section.rows.forEach((row) => {
+        lines.push(
+          this.line(
+            section.columns.map((column) =>
+              this.formatter.formatCell(row[column.key], column)
+            )
+          )
+        );
+      });
+    }
+
+    return lines.join("\r\n");
+  }
+
+  async render(sections) {
+    // BOM so spreadsheet apps read Polish characters as UTF-8
+    const body = sections
+      .map((section) => this.renderSection(section))
+      .join("\r\n\r\n");
+    return Buffer.from(`\uFEFF${body}\r\n`, "utf8");
+  }
+}
+
+module.exports = CsvRenderer;
@@ -0,0 +1,247 @@
+// services/reports/PdfRenderer.js - PDF with summary blocks and paged tables
+const PDFDocument = require("pdfkit");
+
+const MARGIN = 40;
+const ROW_PADDING = 3;
+const WIDE_TABLE_COLUMNS = 8;
+
+// Built-in PDF fonts only cover WinAnsi, which lacks most Polish letters
+const TRANSLITERATION = {
+  ą: "a",
+  ć: "c",
+  ę: "e",
+  ł: "l",
+  ń: "n",
+  ś: "s",
+  ź: "z",
+  ż: "z",
+  Ą: "A",
+  Ć: "C",
+  Ę: "E",
+  Ł: "L",
+  Ń: "N",
+  Ś: "S",
+  Ź: "Z",
+  Ż: "Z",
+};
+
+class PdfRenderer {
+  constructor(formatter, options = {}) {
+    this.formatter = formatter;
+    this.extension = "pdf";
+    this.mimeType = "application/pdf";
+    // TTF/OTF font with Polish glyphs, e.g. DejaVuSans.ttf
+    this.fontPath = options.fontPath || process.env.REPORT_PDF_FONT || null;
+  }
+
+  text(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (this.fontPath) return text;
+    return text.replace(/[ąćęłńśźżĄĆĘŁŃŚŹŻ]/g, (c) => TRANSLITERATION[c]);
+  }
+
+  setFont(doc, bold = false) {
+    if (this.fontPath) {
+      doc.font(this.fontPath);
+    } else {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+    }
+  }
+
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  drawHeading(doc, title) {
+    this.ensureSpace(doc, 40);
+    doc.moveDown(0.8);
+    this.setFont(doc, true);
+    doc.fontSize(12).fillColor("#1f2937").text(this.text(title), MARGIN);
+    doc.moveDown(0.3);
+  }
+
+  drawSummary(doc, section) {
+    const labelWidth = 260;
+    doc.fontSize(9);
+
+    section.items.forEach((item) => {
+      this.ensureSpace(doc, 14);
+      const y = doc.y;
+
+      this.setFont(doc);
+      doc
+        .fillColor("#4b5563")
+        .text(this.text(item.label), MARGIN, y, { width: labelWidth });
+      doc
+        .fillColor("#111827")
+        .text(
+          this.text(this.formatter.formatItem(item)),
+          MARGIN + labelWidth,
+          y,
+          { width: doc.page.width - 2 * MARGIN - labelWidth }
+        );
+      doc.x = MARGIN;
+    });
+  }
+
+  // Width per column, weighted by the longest value (capped)
+  columnWidths(doc, section) {
+    const available = doc.page.width - 2 * MARGIN;
+    const sample = section.rows.slice(0, 200);
+    const weights = section.columns.map((column) => {
+      const longest = Math.max(
+        column.label.length,
+        ...sample.map(
+          (row) => this.formatter.formatCell(row[column.key], column).length
+        )
+      );
+      return Math.min(Math.max(longest, 4), 24);
+    });
+    const total = weights.reduce((sum, w) => sum + w, 0);
+
+    return weights.map((weight) => (weight / total) * available);
+  }
+
+  drawRow(doc, cells, widths, options = {}) {
+    const fontSize = options.fontSize || 7;
+    const height = fontSize + 2 * ROW_PADDING + 2;
+
+    if (this.ensureSpace(doc, height) && options.onPageBreak) {
+      options.onPageBreak();
+    }
+
+    const y = doc.y;
+    let x = MARGIN;
+
+    if (options.fill) {
+      doc
+        .rect(
+          MARGIN,
+          y,
+          widths.reduce((s, w) => s + w, 0),
+          height
+        )
+        .fill(options.fill);
+    }
+
+    this.setFont(doc, options.bold);
+    doc.fontSize(fontSize).fillColor("#111827");
+
+    cells.forEach((cell, index) => {
+      doc.text(this.text(cell), x + ROW_PADDING, y + ROW_PADDING, {
+        width: widths[index] - 2 * ROW_PADDING,
+        height: fontSize + 2,
+        lineBreak: false,
+        ellipsis: true,
+        align: options.align?.[index] || "left",
+      });
+      x += widths[index];
+    });
+
+    doc.x = MARGIN;
+    doc.y = y + height;
+  }
+
+  drawTable(doc, section) {
+    if (section.rows.length === 0) {
+      this.setFont(doc);
+      doc.fontSize(9).fillColor("#6b7280").text("No records", MARGIN);
+      return;
+    }
+
+    const widths = this.columnWidths(doc, section);
+    const align = section.columns.map((column) =>
+      ["money", "number", "percent"].includes(column.type) ? "right" : "left"
+    );
+    const header = section.columns.map((column) => column.label);
+    const drawHeader = () =>
+      this.drawRow(doc, header, widths, {
+        bold: true,
+        fill: "#e5e7eb",
+        align,
+      });
+
+    drawHeader();
+    section.rows.forEach((row, index) => {
+      this.drawRow(
+        doc,
+        section.columns.map((column) =>
+          this.formatter.formatCell(row[column.key], column)
+        ),
+        widths,
+        {
+          align,
+          fill: index % 2 === 1 ? "#f9fafb" : null,
+          onPageBreak: drawHeader,
+        }
+      );
+    });
+  }
+
+  async render(sections, meta = {}) {
+    const wide = sections.some(
+      (s) => s.kind === "table" && s.columns.length > WIDE_TABLE_COLUMNS
+    );
+
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: wide ? "landscape" : "portrait",
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: this.text(meta.title || "Report") },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+
+    this.setFont(doc, true);
+    doc.fontSize(16).text(this.text(meta.title || "Report"), MARGIN);
+    if (meta.subtitle) {
+      this.setFont(doc);
+      doc.fontSize(10).fillColor("#4b5563").text(this.text(meta.subtitle));
+    }
+
+    sections.forEach((section) => {
+      this.drawHeading(doc, section.title);
+      if (section.kind === "summary") {
+        this.drawSummary(doc, section);
+      } else {
+        this.drawTable(doc, section);
+      }
+    });
+
+    // Page numbers (footer sits in the bottom margin)
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc.page.margins.bottom = 0;
+      this.setFont(doc);
+      doc
+        .fontSize(7)
+        .fillColor("#9ca3af")
+        .text(
+          `${i + 1} / ${range.count}`,
+          MARGIN,
+          doc.page.height - MARGIN / 2 - 7,
+          {
+            width: doc.page.width - 2 * MARGIN,
+            align: "right",
+            lineBreak: false,
+          }
+        );
+    }
+
+    doc.end();
+    return finished;
+  }
+}
+
+module.exports = PdfRenderer;
@@ -0,0 +1,105 @@
+// services/reports/ReportFormatter.js - applies Report.configuration.formatting
+const DATE_PATTERNS = {
+  "DD/MM/YYYY": ({ day, month, year }) => `${day}/${month}/${year}`,
+  "MM/DD/YYYY": ({ day, month, year }) => `${month}/${day}/${year}`,
+  "YYYY-MM-DD": ({ day, month, year }) => `${year}-${month}-${day}`,
+};
+
+class ReportFormatter {
+  constructor(formatting = {}) {
+    this.currency = formatting.currency || "PLN";
+    this.dateFormat = formatting.dateFormat || "DD/MM/YYYY";
+    this.numberFormat = formatting.numberFormat || "decimal";
+    this.timezone = formatting.timezone || "Europe/Warsaw";
+  }
+
+  // Calendar parts of a date in the report timezone
+  dateParts(value) {
+    const parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: this.timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(new Date(value));
+
+    return parts.reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+  }
+
+  formatDate(value) {
+    if (!value) return "";
+    const pattern =
+      DATE_PATTERNS[this.dateFormat] || DATE_PATTERNS["YYYY-MM-DD"];
+    return pattern(this.dateParts(value));
+  }
+
+  formatDateTime(value) {
+    if (!value) return "";
+    const parts = this.dateParts(value);
+    return `${this.formatDate(value)} ${parts.hour}:${parts.minute}`;
+  }
+
+  formatNumber(value, decimals = 2) {
+    if (value === null || value === undefined || value === "") return "";
+    const number = Number(value);
+    if (!Number.isFinite(number)) return String(value);
+
+    if (this.numberFormat === "accounting") {
+      const text = Math.abs(number).toLocaleString("en-US", {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+      });
+      return number < 0 ? `(${text})` : text;
+    }
+
+    return number.toFixed(decimals);
+  }
+
+  formatMoney(value, currency = this.currency) {
+    const text = this.formatNumber(value);
+    return text ? `${text} ${currency}` : "";
+  }
+
+  // Format a cell according to its column type
+  formatCell(value, column) {
+    switch (column.type) {
+      case "date":
+        return this.formatDate(value);
+      case "datetime":
+        return this.formatDateTime(value);
+      case "money":
+        return this.formatNumber(value);
+      case "number":
+        return this.formatNumber(value, column.decimals ?? 4);
+      case "percent":
+        return value === null || value === undefined
+          ? ""
+          : `${this.formatNumber(value)}%`;
+      default:
+        return value === null || value === undefined ? "" : String(value);
+    }
+  }
+
+  // Format a summary item ({ label, value, type, currency })
+  formatItem(item) {
+    if (item.type === "money") {
+      return this.formatMoney(item.value, item.currency || this.currency);
+    }
+    return this.formatCell(item.value, item);
+  }
+
+  // Excel number format matching numberFormat
+  excelNumberFormat(decimals = 2) {
+    const fraction = decimals > 0 ? `.${"0".repeat(decimals)}` : "";
+    return this.numberFormat === "accounting"
+      ? `#,##0${fraction};(#,##0${fraction})`
+      : `0${fraction}`;
+  }
+}
+
+module.exports = ReportFormatter;
@@ -0,0 +1,99 @@
+// services/reports/XlsxRenderer.js - one worksheet per report section
+const XLSX = require("xlsx");
+
+const NUMERIC_TYPES = ["money", "number", "percent"];
+const MAX_COLUMN_WIDTH = 40;
+
+class XlsxRenderer {
+  constructor(formatter) {
+    this.formatter = formatter;
+    this.extension = "xlsx";
+    this.mimeType =
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+  }
+
+  // Numbers stay numeric so the sheet can be summed; dates are written in
+  // the report timezone and date format
+  cell(value, column) {
+    if (value === null || value === undefined || value === "") {
+      return { t: "s", v: "" };
+    }
+
+    if (NUMERIC_TYPES.includes(column.type) && Number.isFinite(Number(value))) {
+      const decimals = column.type === "number" ? column.decimals ?? 4 : 2;
+      return {
+        t: "n",
+        v: Number(value),
+        z: this.formatter.excelNumberFormat(decimals),
+      };
+    }
+
+    return { t: "s", v: this.formatter.formatCell(value, column) };
+  }
+
+  sheetName(title, used) {
+    const base = title.replace(/[\[\]:*?\/\\]/g, " ").slice(0, 31);
+    let name = base;
+    let counter = 2;
+
+    while (used.has(name)) {
+      const suffix = ` (${counter++})`;
+      name = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+    }
+
+    used.add(name);
+    return name;
+  }
+
+  buildSheet(section) {
+    let rows;
+
+    if (section.kind === "summary") {
+      rows = section.items.map((item) => [
+        { t: "s", v: item.label },
+        item.type === "money"
+          ? this.cell(item.value, item)
+          : { t: "s", v: this.formatter.formatItem(item) },
+      ]);
+    } else {
+      rows = [
+        section.columns.map((column) => ({ t: "s", v: column.label })),
+        ...section.rows.map((row) =>
+          section.columns.map((column) => this.cell(row[column.key], column))
+        ),
+      ];
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    const columnCount = Math.max(0, ...rows.map((row) => row.length));
+
+    sheet["!cols"] = Array.from({ length: columnCount }, (_, index) => ({
+      wch: Math.min(
+        MAX_COLUMN_WIDTH,
+        Math.max(
+          8,
+          ...rows.map((row) => String(row[index]?.v ?? "").length + 2)
+        )
+      ),
+    }));
+
+    return sheet;
+  }
+
+  async render(sections) {
+    const workbook = XLSX.utils.book_new();
+    const used = new Set();
+
+    sections.forEach((section) => {
+      XLSX.utils.book_append_sheet(
+        workbook,
+        this.buildSheet(section),
+        this.sheetName(section.title, used)
+      );
+    });
+
+    return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+  }
+}
+
+module.exports = XlsxRenderer;
@@ -0,0 +1,300 @@
+// services/reports/reportSections.js - turns report content into printable sections
+const CurrencyService = require("../CurrencyService");
+
+const PIT38_LABELS = {
+  poz20_pit8cIncome: "Poz. 20 - Przychód (PIT-8C)",
+  poz21_pit8cCosts: "Poz. 21 - Koszty (PIT-8C)",
+  poz22_otherIncome: "Poz. 22 - Inne przychody",
+  poz23_otherCosts: "Poz. 23 - Koszty (inne przychody)",
+  poz24_totalIncome: "Poz. 24 - Przychód razem",
+  poz25_totalCosts: "Poz. 25 - Koszty razem",
+  poz26_profit: "Poz. 26 - Dochód",
+  poz27_loss: "Poz. 27 - Strata",
+  poz28_previousLosses: "Poz. 28 - Straty z lat ubiegłych",
+  poz29_taxBase: "Poz. 29 - Podstawa obliczenia podatku",
+  poz30_taxRate: "Poz. 30 - Stawka podatku (%)",
+  poz31_tax: "Poz. 31 - Podatek",
+  poz32_foreignTaxPaid: "Poz. 32 - Podatek zapłacony za granicą",
+  poz33_taxDue: "Poz. 33 - Podatek należny",
+  poz45_dividendTax: "Poz. 45 - Zryczałtowany podatek od dywidend (19%)",
+  poz46_foreignTaxPaid: "Poz. 46 - Podatek zapłacony za granicą",
+  poz47_dividendTaxDue: "Poz. 47 - Różnica do zapłaty",
+};
+
+const POSITION_COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "type", label: "Type" },
+  { key: "status", label: "Status" },
+  { key: "volume", label: "Volume", type: "number" },
+  { key: "openTime", label: "Open time", type: "datetime" },
+  { key: "openPrice", label: "Open price", type: "number" },
+  { key: "closeTime", label: "Close time", type: "datetime" },
+  { key: "closePrice", label: "Close price", type: "number" },
+  { key: "currency", label: "Currency" },
+  { key: "grossPL", label: "Gross P&L", type: "money" },
+  { key: "netPL", label: "Net P&L", type: "money" },
+];
+
+const CASH_OPERATION_COLUMNS = [
+  { key: "time", label: "Time", type: "datetime" },
+  { key: "type", label: "Type" },
+  { key: "symbol", label: "Symbol" },
+  { key: "amount", label: "Amount", type: "money" },
+  { key: "currency", label: "Currency" },
+  { key: "comment", label: "Comment" },
+];
+
+const TAX_TRANSACTION_COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "type", label: "Type" },
+  { key: "volume", label: "Volume", type: "number" },
+  { key: "currency", label: "Currency" },
+  { key: "openTime", label: "Open", type: "date" },
+  { key: "openPrice", label: "Open price", type: "number" },
+  { key: "openRate", label: "Open NBP rate", type: "number" },
+  { key: "openRateTable", label: "Open table" },
+  { key: "closeTime", label: "Close", type: "date" },
+  { key: "closePrice", label: "Close price", type: "number" },
+  { key: "closeRate", label: "Close NBP rate", type: "number" },
+  { key: "closeRateTable", label: "Close table" },
+  { key: "commissionPLN", label: "Commission PLN", type: "money" },
+  { key: "incomePLN", label: "Income PLN", type: "money" },
+  { key: "costPLN", label: "Cost PLN", type: "money" },
+  { key: "profitPLN", label: "Profit PLN", type: "money" },
+];
+
+const TAX_DIVIDEND_COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "paidAt", label: "Paid", type: "date" },
+  { key: "currency", label: "Currency" },
+  { key: "grossAmount", label: "Gross", type: "money" },
+  { key: "withholdingAmount", label: "Withheld", type: "money" },
+  { key: "rate", label: "NBP rate", type: "number" },
+  { key: "rateTable", label: "Table" },
+  { key: "grossPLN", label: "Gross PLN", type: "money" },
+  { key: "taxDuePLN", label: "Tax 19% PLN", type: "money" },
+  { key: "creditPLN", label: "Credit PLN", type: "money" },
+  { key: "toPayPLN", label: "To pay PLN", type: "money" },
+];
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+const tableSection = (key, title, columns, rows) => ({
+  key,
+  title,
+  kind: "table",
+  columns,
+  rows: rows.map(toPlain),
+});
+
+const summarySection = (key, title, items) => ({
+  key,
+  title,
+  kind: "summary",
+  items,
+});
+
+// Sum money in the report currency; rows in other currencies are converted
+// at the NBP rate for the end of the report period
+const sumInCurrency = async (rows, field, currency, date) => {
+  let total = 0;
+  const rates = new Map();
+
+  for (const row of rows) {
+    const rowCurrency = row.currency || currency;
+    if (!rates.has(rowCurrency)) {
+      rates.set(
+        rowCurrency,
+        await CurrencyService.getExchangeRate(rowCurrency, currency, date)
+      );
+    }
+    total += (row[field] || 0) * rates.get(rowCurrency);
+  }
+
+  return total;
+};
+
+const buildOverview = async (report, content, formatter) => {
+  const items = [
+    { label: "Report", value: report.name },
+    { label: "Type", value: report.type },
+    {
+      label: "Period",
+      value: `${formatter.formatDate(
+        report.dateRange.startDate
+      )} - ${formatter.formatDate(report.dateRange.endDate)}`,
+    },
+    {
+      label: "Generated at",
+      value: formatter.formatDateTime(content.metadata.generatedAt),
+    },
+    { label: "Currency", value: formatter.currency },
+  ];
+
+  if (content.metadata.user) {
+    items.splice(1, 0, { label: "User", value: content.metadata.user });
+  }
+
+  if (report.type === "tax_report") {
+    const summary = content.summary || {};
+    items.push(
+      { label: "Tax year", value: content.metadata.taxYear },
+      { label: "Transactions", value: summary.transactionsCount },
+      { label: "Foreign dividends", value: summary.dividendsCount },
+      {
+        label: "Total tax due",
+        value: summary.totalTaxDue,
+        type: "money",
+        currency: "PLN",
+      }
+    );
+    return items;
+  }
+
+  const positions = content.data.allPositions || content.data.positions || [];
+  const valuationDate = new Date(
+    Math.min(report.dateRange.endDate.getTime(), Date.now())
+  );
+
+  try {
+    items.push(
+      { label: "Positions", value: positions.length },
+      {
+        label: "Total gross P&L",
+        value: await sumInCurrency(
+          positions,
+          "grossPL",
+          formatter.currency,
+          valuationDate
+        ),
+        type: "money",
+      },
+      {
+        label: "Total net P&L",
+        value: await sumInCurrency(
+          positions,
+          "netPL",
+          formatter.currency,
+          valuationDate
+        ),
+        type: "money",
+      }
+    );
+  } catch (error) {
+    // Without FX rates totals would mix currencies
+    items.push({ label: "Totals", value: `unavailable (${error.message})` });
+  }
+
+  return items;
+};
+
+/**
+ * Build the sections enabled in configuration.includeSections.
+ * @returns {Promise<Array>} [{ key, title, kind: "summary"|"table", ... }]
+ */
+const buildReportSections = async (report, content, formatter) => {
+  const include = report.configuration?.includeSections || {};
+  const data = content.data || {};
+  const sections = [];
+
+  if (include.overview !== false) {
+    sections.push(
+      summarySection(
+        "overview",
+        "Overview",
+        await buildOverview(report, content, formatter)
+      )
+    );
+  }
+
+  if (report.type === "tax_report") {
+    if (include.taxes !== false && data.pit38) {
+      ["sectionC", "sectionD", "sectionG"].forEach((part) => {
+        const fields = data.pit38[part] || {};
+        sections.push(
+          summarySection(
+            `pit38_${part}`,
+            `PIT-38 ${part.replace("section", "sekcja ")}`,
+            Object.entries(fields).map(([key, value]) => ({
+              label: PIT38_LABELS[key] || key,
+              value,
+              type: key === "poz30_taxRate" ? "text" : "money",
+              currency: "PLN",
+            }))
+          )
+        );
+      });
+    }
+
+    if (include.transactions !== false) {
+      sections.push(
+        tableSection(
+          "transactions",
+          "Transactions appendix",
+          TAX_TRANSACTION_COLUMNS,
+          data.transactions || []
+        )
+      );
+    }
+
+    if (include.cashFlow !== false) {
+      sections.push(
+        tableSection(
+          "dividends",
+          "Foreign dividends",
+          TAX_DIVIDEND_COLUMNS,
+          data.dividends || []
+        )
+      );
+    }
+
+    return sections;
+  }
+
+  if (include.performance !== false && data.performanceMetrics) {
+    sections.push(
+      summarySection(
+        "performance",
+        "Performance",
+        [
+          { key: "totalGrossPL", label: "Total gross P&L", type: "money" },
+          { key: "totalDeposits", label: "Total deposits", type: "money" },
+          {
+            key: "totalWithdrawals",
+            label: "Total withdrawals",
+            type: "money",
+          },
+          { key: "netCashFlow", label: "Net cash flow", type: "money" },
+          { key: "winRate", label: "Win rate", type: "percent" },
+        ].map((item) => ({ ...item, value: data.performanceMetrics[item.key] }))
+      )
+    );
+  }
+
+  const positions = data.allPositions || data.positions;
+  if (include.positions !== false && positions) {
+    sections.push(
+      tableSection("positions", "Positions", POSITION_COLUMNS, positions)
+    );
+  }
+
+  if (
+    (include.cashFlow !== false || include.transactions !== false) &&
+    data.cashOperations
+  ) {
+    sections.push(
+      tableSection(
+        "cashOperations",
+        "Cash operations",
+        CASH_OPERATION_COLUMNS,
+        data.cashOperations
+      )
+    );
+  }
+
+  return sections;
+};
+
+module.exports = {
+  buildReportSections,
+};
@@ -0,0 +1,147 @@
+const mongoose = require("mongoose");
+const CorporateAction = require("../../models/CorporateAction");
+const MarketData = require("../../models/MarketData");
+const PendingOrder = require("../../models/PendingOrder");
+const Portfolio = require("../../models/Portfolio");
+const Position = require("../../models/Position");
+const Watchlist = require("../../models/Watchlist");
+
+const userId = new mongoose.Types.ObjectId();
+const portfolioId = new mongoose.Types.ObjectId();
+const exDate = new Date("2024-06-10");
+
+const buildAction = (overrides = {}) =>
+  new CorporateAction({
+    userId,
+    actionId: 1,
+    type: "split",
+    symbol: "NVDA",
+    ratio: { from: 1, to: 10 },
+    exDate,
+    ...overrides,
+  });
+
+const buildMarketData = () =>
+  new MarketData({
+    symbol: "NVDA",
+    name: "NVIDIA",
+    lastPrice: 120,
+    historicalData: [
+      { timestamp: new Date("2024-06-07"), price: 1200, volume: 100 },
+      { timestamp: new Date("2024-06-10"), price: 121, volume: 1000 },
+    ],
+  });
+
+describe("CorporateAction", () => {
+  let positions;
+  let marketData;
+
+  beforeEach(() => {
+    positions = [];
+    marketData = [buildMarketData()];
+
+    jest
+      .spyOn(Portfolio, "find")
+      .mockReturnValue({ select: async () => [{ _id: portfolioId }] });
+    jest.spyOn(Position, "find").mockImplementation(async () => positions);
+    jest.spyOn(PendingOrder, "find").mockResolvedValue([]);
+    jest.spyOn(Watchlist, "find").mockResolvedValue([]);
+    jest.spyOn(MarketData, "find").mockImplementation(async () => marketData);
+    jest
+      .spyOn(CorporateAction, "findMarketDataAdjustment")
+      .mockResolvedValue(null);
+    [CorporateAction, MarketData, Position].forEach((Model) =>
+      jest.spyOn(Model.prototype, "save").mockImplementation(async function () {
+        return this;
+      })
+    );
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("applies to the user's records without touching shared prices", async () => {
+    const action = buildAction();
+
+    await action.apply();
+
+    expect(MarketData.find).not.toHaveBeenCalled();
+    expect(action.status).toBe("applied");
+    expect(action.summary.marketData).toBe(0);
+  });
+
+  it("splits positions stored before lot tracking through a seeded lot", async () => {
+    const legacy = new Position({
+      positionId: 1,
+      portfolioId,
+      symbol: "NVDA",
+      type: "BUY",
+      volume: 10,
+      openTime: new Date("2024-01-02"),
+      openPrice: 500,
+      purchaseValue: 5000,
+      marketPrice: 1200,
+      status: "open",
+      brokerData: {
+        broker: "MANUAL",
+        brokerSymbol: "NVDA",
+        brokerAccountId: "manual",
+      },
+    });
+    legacy.lots = [];
+    positions = [legacy];
+    const action = buildAction();
+
+    await action.apply();
+
+    expect(legacy.lots).toHaveLength(1);
+    expect(legacy.volume).toBe(100);
+    expect(legacy.openPrice).toBe(50);
+    expect(legacy.marketPrice).toBe(120);
+    expect(action.summary.positions).toBe(1);
+    expect(action.adjustments[0].before).toMatchObject({
+      volume: 10,
+      openPrice: 500,
+      lots: [],
+    });
+  });
+
+  it("rescales price history before the ex-date once per event", async () => {
+    const action = buildAction();
+
+    await action.applyToMarketData();
+
+    expect(
+      marketData[0].historicalData.map((point) => [point.price, point.volume])
+    ).toEqual([
+      [120, 1000],
+      [121, 1000],
+    ]);
+    expect(action.summary.marketData).toBe(1);
+    await expect(action.applyToMarketData()).rejects.toMatchObject({
+      code: "ALREADY_ADJUSTED",
+    });
+
+    CorporateAction.findMarketDataAdjustment.mockResolvedValue(action);
+    await expect(
+      buildAction({ actionId: 2 }).applyToMarketData()
+    ).rejects.toThrow(/already been adjusted by corporate action 1/);
+  });
+
+  it("keeps the price history adjustment when the user reverts", async () => {
+    const action = buildAction();
+    await action.applyToMarketData();
+    await action.apply();
+    jest.spyOn(MarketData, "findById").mockResolvedValue(marketData[0]);
+
+    await action.revert();
+
+    expect(action.status).toBe("reverted");
+    expect(action.summary.marketData).toBe(1);
+    expect(marketData[0].historicalData[0].price).toBe(120);
+
+    await action.revertMarketData();
+
+    expect(marketData[0].historicalData[0].price).toBe(1200);
+    expect(action.adjustments).toHaveLength(0);
+  });
+});
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const PendingOrder = require("../../models/PendingOrder");
+
+const buildOrder = (overrides = {}) =>
+  new PendingOrder({
+    userId: new mongoose.Types.ObjectId(),
+    orderId: 1,
+    portfolioId: new mongoose.Types.ObjectId(),
+    symbol: "AAPL.US",
+    type: "limit",
+    side: "buy",
+    volume: 10,
+    price: 100,
+    purchaseValue: 1000,
+    openTime: new Date("2024-06-03T14:00:00Z"),
+    status: "pending",
+    ...overrides,
+  });
+
+describe("PendingOrder", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(PendingOrder.prototype, "save")
+      .mockImplementation(async function () {
+        return this;
+      });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("executeOrder", () => {
+    it("adds partial fills up against the order's total volume", async () => {
+      const order = buildOrder();
+
+      await order.executeOrder(100, 4, 1);
+      expect(order).toMatchObject({ status: "partial", volume: 10 });
+      expect(order.execution).toMatchObject({
+        executedVolume: 4,
+        remainingVolume: 6,
+      });
+
+      await order.executeOrder(95, null, 2);
+      expect(order).toMatchObject({ status: "executed", volume: 10 });
+      expect(order.execution).toMatchObject({
+        executedVolume: 10,
+        remainingVolume: 0,
+        executedPrice: 97,
+        commission: 3,
+      });
+    });
+
+    it("rejects fills over the remaining volume", async () => {
+      const order = buildOrder();
+      await order.executeOrder(100, 8);
+
+      expect(() => order.executeOrder(100, 3)).toThrow(
+        "Executed volume cannot exceed remaining volume"
+      );
+      expect(order.execution.executedVolume).toBe(8);
+    });
+
+    it("completes fractional orders despite rounding", async () => {
+      const order = buildOrder({ volume: 0.3 });
+
+      await order.executeOrder(100, 0.1);
+      await order.executeOrder(100, 0.2);
+
+      expect(order.status).toBe("executed");
+      expect(order.execution).toMatchObject({
+        executedVolume: 0.3,
+        remainingVolume: 0,
+      });
+    });
+  });
+
+  describe("price validation", () => {
+    const priceError = (overrides) =>
+      buildOrder({ price: undefined, ...overrides }).validateSync()?.errors
+        .price?.message;
+
+    it("requires a price where the order type uses one", () => {
+      expect(priceError({ type: "limit" })).toBe("Path `price` is required.");
+      expect(priceError({ type: "stop_limit", stopPrice: 105 })).toBe(
+        "Path `price` is required."
+      );
+      expect(priceError({ type: "stop" })).toBe("Path `price` is required.");
+    });
+
+    it("accepts stops, trailing stops and market orders without one", () => {
+      expect(priceError({ type: "stop", stopPrice: 95 })).toBeUndefined();
+      expect(
+        priceError({ type: "trailing_stop", trailingPercent: 5 })
+      ).toBeUndefined();
+      expect(priceError({ type: "market" })).toBeUndefined();
+    });
+  });
+
+  describe("settleGroup", () => {
+    const groupId = 500;
+    let group;
+
+    const groupOrder = (role, overrides = {}) =>
+      buildOrder({
+        orderId: groupId + group.length,
+        orderGroup: {
+          groupId,
+          type: role === "oco_leg" ? "oco" : "bracket",
+          role,
+        },
+        ...overrides,
+      });
+
+    beforeEach(() => {
+      group = [];
+      jest
+        .spyOn(PendingOrder, "find")
+        .mockImplementation(async (query) =>
+          group.filter(
+            (order) =>
+              !order._id.equals(query._id?.$ne) &&
+              (query.status.$in || [query.status]).includes(order.status) &&
+              (!query["orderGroup.role"] ||
+                order.orderGroup.role !== query["orderGroup.role"].$ne)
+          )
+        );
+    });
+
+    it("cancels the other leg of a filled OCO pair", async () => {
+      group.push(groupOrder("oco_leg", { side: "sell", price: 120 }));
+      group.push(
+        groupOrder("oco_leg", {
+          type: "stop",
+          side: "sell",
+          price: undefined,
+          stopPrice: 90,
+        })
+      );
+      const [takeProfit, stopLoss] = group;
+
+      await takeProfit.executeOrder(120);
+      const result = await takeProfit.settleGroup();
+
+      expect(result.cancelled).toEqual([stopLoss]);
+      expect(stopLoss.status).toBe("cancelled");
+      expect(stopLoss.notes).toMatch(
+        `order ${takeProfit.orderId} of its group was filled`
+      );
+    });
+
+    it("activates bracket exits for the entry's total fills", async () => {
+      group.push(groupOrder("entry"));
+      group.push(
+        groupOrder("take_profit", {
+          side: "sell",
+          price: 120,
+          status: "inactive",
+        })
+      );
+      group.push(
+        groupOrder("stop_loss", {
+          type: "stop",
+          side: "sell",
+          price: undefined,
+          stopPrice: 90,
+          status: "inactive",
+        })
+      );
+      const [entry, takeProfit, stopLoss] = group;
+
+      await entry.executeOrder(100, 4);
+      expect(await entry.settleGroup()).toEqual({
+        activated: [],
+        cancelled: [],
+      });
+      expect(takeProfit.status).toBe("inactive");
+
+      await entry.executeOrder(101, 6);
+      const result = await entry.settleGroup();
+
+      expect(result.activated).toEqual([takeProfit, stopLoss]);
+      expect(takeProfit).toMatchObject({
+        status: "pending",
+        volume: 10,
+        purchaseValue: 1200,
+      });
+      expect(stopLoss).toMatchObject({ status: "pending", volume: 10 });
+    });
+  });
+});
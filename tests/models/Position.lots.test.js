@@ -0,0 +1,285 @@
+const mongoose = require("mongoose");
+const Position = require("../../models/Position");
+
+const portfolioId = new mongoose.Types.ObjectId();
+
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+// Open BUY position with one lot per [volume, price] pair, a day apart
+const buildPosition = (lots, overrides = {}) =>
+  new Position({
+    positionId: 1,
+    portfolioId,
+    symbol: "AAPL",
+    type: "BUY",
+    volume: lots.reduce((sum, [volume]) => sum + volume, 0),
+    openTime: day(1),
+    openPrice: lots[0][1],
+    purchaseValue: 0,
+    grossPL: 0,
+    status: "open",
+    lots: lots.map(([volume, price, commission = 0], index) => ({
+      openTime: day(index + 1),
+      openPrice: price,
+      volume,
+      remainingVolume: volume,
+      commission,
+    })),
+    brokerData: {
+      broker: "MANUAL",
+      brokerSymbol: "AAPL",
+      brokerAccountId: "manual",
+    },
+    ...overrides,
+  });
+
+describe("Position.matchLots", () => {
+  it("matches the oldest lots first with FIFO", () => {
+    const position = buildPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+
+    const matches = position.matchLots(15, 130, { time: day(10) });
+
+    expect(matches.map((match) => [match.volume, match.costPrice])).toEqual([
+      [10, 100],
+      [5, 120],
+    ]);
+    expect(position.lots.map((lot) => lot.remainingVolume)).toEqual([0, 5]);
+    expect(position.realizedPL).toBeCloseTo(10 * 30 + 5 * 10);
+    expect(position.volume).toBe(5);
+    expect(position.openPrice).toBe(120);
+    expect(position.status).toBe("open");
+  });
+
+  it("matches the newest lots first with LIFO", () => {
+    const position = buildPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+
+    const matches = position.matchLots(15, 130, { method: "LIFO" });
+
+    expect(matches.map((match) => [match.volume, match.costPrice])).toEqual([
+      [10, 120],
+      [5, 100],
+    ]);
+    expect(position.lots.map((lot) => lot.remainingVolume)).toEqual([5, 0]);
+    expect(position.openPrice).toBe(100);
+  });
+
+  it("reduces every lot pro rata at the pooled cost with AVERAGE", () => {
+    const position = buildPosition([
+      [10, 100],
+      [30, 120],
+    ]);
+
+    const matches = position.matchLots(20, 130, { method: "AVERAGE" });
+
+    expect(matches.map((match) => match.volume)).toEqual([5, 15]);
+    matches.forEach((match) => expect(match.costPrice).toBeCloseTo(115));
+    expect(position.realizedPL).toBeCloseTo(20 * 15);
+    expect(position.lots.map((lot) => lot.remainingVolume)).toEqual([5, 15]);
+  });
+
+  it("splits the closing commission across the matched lots", () => {
+    const position = buildPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+
+    const matches = position.matchLots(15, 130, { commission: 3 });
+
+    expect(matches.map((match) => match.commission)).toEqual([2, 1]);
+    expect(position.commission).toBe(3);
+  });
+
+  it("computes short P&L from the sell price down", () => {
+    const position = buildPosition([[10, 100]], { type: "SELL" });
+
+    position.matchLots(10, 90, { time: day(5) });
+
+    expect(position.realizedPL).toBe(100);
+    expect(position.status).toBe("closed");
+    expect(position.closePrice).toBe(90);
+    expect(position.closeTime).toEqual(day(5));
+  });
+
+  it("reports the whole round trip once fully matched", () => {
+    const position = buildPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+
+    position.matchLots(5, 110);
+    position.matchLots(15, 130);
+
+    expect(position.status).toBe("closed");
+    expect(position.volume).toBe(20);
+    expect(position.openPrice).toBe(110);
+    expect(position.closePrice).toBeCloseTo((5 * 110 + 15 * 130) / 20);
+    expect(position.grossPL).toBeCloseTo(5 * 10 + 5 * 30 + 10 * 10);
+  });
+
+  it("rejects volumes above the open volume and unknown methods", () => {
+    const position = buildPosition([[10, 100]]);
+
+    expect(() => position.matchLots(11, 100)).toThrow(/open volume is 10/);
+    expect(() => position.matchLots(0, 100)).toThrow();
+    expect(() => position.matchLots(5, 100, { method: "HIFO" })).toThrow(
+      /Unsupported lot method/
+    );
+  });
+});
+
+describe("Position.applyTrade", () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(Position, "findOne").mockImplementation((query) => ({
+      sort: async () =>
+        stored.find(
+          (position) =>
+            position.symbol === query.symbol &&
+            position.type === query.type &&
+            position.status === query.status
+        ) || null,
+    }));
+    jest
+      .spyOn(Position.prototype, "save")
+      .mockImplementation(async function () {
+        if (!stored.includes(this)) stored.push(this);
+        return this;
+      });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const trade = (side, volume, price, extra = {}) =>
+    Position.applyTrade({
+      portfolioId,
+      symbol: "aapl",
+      side,
+      volume,
+      price,
+      time: day(stored.length + 1),
+      positionData: {
+        brokerData: {
+          broker: "MANUAL",
+          brokerSymbol: "AAPL",
+          brokerAccountId: "manual",
+        },
+      },
+      ...extra,
+    });
+
+  it("opens a position and adds lots for further buys", async () => {
+    await trade("buy", 10, 100, { commission: 1 });
+    const { positions, matches } = await trade("buy", 5, 130);
+
+    expect(matches).toEqual([]);
+    expect(stored).toHaveLength(1);
+    expect(positions[0].symbol).toBe("AAPL");
+    expect(positions[0].lots).toHaveLength(2);
+    expect(positions[0].volume).toBe(15);
+    expect(positions[0].openPrice).toBeCloseTo(110);
+    expect(positions[0].commission).toBe(1);
+  });
+
+  it("matches a sell against the open long position", async () => {
+    await trade("buy", 10, 100);
+    await trade("buy", 10, 120);
+
+    const { positions, matches } = await trade("sell", 12, 150, {
+      commission: 2.4,
+    });
+
+    expect(positions).toHaveLength(1);
+    expect(matches.map((match) => [match.volume, match.costPrice])).toEqual([
+      [10, 100],
+      [2, 120],
+    ]);
+    expect(positions[0].realizedPL).toBeCloseTo(10 * 50 + 2 * 30);
+    expect(positions[0].openVolume).toBe(8);
+  });
+
+  it("closes the long side and opens a short with the excess", async () => {
+    await trade("buy", 10, 100);
+
+    const { positions } = await trade("sell", 15, 110, { commission: 3 });
+
+    expect(positions).toHaveLength(2);
+    expect(positions[0].status).toBe("closed");
+    expect(positions[0].commission).toBe(2);
+    expect(positions[1].type).toBe("SELL");
+    expect(positions[1].volume).toBe(5);
+    expect(positions[1].commission).toBe(1);
+  });
+});
+
+describe("Position.partialClose", () => {
+  it("moves the matched lots' commission and the closing commission to the child", () => {
+    const position = buildPosition(
+      [
+        [10, 100, 4],
+        [10, 120, 8],
+      ],
+      { commission: 12 }
+    );
+
+    const { child } = position.partialClose(15, 130, { commission: 3 });
+
+    // 4 from the first lot, half of 8 from the second, plus the close
+    expect(child.commission).toBeCloseTo(4 + 4 + 3);
+    expect(position.commission).toBeCloseTo(4);
+    expect(child.commission + position.commission).toBeCloseTo(12 + 3);
+    expect(position.lots.map((lot) => lot.commission)).toEqual([4]);
+  });
+
+  it("rejects a volume that would leave a lot below the minimum", () => {
+    const position = buildPosition([[10, 100]]);
+
+    expect(() => position.partialClose(9.99995, 110)).toThrow(
+      expect.objectContaining({ code: "INVALID_VOLUME" })
+    );
+    expect(() => position.partialClose(10, 110)).toThrow(
+      expect.objectContaining({ code: "INVALID_VOLUME" })
+    );
+  });
+});
+
+describe("Position.alignLots", () => {
+  it("adds the missing volume as a lot matching the broker's average", () => {
+    const position = buildPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+
+    position.alignLots({ volume: 25, openPrice: 112, time: day(10) });
+
+    expect(position.lots).toHaveLength(3);
+    // 25 at 112 cost 2800, the lots held 2200
+    expect(position.lots[2]).toMatchObject({
+      volume: 5,
+      openPrice: 120,
+      source: "api",
+    });
+    expect(position.volume).toBe(25);
+    expect(position.openPrice).toBeCloseTo(112);
+  });
+
+  it("matches the excess volume at the market price", () => {
+    const position = buildPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+
+    position.alignLots({ volume: 15, openPrice: 115, marketPrice: 130 });
+
+    expect(position.lots.map((lot) => lot.remainingVolume)).toEqual([5, 10]);
+    expect(position.realizedPL).toBeCloseTo(5 * 30);
+    expect(position.status).toBe("open");
+  });
+});
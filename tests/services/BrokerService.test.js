@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const CashOperation = require("../../models/CashOperation");
+const BrokerService = require("../../services/BrokerService");
+
+const portfolio = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  broker: "BINANCE",
+};
+
+const operation = (operationId) => ({
+  operationId,
+  type: "deposit",
+  time: new Date("2026-01-10"),
+  amount: 100,
+  currency: "USD",
+  comment: "deposit",
+  source: "api",
+});
+
+describe("BrokerService.syncCashOperations", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("looks for stored operations in the synced portfolio only", async () => {
+    const adapter = {
+      getCashOperations: async () => [operation(1), operation(2), operation(3)],
+    };
+    jest
+      .spyOn(CashOperation, "exists")
+      .mockImplementation(async ({ operationId }) => operationId === 1);
+    jest
+      .spyOn(CashOperation.prototype, "save")
+      .mockImplementation(async function () {
+        if (this.operationId === 3) {
+          throw Object.assign(new Error("E11000 duplicate key"), {
+            code: 11000,
+            keyPattern: { operationId: 1 },
+          });
+        }
+        return this;
+      });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const created = await BrokerService.syncCashOperations(
+      adapter,
+      portfolio,
+      {}
+    );
+
+    expect(CashOperation.exists).toHaveBeenCalledWith({
+      portfolioId: portfolio._id,
+      operationId: 1,
+    });
+    expect(created.map((cash) => cash.operationId)).toEqual([2]);
+    expect(created[0].portfolioId).toEqual(portfolio._id);
+  });
+});
@@ -0,0 +1,223 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const CashOperation = require("../../models/CashOperation");
+const FileImport = require("../../models/FileImport");
+const ImportService = require("../../services/ImportService");
+
+const userId = new mongoose.Types.ObjectId();
+const portfolio = {
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  broker: "DEGIRO",
+  currency: "EUR",
+  updateStats: jest.fn(),
+};
+
+// Degiro Account.csv: four cash operations and one unsupported row
+const buildFileImport = (duplicatePolicy) =>
+  new FileImport({
+    userId,
+    portfolioId: portfolio._id,
+    filename: "degiro-account.csv",
+    originalName: "degiro-account.csv",
+    fileSize: 1024,
+    mimeType: "text/csv",
+    importType: "mixed",
+    importDate: new Date(),
+    status: "pending",
+    storage: {
+      path: path.join(__dirname, "../fixtures/statements/degiro-account.csv"),
+    },
+    configuration: { duplicatePolicy, brokerFormat: "auto" },
+  });
+
+describe("ImportService duplicate handling", () => {
+  let existing;
+  let saved;
+
+  beforeEach(() => {
+    existing = [];
+    saved = [];
+    jest.spyOn(ImportService, "getPortfolio").mockResolvedValue(portfolio);
+    jest
+      .spyOn(FileImport.prototype, "save")
+      .mockImplementation(async function () {
+        return this;
+      });
+    jest.spyOn(CashOperation, "find").mockImplementation(async () => existing);
+    jest
+      .spyOn(CashOperation, "bulkSave")
+      .mockImplementation(async (docs) => saved.push(...docs));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const runImport = async (duplicatePolicy = "skip") => {
+    const fileImport = buildFileImport(duplicatePolicy);
+    jest.spyOn(FileImport, "findById").mockResolvedValue(fileImport);
+    return ImportService.processFile(fileImport._id, userId, portfolio._id);
+  };
+
+  // Records as stored by an earlier import of the same file
+  const importOnce = async () => {
+    await runImport();
+    const stored = saved.map((doc) =>
+      CashOperation.hydrate(doc.toObject({ virtuals: false }))
+    );
+    saved = [];
+    return stored;
+  };
+
+  it("writes new rows and keeps warnings off the error count", async () => {
+    const fileImport = await runImport();
+
+    expect(fileImport.status).toBe("completed");
+    expect(fileImport.configuration.brokerFormat).toBe("degiro");
+    expect(fileImport.deduplication.toObject()).toMatchObject({
+      new: 4,
+      updated: 0,
+      unchanged: 0,
+      conflict: 0,
+    });
+    expect(fileImport.recordsCount.cashOperations).toBe(4);
+    expect(fileImport.processing).toMatchObject({
+      successfulRows: 4,
+      errorRows: 0,
+      skippedRows: 1,
+    });
+    expect(saved.map((doc) => doc.type)).toEqual([
+      "deposit",
+      "dividend",
+      "withholding_tax",
+      "fee",
+    ]);
+    expect(saved[0]).toMatchObject({
+      importBatchId: fileImport._id,
+      fileImportId: fileImport._id,
+      source: "import",
+    });
+    expect(fileImport.errors[0]).toMatchObject({
+      error: "[Sheet1] Unsupported account operation: Promotion bonus",
+      severity: "warning",
+    });
+  });
+
+  it("skips every row of a re-imported file", async () => {
+    existing = await importOnce();
+
+    const fileImport = await runImport();
+
+    expect(CashOperation.bulkSave).toHaveBeenCalledTimes(1);
+    expect(fileImport.deduplication.unchanged).toBe(4);
+    expect(fileImport.processing).toMatchObject({
+      successfulRows: 0,
+      duplicateRows: 4,
+      skippedRows: 5,
+    });
+    expect(fileImport.status).toBe("completed");
+  });
+
+  it("overwrites rows changed since the last import only when asked", async () => {
+    existing = await importOnce();
+    existing[0].amount = 2000;
+    existing[0].importMeta.contentHash = "edited";
+
+    const skipped = await runImport("skip");
+    expect(skipped.deduplication.updated).toBe(1);
+    expect(saved).toHaveLength(0);
+
+    const overwritten = await runImport("overwrite");
+    expect(saved).toEqual([existing[0]]);
+    expect(existing[0].amount).toBe(2500);
+    expect(overwritten.recordsCount.cashOperations).toBe(1);
+    expect(
+      overwritten.rollback.rollbackData.overwritten[0].snapshot
+    ).toMatchObject({ amount: 2000, operationId: existing[0].operationId });
+  });
+
+  it("writes nothing with the fail policy when a row matches", async () => {
+    existing = (await importOnce()).slice(0, 1);
+
+    const fileImport = await runImport("fail");
+
+    expect(saved).toHaveLength(0);
+    expect(fileImport.status).toBe("failed");
+    expect(fileImport.progress.message).toBe(
+      "1 rows match existing records (duplicate policy: fail)"
+    );
+  });
+
+  it("reports IDs owned by another portfolio as conflicts", async () => {
+    existing = await importOnce();
+    existing[1].portfolioId = new mongoose.Types.ObjectId();
+
+    const fileImport = await runImport("overwrite");
+
+    expect(fileImport.deduplication.conflict).toBe(1);
+    expect(fileImport.status).toBe("partial");
+    expect(fileImport.errors.map((error) => error.error)).toContainEqual(
+      `[Sheet1] operationId ${existing[1].operationId} belongs to another portfolio`
+    );
+  });
+});
+
+describe("ImportService.classifyRecords", () => {
+  const typeConfig = { model: CashOperation, idField: "operationId" };
+  const record = (fingerprint, contentHash, data = {}) => ({
+    sheet: "Sheet1",
+    dataType: "cash_operations",
+    data,
+    fingerprint,
+    contentHash,
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("matches rows without an ID by fingerprint", async () => {
+    jest.spyOn(CashOperation, "find").mockResolvedValue([
+      CashOperation.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        portfolioId: portfolio._id,
+        operationId: 7,
+        importMeta: { fingerprint: "fp-1", contentHash: "hash-1" },
+      }),
+    ]);
+
+    const [same, changed, other] = await ImportService.classifyRecords(
+      [
+        record("fp-1", "hash-1"),
+        record("fp-1", "hash-2"),
+        record("fp-2", "hash-3"),
+      ],
+      typeConfig,
+      portfolio
+    );
+
+    expect([same.status, changed.status, other.status]).toEqual([
+      "unchanged",
+      "conflict",
+      "new",
+    ]);
+    expect(changed.reason).toBe("Conflicting duplicate row in file");
+  });
+
+  it("tells identical fills with their own IDs apart", async () => {
+    jest.spyOn(CashOperation, "find").mockResolvedValue([]);
+
+    const records = await ImportService.classifyRecords(
+      [
+        record("fp-1", "hash-1", { operationId: 1 }),
+        record("fp-1", "hash-1", { operationId: 2 }),
+        record("fp-1", "hash-1", { operationId: 1 }),
+      ],
+      typeConfig,
+      portfolio
+    );
+
+    expect(records.map((item) => item.status)).toEqual([
+      "new",
+      "new",
+      "unchanged",
+    ]);
+  });
+});
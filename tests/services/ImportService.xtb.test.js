@@ -0,0 +1,214 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
+const CashOperation = require("../../models/CashOperation");
+const PendingOrder = require("../../models/PendingOrder");
+const Position = require("../../models/Position");
+const ImportService = require("../../services/ImportService");
+const { readStatementInput, detectBrokerFormat } = require("../../utils/excel");
+
+const portfolio = {
+  _id: new mongoose.Types.ObjectId(),
+  broker: "XTB",
+  currency: "EUR",
+};
+const userId = new mongoose.Types.ObjectId();
+
+// Account block above every XTB sheet; its currency is the account's
+const ACCOUNT_ROWS = [
+  ["Name and surname", "Account", "Currency", "Balance"],
+  ["Jan Kowalski", "12345678", "PLN", 10000],
+  [],
+];
+
+// XTB statement workbook: closed positions and cash operations
+const writeStatement = (filePath) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ...ACCOUNT_ROWS,
+      [
+        "Position",
+        "Symbol",
+        "Type",
+        "Volume",
+        "Open time",
+        "Open price",
+        "Close time",
+        "Close price",
+        "Commission",
+        "Swap",
+        "Rollover",
+        "Gross P/L",
+        "Comment",
+      ],
+      [
+        1001,
+        "PKN.PL",
+        "BUY",
+        10,
+        "04.03.2024 09:15:00",
+        62.5,
+        "15.04.2024 16:30:00",
+        66.1,
+        -2.5,
+        0,
+        0,
+        36,
+        "",
+      ],
+      [
+        1002,
+        "AAPL.US",
+        "BUY",
+        2,
+        "05.03.2024 15:45:00",
+        170,
+        "10.04.2024 17:00:00",
+        168,
+        0,
+        -0.4,
+        0,
+        -4,
+        "stop loss",
+      ],
+      [1003, "", "BUY", 1, "05.03.2024 15:45:00", 170, "", "", 0, 0, 0, 0, ""],
+      ["Total", "", "", "", "", "", "", "", -2.5, -0.4, 0, 32, ""],
+    ]),
+    "CLOSED POSITION HISTORY"
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ...ACCOUNT_ROWS,
+      ["ID", "Type", "Time", "Comment", "Symbol", "Amount"],
+      [5001, "deposit", "01.03.2024 10:00:00", "Przelew", "", 10000],
+      [
+        5002,
+        "stock purchase",
+        "04.03.2024 09:15:00",
+        "OPEN BUY 10 @ 62.50",
+        "PKN.PL",
+        -625,
+      ],
+      [5003, "Dividend", "20.05.2024 08:00:00", "", "PKN.PL", 35],
+      ["Total", "", "", "", "", 9410],
+    ]),
+    "CASH OPERATION HISTORY"
+  );
+  XLSX.writeFile(workbook, filePath);
+};
+
+describe("XTB statement import", () => {
+  let dir;
+  let filePath;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "xtb-import-"));
+    filePath = path.join(dir, "xtb.xlsx");
+    writeStatement(filePath);
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    [Position, CashOperation, PendingOrder].forEach((Model) =>
+      jest.spyOn(Model, "find").mockResolvedValue([])
+    );
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const analyze = async () => {
+    const fileImport = {
+      storage: { path: filePath },
+      originalName: "xtb.xlsx",
+      configuration: { brokerFormat: "auto" },
+    };
+    const result = await ImportService.analyze(fileImport, {
+      userId,
+      portfolio,
+      fileImport,
+    });
+    return { ...result, fileImport };
+  };
+
+  it("is not taken for another broker's statement", async () => {
+    const input = await readStatementInput(filePath, "xtb.xlsx");
+
+    expect(input.sheets.map((sheet) => sheet.name)).toEqual([
+      "CLOSED POSITION HISTORY",
+      "CASH OPERATION HISTORY",
+    ]);
+    expect(detectBrokerFormat(input)).toBeNull();
+  });
+
+  it("reads positions below the account block in Warsaw time", async () => {
+    const { records, stats, issues, fileImport } = await analyze();
+    const positions = records.filter(
+      (record) => record.dataType === "positions"
+    );
+
+    expect(fileImport.configuration.brokerFormat).toBe("xtb");
+    expect(positions.map((record) => record.rowNumber)).toEqual([5, 6]);
+    expect(positions[0].data).toMatchObject({
+      positionId: 1001,
+      symbol: "PKN.PL",
+      type: "BUY",
+      openTime: new Date("2024-03-04T08:15:00Z"),
+      closeTime: new Date("2024-04-15T14:30:00Z"),
+      purchaseValue: 625,
+      saleValue: 661,
+      status: "closed",
+      commission: 2.5,
+      currency: "PLN",
+      brokerData: { brokerPositionId: "1001", brokerAccountId: "12345678" },
+    });
+    // Costs are stored as positive amounts; the suffix gives the currency
+    expect(positions[1].data).toMatchObject({
+      swap: 0.4,
+      grossPL: -4,
+      currency: "USD",
+      notes: "stop loss",
+    });
+    // The Total rows are skipped, the row without a symbol reported
+    expect(stats).toEqual({ processed: 6, valid: 5, errors: 1, skipped: 2 });
+    expect(issues).toEqual([
+      expect.objectContaining({
+        row: 7,
+        sheet: "CLOSED POSITION HISTORY",
+        error: "[CLOSED POSITION HISTORY] symbol is required",
+      }),
+    ]);
+  });
+
+  it("books cash operations in the account currency", async () => {
+    const { records, counts } = await analyze();
+    const operations = records
+      .filter((record) => record.dataType === "cash_operations")
+      .map((record) => record.data);
+
+    expect(counts).toEqual({ new: 5, updated: 0, unchanged: 0, conflict: 0 });
+    expect(
+      operations.map(({ operationId, type, amount, currency }) => [
+        operationId,
+        type,
+        amount,
+        currency,
+      ])
+    ).toEqual([
+      [5001, "deposit", 10000, "PLN"],
+      [5002, "stock_purchase", -625, "PLN"],
+      [5003, "dividend", 35, "PLN"],
+    ]);
+    // Empty comments take the operation type
+    expect(operations[2]).toMatchObject({
+      comment: "Dividend",
+      symbol: "PKN.PL",
+      time: new Date("2024-05-20T06:00:00Z"),
+    });
+  });
+});
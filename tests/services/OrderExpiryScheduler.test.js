@@ -0,0 +1,67 @@
+const OrderExpiryScheduler = require("../../services/OrderExpiryScheduler");
+
+const nyse = {
+  metadata: {
+    assetType: "stock",
+    tradingHours: {
+      open: "09:30",
+      close: "16:00",
+      timezone: "America/New_York",
+    },
+  },
+};
+
+const at = (iso) => new Date(iso);
+
+const order = (timeInForce, openTime, expiryTime) => ({
+  orderId: 1,
+  conditions: { timeInForce },
+  openTime: at(openTime),
+  expiryTime: expiryTime && at(expiryTime),
+});
+
+const reason = (pendingOrder, now) =>
+  OrderExpiryScheduler.getExpiryReason(pendingOrder, nyse, at(now));
+
+describe("OrderExpiryScheduler.getExpiryReason", () => {
+  it("expires DAY orders at the close of their session", () => {
+    const friday = order("DAY", "2024-03-08T15:00:00Z");
+
+    expect(reason(friday, "2024-03-08T20:59:00Z")).toBeNull();
+    expect(reason(friday, "2024-03-08T21:00:00Z")).toBe(
+      "Trading session ended at 2024-03-08T21:00:00.000Z (DAY order)"
+    );
+  });
+
+  it("keeps DAY orders placed after the close for the next session", () => {
+    // Placed on Saturday; Monday closes at 16:00 EDT after the DST change
+    const weekend = order("DAY", "2024-03-09T12:00:00Z");
+
+    expect(reason(weekend, "2024-03-10T12:00:00Z")).toBeNull();
+    expect(reason(weekend, "2024-03-11T19:59:00Z")).toBeNull();
+    expect(reason(weekend, "2024-03-11T20:00:00Z")).toMatch(
+      "Trading session ended at 2024-03-11T20:00:00.000Z"
+    );
+  });
+
+  it("expires GTD orders at their expiry time", () => {
+    const gtd = order("GTD", "2024-03-08T15:00:00Z", "2024-03-15T12:00:00Z");
+
+    expect(reason(gtd, "2024-03-15T11:59:00Z")).toBeNull();
+    expect(reason(gtd, "2024-03-15T12:00:00Z")).toBe(
+      "Expiry time 2024-03-15T12:00:00.000Z passed (GTD order)"
+    );
+    expect(
+      reason(order("GTC", "2024-03-08T15:00:00Z"), "2030-01-01T00:00:00Z")
+    ).toBeNull();
+  });
+
+  it("expires IOC orders only once the market was open for them", () => {
+    const ioc = order("IOC", "2024-03-09T12:00:00Z");
+
+    expect(reason(ioc, "2024-03-10T12:00:00Z")).toBeNull();
+    expect(reason(ioc, "2024-03-11T14:00:00Z")).toBe(
+      "Immediate-or-cancel order was not filled"
+    );
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const PendingOrder = require("../../models/PendingOrder");
+const Position = require("../../models/Position");
+const Notification = require("../../models/Notification");
+const OrderExpiryScheduler = require("../../services/OrderExpiryScheduler");
+const OrderMatchingService = require("../../services/OrderMatchingService");
+
+let nextOrderId = 1;
+
+const buildOrder = (overrides = {}) =>
+  new PendingOrder({
+    userId: new mongoose.Types.ObjectId(),
+    orderId: nextOrderId++,
+    portfolioId: new mongoose.Types.ObjectId(),
+    symbol: "AAPL.US",
+    type: "limit",
+    side: "buy",
+    volume: 10,
+    price: 100,
+    purchaseValue: 1000,
+    openTime: new Date("2024-06-03T14:00:00Z"),
+    status: "pending",
+    ...overrides,
+  });
+
+const quote = (price, bid = price, ask = price) => ({ price, bid, ask });
+
+describe("OrderMatchingService.evaluateOrder", () => {
+  const evaluate = (order, price, bid, ask) =>
+    OrderMatchingService.evaluateOrder(order, quote(price, bid, ask));
+
+  it("fills limit orders at the quote side crossing the limit", () => {
+    const buy = buildOrder({ price: 100 });
+    const sell = buildOrder({ side: "sell", price: 100 });
+
+    expect(evaluate(buy, 100.5, 100.4, 100.6)).toBeNull();
+    expect(evaluate(buy, 100, 99.8, 99.9)).toBe(99.9);
+    expect(evaluate(sell, 99.9, 99.8, 100.1)).toBeNull();
+    expect(evaluate(sell, 100.3, 100.2, 100.4)).toBe(100.2);
+  });
+
+  it("fills stop orders once the stop is crossed", () => {
+    const buyStop = buildOrder({ type: "stop", stopPrice: 105 });
+    const sellStop = buildOrder({ type: "stop", side: "sell", price: 95 });
+
+    expect(evaluate(buyStop, 104)).toBeNull();
+    expect(evaluate(buyStop, 106)).toBe(106);
+    // Without stopPrice the stop is at price
+    expect(evaluate(sellStop, 96)).toBeNull();
+    expect(evaluate(sellStop, 94)).toBe(94);
+  });
+
+  it("rests a triggered stop limit as a limit order", () => {
+    const order = buildOrder({
+      type: "stop_limit",
+      stopPrice: 105,
+      price: 106,
+    });
+
+    expect(evaluate(order, 104)).toBeNull();
+    expect(order.execution.triggeredTime).toBeUndefined();
+
+    // Gaps over the limit: triggered, not filled
+    expect(evaluate(order, 107)).toBeNull();
+    expect(order.execution.triggeredTime).toBeInstanceOf(Date);
+
+    // Below the stop again, still a limit order
+    expect(evaluate(order, 103)).toBe(103);
+  });
+
+  it("moves a trailing stop only towards the price", () => {
+    const sell = buildOrder({
+      type: "trailing_stop",
+      side: "sell",
+      price: undefined,
+      trailingAmount: 5,
+    });
+    const buy = buildOrder({
+      type: "trailing_stop",
+      price: undefined,
+      trailingPercent: 10,
+    });
+
+    expect(evaluate(sell, 100)).toBeNull();
+    expect(sell.stopPrice).toBe(95);
+    expect(evaluate(sell, 110)).toBeNull();
+    expect(sell.stopPrice).toBe(105);
+    expect(evaluate(sell, 107)).toBeNull();
+    expect(sell.stopPrice).toBe(105);
+    expect(evaluate(sell, 104)).toBe(104);
+
+    expect(evaluate(buy, 100)).toBeNull();
+    expect(buy.stopPrice).toBe(110);
+    expect(evaluate(buy, 90)).toBeNull();
+    expect(buy.stopPrice).toBe(99);
+    expect(evaluate(buy, 95)).toBeNull();
+    expect(buy.stopPrice).toBe(99);
+    expect(evaluate(buy, 99.5)).toBe(99.5);
+  });
+});
+
+describe("OrderMatchingService fills", () => {
+  let orders;
+
+  beforeEach(() => {
+    orders = [];
+    jest.spyOn(PendingOrder, "find").mockImplementation(() => ({
+      sort: () => ({ populate: async () => orders }),
+    }));
+    jest
+      .spyOn(PendingOrder.prototype, "save")
+      .mockImplementation(async function () {
+        return this;
+      });
+    jest
+      .spyOn(Position, "applyTrade")
+      .mockResolvedValue({ positions: [], matches: [] });
+    jest.spyOn(Notification.prototype, "save").mockResolvedValue(null);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("fills the remaining volume of a partially executed order", async () => {
+    const order = buildOrder();
+    await order.executeOrder(99, 4);
+
+    const fill = await OrderMatchingService.fillOrder(order, 98);
+
+    expect(Position.applyTrade).toHaveBeenLastCalledWith(
+      expect.objectContaining({ side: "buy", volume: 6, price: 98 })
+    );
+    expect(fill.order.status).toBe("executed");
+    expect(order.volume).toBe(10);
+    expect(order.execution).toMatchObject({
+      executedVolume: 10,
+      remainingVolume: 0,
+    });
+    expect(order.execution.executedPrice).toBeCloseTo(98.4);
+  });
+
+  it("expires IOC and FOK orders the price does not fill", async () => {
+    const ioc = buildOrder({ conditions: { timeInForce: "IOC" } });
+    const fok = buildOrder({ conditions: { timeInForce: "FOK" } });
+    const gtc = buildOrder({ conditions: { timeInForce: "GTC" } });
+    const filledIoc = buildOrder({
+      price: 120,
+      conditions: { timeInForce: "IOC" },
+    });
+    orders = [ioc, fok, gtc, filledIoc];
+    jest.spyOn(OrderExpiryScheduler, "expire").mockResolvedValue(true);
+
+    const filled = await OrderMatchingService.evaluateSymbol(
+      "AAPL.US",
+      quote(110)
+    );
+
+    expect(filled.map((fill) => fill.order)).toEqual([filledIoc]);
+    expect(OrderExpiryScheduler.expire.mock.calls).toEqual([
+      [ioc, "Not filled at 110 (IOC order)"],
+      [fok, "Not filled at 110 (FOK order)"],
+    ]);
+    expect(gtc.status).toBe("pending");
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const MarketData = require("../../models/MarketData");
+const TaxReportService = require("../../services/TaxReportService");
+
+const portfolioId = new mongoose.Types.ObjectId();
+
+const operation = (type, symbol, amount, currency, day = 10) => ({
+  operationId: Math.floor(Math.random() * 1e9),
+  portfolioId,
+  type,
+  symbol,
+  amount,
+  currency,
+  time: new Date(Date.UTC(2024, 4, day)),
+});
+
+// Every foreign currency at 4 PLN
+const rateLookup = async (currency) => ({
+  rate: currency === "PLN" ? 1 : 4,
+  date: null,
+  table: null,
+});
+
+describe("TaxReportService.convertDividends", () => {
+  beforeEach(() => {
+    jest.spyOn(MarketData, "find").mockReturnValue({
+      select: async () => [
+        { symbol: "PKO", metadata: { isin: "PLPKO0000016" }, marketInfo: {} },
+        { symbol: "ASML", marketInfo: { country: "Netherlands" } },
+      ],
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const declaredSymbols = async (operations) =>
+    (await TaxReportService.convertDividends(operations, rateLookup, true)).map(
+      (row) => row.symbol
+    );
+
+  it("declares foreign dividends credited in PLN", async () => {
+    const [row] = await TaxReportService.convertDividends(
+      [
+        operation("dividend", "AAPL.US", 100, "PLN"),
+        operation("withholding_tax", "AAPL.US", -15, "PLN"),
+      ],
+      rateLookup,
+      true
+    );
+
+    expect(row).toMatchObject({
+      symbol: "AAPL.US",
+      issuerCountry: "US",
+      grossPLN: 100,
+      withholdingPLN: 15,
+      taxDuePLN: 19,
+      creditPLN: 15,
+      toPayPLN: 4,
+    });
+  });
+
+  it("leaves out Polish issuers whatever the booking currency", async () => {
+    await expect(
+      declaredSymbols([
+        operation("dividend", "CDR.PL", 50, "PLN"),
+        operation("dividend", "PKO", 30, "USD"),
+        operation("dividend", "PLPZU0000011", 20, "PLN"),
+        operation("dividend", "ASML", 10, "EUR"),
+      ])
+    ).resolves.toEqual(["ASML"]);
+  });
+
+  it("takes unknown PLN issuers as Polish only with 19% withheld", async () => {
+    await expect(
+      declaredSymbols([
+        operation("dividend", "ABC", 100, "PLN"),
+        operation("withholding_tax", "ABC", -19, "PLN"),
+        operation("dividend", "XYZ", 100, "PLN"),
+        operation("dividend", "FOO", 100, "USD"),
+      ])
+    ).resolves.toEqual(["XYZ", "FOO"]);
+  });
+
+  it("drops the foreign tax credit when it is not included", async () => {
+    const [row] = await TaxReportService.convertDividends(
+      [
+        operation("dividend", "AAPL.US", 25, "USD"),
+        operation("withholding_tax", "AAPL.US", -3.75, "USD"),
+      ],
+      rateLookup,
+      false
+    );
+
+    expect(row).toMatchObject({ grossPLN: 100, creditPLN: 0, toPayPLN: 19 });
+  });
+});
@@ -0,0 +1,312 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const BinanceAdapter = require("../../../services/brokers/BinanceAdapter");
+const BybitAdapter = require("../../../services/brokers/BybitAdapter");
+const CryptoExchangeAdapter = require("../../../services/brokers/crypto/CryptoExchangeAdapter");
+const CashOperation = require("../../../models/CashOperation");
+
+const { deriveCostBasis } = CryptoExchangeAdapter;
+
+const brokerConfig = {
+  accountId: "a",
+  apiCredentials: { apiKey: "k", secretKey: "s" },
+};
+
+const signedRequest = (method, params) => ({
+  method,
+  endpoint: "/test",
+  params,
+  headers: {},
+  query: method === "GET" ? new URLSearchParams(params).toString() : "",
+  body: method === "GET" ? null : JSON.stringify(params),
+});
+
+const hmac = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// All exchange calls are answered from services/brokers/crypto/fixtures
+const env = { ...process.env };
+beforeAll(() => {
+  process.env.EXCHANGE_HTTP_FIXTURES = "replay";
+});
+afterAll(() => {
+  process.env = { ...env };
+});
+
+describe("request signing", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("signs Binance query strings as in the API documentation", () => {
+    jest.spyOn(Date, "now").mockReturnValue(1499827319559);
+    const request = signedRequest("GET", {
+      symbol: "LTCBTC",
+      side: "BUY",
+      type: "LIMIT",
+      timeInForce: "GTC",
+      quantity: 1,
+      price: 0.1,
+    });
+
+    new BinanceAdapter().sign(request, {
+      apiKey:
+        "vmPUZE6mv9SD5VNHk4HlWFsOr6aKE2zvsw0MuIgwCIPy6utIco14y7Ju91duEh8A",
+      secretKey:
+        "NhqPtmdSJYdKjVHjA7PZj4Mge3R5YNiP1e3UZjInClVN65XAbvqqM6A7H5fATj0j",
+    });
+
+    expect(request.query).toBe(
+      "symbol=LTCBTC&side=BUY&type=LIMIT&timeInForce=GTC&quantity=1&price=0.1" +
+        "&recvWindow=5000&timestamp=1499827319559" +
+        "&signature=c8db56825ae71d6d79447849e617115f4a920fa2acdcab2b053c4b2838bd6b71"
+    );
+    expect(request.headers["X-MBX-APIKEY"]).toBe(
+      "vmPUZE6mv9SD5VNHk4HlWFsOr6aKE2zvsw0MuIgwCIPy6utIco14y7Ju91duEh8A"
+    );
+    expect(request.body).toBeNull();
+  });
+
+  it("signs Bybit GET queries and POST bodies in headers", () => {
+    jest.spyOn(Date, "now").mockReturnValue(1700000000000);
+    const adapter = new BybitAdapter();
+    const get = signedRequest("GET", { category: "spot", symbol: "BTCUSDT" });
+    const post = signedRequest("POST", { category: "spot", qty: "1" });
+
+    adapter.sign(get, { apiKey: "key", secretKey: "secret" });
+    adapter.sign(post, { apiKey: "key", secretKey: "secret" });
+
+    expect(get.headers).toEqual({
+      "X-BAPI-API-KEY": "key",
+      "X-BAPI-TIMESTAMP": "1700000000000",
+      "X-BAPI-RECV-WINDOW": "5000",
+      "X-BAPI-SIGN": hmac(
+        "secret",
+        "1700000000000key5000category=spot&symbol=BTCUSDT"
+      ),
+    });
+    expect(post.headers["X-BAPI-SIGN"]).toBe(
+      hmac("secret", '1700000000000key5000{"category":"spot","qty":"1"}')
+    );
+  });
+});
+
+describe("deriveCostBasis", () => {
+  const trade = (id, side, qty, price, extra = {}) => ({
+    id,
+    symbol: "BTCUSDT",
+    side,
+    qty,
+    price,
+    quoteQty: qty * price,
+    fee: 0,
+    feeAsset: "BNB",
+    time: id * 1000,
+    ...extra,
+  });
+
+  it("averages buys and removes sold cost pro rata", () => {
+    const basis = deriveCostBasis(
+      [
+        trade(2, "BUY", 1, 30000, { fee: 3, feeAsset: "USDT" }),
+        trade(1, "BUY", 1, 20000),
+        trade(3, "SELL", 1, 40000),
+        // The same trade returned by two history pages
+        trade(3, "SELL", 1, 40000),
+      ],
+      "BTC",
+      1,
+      50000
+    );
+
+    expect(basis).toEqual({
+      source: "trades",
+      averagePrice: 25001.5,
+      coveredVolume: 1,
+      fees: 1.5,
+      openTime: 1000,
+    });
+  });
+
+  it("restarts the holding period after the coin was sold out", () => {
+    const basis = deriveCostBasis(
+      [
+        trade(1, "BUY", 1, 20000),
+        trade(2, "SELL", 1, 40000),
+        trade(3, "BUY", 0.5, 50000),
+      ],
+      "BTC",
+      0.5,
+      60000
+    );
+
+    expect(basis).toMatchObject({
+      averagePrice: 50000,
+      coveredVolume: 0.5,
+      openTime: 3000,
+    });
+  });
+
+  it("takes fees paid in the coin off the quantity bought", () => {
+    const basis = deriveCostBasis(
+      [trade(1, "BUY", 1, 20000, { fee: 0.001, feeAsset: "BTC" })],
+      "BTC",
+      0.999,
+      20000
+    );
+
+    expect(basis.averagePrice).toBeCloseTo(20000 / 0.999);
+    expect(basis.fees).toBe(20);
+  });
+
+  it("falls back to the market price without trades", () => {
+    expect(deriveCostBasis([], "BTC", 2, 60000)).toEqual({
+      source: "market",
+      averagePrice: 60000,
+      coveredVolume: 0,
+      fees: 0,
+      openTime: null,
+    });
+  });
+});
+
+describe("BinanceAdapter against recorded fixtures", () => {
+  const adapter = new BinanceAdapter();
+
+  it("derives positions from balances, tickers and trades", async () => {
+    const positions = await adapter.getPositions(brokerConfig);
+    const bySymbol = Object.fromEntries(
+      positions.map((position) => [position.symbol, position])
+    );
+
+    // SHIB is dust below $1, LDBTC a Simple Earn mirror
+    expect(Object.keys(bySymbol)).toEqual([
+      "BTCUSDT",
+      "ETHUSDT",
+      "DOGEUSDT",
+      "BNBUSDT",
+    ]);
+    expect(bySymbol.BTCUSDT.volume).toBeCloseTo(0.04997);
+    expect(bySymbol.BTCUSDT.costBasis).toMatchObject({
+      source: "trades",
+      fees: 0.86,
+      openTime: 1768210200000,
+    });
+    expect(bySymbol.BTCUSDT.costBasis.averagePrice).toBeCloseTo(45733.886, 3);
+    expect(bySymbol.ETHUSDT.costBasis).toMatchObject({
+      averagePrice: 2083.75,
+      fees: 0.5,
+    });
+    expect(adapter.normalizePosition(bySymbol.DOGEUSDT)).toMatchObject({
+      volume: 500,
+      openPrice: 0.1,
+      notes: expect.stringMatching(/market price/),
+    });
+    expect(bySymbol.BNBUSDT.costBasis.source).toBe("market");
+  });
+
+  it("maps completed stablecoin transfers to cash operations", async () => {
+    const operations = await adapter.getCashOperations(brokerConfig);
+
+    // DOGE deposit, pending USDC deposit and cancelled withdrawal left out
+    expect(operations).toHaveLength(2);
+    expect(operations[0]).toMatchObject({
+      type: "deposit",
+      amount: 2000,
+      time: new Date("2026-01-10T08:03:12.000Z"),
+      currency: "USD",
+      comment: "BINANCE deposit 2000 USDT (TRX)",
+      source: "api",
+      details: { paymentMethod: "crypto" },
+    });
+    // The network fee leaves the account with the withdrawal
+    expect(operations[1]).toMatchObject({
+      type: "withdrawal",
+      amount: -301,
+      time: new Date("2026-07-01T10:21:48.000Z"),
+    });
+
+    const again = await adapter.getCashOperations(brokerConfig);
+    expect(again.map((operation) => operation.operationId)).toEqual(
+      operations.map((operation) => operation.operationId)
+    );
+
+    operations.forEach((operation) => {
+      const document = new CashOperation({
+        ...operation,
+        userId: new mongoose.Types.ObjectId(),
+        portfolioId: new mongoose.Types.ObjectId(),
+      });
+      expect(document.validateSync()).toBeUndefined();
+    });
+  });
+
+  it("reports stablecoins as the account's cash", async () => {
+    const account = await adapter.getAccountInfo(brokerConfig.apiCredentials);
+
+    expect(account.cash).toBe(1500.5);
+  });
+
+  it("places market orders and reports rejected ones as broker errors", async () => {
+    const order = await adapter.placeOrder(brokerConfig, {
+      symbol: "btcusdt",
+      side: "buy",
+      volume: 0.001,
+    });
+
+    expect(order).toMatchObject({
+      orderId: 28901877,
+      symbol: "BTCUSDT",
+      status: "filled",
+    });
+    await expect(
+      adapter.placeOrder(brokerConfig, {
+        symbol: "XRPUSDT",
+        side: "buy",
+        volume: 1,
+      })
+    ).rejects.toMatchObject({ broker: "BINANCE", code: -2010 });
+  });
+});
+
+describe("BybitAdapter against recorded fixtures", () => {
+  const adapter = new BybitAdapter();
+
+  it("derives positions from the unified wallet and executions", async () => {
+    const positions = await adapter.getPositions(brokerConfig);
+    const bySymbol = Object.fromEntries(
+      positions.map((position) => [position.symbol, position])
+    );
+
+    expect(bySymbol.SOLUSDT.volume).toBe(12.5);
+    expect(bySymbol.SOLUSDT.costBasis).toMatchObject({
+      source: "trades",
+      fees: 1.67,
+      openTime: 1771063200000,
+    });
+    expect(bySymbol.SOLUSDT.costBasis.averagePrice).toBeCloseTo(133.4757, 4);
+    expect(bySymbol.BTCUSDT).toMatchObject({
+      volume: 0.02,
+      costBasis: { source: "market", averagePrice: 62000 },
+    });
+  });
+
+  it("maps completed stablecoin transfers to cash operations", async () => {
+    const operations = await adapter.getCashOperations(brokerConfig);
+
+    expect(
+      operations.map((operation) => [
+        operation.type,
+        operation.amount,
+        operation.time.toISOString(),
+      ])
+    ).toEqual([
+      ["deposit", 3000, "2026-02-01T12:00:00.000Z"],
+      ["withdrawal", -501, "2026-08-20T09:04:31.000Z"],
+    ]);
+  });
+
+  it("reports stablecoins as cash within the wallet equity", async () => {
+    const account = await adapter.getAccountInfo(brokerConfig.apiCredentials);
+
+    expect(account).toMatchObject({ cash: 1293.75, equity: 4346.25 });
+  });
+});
@@ -0,0 +1,228 @@
+const XApiClient = require("../../../services/brokers/xtb/XApiClient");
+const {
+  XApiMockServer,
+  CMD,
+} = require("../../../services/brokers/xtb/mockServer");
+const XTBAdapter = require("../../../services/brokers/XTBAdapter");
+
+// Clients space commands 200 ms apart
+jest.setTimeout(20000);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("xAPI client against the mock server", () => {
+  let server;
+  let port;
+  let client;
+
+  beforeEach(async () => {
+    server = new XApiMockServer();
+    ({ port } = await server.listen(0));
+    client = new XApiClient({ host: "127.0.0.1", port, tls: false });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+  });
+
+  describe("login", () => {
+    it("opens a session for the demo account", async () => {
+      const response = await client.login("12345678", "demo");
+
+      expect(response.status).toBe(true);
+      expect(client.streamSessionId).toMatch(/^mock-12345678-/);
+    });
+
+    it("rejects a wrong password with the xAPI error code", async () => {
+      await expect(client.login("12345678", "wrong")).rejects.toMatchObject({
+        code: "BE005",
+        message: expect.stringMatching(/Invalid login or password/),
+      });
+      expect(client.streamSessionId).toBeNull();
+    });
+
+    it("refuses commands before login", async () => {
+      await expect(client.getTrades()).rejects.toMatchObject({
+        code: "BE103",
+      });
+    });
+  });
+
+  describe("after login", () => {
+    beforeEach(() => client.login("12345678", "demo"));
+
+    it("lists open trades at the current price", async () => {
+      const trades = await client.getTrades(true);
+
+      expect(trades.map((trade) => trade.position)).toEqual([1001, 1002]);
+      expect(trades[0]).toMatchObject({
+        symbol: "AAPL.US",
+        cmd: CMD.BUY,
+        volume: 10,
+        open_price: 180.5,
+        close_price: 190.1,
+        closed: false,
+        profit: 96,
+      });
+    });
+
+    it("returns closed trades within the history range", async () => {
+      const recent = await client.getTradesHistory(Date.now() - 30 * DAY_MS);
+      const older = await client.getTradesHistory(
+        Date.now() - 60 * DAY_MS,
+        Date.now() - 40 * DAY_MS
+      );
+
+      expect(recent).toHaveLength(1);
+      expect(recent[0]).toMatchObject({
+        position: 1000,
+        symbol: "EURUSD",
+        cmd: CMD.SELL,
+        close_price: 1.0851,
+        closed: true,
+        profit: 50,
+      });
+      expect(older).toEqual([]);
+    });
+
+    it("reports equity with the open trades' profit", async () => {
+      const margin = await client.getMarginLevel();
+
+      // AAPL.US +96, CDR.PL +228
+      expect(margin).toMatchObject({
+        balance: 10000,
+        currency: "PLN",
+        equity: 10324,
+      });
+      expect(margin.margin_free).toBeCloseTo(margin.equity - margin.margin);
+    });
+
+    it("fills market orders at the quote and reports their status", async () => {
+      const { order } = await client.tradeTransaction({
+        type: 0,
+        cmd: CMD.BUY,
+        symbol: "CDR.PL",
+        volume: 5,
+        price: 0,
+      });
+      const status = await client.tradeTransactionStatus(order);
+      const trades = await client.getTrades(true);
+
+      expect(status).toMatchObject({ order, requestStatus: 3 });
+      expect(trades.find((trade) => trade.position === order)).toMatchObject({
+        symbol: "CDR.PL",
+        volume: 5,
+        open_price: 121.6,
+      });
+    });
+
+    it("books a partial close as a history record", async () => {
+      const { order } = await client.tradeTransaction({
+        type: 2,
+        cmd: CMD.BUY,
+        symbol: "AAPL.US",
+        order: 1001,
+        volume: 4,
+      });
+      const [open] = await client.getTrades(true);
+      const history = await client.getTradesHistory(0);
+      const closed = history.find((trade) => trade.order === order);
+
+      expect(open).toMatchObject({ position: 1001, volume: 6 });
+      expect(closed).toMatchObject({
+        position: order,
+        order2: 1001,
+        volume: 4,
+        close_price: 190.1,
+        profit: 38.4,
+      });
+    });
+
+    it("keeps pending orders apart from open trades", async () => {
+      const { order } = await client.tradeTransaction({
+        type: 0,
+        cmd: CMD.BUY_LIMIT,
+        symbol: "AAPL.US",
+        volume: 1,
+        price: 170,
+      });
+
+      expect(await client.getTrades(true)).toHaveLength(2);
+      expect(
+        (await client.getTrades(false)).find((trade) => trade.order === order)
+      ).toMatchObject({ cmd: CMD.BUY_LIMIT, open_price: 170 });
+    });
+
+    it("rejects unknown symbols and orders", async () => {
+      await expect(
+        client.tradeTransaction({
+          type: 0,
+          cmd: CMD.BUY,
+          symbol: "NOPE",
+          volume: 1,
+        })
+      ).rejects.toMatchObject({ code: "BE115" });
+      await expect(client.tradeTransactionStatus(99999)).rejects.toMatchObject({
+        code: "BE9",
+      });
+    });
+  });
+});
+
+describe("XTBAdapter against the mock server", () => {
+  const env = { ...process.env };
+  const brokerConfig = {
+    accountId: "12345678",
+    apiCredentials: { secretKey: "demo" },
+  };
+  let server;
+  let adapter;
+
+  beforeEach(async () => {
+    server = new XApiMockServer();
+    const { port } = await server.listen(0);
+    Object.assign(process.env, {
+      XTB_API_HOST: "127.0.0.1",
+      XTB_API_PORT: String(port),
+      XTB_API_TLS: "false",
+    });
+    adapter = new XTBAdapter();
+  });
+
+  afterEach(async () => {
+    process.env = { ...env };
+    await server.close();
+  });
+
+  it("places an order and syncs it as a position", async () => {
+    const order = await adapter.placeOrder(brokerConfig, {
+      symbol: "AAPL.US",
+      side: "sell",
+      volume: 2,
+    });
+    const positions = await adapter.getPositions(brokerConfig);
+    const position = positions.find((trade) => trade.id === order.id);
+
+    expect(order.status).toBe("accepted");
+    expect(adapter.normalizePosition(position)).toMatchObject({
+      positionId: order.orderId,
+      symbol: "AAPL.US",
+      name: "Apple Inc",
+      type: "SELL",
+      volume: 2,
+      openPrice: 190.1,
+      currency: "USD",
+      status: "open",
+    });
+    // Two fixture trades, the new one and the closed EURUSD trade
+    expect(positions).toHaveLength(4);
+  });
+
+  it("reports a wrong password as a broker error", async () => {
+    await expect(
+      adapter.getAccountInfo({ login: "12345678", password: "wrong" })
+    ).rejects.toMatchObject({ broker: "XTB", code: "BE005" });
+  });
+});
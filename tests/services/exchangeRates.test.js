@@ -0,0 +1,268 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExchangeRate = require("../../models/ExchangeRate");
+const CurrencyService = require("../../services/CurrencyService");
+const LocalFileProvider = require("../../services/exchangeRates/LocalFileProvider");
+const {
+  parseNbpTable,
+} = require("../../services/exchangeRates/nbpTableParser");
+
+// NBP yearly archive: unit in the header, decimal commas, footer rows
+const ARCHIVE_2023 = [
+  "data;1USD;1EUR;100HUF;nr tabeli;pełny numer tabeli",
+  "20231228;3,9259;4,3480;1,1350;250;250/A/NBP/2023",
+  "20231229;3,9350;4,3480;1,1345;251;251/A/NBP/2023",
+  "kod ISO;USD;EUR;HUF;;",
+  "nazwa waluty;dolar amerykański;euro;forint;;",
+].join("\r\n");
+
+// NBP Web API tables; 2024-01-01 is a holiday, 01-06/07 a weekend
+const API_2024 = [
+  ["2024-01-02", "001/A/NBP/2024", 3.9432],
+  ["2024-01-03", "002/A/NBP/2024", 3.9909],
+  ["2024-01-04", "003/A/NBP/2024", 3.9684],
+  ["2024-01-05", "004/A/NBP/2024", 3.985],
+  ["2024-01-08", "005/A/NBP/2024", 3.9771],
+].map(([effectiveDate, no, mid]) => ({
+  table: "A",
+  no,
+  effectiveDate,
+  rates: [{ currency: "dolar amerykański", code: "USD", mid }],
+}));
+
+describe("nbpTableParser", () => {
+  it("parses the yearly archive with units and table numbers", () => {
+    const rates = parseNbpTable(ARCHIVE_2023, "csv");
+
+    expect(rates).toHaveLength(6);
+    expect(rates[0]).toEqual({
+      currency: "USD",
+      date: "2023-12-28",
+      rate: 3.9259,
+      table: "250/A/NBP/2023",
+    });
+    expect(rates.find((rate) => rate.currency === "HUF").rate).toBeCloseTo(
+      0.01135
+    );
+  });
+
+  it("parses long-format CSV with date, code and mid columns", () => {
+    const rates = parseNbpTable(
+      "date,code,mid,table\n2024-01-02,usd,3.9432,001/A/NBP/2024\nbad,USD,1,x",
+      "csv"
+    );
+
+    expect(rates).toEqual([
+      {
+        currency: "USD",
+        date: "2024-01-02",
+        rate: 3.9432,
+        table: "001/A/NBP/2024",
+      },
+    ]);
+  });
+
+  it("parses API tables and single-currency series", () => {
+    const tables = parseNbpTable(JSON.stringify(API_2024.slice(0, 1)), "json");
+    const series = parseNbpTable(
+      JSON.stringify({
+        table: "A",
+        code: "eur",
+        rates: [
+          { no: "001/A/NBP/2024", effectiveDate: "2024-01-02", mid: 4.3434 },
+        ],
+      }),
+      "json"
+    );
+
+    expect(tables).toEqual([
+      {
+        currency: "USD",
+        date: "2024-01-02",
+        rate: 3.9432,
+        table: "001/A/NBP/2024",
+      },
+    ]);
+    expect(series).toEqual([
+      {
+        currency: "EUR",
+        date: "2024-01-02",
+        rate: 4.3434,
+        table: "001/A/NBP/2024",
+      },
+    ]);
+  });
+
+  it("rejects unknown layouts and formats", () => {
+    expect(() => parseNbpTable("foo;bar\n1;2", "csv")).toThrow(
+      /Unrecognized NBP CSV layout/
+    );
+    expect(() => parseNbpTable("", "xml")).toThrow(/Unsupported/);
+  });
+});
+
+describe("LocalFileProvider", () => {
+  let directory;
+  let provider;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "nbp-"));
+    fs.writeFileSync(
+      path.join(directory, "archiwum_tab_a_2023.csv"),
+      ARCHIVE_2023
+    );
+    fs.writeFileSync(
+      path.join(directory, "tables_2024.json"),
+      JSON.stringify(API_2024)
+    );
+    fs.writeFileSync(path.join(directory, "README.txt"), "not a table");
+  });
+
+  afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    provider = new LocalFileProvider({ directory });
+  });
+
+  it("serves the rates of a currency within a date range", async () => {
+    const rates = await provider.getRates(
+      "usd",
+      new Date("2023-12-29"),
+      new Date("2024-01-03")
+    );
+
+    expect(rates.map((rate) => rate.date)).toEqual([
+      "2023-12-29",
+      "2024-01-02",
+      "2024-01-03",
+    ]);
+  });
+
+  it("reports a missing directory as not connected", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const missing = new LocalFileProvider({
+      directory: path.join(directory, "missing"),
+    });
+
+    await expect(missing.testConnection()).resolves.toBe(false);
+    await expect(provider.testConnection()).resolves.toBe(true);
+    warn.mockRestore();
+  });
+
+  describe("with CurrencyService", () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = [];
+
+      // In-memory ExchangeRate collection answering findRate's query
+      jest.spyOn(ExchangeRate, "bulkWrite").mockImplementation(async (ops) => {
+        ops.forEach(({ updateOne }) => {
+          stored = stored.filter(
+            (rate) =>
+              !(
+                rate.currency === updateOne.filter.currency &&
+                rate.date.getTime() === updateOne.filter.date.getTime()
+              )
+          );
+          stored.push(updateOne.update.$set);
+        });
+        return { upsertedCount: ops.length };
+      });
+      jest.spyOn(ExchangeRate, "findOne").mockImplementation((query) => ({
+        sort: async () => {
+          const { $lt, $lte, $gte } = query.date;
+          return (
+            stored
+              .filter(
+                (rate) =>
+                  rate.currency === query.currency &&
+                  rate.source === query.source &&
+                  rate.date >= $gte &&
+                  ($lt ? rate.date < $lt : rate.date <= $lte)
+              )
+              .sort((a, b) => b.date - a.date)[0] || null
+          );
+        },
+      }));
+
+      CurrencyService.setProvider(provider);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const rateDay = async (date, options) => {
+      const { date: day } = await CurrencyService.getRateToPln(
+        "USD",
+        new Date(date),
+        options
+      );
+      return day.toISOString().slice(0, 10);
+    };
+
+    it("uses the day's own table on business days", async () => {
+      await expect(rateDay("2024-01-04T10:00:00Z")).resolves.toBe("2024-01-04");
+    });
+
+    it("falls back to Friday's table on weekends", async () => {
+      await expect(rateDay("2024-01-06T10:00:00Z")).resolves.toBe("2024-01-05");
+      await expect(rateDay("2024-01-07T10:00:00Z")).resolves.toBe("2024-01-05");
+    });
+
+    it("falls back across the New Year holiday into the previous archive", async () => {
+      await expect(rateDay("2024-01-01T10:00:00Z")).resolves.toBe("2023-12-29");
+    });
+
+    it("takes the preceding business day's table for the tax rule", async () => {
+      const options = { preceding: true };
+
+      await expect(rateDay("2024-01-02T10:00:00Z", options)).resolves.toBe(
+        "2023-12-29"
+      );
+      await expect(rateDay("2024-01-08T10:00:00Z", options)).resolves.toBe(
+        "2024-01-05"
+      );
+      await expect(rateDay("2024-01-03T10:00:00Z", options)).resolves.toBe(
+        "2024-01-02"
+      );
+    });
+
+    it("reports days without a table in the lookback window", async () => {
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      await expect(
+        CurrencyService.getRateToPln("USD", new Date("2023-06-01"))
+      ).rejects.toThrow(/No NBP exchange rate for USD/);
+      error.mockRestore();
+    });
+  });
+});
+
+describe("ExchangeRate.findRate", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("looks back from the Warsaw calendar day, inclusive unless preceding", () => {
+    const findOne = jest
+      .spyOn(ExchangeRate, "findOne")
+      .mockReturnValue({ sort: jest.fn() });
+
+    // 23:30 UTC on Jan 5 is already Saturday in Warsaw
+    ExchangeRate.findRate("usd", new Date("2024-01-05T23:30:00Z"));
+    ExchangeRate.findRate("usd", new Date("2024-01-05T23:30:00Z"), {
+      preceding: true,
+    });
+
+    const day = new Date("2024-01-06T00:00:00Z");
+    const earliest = new Date("2023-12-27T00:00:00Z");
+    expect(findOne.mock.calls[0][0]).toEqual({
+      currency: "USD",
+      source: "nbp",
+      date: { $lte: day, $gte: earliest },
+    });
+    expect(findOne.mock.calls[1][0].date).toEqual({
+      $lt: day,
+      $gte: earliest,
+    });
+  });
+});
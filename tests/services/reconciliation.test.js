@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const Position = require("../../models/Position");
+const CashOperation = require("../../models/CashOperation");
+const BrokerService = require("../../services/BrokerService");
+const ReconciliationService = require("../../services/ReconciliationService");
+
+const portfolio = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  broker: "XTB",
+  brokerConfig: { accountId: "12345678" },
+};
+
+const localPosition = (lots, overrides = {}) =>
+  new Position({
+    positionId: 1001,
+    portfolioId: portfolio._id,
+    symbol: "AAPL.US",
+    type: "BUY",
+    volume: lots.reduce((sum, [volume]) => sum + volume, 0),
+    openTime: new Date("2024-01-01"),
+    openPrice: lots[0][1],
+    purchaseValue: 0,
+    grossPL: 0,
+    status: "open",
+    lots: lots.map(([volume, price], index) => ({
+      openTime: new Date(Date.UTC(2024, 0, index + 1)),
+      openPrice: price,
+      volume,
+      remainingVolume: volume,
+    })),
+    brokerData: {
+      broker: "XTB",
+      brokerPositionId: "1001",
+      brokerSymbol: "AAPL.US",
+      brokerAccountId: "12345678",
+    },
+    ...overrides,
+  });
+
+// Adapter reporting one position and the given account cash
+const stubAdapter = ({ volume, openPrice }, syncsTradeCash = true) => ({
+  syncsTradeCash,
+  getPositions: async () => [{ id: 1001, volume, openPrice }],
+  normalizePosition: (position) => ({
+    positionId: 1001,
+    symbol: "AAPL.US",
+    type: "BUY",
+    volume: position.volume,
+    openPrice: position.openPrice,
+    openTime: new Date("2024-01-01"),
+    marketPrice: 130,
+    currency: "USD",
+    status: "open",
+  }),
+  getTransactions: async () => [],
+  getAccountInfo: async () => ({ cash: 1000, currency: "USD" }),
+});
+
+describe("ReconciliationService", () => {
+  let local;
+
+  beforeEach(() => {
+    jest.spyOn(Position, "find").mockImplementation(async () => [local]);
+    jest
+      .spyOn(CashOperation, "aggregate")
+      .mockResolvedValue([{ total: 900, count: 2 }]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const diff = (adapter) =>
+    ReconciliationService.buildDiff(portfolio, adapter, {});
+
+  it("aligns a multi-lot position's volume through its lots", async () => {
+    local = localPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+    jest
+      .spyOn(Position.prototype, "save")
+      .mockImplementation(async function () {
+        return this;
+      });
+    const adapter = stubAdapter({ volume: 25, openPrice: 112 });
+
+    const { items } = await diff(adapter);
+    const [mismatch] = items;
+    await BrokerService.saveBrokerPosition(
+      portfolio,
+      adapter,
+      mismatch.brokerPosition,
+      local
+    );
+
+    expect(mismatch.fix).toMatchObject({
+      action: "update",
+      description: expect.stringMatching(/Add a lot of 5/),
+    });
+    expect(local.lots).toHaveLength(3);
+    expect(local.volume).toBe(25);
+    expect(local.openPrice).toBeCloseTo(112);
+    expect(local.marketPrice).toBe(130);
+  });
+
+  it("refuses an open price fix that would rewrite the lots", async () => {
+    local = localPosition([
+      [10, 100],
+      [10, 120],
+    ]);
+
+    const { items } = await diff(stubAdapter({ volume: 20, openPrice: 105 }));
+
+    expect(items[0]).toMatchObject({
+      kind: "mismatch",
+      differences: ["openPrice"],
+      fix: { action: "none", description: expect.stringMatching(/2 lots/) },
+    });
+  });
+
+  it("updates single-lot positions from the broker", async () => {
+    local = localPosition([[10, 100]]);
+
+    const { items } = await diff(stubAdapter({ volume: 12, openPrice: 101 }));
+
+    expect(items[0].fix).toMatchObject({
+      action: "update",
+      description: "Update volume, openPrice of AAPL.US from the broker",
+    });
+  });
+
+  it("compares cash only for brokers booking trade settlements", async () => {
+    local = localPosition([[10, 100]]);
+    const position = { volume: 10, openPrice: 100 };
+
+    const compared = await diff(stubAdapter(position));
+    const skipped = await diff(stubAdapter(position, false));
+
+    expect(compared.cash).toMatchObject({
+      broker: 1000,
+      local: 900,
+      drift: 100,
+    });
+    expect(compared.items.map((item) => item.id)).toEqual(["cash_drift"]);
+    expect(skipped.cash).toMatchObject({
+      broker: 1000,
+      drift: null,
+      reason: "Trades on XTB are not booked as cash operations",
+    });
+    expect(skipped.items).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+const { parseNumber } = require("../../../utils/brokerFormats/common");
+
+describe("parseNumber", () => {
+  it.each([
+    ["1234.5", 1234.5],
+    ["1,234.50", 1234.5],
+    ["1 234,50", 1234.5],
+    ["1.234,50", 1234.5],
+    ["-0,5", -0.5],
+    ["1,234", 1234],
+    ["1,234,567", 1234567],
+    ["1,5", 1.5],
+    ["12,3456", 12.3456],
+    ["1.234", 1.234],
+    ["1.234.567", 1234567],
+    ["", null],
+    ["abc", null],
+  ])("reads %p as %p without a known separator", (text, expected) => {
+    expect(parseNumber(text)).toBe(expected);
+  });
+
+  it("reads a lone separator by the format's decimal separator", () => {
+    expect(parseNumber("1,234", ",")).toBe(1.234);
+    expect(parseNumber("1.234", ",")).toBe(1234);
+    expect(parseNumber("12.50", ",")).toBe(12.5);
+    expect(parseNumber("1.234", ".")).toBe(1.234);
+    expect(parseNumber("1,234", ".")).toBe(1234);
+    expect(parseNumber("1,234.5", ",")).toBe(1234.5);
+  });
+
+  it("passes finite numbers through", () => {
+    expect(parseNumber(42.5)).toBe(42.5);
+    expect(parseNumber(NaN)).toBeNull();
+  });
+});
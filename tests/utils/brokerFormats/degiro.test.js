@@ -0,0 +1,97 @@
+const path = require("path");
+const { readStatementInput } = require("../../../utils/excel");
+const {
+  getBrokerFormat,
+  tradesToPositions,
+} = require("../../../utils/brokerFormats");
+
+const degiro = getBrokerFormat("degiro");
+
+const readFixture = (name) =>
+  readStatementInput(path.join(__dirname, "../../fixtures/statements", name));
+
+describe("Degiro statements", () => {
+  it("reads Transactions.csv fills with fees in the quote currency", async () => {
+    const input = await readFixture("degiro-transactions.csv");
+    const { sections, trades, issues } = degiro.parse(input);
+
+    expect(degiro.detect(input)).toBe(true);
+    expect(sections).toEqual([
+      { name: "Sheet1", dataType: "positions", rows: 4 },
+    ]);
+    expect(issues).toEqual([]);
+    expect(trades.map((trade) => trade.tradeId)).toEqual([
+      "e5f6a7b8-0001:1",
+      "a1b2c3d4-0001:1",
+      "a1b2c3d4-0001:2",
+      "e5f6a7b8-0002:1",
+    ]);
+    // AutoFX and transaction fees in EUR at 1.0869 USD per EUR
+    expect(trades[1]).toMatchObject({
+      symbol: "US0378331005",
+      exchange: "NDQ",
+      side: "buy",
+      volume: 10,
+      price: 170.5,
+      currency: "USD",
+      time: new Date("2024-03-15T14:30:00Z"),
+    });
+    expect(trades[1].commission).toBeCloseTo(5.92 * 1.0869, 6);
+    expect(trades[3]).toMatchObject({
+      side: "sell",
+      volume: 3,
+      currency: "EUR",
+      commission: 1,
+    });
+  });
+
+  it("matches sells against earlier buys of the statement", async () => {
+    const { trades } = degiro.parse(
+      await readFixture("degiro-transactions.csv")
+    );
+    const issues = [];
+
+    const [vanguard] = tradesToPositions(trades, issues);
+
+    expect(issues).toEqual([]);
+    expect(vanguard).toMatchObject({ symbol: "IE00BK5BQT80", volume: 5 });
+    expect(vanguard.lots[0]).toMatchObject({
+      remainingVolume: 2,
+      matches: [{ volume: 3, closePrice: 110.2, method: "FIFO" }],
+    });
+    expect(vanguard.realizedPL).toBeCloseTo(15.6);
+  });
+
+  it("maps Account.csv descriptions and skips reservations", async () => {
+    const input = await readFixture("degiro-account.csv");
+    const { sections, cashOperations, issues } = degiro.parse(input);
+
+    expect(sections).toEqual([
+      { name: "Sheet1", dataType: "cash_operations", rows: 5 },
+    ]);
+    expect(
+      cashOperations.map(({ type, amount, currency }) => [
+        type,
+        amount,
+        currency,
+      ])
+    ).toEqual([
+      ["deposit", 2500, "EUR"],
+      ["dividend", 3.6, "USD"],
+      ["withholding_tax", -0.54, "USD"],
+      ["fee", -2.5, "EUR"],
+    ]);
+    expect(cashOperations[1]).toMatchObject({
+      symbol: "US0378331005",
+      time: new Date("2024-05-16T06:10:00Z"),
+      comment: "APPLE INC. - COMMON ST - Dividend",
+    });
+    expect(issues).toEqual([
+      expect.objectContaining({
+        row: 7,
+        error: "Unsupported account operation: Promotion bonus",
+        severity: "warning",
+      }),
+    ]);
+  });
+});
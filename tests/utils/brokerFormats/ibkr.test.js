@@ -0,0 +1,96 @@
+const path = require("path");
+const {
+  readStatementInput,
+  detectBrokerFormat,
+} = require("../../../utils/excel");
+const {
+  getBrokerFormat,
+  tradesToPositions,
+} = require("../../../utils/brokerFormats");
+
+const ibkr = getBrokerFormat("ibkr");
+
+const readFixture = (name) =>
+  readStatementInput(path.join(__dirname, "../../fixtures/statements", name));
+
+describe("IBKR Flex Query statements", () => {
+  it("reads trades and cash transactions of a multi-section CSV", async () => {
+    const input = await readFixture("ibkr-flex.csv");
+    const { sections, trades, cashOperations, issues } = ibkr.parse(input);
+
+    expect(detectBrokerFormat(input)).toBe(ibkr);
+    expect(sections.map((section) => [section.dataType, section.rows])).toEqual(
+      [
+        ["positions", 4],
+        ["cash_operations", 4],
+      ]
+    );
+    // The ORDER summary row repeats execution 501
+    expect(trades.map((trade) => trade.tradeId)).toEqual(["501", "502"]);
+    expect(trades[0]).toMatchObject({
+      symbol: "MSFT",
+      isin: "US5949181045",
+      side: "buy",
+      volume: 4,
+      price: 410.25,
+      currency: "USD",
+      commission: 1,
+      time: new Date("2024-03-05T15:15:00Z"),
+    });
+    // Pence converted to pounds, EUR commission through FXRateToBase
+    expect(trades[1]).toMatchObject({ price: 0.705, currency: "GBP" });
+    expect(trades[1].commission).toBeCloseTo(3 / 0.0117 / 100, 6);
+
+    expect(
+      cashOperations.map(({ operationId, type, amount, currency }) => [
+        operationId,
+        type,
+        amount,
+        currency,
+      ])
+    ).toEqual([
+      ["503:EUR", "currency_conversion", 1000, "EUR"],
+      ["503:USD", "currency_conversion", -1085, "USD"],
+      ["503:commission", "fee", -2, "EUR"],
+      ["601", "deposit", 5000, "EUR"],
+      ["602", "dividend", 3, "USD"],
+      ["603", "withholding_tax", -0.45, "USD"],
+    ]);
+    expect(issues.map((issue) => [issue.row, issue.severity])).toEqual([
+      [9, "warning"],
+      [16, "warning"],
+    ]);
+  });
+
+  it("reads Flex XML attributes", async () => {
+    const input = await readFixture("ibkr-flex.xml");
+    const { sections, trades, cashOperations, issues } = ibkr.parse(input);
+
+    expect(input.text).toMatch(/<FlexQueryResponse/);
+    expect(detectBrokerFormat(input)).toBe(ibkr);
+    expect(issues).toEqual([]);
+    expect(sections.map((section) => section.name)).toEqual([
+      "Trades",
+      "CashTransactions",
+    ]);
+    expect(
+      trades.map(({ tradeId, side, volume }) => [tradeId, side, volume])
+    ).toEqual([
+      ["701", "buy", 10],
+      ["702", "sell", 4],
+    ]);
+    expect(cashOperations[0]).toMatchObject({
+      operationId: "801",
+      type: "dividend",
+      amount: 2.5,
+      symbol: "AAPL",
+      comment: "AAPL(US0378331005) CASH DIVIDEND USD 0.25 PER SHARE & TAX",
+    });
+
+    const [position] = tradesToPositions(trades, []);
+    expect(position.lots[0]).toMatchObject({
+      remainingVolume: 6,
+      matches: [{ volume: 4, closePrice: 220, realizedPL: 138 }],
+    });
+  });
+});
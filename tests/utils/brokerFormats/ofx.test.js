@@ -0,0 +1,94 @@
+const path = require("path");
+const {
+  readStatementInput,
+  detectBrokerFormat,
+} = require("../../../utils/excel");
+const { getBrokerFormat } = require("../../../utils/brokerFormats");
+
+const ofx = getBrokerFormat("ofx");
+
+const readFixture = (name) =>
+  readStatementInput(path.join(__dirname, "../../fixtures/statements", name));
+
+describe("OFX/QFX statements", () => {
+  it("books OFX 1.x bank transactions by TRNTYPE and sign", async () => {
+    const input = await readFixture("bank.ofx");
+    const { sections, cashOperations, issues } = ofx.parse(input);
+
+    expect(detectBrokerFormat(input)).toBe(ofx);
+    expect(sections).toEqual([
+      { name: "Bank statement", dataType: "cash_operations", rows: 6 },
+    ]);
+    expect(
+      cashOperations.map(({ operationId, type, amount }) => [
+        operationId,
+        type,
+        amount,
+      ])
+    ).toEqual([
+      ["20240603001", "deposit", 2500],
+      ["20240615001", "fee", -12],
+      ["20240620001", "adjustment", 12],
+      ["20240628001", "interest", 0.87],
+      ["20240629001", "withdrawal", -300],
+    ]);
+    // DTPOSTED offsets are applied; dates without one are GMT
+    expect(cashOperations[0]).toMatchObject({
+      accountId: "9876543210",
+      currency: "USD",
+      time: new Date("2024-06-03T17:00:00Z"),
+    });
+    expect(cashOperations[3].comment).toBe("INTEREST PAID - Q2 & bonus");
+    expect(issues).toEqual([
+      expect.objectContaining({ row: 75, error: "FITID is required" }),
+    ]);
+  });
+
+  it("reads OFX 2.x investment trades, income and cash", async () => {
+    const input = await readFixture("brokerage.qfx");
+    const { sections, trades, cashOperations, issues } = ofx.parse(input);
+
+    expect(detectBrokerFormat(input)).toBe(ofx);
+    expect(sections).toEqual([
+      { name: "Investment statement", dataType: "history", rows: 5 },
+    ]);
+    // Tickers come from SECLIST
+    expect(trades[0]).toMatchObject({
+      tradeId: "T-1",
+      accountId: "X-555",
+      symbol: "AAPL",
+      name: "Apple Inc.",
+      isin: "US0378331005",
+      side: "buy",
+      volume: 10,
+      price: 187.5,
+      commission: 5,
+      time: new Date("2024-02-12T19:30:00Z"),
+    });
+    expect(trades[1]).toMatchObject({
+      tradeId: "T-2",
+      side: "sell",
+      volume: 4,
+      commission: 4.95,
+      taxes: 0.02,
+    });
+    // INCOME TOTAL is net of WITHHOLDING
+    expect(
+      cashOperations.map(({ operationId, type, amount }) => [
+        operationId,
+        type,
+        amount,
+      ])
+    ).toEqual([
+      ["D-1", "dividend", 2.5],
+      ["D-1:withholding", "withholding_tax", -0.37],
+      ["C-1", "deposit", 5000],
+    ]);
+    expect(issues).toEqual([
+      expect.objectContaining({
+        error: "Unsupported investment transaction: TRANSFER",
+        severity: "warning",
+      }),
+    ]);
+  });
+});
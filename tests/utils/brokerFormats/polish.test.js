@@ -0,0 +1,122 @@
+const path = require("path");
+const {
+  readStatementInput,
+  detectBrokerFormat,
+} = require("../../../utils/excel");
+const { getBrokerFormat } = require("../../../utils/brokerFormats");
+
+// Exports are saved in cp1250, as the brokers serve them
+const readFixture = (name) =>
+  readStatementInput(path.join(__dirname, "../../fixtures/statements", name));
+
+describe("mBank eMakler history", () => {
+  it("reads decimal commas, Polish letters and repeated fills", async () => {
+    const input = await readFixture("mbank.csv");
+    const { trades, issues } = getBrokerFormat("mbank").parse(input);
+
+    expect(detectBrokerFormat(input).id).toBe("mbank");
+    expect(
+      trades.map(({ tradeId, symbol, volume, price, commission }) => [
+        tradeId,
+        symbol,
+        volume,
+        price,
+        commission,
+      ])
+    ).toEqual([
+      ["PKOBP:2024-03-05T09:15:32.000Z:buy:60:45.2:1", "PKOBP", 60, 45.2, 5.42],
+      ["PKOBP:2024-03-05T09:15:32.000Z:buy:60:45.2:2", "PKOBP", 60, 45.2, 5.42],
+      ["ŻABKA:2024-04-12T13:02:01.000Z:buy:50:19.14:1", "ŻABKA", 50, 19.14, 3],
+    ]);
+    expect(trades[0]).toMatchObject({
+      exchange: "GPW",
+      side: "buy",
+      currency: "PLN",
+      time: new Date("2024-03-05T09:15:32Z"),
+    });
+    // No exchange rate column for the PLN commission of a USD trade
+    expect(issues).toEqual([
+      expect.objectContaining({
+        row: 9,
+        error:
+          "Cannot convert 19 PLN commission to USD without an exchange rate",
+      }),
+    ]);
+  });
+});
+
+describe("Bossa history", () => {
+  it("converts PLN commissions with the PLN exchange rate", async () => {
+    const input = await readFixture("bossa.csv");
+    const { trades, issues } = getBrokerFormat("bossa").parse(input);
+
+    expect(detectBrokerFormat(input).id).toBe("bossa");
+    expect(
+      trades.map(({ symbol, side, volume, currency }) => [
+        symbol,
+        side,
+        volume,
+        currency,
+      ])
+    ).toEqual([
+      ["CDPROJEKT", "buy", 10, "PLN"],
+      ["SAP", "buy", 3, "EUR"],
+      ["CDPROJEKT", "sell", 4, "PLN"],
+    ]);
+    expect(trades[1].commission).toBeCloseTo(5, 6);
+    expect(trades[2]).toMatchObject({
+      price: 118,
+      commission: 3,
+      time: new Date("2024-02-05T10:20:00Z"),
+    });
+    expect(issues).toEqual([
+      expect.objectContaining({
+        row: 5,
+        error: "Unsupported transaction: Rolowanie",
+        severity: "warning",
+      }),
+    ]);
+  });
+});
+
+describe("PKO BP BM statement", () => {
+  it("reads the transactions and cash tables of one file", async () => {
+    const input = await readFixture("pkobp.csv");
+    const { sections, trades, cashOperations, issues } =
+      getBrokerFormat("pkobp").parse(input);
+
+    expect(detectBrokerFormat(input).id).toBe("pkobp");
+    expect(sections).toEqual([
+      { name: "Sheet1", dataType: "positions", rows: 2 },
+      { name: "Sheet1", dataType: "cash_operations", rows: 5 },
+    ]);
+    expect(trades.map((trade) => trade.tradeId)).toEqual([
+      "Z-1001:1",
+      "Z-1001:2",
+    ]);
+    expect(trades[0]).toMatchObject({
+      symbol: "PZU",
+      name: "POWSZECHNY ZAKŁAD UBEZPIECZEŃ",
+      isin: "PLPZU0000011",
+      volume: 40,
+      price: 46.1,
+      commission: 7.38,
+    });
+    // Trade settlements come from the transactions table
+    expect(
+      cashOperations.map(({ type, amount, symbol }) => [type, amount, symbol])
+    ).toEqual([
+      ["deposit", 5000, undefined],
+      ["dividend", 170, "PZU"],
+      ["withholding_tax", -32.3, "PZU"],
+      ["withdrawal", -1000, undefined],
+    ]);
+    expect(cashOperations[0]).toMatchObject({
+      comment: "Wpłata środków na rachunek",
+      time: new Date("2024-01-01T23:00:00Z"),
+    });
+    expect(issues.map((issue) => issue.error)).toEqual([
+      "Unsupported cash operation: Korekta salda",
+    ]);
+  });
+});
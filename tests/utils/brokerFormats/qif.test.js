@@ -0,0 +1,77 @@
+const path = require("path");
+const {
+  readStatementInput,
+  detectBrokerFormat,
+} = require("../../../utils/excel");
+const { getBrokerFormat } = require("../../../utils/brokerFormats");
+
+const qif = getBrokerFormat("qif");
+
+const readFixture = (name) =>
+  readStatementInput(path.join(__dirname, "../../fixtures/statements", name));
+
+describe("QIF export", () => {
+  let input;
+  let parsed;
+
+  beforeAll(async () => {
+    input = await readFixture("accounts.qif");
+    parsed = qif.parse(input);
+  });
+
+  it("splits the file into one section per account", () => {
+    expect(detectBrokerFormat(input)).toBe(qif);
+    expect(parsed.sections).toEqual([
+      { name: "Invst 1", dataType: "history", rows: 5 },
+      { name: "Bank 2", dataType: "cash_operations", rows: 4 },
+    ]);
+  });
+
+  it("reads investment actions with tickers from the security list", () => {
+    expect(parsed.trades).toEqual([
+      expect.objectContaining({
+        symbol: "AAPL",
+        name: "Apple Inc.",
+        side: "buy",
+        volume: 10,
+        price: 187.5,
+        commission: 4.95,
+        time: new Date("2024-02-12T00:00:00Z"),
+      }),
+      expect.objectContaining({ side: "sell", volume: 4, price: 194 }),
+    ]);
+    expect(
+      parsed.cashOperations
+        .filter((operation) => operation.sheet === "Invst 1")
+        .map(({ type, amount, symbol }) => [type, amount, symbol])
+    ).toEqual([
+      ["deposit", 5000, undefined],
+      ["dividend", 2.5, "AAPL"],
+    ]);
+  });
+
+  it("numbers repeated bank records and reads European and ISO dates", () => {
+    const bank = parsed.cashOperations.filter(
+      (operation) => operation.sheet === "Bank 2"
+    );
+
+    expect(bank.map(({ operationId, type }) => [operationId, type])).toEqual([
+      ["2024-06-28T00:00:00.000Z:-12:Bank fee:Bank Charge:1", "fee"],
+      ["2024-06-28T00:00:00.000Z:-12:Bank fee:Bank Charge:2", "fee"],
+      ["2024-06-30T00:00:00.000Z:150:Transfer in::1", "deposit"],
+    ]);
+  });
+
+  it("reports unsupported actions and invalid dates", () => {
+    expect(
+      parsed.issues.map(({ sheet, error, severity }) => [
+        sheet,
+        error,
+        severity,
+      ])
+    ).toEqual([
+      ["Invst 1", "Unsupported action: ShrsIn", "warning"],
+      ["Bank 2", "Invalid date", undefined],
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+const path = require("path");
+const { readStatementInput } = require("../../../utils/excel");
+const { getBrokerFormat } = require("../../../utils/brokerFormats");
+
+const trading212 = getBrokerFormat("trading212");
+
+const readFixture = (name) =>
+  readStatementInput(path.join(__dirname, "../../fixtures/statements", name));
+
+describe("Trading 212 history", () => {
+  let input;
+  let parsed;
+
+  beforeAll(async () => {
+    input = await readFixture("trading212.csv");
+    parsed = trading212.parse(input);
+  });
+
+  it("reads trades with charges in the instrument currency", () => {
+    const [apple, vodafone, sale] = parsed.trades;
+
+    expect(trading212.detect(input)).toBe(true);
+    expect(parsed.sections).toEqual([
+      { name: "Sheet1", dataType: "history", rows: 9 },
+    ]);
+    expect(apple).toMatchObject({
+      tradeId: "EOF1001",
+      symbol: "AAPL",
+      side: "buy",
+      volume: 2.5,
+      price: 185.2,
+      currency: "USD",
+      taxes: 0,
+    });
+    expect(apple.commission).toBeCloseTo(0.63 * 1.095, 6);
+    // GBX quotes and fees in pounds; stamp duty is a tax
+    expect(vodafone).toMatchObject({ price: 0.705, currency: "GBP" });
+    expect(vodafone.commission).toBeCloseTo(0.1032, 6);
+    expect(vodafone.taxes).toBeCloseTo(0.35, 6);
+    expect(sale).toMatchObject({ tradeId: "EOF1003", side: "sell", volume: 1 });
+  });
+
+  it("splits dividends and conversions into cash operations", () => {
+    const operations = parsed.cashOperations.map(
+      ({ operationId, type, amount, currency }) => [
+        operationId,
+        type,
+        Number(amount.toFixed(4)),
+        currency,
+      ]
+    );
+
+    expect(operations).toEqual([
+      ["4f1d2c", "deposit", 1000, "EUR"],
+      [
+        "Dividend (Dividend):2024-05-16T10:20:00.000Z:0.49:EUR",
+        "dividend",
+        0.5733,
+        "EUR",
+      ],
+      [
+        "Dividend (Dividend):2024-05-16T10:20:00.000Z:0.49:EUR:tax",
+        "withholding_tax",
+        -0.0833,
+        "EUR",
+      ],
+      ["c0nv1:from", "currency_conversion", -0.01, "GBP"],
+      ["c0nv1:to", "currency_conversion", 0.01, "EUR"],
+      ["int202402", "interest", 1.27, "EUR"],
+      ["w77", "withdrawal", -200, "EUR"],
+    ]);
+  });
+
+  it("reports unsupported actions as warnings", () => {
+    expect(parsed.issues).toEqual([
+      {
+        sheet: "Sheet1",
+        row: 10,
+        error: "Unsupported action: Stock split open",
+        field: "action",
+        value: "Stock split open",
+        severity: "warning",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Portfolio = require("../../models/Portfolio");
+const {
+  encryptCredentials,
+  decryptCredentials,
+  redactSecrets,
+  redactText,
+} = require("../../utils/credentialVault");
+const { rotateCredentialKeys } = require("../../utils/rotateCredentialKeys");
+
+const KEY_V1 = crypto.randomBytes(32).toString("hex");
+const KEY_V2 = crypto.randomBytes(32).toString("base64");
+
+const useKeys = (version, key, retired = "") => {
+  process.env.CREDENTIAL_MASTER_KEY = key;
+  process.env.CREDENTIAL_MASTER_KEY_VERSION = String(version);
+  process.env.CREDENTIAL_RETIRED_KEYS = retired;
+};
+
+const credentials = { apiKey: "api-key-1", secretKey: "secret-key-1" };
+
+const env = { ...process.env };
+afterAll(() => {
+  process.env = { ...env };
+});
+
+describe("credentialVault", () => {
+  beforeEach(() => useKeys(1, KEY_V1));
+
+  it("round-trips credentials under a per-record data key", () => {
+    const first = encryptCredentials(credentials);
+    const second = encryptCredentials(credentials);
+
+    expect(first).toMatchObject({
+      keyVersion: 1,
+      apiKey: expect.stringMatching(/^enc:/),
+      secretKey: expect.stringMatching(/^enc:/),
+      passphrase: undefined,
+    });
+    expect(first.apiKey).not.toBe(second.apiKey);
+    expect(first.dataKey).not.toBe(second.dataKey);
+    expect(decryptCredentials(first)).toEqual(credentials);
+    expect(encryptCredentials({})).toEqual({
+      dataKey: undefined,
+      keyVersion: undefined,
+    });
+  });
+
+  it("decrypts records of a retired key and rejects unknown versions", () => {
+    const stored = encryptCredentials(credentials);
+
+    useKeys(2, KEY_V2, `1:${KEY_V1}`);
+    expect(decryptCredentials(stored)).toEqual(credentials);
+
+    useKeys(2, KEY_V2);
+    expect(() => decryptCredentials(stored)).toThrow(
+      "Master key version 1 is not configured"
+    );
+  });
+
+  it("returns credentials stored before encryption as they are", () => {
+    expect(decryptCredentials({ apiKey: "plain" })).toEqual({
+      apiKey: "plain",
+    });
+  });
+
+  it("redacts secrets from objects and messages", () => {
+    expect(
+      redactSecrets({
+        headers: { "X-MBX-APIKEY": "k", Accept: "json" },
+        list: [{ password: "p" }],
+        time: new Date(0),
+      })
+    ).toEqual({
+      headers: { "X-MBX-APIKEY": "[REDACTED]", Accept: "json" },
+      list: [{ password: "[REDACTED]" }],
+      time: new Date(0),
+    });
+    expect(
+      redactText("Invalid key api-key-1 (signature secret-key-1)", credentials)
+    ).toBe("Invalid key [REDACTED] (signature [REDACTED])");
+  });
+});
+
+describe("rotateCredentialKeys", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("re-wraps every record with the current key", async () => {
+    useKeys(1, KEY_V1);
+    const stored = [
+      {
+        _id: 1,
+        brokerConfig: { apiCredentials: encryptCredentials(credentials) },
+      },
+      { _id: 2, brokerConfig: { apiCredentials: { apiKey: "legacy" } } },
+      {
+        _id: 3,
+        brokerConfig: {
+          apiCredentials: { ...encryptCredentials(credentials), keyVersion: 7 },
+        },
+      },
+    ];
+    useKeys(2, KEY_V2, `1:${KEY_V1}`);
+    jest.spyOn(Portfolio, "find").mockReturnValue({
+      select: () => ({
+        lean: () => ({
+          cursor: () => stored,
+        }),
+      }),
+    });
+    const updates = [];
+    jest
+      .spyOn(Portfolio, "updateOne")
+      .mockImplementation(async (filter, update) => {
+        updates.push([filter._id, update.$set]);
+      });
+
+    const result = await rotateCredentialKeys();
+
+    expect(result).toMatchObject({
+      rotated: 2,
+      keyVersion: 2,
+      failed: [{ portfolioId: 3, keyVersion: 7 }],
+    });
+    const [[, rotated], [, legacy]] = updates;
+    const field = (set, name) => set[`brokerConfig.apiCredentials.${name}`];
+    expect(field(rotated, "keyVersion")).toBe(2);
+    expect(
+      decryptCredentials({
+        dataKey: field(rotated, "dataKey"),
+        keyVersion: 2,
+        apiKey: field(rotated, "apiKey"),
+        secretKey: field(rotated, "secretKey"),
+      })
+    ).toEqual(credentials);
+    expect(field(legacy, "apiKey")).toMatch(/^enc:/);
+    expect(field(legacy, "passphrase")).toBeNull();
+  });
+});
+
+describe("Portfolio credentials", () => {
+  beforeEach(() => {
+    useKeys(1, KEY_V1);
+    jest
+      .spyOn(Portfolio.collection, "insertOne")
+      .mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const buildPortfolio = (apiCredentials) =>
+    new Portfolio({
+      userId: new mongoose.Types.ObjectId(),
+      name: "Crypto",
+      broker: "BINANCE",
+      currency: "USD",
+      brokerConfig: { apiCredentials },
+    });
+
+  const stored = (portfolio) =>
+    portfolio.brokerConfig.apiCredentials.toObject();
+
+  it("encrypts plaintext credentials on save and never serializes them", async () => {
+    const portfolio = buildPortfolio(credentials);
+
+    await portfolio.save();
+
+    expect(stored(portfolio)).toMatchObject({
+      apiKey: expect.stringMatching(/^enc:/),
+      keyVersion: 1,
+    });
+    expect(decryptCredentials(stored(portfolio))).toEqual(credentials);
+    expect(portfolio.toJSON().brokerConfig.apiCredentials).toEqual({
+      keyVersion: 1,
+    });
+  });
+
+  it("keeps values encrypted under the portfolio's data key", async () => {
+    const { dataKey, keyVersion, apiKey, secretKey } =
+      encryptCredentials(credentials);
+    const portfolio = buildPortfolio({
+      dataKey,
+      keyVersion,
+      apiKey,
+      secretKey,
+    });
+
+    await portfolio.save();
+
+    expect(stored(portfolio)).toMatchObject({ dataKey, apiKey, secretKey });
+  });
+
+  it("rejects values that only look encrypted", async () => {
+    const other = encryptCredentials({ apiKey: "someone else's" });
+    const forged = buildPortfolio({
+      ...encryptCredentials(credentials),
+      apiKey: other.apiKey,
+    });
+
+    await expect(
+      buildPortfolio({ apiKey: "enc:abc" }).save()
+    ).rejects.toMatchObject({ code: "INVALID_CREDENTIALS" });
+    await expect(forged.save()).rejects.toThrow(
+      /cannot be decrypted with the portfolio's key/
+    );
+    expect(Portfolio.collection.insertOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  detectEncoding,
+  detectDelimiter,
+  readCsvBatches,
+  readCsvRows,
+} = require("../../utils/csvStream");
+
+const fixture = (name) => path.join(__dirname, "../fixtures/statements", name);
+
+const collectBatches = async (filePath, options) => {
+  const batches = [];
+  for await (const batch of readCsvBatches(filePath, options)) {
+    batches.push(batch);
+  }
+  return batches;
+};
+
+describe("detectEncoding", () => {
+  it("falls back to cp1250 when the start is not UTF-8", () => {
+    const polish = "Wpłata środków";
+
+    expect(detectEncoding(Buffer.from(polish, "utf-8"), true)).toBe("utf-8");
+    expect(detectEncoding(fs.readFileSync(fixture("pkobp.csv")), true)).toBe(
+      "windows-1250"
+    );
+  });
+
+  it("allows a character cut at the end of a chunk", () => {
+    const chunk = Buffer.from("Zażółć", "utf-8").subarray(0, 3);
+
+    expect(detectEncoding(chunk, false)).toBe("utf-8");
+    expect(detectEncoding(chunk, true)).toBe("windows-1250");
+  });
+});
+
+describe("detectDelimiter", () => {
+  it("counts delimiters outside quotes", () => {
+    expect(detectDelimiter("a;b;c\n1;2;3")).toBe(";");
+    expect(detectDelimiter('"1,5";"2,5";x\n"3,5";"4,5";y')).toBe(";");
+    expect(detectDelimiter("a\tb\tc")).toBe("\t");
+    expect(detectDelimiter("a,b,c")).toBe(",");
+  });
+});
+
+describe("readCsvBatches", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-stream-"));
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("yields batches of rows with their position in the file", async () => {
+    const batches = await collectBatches(fixture("trading212.csv"), {
+      batchSize: 4,
+      raw: true,
+    });
+
+    expect(batches.map((batch) => [batch.firstRow, batch.rows.length])).toEqual(
+      [
+        [0, 4],
+        [4, 4],
+        [8, 2],
+      ]
+    );
+    // Quoted delimiters stay in the cell; raw keeps cells as text
+    expect(batches[0].rows[1][11]).toBe("1,000.00");
+    expect(batches[2].bytesRead).toBe(batches[2].totalBytes);
+  });
+
+  it("decodes cp1250 and keeps blank rows in place", async () => {
+    const { rows, truncated } = await readCsvRows(fixture("pkobp.csv"), {
+      raw: true,
+    });
+
+    expect(truncated).toBe(false);
+    expect(rows[0][0]).toBe("Wyciąg z rachunku inwestycyjnego");
+    expect(rows[2].every((cell) => cell === "")).toBe(true);
+    expect(rows[5].slice(0, 4)).toEqual([
+      "08.01.2024",
+      "10:00:05",
+      "PZU",
+      "POWSZECHNY ZAKŁAD UBEZPIECZEŃ",
+    ]);
+  });
+
+  it("keeps quoted line breaks and records cut between chunks", async () => {
+    const filePath = path.join(dir, "large.csv");
+    const lines = ['Id;Comment\n1;"first line\nsecond line"\n'];
+    // Several 64 KB read chunks
+    for (let id = 2; id <= 3000; id++) lines.push(`${id};${"x".repeat(40)}\n`);
+    lines.push("3001;last");
+    fs.writeFileSync(filePath, lines.join(""));
+
+    const batches = await collectBatches(filePath, { batchSize: 1000 });
+    const rows = batches.flatMap((batch) => batch.rows);
+
+    expect(batches.map((batch) => batch.firstRow)).toEqual([
+      0, 1000, 2000, 3000,
+    ]);
+    expect(rows).toHaveLength(3002);
+    expect(rows[1]).toEqual([1, "first line\nsecond line"]);
+    expect(rows.every((row) => row.length === 2)).toBe(true);
+    expect(rows[3001]).toEqual([3001, "last"]);
+  });
+
+  it("stops at maxRows", async () => {
+    const { rows, truncated } = await readCsvRows(fixture("trading212.csv"), {
+      maxRows: 3,
+    });
+
+    expect(truncated).toBe(true);
+    expect(rows).toHaveLength(3);
+  });
+});
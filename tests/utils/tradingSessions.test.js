@@ -0,0 +1,86 @@
+const {
+  isSessionOpen,
+  getSessionClose,
+} = require("../../utils/tradingSessions");
+
+const nyse = {
+  symbol: "AAPL.US",
+  metadata: {
+    assetType: "stock",
+    tradingHours: {
+      open: "09:30",
+      close: "16:00",
+      timezone: "America/New_York",
+    },
+  },
+};
+const gpw = {
+  metadata: {
+    assetType: "stock",
+    tradingHours: { open: "09:00", close: "17:00", timezone: "Europe/Warsaw" },
+  },
+};
+const tse = {
+  metadata: {
+    assetType: "stock",
+    tradingHours: { open: "09:00", close: "15:00", timezone: "Asia/Tokyo" },
+  },
+};
+const crypto = { metadata: { assetType: "crypto" } };
+
+const at = (iso) => new Date(iso);
+
+describe("isSessionOpen", () => {
+  it("follows the exchange's local hours", () => {
+    // 15:00 EST
+    expect(isSessionOpen(nyse, at("2024-03-08T20:00:00Z"))).toBe(true);
+    // 16:00 EST, the close itself
+    expect(isSessionOpen(nyse, at("2024-03-08T21:00:00Z"))).toBe(false);
+    // 09:30 EDT after the switch to summer time
+    expect(isSessionOpen(nyse, at("2024-03-11T13:30:00Z"))).toBe(true);
+    expect(isSessionOpen(nyse, at("2024-03-11T13:29:00Z"))).toBe(false);
+  });
+
+  it("is closed on weekends except for crypto", () => {
+    expect(isSessionOpen(nyse, at("2024-03-09T16:00:00Z"))).toBe(false);
+    expect(isSessionOpen(crypto, at("2024-03-09T16:00:00Z"))).toBe(true);
+  });
+
+  it("takes the weekday in the exchange's timezone", () => {
+    // Sunday in UTC, Monday 10:00 in Tokyo
+    expect(isSessionOpen(tse, at("2024-06-09T01:00:00Z"))).toBe(false);
+    expect(isSessionOpen(tse, at("2024-06-10T01:00:00Z"))).toBe(true);
+    // Friday in UTC, Saturday 08:00 in Tokyo
+    expect(isSessionOpen(tse, at("2024-06-07T23:00:00Z"))).toBe(false);
+  });
+});
+
+describe("getSessionClose", () => {
+  it("returns today's close while the session lasts", () => {
+    expect(getSessionClose(nyse, at("2024-03-08T15:00:00Z"))).toEqual(
+      at("2024-03-08T21:00:00Z")
+    );
+  });
+
+  it("skips the weekend across a daylight saving change", () => {
+    // Friday after the close: Monday's close is an hour earlier in UTC
+    expect(getSessionClose(nyse, at("2024-03-08T22:00:00Z"))).toEqual(
+      at("2024-03-11T20:00:00Z")
+    );
+    expect(getSessionClose(nyse, at("2024-11-01T21:30:00Z"))).toEqual(
+      at("2024-11-04T21:00:00Z")
+    );
+    expect(getSessionClose(gpw, at("2024-10-26T10:00:00Z"))).toEqual(
+      at("2024-10-28T16:00:00Z")
+    );
+  });
+
+  it("closes crypto and instruments without hours at midnight", () => {
+    expect(getSessionClose(crypto, at("2024-03-09T16:00:00Z"))).toEqual(
+      at("2024-03-10T00:00:00Z")
+    );
+    expect(getSessionClose(null, at("2024-03-08T23:59:00Z"))).toEqual(
+      at("2024-03-09T00:00:00Z")
+    );
+  });
+});
@@ -0,0 +1,33 @@
+// utils/brokerFormats/bossa.js - DM BOŚ (Bossa) transaction history (CSV)
+const { createTableFormat } = require("./polish");
+
+// "Data;Papier;Rynek;Operacja;Ilość;Cena;Waluta;Wartość;Prowizja"
+const TABLES = {
+  trades: {
+    dataType: "positions",
+    aliases: {
+      date: ["Data transakcji", "Data"],
+      time: ["Godzina", "Czas"],
+      symbol: ["Papier", "Instrument"],
+      isin: ["ISIN"],
+      exchange: ["Rynek"],
+      side: ["Operacja", "Kierunek", "K/S"],
+      quantity: ["Ilość", "Liczba"],
+      price: ["Cena", "Kurs"],
+      currency: ["Waluta"],
+      commission: ["Prowizja"],
+      commissionCurrency: ["Waluta prowizji"],
+      rate: ["Kurs waluty"],
+      orderId: ["Numer zlecenia", "Nr zlecenia"],
+      accountId: ["Rachunek", "Numer rachunku"],
+    },
+    required: ["date", "symbol", "side", "quantity", "price"],
+  },
+};
+
+module.exports = {
+  id: "bossa",
+  broker: "BOSSA",
+  label: "DM BOŚ (Bossa)",
+  ...createTableFormat(TABLES),
+};
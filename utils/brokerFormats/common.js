@@ -0,0 +1,366 @@
+// utils/brokerFormats/common.js - shared helpers for broker statement parsers
+const crypto = require("crypto");
+const { zonedTimeToUtc } = require("../timezone");
+
+// Tolerance for floating point volume comparisons (same as Position)
+const VOLUME_EPSILON = 1e-8;
+
+/**
+ * Header/attribute key for comparison ("Buy/Sell" === "buySell")
+ * @param {*} value - Header cell or attribute name
+ * @returns {string}
+ */
+const normalizeKey = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9ąćęłńóśźż]/g, "");
+
+/**
+ * Parse a statement number: 1234.5, "1,234.50", "1 234,50", "-0,5"
+ * With both separators the last one is the decimal point. A lone
+ * separator is read by the format's decimal separator when it has one;
+ * otherwise a comma followed by groups of three digits ("1,234") is a
+ * thousands separator and any other comma or dot a decimal point.
+ * @param {*} value - Cell value
+ * @param {string} decimalSeparator - "," or "." when the format fixes it
+ * @returns {number|null}
+ */
+const parseNumber = (value, decimalSeparator) => {
+  if (typeof value === "number") return isFinite(value) ? value : null;
+
+  let text = String(value ?? "")
+    .trim()
+    .replace(/[\s ']/g, "");
+  if (!text) return null;
+
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  // With both separators the last one is the decimal point
+  let decimal = lastComma > lastDot ? "," : ".";
+  if (lastComma === -1 || lastDot === -1) {
+    const separator = lastComma === -1 ? "." : ",";
+    const grouped = new RegExp(`^[-+]?\\d{1,3}(\\${separator}\\d{3})+$`).test(
+      text
+    );
+    const repeated = text.indexOf(separator) !== text.lastIndexOf(separator);
+    const thousands = decimalSeparator
+      ? grouped && separator !== decimalSeparator
+      : grouped && (separator === "," || repeated);
+    decimal = thousands ? null : separator;
+  }
+
+  text = decimal
+    ? text
+        .split(decimal === "," ? "." : ",")
+        .join("")
+        .replace(decimal, ".")
+    : text.replace(/[,.]/g, "");
+
+  const number = Number(text);
+  return isFinite(number) ? number : null;
+};
+
+/**
+ * Parse statement date and time into an instant
+ * Accepts DD-MM-YYYY / DD.MM.YYYY / DD/MM/YYYY, YYYY-MM-DD and YYYYMMDD
+ * dates, with the time either in the same string (" ", "T", ";", ", ")
+ * or passed separately as HH:MM[:SS] / HHMMSS.
+ * @param {string} dateValue - Date (optionally with time)
+ * @param {string} timeValue - Separate time column
+ * @param {string} timezone - Timezone the broker reports in
+ * @returns {Date|null}
+ */
+const parseDateTime = (dateValue, timeValue, timezone) => {
+  if (dateValue instanceof Date) {
+    return isNaN(dateValue.getTime()) ? null : dateValue;
+  }
+
+  const text = String(dateValue ?? "").trim();
+  const [datePart, inlineTime = ""] = text.split(/[T;]|,\s*|\s+/, 2);
+  let year;
+  let month;
+  let day;
+
+  let match = datePart.match(/^(\d{2})[-./](\d{2})[-./](\d{4})$/);
+  if (match) {
+    [day, month, year] = match.slice(1).map(Number);
+  } else if ((match = datePart.match(/^(\d{4})-?(\d{2})-?(\d{2})$/))) {
+    [year, month, day] = match.slice(1).map(Number);
+  } else {
+    return null;
+  }
+
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+  if (calendarDay.getUTCMonth() !== month - 1) return null;
+
+  const timeText = String(timeValue || inlineTime || "").trim();
+  const time =
+    timeText.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/) ||
+    timeText.match(/^(\d{2})(\d{2})(\d{2})?$/);
+  const [hour = 0, minute = 0, second = 0] = time
+    ? time.slice(1).map((part) => Number(part || 0))
+    : [];
+
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, timezone);
+};
+
+/**
+ * Numeric record ID derived from the broker's own ID, so re-importing a
+ * statement maps to the same positionId/operationId
+ * @param {...*} parts - Broker name, account and broker ID
+ * @returns {number} Integer below 2^52
+ */
+const stableId = (...parts) =>
+  parseInt(
+    crypto
+      .createHash("sha1")
+      .update(parts.join("|"))
+      .digest("hex")
+      .slice(0, 13),
+    16
+  );
+
+/**
+ * Prices quoted in pence (LSE) converted to pounds
+ * @returns {{ price: number, currency: string }}
+ */
+const normalizeQuote = (price, currency) => {
+  const code = String(currency || "")
+    .trim()
+    .toUpperCase();
+  if (code === "GBX" || String(currency).trim() === "GBp") {
+    return { price: price / 100, currency: "GBP" };
+  }
+  return { price, currency: code };
+};
+
+/**
+ * Fee charged in another currency, in the trade currency.
+ * rate is trade currency units per fee currency unit (as Degiro and
+ * Trading 212 report it); pence are converted to pounds.
+ * @returns {number|null} null when the rate is unknown
+ */
+const convertFee = (amount, feeCurrency, tradeCurrency, rate) => {
+  if (!amount) return 0;
+
+  const from = String(feeCurrency || "").toUpperCase();
+  const to = String(tradeCurrency || "").toUpperCase();
+  let converted;
+
+  if (!from || from === to) {
+    converted = amount;
+  } else if (from === "GBP" && to === "GBX") {
+    converted = amount * 100;
+  } else if (rate > 0) {
+    converted = amount * rate;
+  } else {
+    return null;
+  }
+
+  return to === "GBX" ? converted / 100 : converted;
+};
+
+// Trailing currency code in a header ("Total EUR")
+const HEADER_CURRENCY = /\s([A-Z]{3})$/;
+
+/**
+ * Map a header row to fields by aliases (normalized). A header may carry
+ * its currency as a suffix ("Total EUR").
+ * @param {Array} headerRow - Header cells
+ * @param {Object} aliases - field -> [aliases]
+ * @returns {Object} field -> column index
+ */
+const mapColumnsByAliases = (headerRow, aliases) => {
+  const headers = headerRow.map((header) =>
+    normalizeKey(String(header ?? "").replace(HEADER_CURRENCY, ""))
+  );
+  const columns = {};
+
+  // Earlier aliases win when a file has several of them
+  Object.entries(aliases).forEach(([field, names]) => {
+    for (const name of names) {
+      const index = headers.indexOf(normalizeKey(name));
+      if (index !== -1) {
+        columns[field] = index;
+        break;
+      }
+    }
+  });
+
+  return columns;
+};
+
+/**
+ * Locate the header row: the first of the top rows where every required
+ * field is found by its aliases
+ * @returns {Object|null} { index, columns }
+ */
+const findAliasHeader = (rows, aliases, required, searchRows = 10) => {
+  for (let index = 0; index < Math.min(rows.length, searchRows); index++) {
+    const columns = mapColumnsByAliases(rows[index], aliases);
+    if (required.every((field) => columns[field] !== undefined)) {
+      return { index, columns };
+    }
+  }
+  return null;
+};
+
+const cell = (row, index) =>
+  index === undefined || index === null ? "" : String(row[index] ?? "").trim();
+
+/**
+ * Currency of an amount column: header suffix ("Total EUR") or the
+ * unnamed column right after it ("Price,,Local value")
+ */
+const columnCurrency = (headerRow, row, index) => {
+  if (index === undefined) return "";
+  const suffix = String(headerRow[index] ?? "").match(HEADER_CURRENCY);
+  if (suffix) return suffix[1];
+  return String(headerRow[index + 1] ?? "").trim() === ""
+    ? cell(row, index + 1).toUpperCase()
+    : "";
+};
+
+const isBlankRow = (row) =>
+  !row || row.every((value) => value === "" || value === null);
+
+/**
+ * Turn executions into positions: every buy opens a position with one
+ * lot; sells are matched FIFO against the buys of the same symbol, oldest
+ * first, the way Position.matchLots does it. Sells without enough bought
+ * volume in the statement are reported as issues.
+ * @param {Array} trades - { sheet, rowNumber, tradeId, symbol, side, volume, price, time, commission, taxes, currency, ... }
+ * @param {Array} issues - Collects row errors
+ * @returns {Array} { sheet, rowNumber, tradeId, ...position fields }
+ */
+const tradesToPositions = (trades, issues) => {
+  const positions = [];
+  const openBySymbol = new Map();
+
+  [...trades]
+    .sort((a, b) => a.time - b.time || a.rowNumber - b.rowNumber)
+    .forEach((trade) => {
+      const open = openBySymbol.get(trade.symbol) || [];
+      openBySymbol.set(trade.symbol, open);
+
+      if (trade.side === "buy") {
+        const position = {
+          sheet: trade.sheet,
+          rowNumber: trade.rowNumber,
+          tradeId: trade.tradeId,
+          accountId: trade.accountId,
+          symbol: trade.symbol,
+          name: trade.name,
+          isin: trade.isin,
+          exchange: trade.exchange,
+          currency: trade.currency,
+          type: "BUY",
+          volume: trade.volume,
+          openTime: trade.time,
+          openPrice: trade.price,
+          commission: trade.commission || 0,
+          taxes: trade.taxes || 0,
+          lots: [
+            {
+              openTime: trade.time,
+              openPrice: trade.price,
+              volume: trade.volume,
+              remainingVolume: trade.volume,
+              commission: trade.commission || 0,
+              source: "import",
+              matches: [],
+            },
+          ],
+        };
+        positions.push(position);
+        open.push(position);
+        return;
+      }
+
+      const openVolume = open.reduce(
+        (sum, position) => sum + position.lots[0].remainingVolume,
+        0
+      );
+      if (trade.volume > openVolume + VOLUME_EPSILON) {
+        issues.push({
+          sheet: trade.sheet,
+          row: trade.rowNumber,
+          error: `Sell of ${trade.volume} ${trade.symbol} exceeds the ${openVolume} bought in this statement - import the full trade history`,
+          field: "volume",
+          value: trade.volume,
+        });
+        return;
+      }
+
+      let volumeToMatch = trade.volume;
+      while (volumeToMatch > VOLUME_EPSILON && open.length > 0) {
+        const position = open[0];
+        const lot = position.lots[0];
+        const matched = Math.min(lot.remainingVolume, volumeToMatch);
+        const share = matched / trade.volume;
+
+        lot.matches.push({
+          closeTime: trade.time,
+          closePrice: trade.price,
+          volume: matched,
+          costPrice: lot.openPrice,
+          realizedPL: (trade.price - lot.openPrice) * matched,
+          commission: (trade.commission || 0) * share,
+          method: "FIFO",
+        });
+        lot.remainingVolume -= matched;
+        position.commission += (trade.commission || 0) * share;
+        position.taxes += (trade.taxes || 0) * share;
+        volumeToMatch -= matched;
+
+        if (lot.remainingVolume <= VOLUME_EPSILON) {
+          lot.remainingVolume = 0;
+          open.shift();
+        }
+      }
+    });
+
+  // Totals as Position.applyLotTotals reports them
+  return positions.map((position) => {
+    const [lot] = position.lots;
+    const closedVolume = lot.volume - lot.remainingVolume;
+    const proceeds = lot.matches.reduce(
+      (sum, match) => sum + match.volume * match.closePrice,
+      0
+    );
+    const realizedPL = lot.matches.reduce(
+      (sum, match) => sum + match.realizedPL,
+      0
+    );
+    const isClosed = lot.remainingVolume <= VOLUME_EPSILON;
+
+    return {
+      ...position,
+      status: isClosed ? "closed" : "open",
+      purchaseValue: position.volume * position.openPrice,
+      closeTime: isClosed
+        ? lot.matches[lot.matches.length - 1].closeTime
+        : null,
+      closePrice: isClosed ? proceeds / closedVolume : null,
+      saleValue: isClosed ? proceeds : null,
+      realizedPL,
+      grossPL: realizedPL,
+    };
+  });
+};
+
+module.exports = {
+  VOLUME_EPSILON,
+  normalizeKey,
+  parseNumber,
+  parseDateTime,
+  stableId,
+  normalizeQuote,
+  convertFee,
+  mapColumnsByAliases,
+  findAliasHeader,
+  cell,
+  columnCurrency,
+  isBlankRow,
+  tradesToPositions,
+};
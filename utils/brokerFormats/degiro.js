@@ -0,0 +1,308 @@
+// utils/brokerFormats/degiro.js - Degiro Transactions.csv and Account.csv
+const {
+  parseNumber,
+  parseDateTime,
+  normalizeQuote,
+  convertFee,
+  findAliasHeader,
+  cell,
+  columnCurrency,
+  isBlankRow,
+} = require("./common");
+
+// Degiro exports Amsterdam local time
+const TIMEZONE = "Europe/Amsterdam";
+
+// English and Polish interface headers
+const TRANSACTION_COLUMNS = {
+  date: ["Date", "Data"],
+  time: ["Time", "Czas"],
+  product: ["Product", "Produkt"],
+  isin: ["ISIN"],
+  exchange: ["Reference exchange", "Giełda referencyjna"],
+  venue: ["Venue", "Miejsce wykonania"],
+  quantity: ["Quantity", "Number", "Liczba", "Ilość"],
+  price: ["Price", "Kurs", "Cena"],
+  localValue: ["Local value", "Wartość lokalna"],
+  value: ["Value", "Wartość"],
+  rate: ["Exchange rate", "Kurs wymiany"],
+  autoFxFee: ["AutoFX Fee", "Opłata AutoFX"],
+  fees: [
+    "Transaction and/or third party fees",
+    "Transaction costs",
+    "Opłata transakcyjna",
+    "Opłaty transakcyjne i/lub strony trzeciej",
+    "Koszty transakcyjne",
+  ],
+  total: ["Total", "Razem", "Łącznie"],
+  orderId: ["Order ID", "Identyfikator zlecenia"],
+};
+
+const ACCOUNT_COLUMNS = {
+  date: ["Date", "Data"],
+  time: ["Time", "Czas"],
+  valueDate: ["Value date", "Data waluty"],
+  product: ["Product", "Produkt"],
+  isin: ["ISIN"],
+  description: ["Description", "Opis"],
+  fx: ["FX", "Kurs"],
+  change: ["Change", "Zmiana"],
+  balance: ["Balance", "Saldo"],
+  orderId: ["Order Id", "Order ID", "Identyfikator zlecenia"],
+};
+
+// Account.csv descriptions, checked in order (English and Polish)
+const ACCOUNT_OPERATIONS = [
+  { pattern: /dividend tax|podatek od dywidend/i, type: "withholding_tax" },
+  { pattern: /^dividend|^dywidenda/i, type: "dividend" },
+  {
+    pattern:
+      /fx (credit|debit|withdrawal|deposit)|valuta (creditering|debitering)|przewalutowanie|konwersja walut/i,
+    type: "currency_conversion",
+  },
+  {
+    pattern:
+      /transaction and\/or third party fees|transaction costs|connection fee|opłata transakcyjna|koszty transakcyjne|opłata za połączenie/i,
+    type: "fee",
+  },
+  { pattern: /interest|odsetki/i, type: "interest" },
+  { pattern: /withdrawal|wypłata/i, type: "withdrawal" },
+  { pattern: /deposit|wpłata/i, type: "deposit" },
+  { pattern: /^(buy|kupno) /i, type: "stock_purchase" },
+  { pattern: /^(sell|sprzedaż) /i, type: "stock_sale" },
+];
+
+// Internal bookings that do not move cash (reservations, money market sweep)
+const IGNORED_DESCRIPTIONS =
+  /reservation|rezerwacja|cash sweep|money market|fund conversion|fundusz rynku pieniężnego/i;
+
+const findTransactionsHeader = (rows) =>
+  findAliasHeader(rows, TRANSACTION_COLUMNS, [
+    "date",
+    "isin",
+    "quantity",
+    "price",
+    "venue",
+  ]);
+
+const findAccountHeader = (rows) =>
+  findAliasHeader(rows, ACCOUNT_COLUMNS, ["date", "description", "change"]);
+
+const parseTransactions = (sheet, header, result) => {
+  const headerRow = sheet.rows[header.index];
+  const { columns } = header;
+  // Partial fills share the order ID
+  const fills = new Map();
+
+  for (let i = header.index + 1; i < sheet.rows.length; i++) {
+    const row = sheet.rows[i];
+    if (isBlankRow(row)) continue;
+
+    const rowNumber = i + 1;
+    const issue = (error, field, value) =>
+      result.issues.push({
+        sheet: sheet.name,
+        row: rowNumber,
+        error,
+        field,
+        value,
+      });
+    result.processed += 1;
+
+    const quantity = parseNumber(cell(row, columns.quantity));
+    const rawPrice = parseNumber(cell(row, columns.price));
+    const time = parseDateTime(
+      cell(row, columns.date),
+      cell(row, columns.time),
+      TIMEZONE
+    );
+    const isin = cell(row, columns.isin).toUpperCase();
+
+    if (!quantity) {
+      issue("Invalid quantity", "quantity", cell(row, columns.quantity));
+      continue;
+    }
+    if (!rawPrice || rawPrice <= 0) {
+      issue("Invalid price", "price", cell(row, columns.price));
+      continue;
+    }
+    if (!time) {
+      issue("Invalid date", "date", cell(row, columns.date));
+      continue;
+    }
+    if (!isin) {
+      issue("ISIN is required", "isin", "");
+      continue;
+    }
+
+    const quoteCurrency = columnCurrency(headerRow, row, columns.price);
+    const { price, currency } = normalizeQuote(rawPrice, quoteCurrency);
+
+    // Fees are charged in the account currency; the exchange rate is
+    // quote currency per account currency
+    let rate = parseNumber(cell(row, columns.rate));
+    const localValue = parseNumber(cell(row, columns.localValue));
+    const value = parseNumber(cell(row, columns.value));
+    if (!rate && localValue && value) rate = Math.abs(localValue / value);
+
+    let commission = 0;
+    for (const field of ["fees", "autoFxFee"]) {
+      const fee = Math.abs(parseNumber(cell(row, columns[field])) || 0);
+      const feeCurrency =
+        columnCurrency(headerRow, row, columns[field]) ||
+        columnCurrency(headerRow, row, columns.value);
+      const converted = convertFee(fee, feeCurrency, quoteCurrency, rate);
+
+      if (converted === null) {
+        issue(
+          `Cannot convert ${fee} ${feeCurrency} fee to ${currency} without an exchange rate`,
+          field,
+          fee
+        );
+        commission = null;
+        break;
+      }
+      commission += converted;
+    }
+    if (commission === null) continue;
+
+    const orderId = cell(row, columns.orderId);
+    const fill = (fills.get(orderId) || 0) + 1;
+    fills.set(orderId, fill);
+
+    result.trades.push({
+      sheet: sheet.name,
+      rowNumber,
+      tradeId: orderId
+        ? `${orderId}:${fill}`
+        : [isin, time.toISOString(), quantity, rawPrice].join(":"),
+      // Degiro statements carry no tickers
+      symbol: isin,
+      name: cell(row, columns.product),
+      isin,
+      exchange: cell(row, columns.exchange) || cell(row, columns.venue),
+      side: quantity > 0 ? "buy" : "sell",
+      volume: Math.abs(quantity),
+      price,
+      currency,
+      time,
+      commission,
+    });
+  }
+};
+
+const parseAccount = (sheet, header, result) => {
+  const { columns } = header;
+  const occurrences = new Map();
+
+  for (let i = header.index + 1; i < sheet.rows.length; i++) {
+    const row = sheet.rows[i];
+    if (isBlankRow(row)) continue;
+
+    const rowNumber = i + 1;
+    const description = cell(row, columns.description);
+    // "Change" holds the currency, the unnamed column after it the amount
+    const currency = cell(row, columns.change).toUpperCase();
+    const amount = parseNumber(cell(row, columns.change + 1));
+
+    if (!amount || IGNORED_DESCRIPTIONS.test(description)) continue;
+
+    result.processed += 1;
+    const operation = ACCOUNT_OPERATIONS.find(({ pattern }) =>
+      pattern.test(description)
+    );
+
+    if (!operation) {
+      result.issues.push({
+        sheet: sheet.name,
+        row: rowNumber,
+        error: `Unsupported account operation: ${description}`,
+        field: "description",
+        value: description,
+        severity: "warning",
+      });
+      continue;
+    }
+
+    const time = parseDateTime(
+      cell(row, columns.date),
+      cell(row, columns.time),
+      TIMEZONE
+    );
+    if (!time) {
+      result.issues.push({
+        sheet: sheet.name,
+        row: rowNumber,
+        error: "Invalid date",
+        field: "date",
+        value: cell(row, columns.date),
+      });
+      continue;
+    }
+
+    let { type } = operation;
+    // Negative interest and fee refunds
+    if (type === "interest" && amount < 0) type = "fee";
+    if (type === "fee" && amount > 0) type = "adjustment";
+
+    // Same booking can repeat (e.g. two identical fees in one minute)
+    const key = [time.toISOString(), description, currency, amount].join(":");
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+
+    result.cashOperations.push({
+      sheet: sheet.name,
+      rowNumber,
+      operationId: `${key}:${occurrence}`,
+      type,
+      time,
+      amount,
+      currency,
+      symbol: cell(row, columns.isin).toUpperCase() || undefined,
+      comment: [cell(row, columns.product), description]
+        .filter(Boolean)
+        .join(" - "),
+    });
+  }
+};
+
+module.exports = {
+  id: "degiro",
+  broker: "DEGIRO",
+  label: "Degiro",
+
+  detect(input) {
+    return input.sheets.some(
+      (sheet) =>
+        findTransactionsHeader(sheet.rows) || findAccountHeader(sheet.rows)
+    );
+  },
+
+  parse(input) {
+    const result = {
+      sections: [],
+      trades: [],
+      cashOperations: [],
+      issues: [],
+      processed: 0,
+    };
+
+    input.sheets.forEach((sheet) => {
+      const transactions = findTransactionsHeader(sheet.rows);
+      const account = !transactions && findAccountHeader(sheet.rows);
+      if (!transactions && !account) return;
+
+      const processedBefore = result.processed;
+      if (transactions) parseTransactions(sheet, transactions, result);
+      else parseAccount(sheet, account, result);
+
+      result.sections.push({
+        name: sheet.name,
+        dataType: transactions ? "positions" : "cash_operations",
+        rows: result.processed - processedBefore,
+      });
+    });
+
+    return result;
+  },
+};
@@ -0,0 +1,435 @@
+// utils/brokerFormats/ibkr.js - Interactive Brokers Flex Query (CSV and XML)
+const {
+  normalizeKey,
+  parseNumber,
+  parseDateTime,
+  normalizeQuote,
+  mapColumnsByAliases,
+  cell,
+  isBlankRow,
+} = require("./common");
+
+// Flex queries report in the account's configured zone, New York by default
+const TIMEZONE = "America/New_York";
+
+// Flex and CSV statements use decimal points
+const DECIMAL_SEPARATOR = ".";
+
+// Flex field names as CSV headers ("ClientAccountID") and XML attributes
+// ("accountId"); compared normalized
+const TRADE_FIELDS = {
+  accountId: ["ClientAccountID", "accountId"],
+  currency: ["CurrencyPrimary", "currency"],
+  fxRateToBase: ["FXRateToBase", "fxRateToBase"],
+  assetClass: ["AssetClass", "assetCategory"],
+  symbol: ["Symbol", "symbol"],
+  description: ["Description", "description"],
+  isin: ["ISIN", "isin"],
+  exchange: ["ListingExchange", "listingExchange", "Exchange"],
+  tradeId: ["TradeID", "tradeID", "TransactionID", "transactionID"],
+  dateTime: ["DateTime", "dateTime", "TradeDate", "tradeDate"],
+  tradeTime: ["TradeTime", "tradeTime"],
+  quantity: ["Quantity", "quantity"],
+  price: ["TradePrice", "tradePrice"],
+  proceeds: ["Proceeds", "proceeds"],
+  commission: ["IBCommission", "ibCommission"],
+  commissionCurrency: ["IBCommissionCurrency", "ibCommissionCurrency"],
+  taxes: ["Taxes", "taxes"],
+  side: ["Buy/Sell", "buySell"],
+  levelOfDetail: ["LevelOfDetail", "levelOfDetail"],
+};
+
+const CASH_FIELDS = {
+  accountId: ["ClientAccountID", "accountId"],
+  currency: ["CurrencyPrimary", "currency"],
+  symbol: ["Symbol", "symbol"],
+  isin: ["ISIN", "isin"],
+  description: ["Description", "description"],
+  dateTime: ["DateTime", "dateTime", "SettleDate", "settleDate"],
+  amount: ["Amount", "amount"],
+  type: ["Type", "type"],
+  transactionId: ["TransactionID", "transactionID"],
+};
+
+const CASH_TYPES = [
+  { pattern: /withholding tax/i, type: () => "withholding_tax" },
+  { pattern: /dividends|payment in lieu/i, type: () => "dividend" },
+  {
+    pattern: /deposits|withdrawals/i,
+    type: (amount) => (amount > 0 ? "deposit" : "withdrawal"),
+  },
+  {
+    pattern: /broker interest received|bond interest received/i,
+    type: () => "interest",
+  },
+  { pattern: /interest paid/i, type: () => "fee" },
+  {
+    pattern: /other fees|commission adjustments/i,
+    type: (amount) => (amount > 0 ? "adjustment" : "fee"),
+  },
+];
+
+// Some sections repeat a trade as ORDER and EXECUTION rows
+const SUMMARY_DETAIL = /^(order|closed_lot|symbol_summary|asset_summary)$/i;
+
+// Map a record keyed by field name (CSV row or XML attributes)
+const readFields = (values, fields) => {
+  const keys = Object.keys(values);
+  const columns = mapColumnsByAliases(keys, fields);
+  const record = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    record[field] = String(values[keys[index]] ?? "").trim();
+  });
+  return record;
+};
+
+const isTradeSection = (keys) => {
+  const normalized = keys.map(normalizeKey);
+  return ["tradeprice", "quantity"].every((key) => normalized.includes(key));
+};
+
+const isCashSection = (keys) => {
+  const normalized = keys.map(normalizeKey);
+  return (
+    ["amount", "type"].every((key) => normalized.includes(key)) &&
+    !normalized.includes("tradeprice")
+  );
+};
+
+/**
+ * Split a Flex CSV into sections of { name, startRow, rows: [{ rowNumber, values }] }.
+ * Single-section exports have one header row starting with ClientAccountID;
+ * multi-section exports prefix rows with BOF/BOA/BOS/HEADER/DATA markers.
+ */
+const readCsvSections = (sheet) => {
+  const sections = [];
+  let current = null;
+
+  sheet.rows.forEach((row, index) => {
+    if (isBlankRow(row)) return;
+
+    let cells = row.map((value) => String(value ?? "").trim());
+    const marker = cells[0].toUpperCase();
+
+    if (["BOF", "EOF", "BOA", "EOA", "EOS"].includes(marker)) return;
+    if (marker === "BOS") {
+      current = null;
+      return;
+    }
+    if (marker === "HEADER" || marker === "DATA") {
+      // HEADER,<section code>,field,...
+      cells = cells.slice(2);
+    }
+
+    const isHeader =
+      marker === "HEADER" ||
+      (marker !== "DATA" &&
+        normalizeKey(cells[0]) === "clientaccountid" &&
+        cells.some((value) => normalizeKey(value) === "currencyprimary"));
+
+    if (isHeader) {
+      current = {
+        name: sheet.name,
+        startRow: index + 1,
+        headers: cells,
+        rows: [],
+      };
+      sections.push(current);
+      return;
+    }
+    if (!current) return;
+
+    const values = {};
+    current.headers.forEach((header, column) => {
+      if (header) values[header] = cells[column];
+    });
+    current.rows.push({ rowNumber: index + 1, values });
+  });
+
+  return sections;
+};
+
+// <Trade a="1" .../> elements; IBKR writes every field as an attribute
+const readXmlElements = (text, tag) => {
+  const elements = [];
+  const pattern = new RegExp(`<${tag}\\s([^>]*?)/?>`, "g");
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    const values = {};
+    const attributes = /([A-Za-z_][\w.-]*)="([^"]*)"/g;
+    let attribute;
+    while ((attribute = attributes.exec(match[1]))) {
+      values[attribute[1]] = attribute[2]
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&amp;/g, "&");
+    }
+    // Line number of the element, for error reporting
+    const rowNumber = text.slice(0, match.index).split("\n").length;
+    elements.push({ rowNumber, values });
+  }
+
+  return elements;
+};
+
+const parseTime = (record) =>
+  parseDateTime(record.dateTime, record.tradeTime, TIMEZONE);
+
+const parseTrade = (sheetName, rowNumber, record, result) => {
+  const issue = (error, field, value, severity) =>
+    result.issues.push({
+      sheet: sheetName,
+      row: rowNumber,
+      error,
+      field,
+      value,
+      ...(severity && { severity }),
+    });
+
+  if (SUMMARY_DETAIL.test(record.levelOfDetail || "")) return;
+  result.processed += 1;
+
+  const assetClass = (record.assetClass || "STK").toUpperCase();
+  const quantity = parseNumber(record.quantity, DECIMAL_SEPARATOR);
+  const tradePrice = parseNumber(record.price, DECIMAL_SEPARATOR);
+  const time = parseTime(record);
+  const commission = Math.abs(
+    parseNumber(record.commission, DECIMAL_SEPARATOR) || 0
+  );
+  const commissionCurrency = (
+    record.commissionCurrency || record.currency
+  ).toUpperCase();
+
+  if (!time) return issue("Invalid date", "dateTime", record.dateTime);
+  if (!quantity) return issue("Invalid quantity", "quantity", record.quantity);
+
+  if (assetClass === "CASH") {
+    // Forex conversion: symbol "EUR.USD", quantity in the base currency,
+    // proceeds in the quote currency
+    const [base, quote] = (record.symbol || "").toUpperCase().split(".");
+    const proceeds = parseNumber(record.proceeds, DECIMAL_SEPARATOR);
+    if (!base || !quote || !proceeds) {
+      return issue("Unrecognized forex trade", "symbol", record.symbol);
+    }
+
+    const id = record.tradeId || `${record.symbol}:${time.toISOString()}`;
+    const operation = {
+      sheet: sheetName,
+      rowNumber,
+      accountId: record.accountId,
+      type: "currency_conversion",
+      time,
+      comment: record.description || `Forex ${record.symbol}`,
+    };
+    result.cashOperations.push(
+      {
+        ...operation,
+        operationId: `${id}:${base}`,
+        amount: quantity,
+        currency: base,
+      },
+      {
+        ...operation,
+        operationId: `${id}:${quote}`,
+        amount: proceeds,
+        currency: quote,
+      }
+    );
+    if (commission) {
+      result.cashOperations.push({
+        ...operation,
+        operationId: `${id}:commission`,
+        type: "fee",
+        amount: -commission,
+        currency: commissionCurrency,
+        comment: `Commission - ${operation.comment}`,
+      });
+    }
+    return;
+  }
+
+  if (assetClass !== "STK" && assetClass !== "ETF") {
+    return issue(
+      `Unsupported asset class ${assetClass} - only stocks and ETFs are imported`,
+      "assetClass",
+      assetClass,
+      "warning"
+    );
+  }
+  if (!tradePrice || tradePrice <= 0) {
+    return issue("Invalid price", "price", record.price);
+  }
+
+  const { price, currency } = normalizeQuote(tradePrice, record.currency);
+  let tradeCommission = commission;
+  if (commission && commissionCurrency !== record.currency.toUpperCase()) {
+    // Commission charged in the base currency
+    const rate = parseNumber(record.fxRateToBase, DECIMAL_SEPARATOR);
+    if (!rate) {
+      return issue(
+        `Cannot convert ${commission} ${commissionCurrency} commission without FXRateToBase`,
+        "commission",
+        commission
+      );
+    }
+    tradeCommission = commission / rate;
+  }
+  if (record.currency.toUpperCase() === "GBX") tradeCommission /= 100;
+
+  const side =
+    /^sell/i.test(record.side || "") || quantity < 0 ? "sell" : "buy";
+
+  result.trades.push({
+    sheet: sheetName,
+    rowNumber,
+    tradeId:
+      record.tradeId ||
+      [record.symbol, time.toISOString(), quantity, tradePrice].join(":"),
+    accountId: record.accountId,
+    symbol: (record.symbol || "").toUpperCase(),
+    name: record.description,
+    isin: (record.isin || "").toUpperCase(),
+    exchange: record.exchange,
+    side,
+    volume: Math.abs(quantity),
+    price,
+    currency,
+    time,
+    commission: tradeCommission,
+    taxes: Math.abs(parseNumber(record.taxes, DECIMAL_SEPARATOR) || 0),
+  });
+};
+
+const parseCash = (sheetName, rowNumber, record, result) => {
+  const amount = parseNumber(record.amount, DECIMAL_SEPARATOR);
+  if (!amount) return;
+  result.processed += 1;
+
+  const cashType = CASH_TYPES.find(({ pattern }) =>
+    pattern.test(record.type || "")
+  );
+  if (!cashType) {
+    result.issues.push({
+      sheet: sheetName,
+      row: rowNumber,
+      error: `Unsupported cash transaction type: ${record.type}`,
+      field: "type",
+      value: record.type,
+      severity: "warning",
+    });
+    return;
+  }
+
+  const time = parseTime(record);
+  if (!time) {
+    result.issues.push({
+      sheet: sheetName,
+      row: rowNumber,
+      error: "Invalid date",
+      field: "dateTime",
+      value: record.dateTime,
+    });
+    return;
+  }
+
+  result.cashOperations.push({
+    sheet: sheetName,
+    rowNumber,
+    operationId:
+      record.transactionId ||
+      [time.toISOString(), record.type, record.currency, amount].join(":"),
+    accountId: record.accountId,
+    type: cashType.type(amount),
+    time,
+    amount,
+    currency: (record.currency || "").toUpperCase(),
+    symbol: (record.symbol || "").toUpperCase() || undefined,
+    comment: record.description || record.type,
+  });
+};
+
+const parseSection = (section, result) => {
+  const keys = section.rows[0] ? Object.keys(section.rows[0].values) : [];
+  const dataType = isTradeSection(keys)
+    ? "positions"
+    : isCashSection(keys)
+    ? "cash_operations"
+    : null;
+  if (!dataType) return;
+
+  const processedBefore = result.processed;
+  section.rows.forEach(({ rowNumber, values }) => {
+    if (dataType === "positions") {
+      parseTrade(
+        section.name,
+        rowNumber,
+        readFields(values, TRADE_FIELDS),
+        result
+      );
+    } else {
+      parseCash(
+        section.name,
+        rowNumber,
+        readFields(values, CASH_FIELDS),
+        result
+      );
+    }
+  });
+
+  result.sections.push({
+    name: section.name,
+    dataType,
+    rows: result.processed - processedBefore,
+  });
+};
+
+const isFlexXml = (input) =>
+  input.extension === ".xml" &&
+  /<FlexQueryResponse[\s>]/.test(input.text || "");
+
+module.exports = {
+  id: "ibkr",
+  broker: "IBKR",
+  label: "Interactive Brokers Flex Query",
+
+  detect(input) {
+    if (isFlexXml(input)) return true;
+    return input.sheets.some((sheet) =>
+      readCsvSections(sheet).some(
+        (section) =>
+          isTradeSection(section.headers) || isCashSection(section.headers)
+      )
+    );
+  },
+
+  parse(input) {
+    const result = {
+      sections: [],
+      trades: [],
+      cashOperations: [],
+      issues: [],
+      processed: 0,
+    };
+
+    if (isFlexXml(input)) {
+      [
+        { name: "Trades", tag: "Trade" },
+        { name: "CashTransactions", tag: "CashTransaction" },
+      ].forEach(({ name, tag }) => {
+        const rows = readXmlElements(input.text, tag);
+        if (rows.length > 0) parseSection({ name, rows }, result);
+      });
+      return result;
+    }
+
+    input.sheets.forEach((sheet) => {
+      readCsvSections(sheet).forEach((section) =>
+        parseSection(section, result)
+      );
+    });
+    return result;
+  },
+};
@@ -0,0 +1,41 @@
+// utils/brokerFormats/index.js - statement parsers for brokers other than XTB
+//
+// Every format exposes:
+//   id, broker (Portfolio.broker value, null for bank formats such as OFX
+//   that take the portfolio's broker), label
+//   detect(input) -> boolean
+//   parse(input)  -> { sections, trades, cashOperations, issues, processed }
+// where input is { fileName, extension, text, sheets: [{ name, rows }] }.
+// Trades are turned into positions by tradesToPositions (common.js).
+
+const ofx = require("./ofx");
+const qif = require("./qif");
+const ibkr = require("./ibkr");
+const trading212 = require("./trading212");
+const degiro = require("./degiro");
+const mbank = require("./mbank");
+const bossa = require("./bossa");
+const pkobp = require("./pkobp");
+const { tradesToPositions, stableId } = require("./common");
+
+// Checked in this order on auto-detection (most specific headers first)
+const BROKER_FORMATS = [
+  ofx,
+  qif,
+  ibkr,
+  trading212,
+  degiro,
+  pkobp,
+  mbank,
+  bossa,
+];
+
+const getBrokerFormat = (id) =>
+  BROKER_FORMATS.find((format) => format.id === id) || null;
+
+module.exports = {
+  BROKER_FORMATS,
+  getBrokerFormat,
+  tradesToPositions,
+  stableId,
+};
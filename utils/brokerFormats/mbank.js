@@ -0,0 +1,29 @@
+// utils/brokerFormats/mbank.js - mBank eMakler transaction history (CSV)
+const { createTableFormat } = require("./polish");
+
+// "Czas transakcji;Walor;Giełda;K/S;Liczba;Kurs;Waluta;Prowizja;Waluta;Wartość;Waluta"
+const TABLES = {
+  trades: {
+    dataType: "positions",
+    aliases: {
+      date: ["Czas transakcji", "Data transakcji"],
+      symbol: ["Walor"],
+      exchange: ["Giełda"],
+      side: ["K/S"],
+      quantity: ["Liczba"],
+      price: ["Kurs"],
+      currency: ["Waluta"],
+      commission: ["Prowizja"],
+      rate: ["Kurs waluty", "Kurs przeliczeniowy"],
+      orderId: ["Numer zlecenia", "Nr zlecenia"],
+    },
+    required: ["date", "symbol", "side", "quantity", "price"],
+  },
+};
+
+module.exports = {
+  id: "mbank",
+  broker: "MBANK",
+  label: "mBank eMakler",
+  ...createTableFormat(TABLES),
+};
@@ -0,0 +1,367 @@
+// utils/brokerFormats/ofx.js - OFX/QFX bank and investment statements
+// Handles OFX 1.x (SGML, leaf elements without closing tags) and 2.x (XML)
+const { parseNumber, normalizeQuote } = require("./common");
+
+/**
+ * Parse OFX into a tree of { name, value, line, children }.
+ * Leaf elements carry a value; aggregates only children.
+ */
+const parseOfxTree = (text) => {
+  const root = { name: "ROOT", children: [] };
+  const stack = [root];
+  const pattern = /<(\/?)([A-Za-z0-9._]+)[^>]*>([^<]*)/g;
+  let line = 1;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    line += (text.slice(lastIndex, match.index).match(/\n/g) || []).length;
+    lastIndex = match.index;
+
+    const [, closing, rawName, rawValue] = match;
+    const name = rawName.toUpperCase();
+    const parent = stack[stack.length - 1];
+
+    if (closing) {
+      // Closing tag of an aggregate (leaf closing tags are optional)
+      const index = stack.map((node) => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const value = rawValue.trim();
+    if (value) {
+      parent.children.push({
+        name,
+        value: decodeEntities(value),
+        line,
+        children: [],
+      });
+    } else {
+      const node = { name, line, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    }
+  }
+
+  return root;
+};
+
+const decodeEntities = (value) =>
+  value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// All descendants named name (depth first)
+const findAll = (node, name, found = []) => {
+  node.children.forEach((child) => {
+    if (child.name === name) found.push(child);
+    findAll(child, name, found);
+  });
+  return found;
+};
+
+const find = (node, name) => findAll(node, name)[0] || null;
+
+const value = (node, name) => {
+  const child = node && find(node, name);
+  return child && child.value !== undefined ? child.value : "";
+};
+
+/**
+ * OFX date: YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]; without an offset the
+ * specification says GMT
+ * @returns {Date|null}
+ */
+const parseOfxDate = (text) => {
+  const match = String(text || "").match(
+    /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::[^\]]*)?\])?/
+  );
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match
+    .slice(1, 7)
+    .map((part) => Number(part || 0));
+  if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) {
+    return null;
+  }
+
+  const offsetHours = Number(match[7] || 0);
+  return new Date(
+    Date.UTC(year, month - 1, day, hour, minute, second) -
+      offsetHours * 3600 * 1000
+  );
+};
+
+// STMTTRN TRNTYPE -> CashOperation type; others are booked by sign
+const BANK_TRANSACTION_TYPES = {
+  INT: "interest",
+  DIV: "dividend",
+  FEE: "fee",
+  SRVCHG: "fee",
+  DEP: "deposit",
+  DIRECTDEP: "deposit",
+  ATM: "withdrawal",
+  CHECK: "withdrawal",
+};
+
+// INCOME INCOMETYPE -> CashOperation type
+const INCOME_TYPES = {
+  DIV: "dividend",
+  INTEREST: "interest",
+  CGLONG: "dividend",
+  CGSHORT: "dividend",
+  MISC: "adjustment",
+};
+
+const BUY_AGGREGATES = ["BUYSTOCK", "BUYMF", "BUYOTHER", "BUYDEBT", "BUYOPT"];
+const SELL_AGGREGATES = [
+  "SELLSTOCK",
+  "SELLMF",
+  "SELLOTHER",
+  "SELLDEBT",
+  "SELLOPT",
+];
+
+// Transaction currency: CURRENCY/ORIGCURRENCY of the transaction or the
+// statement's CURDEF
+const transactionCurrency = (node, defaultCurrency) =>
+  (
+    value(find(node, "CURRENCY"), "CURSYM") ||
+    value(find(node, "ORIGCURRENCY"), "CURSYM") ||
+    defaultCurrency
+  ).toUpperCase();
+
+const bankOperation = (transaction, context) => {
+  const amount = parseNumber(value(transaction, "TRNAMT"));
+  const type = value(transaction, "TRNTYPE").toUpperCase();
+  let operationType = BANK_TRANSACTION_TYPES[type];
+  if (!operationType) operationType = amount > 0 ? "deposit" : "withdrawal";
+  // Refunded fees, returned interest
+  if (operationType === "fee" && amount > 0) operationType = "adjustment";
+
+  return {
+    operationId: value(transaction, "FITID"),
+    type: operationType,
+    time: parseOfxDate(
+      value(transaction, "DTPOSTED") || value(transaction, "DTUSER")
+    ),
+    amount,
+    currency: transactionCurrency(transaction, context.currency),
+    comment: [value(transaction, "NAME"), value(transaction, "MEMO")]
+      .filter(Boolean)
+      .join(" - "),
+  };
+};
+
+const parseStatement = (statement, sectionName, securities, result) => {
+  const currency = value(statement, "CURDEF");
+  const account =
+    find(statement, "INVACCTFROM") ||
+    find(statement, "BANKACCTFROM") ||
+    find(statement, "CCACCTFROM");
+  const context = { currency, accountId: value(account, "ACCTID") };
+  const processedBefore = result.processed;
+
+  const issue = (node, error, field, fieldValue, severity) =>
+    result.issues.push({
+      sheet: sectionName,
+      row: node.line,
+      error,
+      field,
+      value: fieldValue,
+      ...(severity && { severity }),
+    });
+
+  const pushOperation = (node, operation) => {
+    if (!operation.time) {
+      return issue(node, "Invalid date", "date", value(node, "DTPOSTED"));
+    }
+    if (!operation.amount) {
+      return issue(node, "Invalid amount", "amount", operation.amount);
+    }
+    if (!operation.operationId) {
+      return issue(node, "FITID is required", "FITID", "");
+    }
+    result.cashOperations.push({
+      sheet: sectionName,
+      rowNumber: node.line,
+      accountId: context.accountId,
+      ...operation,
+    });
+  };
+
+  const tranList = find(statement, "INVTRANLIST");
+  // Transaction aggregates; DTSTART/DTEND are leaves of the list itself
+  const transactions = tranList
+    ? tranList.children.filter((node) => node.value === undefined)
+    : [];
+  transactions.forEach((node) => {
+    result.processed += 1;
+    const isBuy = BUY_AGGREGATES.includes(node.name);
+    const isSell = SELL_AGGREGATES.includes(node.name);
+
+    if (isBuy || isSell) {
+      const trade = find(node, isBuy ? "INVBUY" : "INVSELL");
+      const tradeId = value(trade, "FITID");
+      const time = parseOfxDate(value(trade, "DTTRADE"));
+      const units = Math.abs(parseNumber(value(trade, "UNITS")) || 0);
+      const unitPrice = parseNumber(value(trade, "UNITPRICE"));
+      const uniqueId = value(find(trade, "SECID"), "UNIQUEID");
+      const security = securities.get(uniqueId) || {};
+
+      if (!tradeId) return issue(node, "FITID is required", "FITID", "");
+      if (!time) return issue(node, "Invalid trade date", "DTTRADE", "");
+      if (!units)
+        return issue(node, "Invalid units", "UNITS", value(trade, "UNITS"));
+      if (!unitPrice || unitPrice <= 0) {
+        return issue(
+          node,
+          "Invalid unit price",
+          "UNITPRICE",
+          value(trade, "UNITPRICE")
+        );
+      }
+
+      const { price, currency: tradeCurrency } = normalizeQuote(
+        unitPrice,
+        transactionCurrency(trade, currency)
+      );
+      const charges = (name) => Math.abs(parseNumber(value(trade, name)) || 0);
+
+      result.trades.push({
+        sheet: sectionName,
+        rowNumber: node.line,
+        tradeId,
+        accountId: context.accountId,
+        symbol: (security.ticker || uniqueId).toUpperCase(),
+        name: security.name,
+        isin:
+          value(find(trade, "SECID"), "UNIQUEIDTYPE") === "ISIN"
+            ? uniqueId
+            : "",
+        side: isBuy ? "buy" : "sell",
+        volume: units,
+        price,
+        currency: tradeCurrency,
+        time,
+        commission: charges("COMMISSION") + charges("FEES") + charges("LOAD"),
+        taxes: charges("TAXES"),
+      });
+      return;
+    }
+
+    if (node.name === "INCOME") {
+      const uniqueId = value(find(node, "SECID"), "UNIQUEID");
+      const security = securities.get(uniqueId) || {};
+      const incomeType = value(node, "INCOMETYPE").toUpperCase();
+      const operationId = value(node, "FITID");
+      const withholding = Math.abs(
+        parseNumber(value(node, "WITHHOLDING")) || 0
+      );
+      const base = {
+        operationId,
+        time: parseOfxDate(value(node, "DTTRADE") || value(node, "DTSETTLE")),
+        currency: transactionCurrency(node, currency),
+        symbol: security.ticker ? security.ticker.toUpperCase() : undefined,
+        comment: [security.name || uniqueId, value(node, "MEMO") || incomeType]
+          .filter(Boolean)
+          .join(" - "),
+      };
+
+      // TOTAL is net of the tax withheld
+      pushOperation(node, {
+        ...base,
+        type: INCOME_TYPES[incomeType] || "adjustment",
+        amount: (parseNumber(value(node, "TOTAL")) || 0) + withholding,
+      });
+      if (withholding && operationId) {
+        pushOperation(node, {
+          ...base,
+          operationId: `${operationId}:withholding`,
+          type: "withholding_tax",
+          amount: -withholding,
+          comment: `Withholding tax - ${base.comment}`,
+        });
+      }
+      return;
+    }
+
+    if (node.name === "INVBANKTRAN") {
+      const transaction = find(node, "STMTTRN");
+      if (transaction)
+        return pushOperation(node, bankOperation(transaction, context));
+    }
+
+    issue(
+      node,
+      `Unsupported investment transaction: ${node.name}`,
+      "type",
+      node.name,
+      "warning"
+    );
+  });
+
+  const bankList = find(statement, "BANKTRANLIST");
+  (bankList ? findAll(bankList, "STMTTRN") : []).forEach((transaction) => {
+    result.processed += 1;
+    pushOperation(transaction, bankOperation(transaction, context));
+  });
+
+  result.sections.push({
+    name: sectionName,
+    dataType: tranList ? "history" : "cash_operations",
+    rows: result.processed - processedBefore,
+  });
+};
+
+const isOfx = (input) =>
+  [".ofx", ".qfx"].includes(input.extension) ||
+  /<OFX>/i.test((input.text || "").slice(0, 4096));
+
+module.exports = {
+  id: "ofx",
+  // Any institution; positions take the portfolio's broker
+  broker: null,
+  label: "OFX/QFX",
+
+  detect(input) {
+    return Boolean(input.text) && isOfx(input);
+  },
+
+  parse(input) {
+    const result = {
+      sections: [],
+      trades: [],
+      cashOperations: [],
+      issues: [],
+      processed: 0,
+    };
+    const tree = parseOfxTree(input.text);
+
+    // SECLIST maps SECID to ticker and name
+    const securities = new Map();
+    findAll(tree, "SECINFO").forEach((info) => {
+      securities.set(value(find(info, "SECID"), "UNIQUEID"), {
+        ticker: value(info, "TICKER"),
+        name: value(info, "SECNAME"),
+      });
+    });
+
+    [
+      ["INVSTMTRS", "Investment statement"],
+      ["STMTRS", "Bank statement"],
+      ["CCSTMTRS", "Credit card statement"],
+    ].forEach(([tag, label]) => {
+      findAll(tree, tag).forEach((statement, index, statements) => {
+        const name = statements.length > 1 ? `${label} ${index + 1}` : label;
+        parseStatement(statement, name, securities, result);
+      });
+    });
+
+    return result;
+  },
+};
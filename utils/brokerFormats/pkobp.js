@@ -0,0 +1,45 @@
+// utils/brokerFormats/pkobp.js - PKO BP BM account statement (CSV)
+const { createTableFormat } = require("./polish");
+
+// One statement holds the transactions table followed by the cash
+// operations table, each under its own header row
+const TABLES = {
+  trades: {
+    dataType: "positions",
+    aliases: {
+      date: ["Data transakcji", "Data zawarcia"],
+      time: ["Godzina transakcji", "Godzina"],
+      symbol: ["Kod instrumentu", "Symbol", "Instrument"],
+      name: ["Nazwa instrumentu", "Instrument"],
+      isin: ["ISIN", "Kod ISIN"],
+      exchange: ["Rynek", "Giełda"],
+      side: ["Rodzaj transakcji", "Typ transakcji"],
+      quantity: ["Ilość", "Liczba"],
+      price: ["Cena", "Kurs"],
+      currency: ["Waluta"],
+      commission: ["Prowizja"],
+      rate: ["Kurs waluty", "Kurs wymiany"],
+      orderId: ["Numer zlecenia", "Nr zlecenia"],
+      accountId: ["Rachunek", "Numer rachunku"],
+    },
+    required: ["date", "isin", "side", "quantity", "price"],
+  },
+  cash: {
+    dataType: "cash_operations",
+    aliases: {
+      date: ["Data operacji", "Data księgowania"],
+      description: ["Opis operacji", "Tytuł operacji", "Rodzaj operacji"],
+      amount: ["Kwota", "Kwota operacji"],
+      currency: ["Waluta"],
+      symbol: ["Kod instrumentu", "Symbol"],
+    },
+    required: ["date", "description", "amount"],
+  },
+};
+
+module.exports = {
+  id: "pkobp",
+  broker: "PKO",
+  label: "PKO BP BM",
+  ...createTableFormat(TABLES, { multipleTables: true }),
+};
@@ -0,0 +1,355 @@
+// utils/brokerFormats/polish.js - shared parsing for Polish brokerage exports
+// (mBank eMakler, DM BOŚ, PKO BP BM): semicolon CSV in cp1250, decimal
+// commas, DD.MM.YYYY dates and Polish headers
+const {
+  normalizeKey,
+  parseNumber,
+  parseDateTime,
+  normalizeQuote,
+  convertFee,
+  mapColumnsByAliases,
+  cell,
+  isBlankRow,
+} = require("./common");
+
+// Polish brokers report Warsaw local time
+const TIMEZONE = "Europe/Warsaw";
+
+// Decimal commas, with dots or spaces grouping thousands
+const DECIMAL_SEPARATOR = ",";
+
+// Export header rows sit below the account and period details
+const HEADER_SEARCH_ROWS = 30;
+
+const BUY_SIDES = ["k", "kupno", "zakup", "buy"];
+const SELL_SIDES = ["s", "sprzedaż", "sprzedaz", "sell"];
+
+// "K", "Kupno", "SPRZEDAŻ", "Kupno akcji"
+const parseSide = (value) => {
+  const [word] = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/);
+  if (BUY_SIDES.includes(word)) return "buy";
+  if (SELL_SIDES.includes(word)) return "sell";
+  return null;
+};
+
+// Amount columns are followed by their own "Waluta" column
+const amountCurrency = (headerRow, row, index) =>
+  index !== undefined && normalizeKey(headerRow[index + 1]) === "waluta"
+    ? cell(row, index + 1).toUpperCase()
+    : "";
+
+// Section titles and footers between tables ("Operacje gotówkowe", "Suma")
+const isTitleRow = (row) =>
+  row.filter((value) => String(value ?? "").trim() !== "").length < 3;
+
+/**
+ * Header rows of the given tables anywhere in the sheet; a table runs until
+ * the next header row. PKO BP BM statements hold several tables in one file.
+ * @param {Array} rows - Sheet rows
+ * @param {Object} tables - name -> { aliases, required }
+ * @returns {Array} { table, index, end, columns }
+ */
+const findTables = (rows, tables) => {
+  const found = [];
+
+  rows.forEach((row, index) => {
+    Object.entries(tables).forEach(([table, { aliases, required }]) => {
+      const columns = mapColumnsByAliases(row, aliases);
+      if (required.every((field) => columns[field] !== undefined)) {
+        found.push({ table, index, columns });
+      }
+    });
+  });
+
+  return found.map((header, i) => ({
+    ...header,
+    end: i + 1 < found.length ? found[i + 1].index : rows.length,
+  }));
+};
+
+/**
+ * Trades table: date (+ time), symbol or ISIN, side, quantity, price,
+ * currency and commission; the commission is converted to the trade
+ * currency with the table's exchange rate when charged in another one
+ */
+const parseTrades = (sheet, table, result) => {
+  const headerRow = sheet.rows[table.index];
+  const { columns } = table;
+  const occurrences = new Map();
+
+  for (let i = table.index + 1; i < table.end; i++) {
+    const row = sheet.rows[i];
+    if (isBlankRow(row) || isTitleRow(row)) continue;
+
+    const rowNumber = i + 1;
+    const issue = (error, field, value, severity) =>
+      result.issues.push({
+        sheet: sheet.name,
+        row: rowNumber,
+        error,
+        field,
+        value,
+        ...(severity && { severity }),
+      });
+    result.processed += 1;
+
+    const sideValue = cell(row, columns.side);
+    const side = parseSide(sideValue);
+    if (!side) {
+      issue(
+        `Unsupported transaction: ${sideValue}`,
+        "side",
+        sideValue,
+        "warning"
+      );
+      continue;
+    }
+
+    const time = parseDateTime(
+      cell(row, columns.date),
+      cell(row, columns.time),
+      TIMEZONE
+    );
+    const quantity = Math.abs(
+      parseNumber(cell(row, columns.quantity), DECIMAL_SEPARATOR) || 0
+    );
+    const rawPrice = parseNumber(cell(row, columns.price), DECIMAL_SEPARATOR);
+    const isin = cell(row, columns.isin).toUpperCase();
+    const code = cell(row, columns.symbol).toUpperCase().replace(/\s+/g, "");
+    // Full instrument names do not fit a symbol; fall back to the ISIN
+    const symbol = code && (code.length <= 12 || !isin) ? code : isin;
+
+    if (!time) {
+      issue("Invalid date", "date", cell(row, columns.date));
+      continue;
+    }
+    if (!symbol) {
+      issue("Instrument is required", "symbol", "");
+      continue;
+    }
+    if (!quantity) {
+      issue("Invalid quantity", "quantity", cell(row, columns.quantity));
+      continue;
+    }
+    if (!rawPrice || rawPrice <= 0) {
+      issue("Invalid price", "price", cell(row, columns.price));
+      continue;
+    }
+
+    const quoteCurrency =
+      amountCurrency(headerRow, row, columns.price) ||
+      cell(row, columns.currency).toUpperCase() ||
+      "PLN";
+    const { price, currency } = normalizeQuote(rawPrice, quoteCurrency);
+
+    // Exchange rate is PLN per unit of the trade currency
+    const fee = Math.abs(
+      parseNumber(cell(row, columns.commission), DECIMAL_SEPARATOR) || 0
+    );
+    const feeCurrency =
+      amountCurrency(headerRow, row, columns.commission) ||
+      cell(row, columns.commissionCurrency).toUpperCase() ||
+      quoteCurrency;
+    const rate = parseNumber(cell(row, columns.rate), DECIMAL_SEPARATOR);
+    const commission = convertFee(
+      fee,
+      feeCurrency,
+      quoteCurrency,
+      rate ? 1 / rate : null
+    );
+    if (commission === null) {
+      issue(
+        `Cannot convert ${fee} ${feeCurrency} commission to ${currency} without an exchange rate`,
+        "commission",
+        fee
+      );
+      continue;
+    }
+
+    // Fills of one order in the same second are separate rows
+    const orderId = cell(row, columns.orderId);
+    const key =
+      orderId ||
+      [symbol, time.toISOString(), side, quantity, rawPrice].join(":");
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+
+    result.trades.push({
+      sheet: sheet.name,
+      rowNumber,
+      tradeId: `${key}:${occurrence}`,
+      accountId: cell(row, columns.accountId) || undefined,
+      symbol,
+      name: cell(row, columns.name) || undefined,
+      isin,
+      exchange: cell(row, columns.exchange),
+      side,
+      volume: quantity,
+      price,
+      currency,
+      time,
+      commission,
+    });
+  }
+};
+
+// Cash history descriptions, checked in order
+const CASH_OPERATIONS = [
+  {
+    pattern: /podatek.*dywidend|dywidend.*podatek|podatek u źródła|wht/i,
+    type: () => "withholding_tax",
+  },
+  { pattern: /dywidend/i, type: () => "dividend" },
+  { pattern: /podatek/i, type: () => "tax" },
+  { pattern: /odsetki|oprocentowanie/i, type: () => "interest" },
+  {
+    pattern: /opłata|prowizja/i,
+    type: (amount) => (amount > 0 ? "adjustment" : "fee"),
+  },
+  {
+    pattern: /wpłata|przelew przychodzący|uznanie/i,
+    type: () => "deposit",
+  },
+  {
+    pattern: /wypłata|przelew wychodzący|obciążenie/i,
+    type: () => "withdrawal",
+  },
+  {
+    pattern: /przewalutowanie|wymiana walut/i,
+    type: () => "currency_conversion",
+  },
+];
+
+// Settlements of trades imported from the trades table
+const IGNORED_OPERATIONS =
+  /rozliczenie transakcji|zakup papierów|sprzedaż papierów|kupno akcji|sprzedaż akcji|blokada/i;
+
+/**
+ * Cash history table: date, description, signed amount and currency
+ */
+const parseCashOperations = (sheet, table, result) => {
+  const headerRow = sheet.rows[table.index];
+  const { columns } = table;
+  const occurrences = new Map();
+
+  for (let i = table.index + 1; i < table.end; i++) {
+    const row = sheet.rows[i];
+    if (isBlankRow(row) || isTitleRow(row)) continue;
+
+    const rowNumber = i + 1;
+    const description = cell(row, columns.description);
+    const amount = parseNumber(cell(row, columns.amount), DECIMAL_SEPARATOR);
+    if (!amount || IGNORED_OPERATIONS.test(description)) continue;
+
+    result.processed += 1;
+    const operation = CASH_OPERATIONS.find(({ pattern }) =>
+      pattern.test(description)
+    );
+    if (!operation) {
+      result.issues.push({
+        sheet: sheet.name,
+        row: rowNumber,
+        error: `Unsupported cash operation: ${description}`,
+        field: "description",
+        value: description,
+        severity: "warning",
+      });
+      continue;
+    }
+
+    const time = parseDateTime(
+      cell(row, columns.date),
+      cell(row, columns.time),
+      TIMEZONE
+    );
+    if (!time) {
+      result.issues.push({
+        sheet: sheet.name,
+        row: rowNumber,
+        error: "Invalid date",
+        field: "date",
+        value: cell(row, columns.date),
+      });
+      continue;
+    }
+
+    const currency =
+      amountCurrency(headerRow, row, columns.amount) ||
+      cell(row, columns.currency).toUpperCase() ||
+      "PLN";
+    const key = [time.toISOString(), description, currency, amount].join(":");
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+
+    result.cashOperations.push({
+      sheet: sheet.name,
+      rowNumber,
+      operationId: `${key}:${occurrence}`,
+      type: operation.type(amount),
+      time,
+      amount,
+      currency,
+      symbol: cell(row, columns.symbol).toUpperCase() || undefined,
+      comment: description,
+    });
+  }
+};
+
+// Tables of a sheet: all of them, or the first one found among the top rows
+const locateTables = (sheet, tables, multipleTables) => {
+  if (multipleTables) return findTables(sheet.rows, tables);
+
+  const [first] = findTables(sheet.rows.slice(0, HEADER_SEARCH_ROWS), tables);
+  return first ? [{ ...first, end: sheet.rows.length }] : [];
+};
+
+/**
+ * detect/parse for an export made of trade and cash tables
+ * @param {Object} tables - name -> { aliases, required, dataType }
+ * @param {Object} options - multipleTables: tables follow each other in one sheet
+ * @returns {Object} { detect(input), parse(input) }
+ */
+const createTableFormat = (tables, { multipleTables = false } = {}) => ({
+  detect(input) {
+    return input.sheets.some(
+      (sheet) => locateTables(sheet, tables, multipleTables).length > 0
+    );
+  },
+
+  parse(input) {
+    const result = {
+      sections: [],
+      trades: [],
+      cashOperations: [],
+      issues: [],
+      processed: 0,
+    };
+
+    input.sheets.forEach((sheet) => {
+      locateTables(sheet, tables, multipleTables).forEach((table) => {
+        const { dataType } = tables[table.table];
+        const processedBefore = result.processed;
+
+        if (dataType === "positions") parseTrades(sheet, table, result);
+        else parseCashOperations(sheet, table, result);
+
+        result.sections.push({
+          name: sheet.name,
+          dataType,
+          rows: result.processed - processedBefore,
+        });
+      });
+    });
+
+    return result;
+  },
+});
+
+module.exports = {
+  TIMEZONE,
+  parseSide,
+  createTableFormat,
+};
@@ -0,0 +1,296 @@
+// utils/brokerFormats/qif.js - Quicken Interchange Format (bank, cash and
+// investment accounts)
+const { parseNumber } = require("./common");
+
+// Bank/cash account categories (L field) that name the operation type
+const CATEGORY_TYPES = [
+  { pattern: /dividend|dywidend/i, type: "dividend" },
+  { pattern: /interest|odsetki/i, type: "interest" },
+  { pattern: /fee|charge|commission|opłat|prowizj/i, type: "fee" },
+  { pattern: /tax|podatek/i, type: "tax" },
+];
+
+// !Type:Invst actions (N field); X suffix means cash moved to another account
+const INVESTMENT_ACTIONS = {
+  buy: "buy",
+  buyx: "buy",
+  sell: "sell",
+  sellx: "sell",
+  div: "dividend",
+  divx: "dividend",
+  cgshort: "dividend",
+  cgshortx: "dividend",
+  cglong: "dividend",
+  cglongx: "dividend",
+  intinc: "interest",
+  intincx: "interest",
+  miscinc: "adjustment",
+  miscincx: "adjustment",
+  miscexp: "fee",
+  miscexpx: "fee",
+  xin: "deposit",
+  xout: "withdrawal",
+  contribx: "deposit",
+  withdrwx: "withdrawal",
+};
+
+const CASH_SECTIONS = ["bank", "cash", "ccard", "oth a", "oth l"];
+
+/**
+ * QIF date: M/D/Y with "/" or "'" before the year (Quicken US), D.M.Y
+ * (European exports) or ISO; two-digit years are 20xx
+ * @returns {Date|null} Midnight UTC of that day
+ */
+const parseQifDate = (text) => {
+  const value = String(text || "").trim();
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [year, month, day] = match.slice(1).map(Number);
+  } else if ((match = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})$/))) {
+    [day, month, year] = match.slice(1).map(Number);
+  } else if (
+    (match = value.match(/^(\d{1,2})\/\s*(\d{1,2})\s*['/-]\s*(\d{2,4})$/))
+  ) {
+    [month, day, year] = match.slice(1).map(Number);
+    // Day first when the month cannot be one
+    if (month > 12) [month, day] = [day, month];
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Split QIF text into sections ({ type, records }) of records
+ * ({ line, fields: { D: [...], T: [...] } }); records end with "^"
+ */
+const readQif = (text) => {
+  const sections = [];
+  let section = null;
+  let record = null;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith("!")) {
+      const type = line.match(/^!Type:(.+)$/i);
+      if (type) {
+        const label = type[1].trim();
+        section = { type: label.toLowerCase(), label, records: [] };
+        sections.push(section);
+      } else {
+        // !Account, !Option:... headers switch off the current section
+        section = null;
+      }
+      record = null;
+      return;
+    }
+    if (!section) return;
+
+    if (line === "^") {
+      record = null;
+      return;
+    }
+    if (!record) {
+      record = { line: index + 1, fields: {} };
+      section.records.push(record);
+    }
+
+    const code = line[0];
+    record.fields[code] = record.fields[code] || [];
+    record.fields[code].push(line.slice(1).trim());
+  });
+
+  return sections;
+};
+
+const field = (record, code) => (record.fields[code] || [""])[0];
+
+// Stable ID for a record without one: content plus occurrence in the file
+const recordId = (occurrences, parts) => {
+  const key = parts.join(":");
+  const occurrence = (occurrences.get(key) || 0) + 1;
+  occurrences.set(key, occurrence);
+  return `${key}:${occurrence}`;
+};
+
+const isQif = (input) =>
+  input.extension === ".qif" ||
+  /^\s*!Type:/i.test((input.text || "").slice(0, 1024));
+
+module.exports = {
+  id: "qif",
+  // Any institution; positions take the portfolio's broker
+  broker: null,
+  label: "QIF",
+
+  detect(input) {
+    return Boolean(input.text) && isQif(input);
+  },
+
+  parse(input) {
+    const result = {
+      sections: [],
+      trades: [],
+      cashOperations: [],
+      issues: [],
+      processed: 0,
+    };
+    const sections = readQif(input.text);
+    const occurrences = new Map();
+
+    // !Type:Security lists name -> ticker
+    const tickers = new Map();
+    sections
+      .filter((section) => section.type === "security")
+      .forEach((section) =>
+        section.records.forEach((record) => {
+          tickers.set(field(record, "N").toLowerCase(), field(record, "S"));
+        })
+      );
+
+    const accounts = sections.filter(
+      (section) =>
+        section.type === "invst" || CASH_SECTIONS.includes(section.type)
+    );
+    accounts.forEach((section, index) => {
+      const isInvestment = section.type === "invst";
+      // One section per account in multi-account exports
+      const name =
+        accounts.length > 1 ? `${section.label} ${index + 1}` : section.label;
+      const processedBefore = result.processed;
+
+      section.records.forEach((record) => {
+        result.processed += 1;
+        const issue = (error, fieldName, value, severity) =>
+          result.issues.push({
+            sheet: name,
+            row: record.line,
+            error,
+            field: fieldName,
+            value,
+            ...(severity && { severity }),
+          });
+
+        const time = parseQifDate(field(record, "D"));
+        if (!time) return issue("Invalid date", "D", field(record, "D"));
+
+        const amount = parseNumber(field(record, "T") || field(record, "U"));
+        const memo = [field(record, "P"), field(record, "M")]
+          .filter(Boolean)
+          .join(" - ");
+
+        if (!isInvestment) {
+          if (!amount) return issue("Invalid amount", "T", field(record, "T"));
+          const category = field(record, "L");
+          const categoryType = CATEGORY_TYPES.find(({ pattern }) =>
+            pattern.test(category)
+          );
+          let type = categoryType
+            ? categoryType.type
+            : amount > 0
+            ? "deposit"
+            : "withdrawal";
+          if (type === "fee" && amount > 0) type = "adjustment";
+
+          result.cashOperations.push({
+            sheet: name,
+            rowNumber: record.line,
+            operationId: recordId(occurrences, [
+              time.toISOString(),
+              amount,
+              memo,
+              category,
+            ]),
+            type,
+            time,
+            amount,
+            comment: memo || category,
+          });
+          return;
+        }
+
+        const action = field(record, "N");
+        const type = INVESTMENT_ACTIONS[action.toLowerCase()];
+        if (!type) {
+          return issue(`Unsupported action: ${action}`, "N", action, "warning");
+        }
+
+        const security = field(record, "Y");
+        const symbol = (
+          tickers.get(security.toLowerCase()) || security
+        ).toUpperCase();
+
+        if (type === "buy" || type === "sell") {
+          const quantity = Math.abs(parseNumber(field(record, "Q")) || 0);
+          const price = parseNumber(field(record, "I"));
+          if (!symbol) return issue("Security is required", "Y", "");
+          if (symbol.length > 12) {
+            return issue("Security has no symbol in the file", "Y", security);
+          }
+          if (!quantity)
+            return issue("Invalid quantity", "Q", field(record, "Q"));
+          if (!price || price <= 0) {
+            return issue("Invalid price", "I", field(record, "I"));
+          }
+
+          result.trades.push({
+            sheet: name,
+            rowNumber: record.line,
+            tradeId: recordId(occurrences, [
+              time.toISOString(),
+              action,
+              symbol,
+              quantity,
+              price,
+            ]),
+            symbol,
+            name: security,
+            side: type,
+            volume: quantity,
+            price,
+            time,
+            commission: Math.abs(parseNumber(field(record, "O")) || 0),
+          });
+          return;
+        }
+
+        if (!amount) return issue("Invalid amount", "T", field(record, "T"));
+        result.cashOperations.push({
+          sheet: name,
+          rowNumber: record.line,
+          operationId: recordId(occurrences, [
+            time.toISOString(),
+            action,
+            symbol,
+            amount,
+          ]),
+          type,
+          time,
+          // Amounts are unsigned; the action gives the direction
+          amount: ["withdrawal", "fee"].includes(type)
+            ? -Math.abs(amount)
+            : Math.abs(amount),
+          symbol: symbol && symbol.length <= 12 ? symbol : undefined,
+          comment: [action, security, memo].filter(Boolean).join(" - "),
+        });
+      });
+
+      result.sections.push({
+        name,
+        dataType: isInvestment ? "history" : "cash_operations",
+        rows: result.processed - processedBefore,
+      });
+    });
+
+    return result;
+  },
+};
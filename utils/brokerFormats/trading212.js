@@ -0,0 +1,344 @@
+// utils/brokerFormats/trading212.js - Trading 212 history export (CSV)
+const {
+  parseNumber,
+  parseDateTime,
+  normalizeQuote,
+  convertFee,
+  mapColumnsByAliases,
+  findAliasHeader,
+  cell,
+  isBlankRow,
+} = require("./common");
+
+// History exports are in UTC
+const TIMEZONE = "UTC";
+
+// Decimal points, with commas grouping thousands
+const DECIMAL_SEPARATOR = ".";
+
+const COLUMNS = {
+  action: ["Action"],
+  time: ["Time"],
+  isin: ["ISIN"],
+  ticker: ["Ticker"],
+  name: ["Name"],
+  notes: ["Notes"],
+  id: ["ID"],
+  shares: ["No. of shares"],
+  price: ["Price / share"],
+  priceCurrency: ["Currency (Price / share)"],
+  rate: ["Exchange rate"],
+  total: ["Total"],
+  totalCurrency: ["Currency (Total)"],
+  withholdingTax: ["Withholding tax"],
+  withholdingTaxCurrency: ["Currency (Withholding tax)"],
+  conversionFrom: ["Currency conversion from amount"],
+  conversionFromCurrency: ["Currency (Currency conversion from amount)"],
+  conversionTo: ["Currency conversion to amount"],
+  conversionToCurrency: ["Currency (Currency conversion to amount)"],
+};
+
+// Per-trade charges: [amount column, currency column]; commissions add to
+// the cost basis, stamp duty and FTT are taxes
+const COMMISSION_COLUMNS = [
+  ["Currency conversion fee", "Currency (Currency conversion fee)"],
+  ["Transaction fee", "Currency (Transaction fee)"],
+  ["Finra fee", "Currency (Finra fee)"],
+];
+const TAX_COLUMNS = [
+  ["Stamp duty reserve tax", "Currency (Stamp duty reserve tax)"],
+  ["Stamp duty", "Currency (Stamp duty)"],
+  ["French transaction tax", "Currency (French transaction tax)"],
+];
+
+const TRADE_ACTION = /^(market|limit|stop|stop limit) (buy|sell)$/i;
+
+const CASH_ACTIONS = [
+  { pattern: /^deposit$/i, type: "deposit" },
+  { pattern: /^withdrawal$/i, type: "withdrawal" },
+  { pattern: /interest on cash|lending interest/i, type: "interest" },
+  { pattern: /^card debit$/i, type: "withdrawal" },
+  { pattern: /cashback/i, type: "bonus" },
+  { pattern: /result adjustment/i, type: "adjustment" },
+];
+
+// "0.01 GBP -> 0.01 EUR"
+const CONVERSION_NOTE = /([\d.,]+)\s*([A-Z]{3})\s*->\s*([\d.,]+)\s*([A-Z]{3})/;
+
+const findHeader = (rows) =>
+  findAliasHeader(rows, COLUMNS, ["action", "time", "total"]);
+
+// Sum of charge columns present in the file, in the trade currency
+const sumCharges = (headerRow, row, pairs, tradeCurrency, rate) => {
+  let total = 0;
+  for (const [amountHeader, currencyHeader] of pairs) {
+    const columns = mapColumnsByAliases(headerRow, {
+      amount: [amountHeader],
+      currency: [currencyHeader],
+    });
+    const amount = Math.abs(
+      parseNumber(cell(row, columns.amount), DECIMAL_SEPARATOR) || 0
+    );
+    const converted = convertFee(
+      amount,
+      cell(row, columns.currency),
+      tradeCurrency,
+      rate
+    );
+    if (converted === null) return { error: `${amountHeader} ${amount}` };
+    total += converted;
+  }
+  return { total };
+};
+
+const parseSheet = (sheet, header, result) => {
+  const headerRow = sheet.rows[header.index];
+  const { columns } = header;
+
+  for (let i = header.index + 1; i < sheet.rows.length; i++) {
+    const row = sheet.rows[i];
+    if (isBlankRow(row)) continue;
+
+    const rowNumber = i + 1;
+    const issue = (error, field, value, severity) =>
+      result.issues.push({
+        sheet: sheet.name,
+        row: rowNumber,
+        error,
+        field,
+        value,
+        ...(severity && { severity }),
+      });
+    result.processed += 1;
+
+    const action = cell(row, columns.action);
+    const time = parseDateTime(cell(row, columns.time), null, TIMEZONE);
+    if (!time) {
+      issue("Invalid date", "time", cell(row, columns.time));
+      continue;
+    }
+
+    const id = cell(row, columns.id);
+    const total = parseNumber(cell(row, columns.total), DECIMAL_SEPARATOR) || 0;
+    const totalCurrency = cell(row, columns.totalCurrency).toUpperCase();
+    const rate = parseNumber(cell(row, columns.rate), DECIMAL_SEPARATOR);
+    const symbol = cell(row, columns.ticker).toUpperCase();
+    const name = cell(row, columns.name);
+    const operationId =
+      id || [action, time.toISOString(), total, totalCurrency].join(":");
+    const operation = {
+      sheet: sheet.name,
+      rowNumber,
+      operationId,
+      time,
+      currency: totalCurrency,
+      symbol: symbol || undefined,
+    };
+
+    const tradeMatch = action.match(TRADE_ACTION);
+    if (tradeMatch) {
+      const shares = parseNumber(cell(row, columns.shares), DECIMAL_SEPARATOR);
+      const rawPrice = parseNumber(cell(row, columns.price), DECIMAL_SEPARATOR);
+      const priceCurrency = cell(row, columns.priceCurrency);
+
+      if (!shares || shares <= 0) {
+        issue("Invalid number of shares", "shares", cell(row, columns.shares));
+        continue;
+      }
+      if (!rawPrice || rawPrice <= 0) {
+        issue("Invalid price", "price", cell(row, columns.price));
+        continue;
+      }
+
+      const { price, currency } = normalizeQuote(rawPrice, priceCurrency);
+      const commission = sumCharges(
+        headerRow,
+        row,
+        COMMISSION_COLUMNS,
+        priceCurrency,
+        rate
+      );
+      const taxes = sumCharges(
+        headerRow,
+        row,
+        TAX_COLUMNS,
+        priceCurrency,
+        rate
+      );
+      const chargeError = commission.error || taxes.error;
+      if (chargeError) {
+        issue(
+          `Cannot convert ${chargeError} to ${currency} without an exchange rate`,
+          "rate",
+          cell(row, columns.rate)
+        );
+        continue;
+      }
+
+      result.trades.push({
+        sheet: sheet.name,
+        rowNumber,
+        tradeId: operationId,
+        symbol: symbol || cell(row, columns.isin).toUpperCase(),
+        name,
+        isin: cell(row, columns.isin).toUpperCase(),
+        side: tradeMatch[2].toLowerCase(),
+        volume: shares,
+        price,
+        currency,
+        time,
+        commission: commission.total,
+        taxes: taxes.total,
+      });
+      continue;
+    }
+
+    if (/^dividend/i.test(action)) {
+      // Total is net in the account currency; withholding tax is in the
+      // instrument currency
+      const tax = Math.abs(
+        parseNumber(cell(row, columns.withholdingTax), DECIMAL_SEPARATOR) || 0
+      );
+      const taxCurrency = cell(
+        row,
+        columns.withholdingTaxCurrency
+      ).toUpperCase();
+      let taxInTotal = 0;
+      if (tax) {
+        taxInTotal =
+          taxCurrency === totalCurrency ? tax : rate > 0 ? tax / rate : null;
+      }
+      if (taxInTotal === null) {
+        issue(
+          "Cannot convert withholding tax without an exchange rate",
+          "withholdingTax",
+          tax
+        );
+        continue;
+      }
+
+      const comment = [name, action].filter(Boolean).join(" - ");
+      result.cashOperations.push({
+        ...operation,
+        type: "dividend",
+        amount: total + taxInTotal,
+        comment,
+      });
+      if (taxInTotal) {
+        result.cashOperations.push({
+          ...operation,
+          operationId: `${operationId}:tax`,
+          type: "withholding_tax",
+          amount: -taxInTotal,
+          comment: `Withholding tax - ${comment}`,
+        });
+      }
+      continue;
+    }
+
+    if (/currency conversion/i.test(action)) {
+      let from = parseNumber(
+        cell(row, columns.conversionFrom),
+        DECIMAL_SEPARATOR
+      );
+      let fromCurrency = cell(
+        row,
+        columns.conversionFromCurrency
+      ).toUpperCase();
+      let to = parseNumber(cell(row, columns.conversionTo), DECIMAL_SEPARATOR);
+      let toCurrency = cell(row, columns.conversionToCurrency).toUpperCase();
+      const note = cell(row, columns.notes).match(CONVERSION_NOTE);
+      if ((!from || !to) && note) {
+        from = parseNumber(note[1], DECIMAL_SEPARATOR);
+        fromCurrency = note[2];
+        to = parseNumber(note[3], DECIMAL_SEPARATOR);
+        toCurrency = note[4];
+      }
+      if (!from || !to || !fromCurrency || !toCurrency) {
+        issue(
+          "Unrecognized currency conversion",
+          "notes",
+          cell(row, columns.notes)
+        );
+        continue;
+      }
+
+      const comment = `Currency conversion ${fromCurrency} -> ${toCurrency}`;
+      result.cashOperations.push(
+        {
+          ...operation,
+          operationId: `${operationId}:from`,
+          type: "currency_conversion",
+          amount: -Math.abs(from),
+          currency: fromCurrency,
+          comment,
+        },
+        {
+          ...operation,
+          operationId: `${operationId}:to`,
+          type: "currency_conversion",
+          amount: Math.abs(to),
+          currency: toCurrency,
+          comment,
+        }
+      );
+      continue;
+    }
+
+    const cashAction = CASH_ACTIONS.find(({ pattern }) => pattern.test(action));
+    if (!cashAction) {
+      issue(`Unsupported action: ${action}`, "action", action, "warning");
+      continue;
+    }
+    if (!total) {
+      issue("Invalid total", "total", cell(row, columns.total));
+      continue;
+    }
+
+    result.cashOperations.push({
+      ...operation,
+      type: cashAction.type,
+      // Withdrawals are exported as positive or negative depending on version
+      amount: cashAction.type === "withdrawal" ? -Math.abs(total) : total,
+      comment: [action, cell(row, columns.notes) || name]
+        .filter(Boolean)
+        .join(" - "),
+    });
+  }
+};
+
+module.exports = {
+  id: "trading212",
+  broker: "TRADING212",
+  label: "Trading 212",
+
+  detect(input) {
+    return input.sheets.some((sheet) => findHeader(sheet.rows));
+  },
+
+  parse(input) {
+    const result = {
+      sections: [],
+      trades: [],
+      cashOperations: [],
+      issues: [],
+      processed: 0,
+    };
+
+    input.sheets.forEach((sheet) => {
+      const header = findHeader(sheet.rows);
+      if (!header) return;
+
+      const processedBefore = result.processed;
+      parseSheet(sheet, header, result);
+      // One history file mixes trades and cash operations
+      result.sections.push({
+        name: sheet.name,
+        dataType: "history",
+        rows: result.processed - processedBefore,
+      });
+    });
+
+    return result;
+  },
+};
@@ -0,0 +1,199 @@
+/**
+ * Credential Vault Utility
+ * Envelope encryption of broker API credentials (AES-256-GCM)
+ *
+ * Every portfolio gets its own random data key; the secrets are encrypted
+ * with it and the data key itself is encrypted ("wrapped") with the master
+ * key from the environment. Records keep the master key version they were
+ * wrapped with, so a new master key can be rolled out and old records
+ * re-wrapped with utils/rotateCredentialKeys.js.
+ *
+ * CREDENTIAL_MASTER_KEY          current master key, 32 bytes as hex or base64
+ * CREDENTIAL_MASTER_KEY_VERSION  its version (default 1)
+ * CREDENTIAL_RETIRED_KEYS        older keys still needed for decryption,
+ *                                "<version>:<key>,<version>:<key>"
+ */
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Encrypted values are "enc:<iv>:<auth tag>:<ciphertext>" in base64
+const PREFIX = "enc:";
+
+// Credential fields stored encrypted
+const SECRET_FIELDS = ["apiKey", "secretKey", "passphrase"];
+
+// Object keys whose values never reach logs or responses
+const REDACTED_KEYS = new Set(
+  [
+    ...SECRET_FIELDS,
+    "password",
+    "dataKey",
+    "authorization",
+    "X-MBX-APIKEY",
+    "X-BAPI-API-KEY",
+  ].map((key) => key.toLowerCase())
+);
+const REDACTED = "[REDACTED]";
+
+const parseKey = (value, name) => {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${name} must be ${KEY_BYTES} bytes (hex or base64)`);
+  }
+  return key;
+};
+
+const currentKeyVersion = () =>
+  Number(process.env.CREDENTIAL_MASTER_KEY_VERSION) || 1;
+
+/**
+ * Master key of a version: the current one or a retired one
+ * @param {number} version - Key version of a record
+ * @returns {Buffer} 32-byte key
+ */
+const getMasterKey = (version = currentKeyVersion()) => {
+  if (version === currentKeyVersion()) {
+    if (!process.env.CREDENTIAL_MASTER_KEY) {
+      throw new Error(
+        "CREDENTIAL_MASTER_KEY is not set; broker credentials cannot be stored"
+      );
+    }
+    return parseKey(process.env.CREDENTIAL_MASTER_KEY, "CREDENTIAL_MASTER_KEY");
+  }
+
+  const retired = (process.env.CREDENTIAL_RETIRED_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim().split(":"))
+    .find(([entryVersion]) => Number(entryVersion) === version);
+
+  if (!retired) {
+    throw new Error(`Master key version ${version} is not configured`);
+  }
+  return parseKey(retired[1], `Retired master key ${version}`);
+};
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+const encryptValue = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return `${PREFIX}${[iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64"))
+    .join(":")}`;
+};
+
+const decryptValue = (key, value) => {
+  const [iv, tag, data] = value
+    .slice(PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+/**
+ * Encrypt credentials under a new data key
+ * @param {Object} credentials - Plaintext apiKey, secretKey, passphrase
+ * @returns {Object} Encrypted fields with dataKey and keyVersion (both
+ *   unset when there are no secrets)
+ */
+const encryptCredentials = (credentials = {}) => {
+  const secrets = SECRET_FIELDS.filter((field) => credentials[field]);
+  if (secrets.length === 0) {
+    return { dataKey: undefined, keyVersion: undefined };
+  }
+
+  const keyVersion = currentKeyVersion();
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const encrypted = {
+    dataKey: encryptValue(getMasterKey(keyVersion), dataKey),
+    keyVersion,
+  };
+
+  for (const field of SECRET_FIELDS) {
+    encrypted[field] = credentials[field]
+      ? encryptValue(dataKey, String(credentials[field]))
+      : undefined;
+  }
+  return encrypted;
+};
+
+/**
+ * Decrypt stored credentials. Values saved before encryption was
+ * introduced (no keyVersion) are returned as they are.
+ * @param {Object} stored - apiCredentials with dataKey and keyVersion
+ * @returns {Object} Plaintext apiKey, secretKey, passphrase
+ */
+const decryptCredentials = (stored = {}) => {
+  const credentials = {};
+  const encrypted = SECRET_FIELDS.filter((field) => isEncrypted(stored[field]));
+
+  let dataKey = null;
+  if (encrypted.length > 0) {
+    if (!stored.dataKey || !stored.keyVersion) {
+      throw new Error("Encrypted credentials have no data key");
+    }
+    dataKey = decryptValue(getMasterKey(stored.keyVersion), stored.dataKey);
+  }
+
+  for (const field of SECRET_FIELDS) {
+    if (!stored[field]) continue;
+    credentials[field] = isEncrypted(stored[field])
+      ? decryptValue(dataKey, stored[field]).toString("utf8")
+      : stored[field];
+  }
+  return credentials;
+};
+
+/**
+ * Copy of a value with secret keys (credentials, passwords, auth headers)
+ * replaced, for logs and error responses
+ */
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redactSecrets(entry),
+    ])
+  );
+};
+
+/**
+ * Text with the given secret values replaced, for broker error messages
+ * @param {string} text - Message to clean
+ * @param {Object} credentials - Plaintext credentials that must not appear
+ */
+const redactText = (text, credentials = {}) =>
+  SECRET_FIELDS.map((field) => credentials[field])
+    .filter((secret) => secret && String(secret).length >= 4)
+    .reduce(
+      (result, secret) => result.split(String(secret)).join(REDACTED),
+      String(text)
+    );
+
+module.exports = {
+  SECRET_FIELDS,
+  currentKeyVersion,
+  getMasterKey,
+  isEncrypted,
+  encryptCredentials,
+  decryptCredentials,
+  redactSecrets,
+  redactText,
+};
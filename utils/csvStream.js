@@ -0,0 +1,181 @@
+/**
+ * CSV Stream Utility
+ * Reads CSV files in batches of whole records, so large statements are never
+ * held in memory as one string or one workbook
+ */
+
+const fs = require("fs");
+const XLSX = require("xlsx");
+
+// Sheet name XLSX gives a CSV file; column mappings are keyed by it
+const CSV_SHEET_NAME = "Sheet1";
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// Delimiter candidates, counted like XLSX does in the first 1024 characters
+const DELIMITERS = [",", ";", "\t", "|"];
+const DELIMITER_SAMPLE_LENGTH = 1024;
+
+/**
+ * UTF-8 when the first chunk decodes as UTF-8, otherwise cp1250 (Polish
+ * broker exports); a cut multi-byte character at the chunk end is allowed
+ * @param {Buffer} chunk - Start of the file
+ * @param {boolean} isWholeFile - Chunk holds the whole file
+ * @returns {string} TextDecoder encoding label
+ */
+const detectEncoding = (chunk, isWholeFile) => {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(chunk, {
+      stream: !isWholeFile,
+    });
+    return "utf-8";
+  } catch (error) {
+    return "windows-1250";
+  }
+};
+
+/**
+ * Most frequent delimiter outside quotes at the start of the file
+ * @param {string} text - Start of the file
+ * @returns {string} Delimiter
+ */
+const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(DELIMITERS.map((char) => [char, 0]));
+  let inQuotes = false;
+
+  for (const char of text.slice(0, DELIMITER_SAMPLE_LENGTH)) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char in counts) counts[char] += 1;
+  }
+
+  return DELIMITERS.reduce((best, char) =>
+    counts[char] > counts[best] ? char : best
+  );
+};
+
+/**
+ * Parse CSV records with XLSX, the same way XLSX.readFile reads a CSV file
+ * @param {string} text - Whole records
+ * @param {number} count - Records in text (XLSX drops trailing blank ones)
+ * @param {Object} options - delimiter, raw (keep cells as text)
+ * @returns {Array<Array>} Rows
+ */
+const parseRecords = (text, count, { delimiter, raw }) => {
+  const workbook = XLSX.read(text, { type: "string", FS: delimiter, raw });
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[CSV_SHEET_NAME], {
+    header: 1,
+    raw: !raw,
+    defval: "",
+    blankrows: true,
+  });
+
+  while (rows.length < count) rows.push([]);
+  return rows;
+};
+
+/**
+ * Read a CSV file in batches of rows. Records are split on line breaks
+ * outside quotes; encoding and delimiter are detected from the first chunk.
+ * @param {string} filePath - Path to file
+ * @param {Object} options - batchSize (rows per batch), raw (cells as text
+ *   instead of numbers and dates)
+ * @yields {Object} { rows, firstRow, bytesRead, totalBytes }; firstRow is
+ *   the 0-based index of rows[0] in the file
+ */
+async function* readCsvBatches(
+  filePath,
+  { batchSize = 500, raw = false } = {}
+) {
+  const { size: totalBytes } = await fs.promises.stat(filePath);
+  const stream = fs.createReadStream(filePath, {
+    highWaterMark: READ_CHUNK_SIZE,
+  });
+
+  let decoder = null;
+  let delimiter = null;
+  let buffer = "";
+  let scanned = 0;
+  let recordsEnd = 0;
+  let count = 0;
+  let inQuotes = false;
+  let firstRow = 0;
+  let bytesRead = 0;
+
+  const takeBatch = () => {
+    const rows = parseRecords(buffer.slice(0, recordsEnd), count, {
+      delimiter,
+      raw,
+    });
+    const batch = { rows, firstRow, bytesRead, totalBytes };
+
+    buffer = buffer.slice(recordsEnd);
+    scanned -= recordsEnd;
+    recordsEnd = 0;
+    firstRow += count;
+    count = 0;
+    return batch;
+  };
+
+  try {
+    for await (const chunk of stream) {
+      bytesRead += chunk.length;
+      if (!decoder) {
+        // TextDecoder drops the UTF-8 byte order mark
+        decoder = new TextDecoder(
+          detectEncoding(chunk, chunk.length === totalBytes)
+        );
+      }
+      buffer += decoder.decode(chunk, { stream: true });
+      if (!delimiter) delimiter = detectDelimiter(buffer);
+
+      for (; scanned < buffer.length; scanned++) {
+        const char = buffer.charCodeAt(scanned);
+        if (char === 34) {
+          inQuotes = !inQuotes;
+        } else if (char === 10 && !inQuotes) {
+          recordsEnd = scanned + 1;
+          count += 1;
+          if (count === batchSize) yield takeBatch();
+        }
+      }
+    }
+
+    if (decoder) buffer += decoder.decode();
+    // Last record without a line break
+    if (buffer.length > recordsEnd) {
+      recordsEnd = buffer.length;
+      count += 1;
+    }
+    if (count > 0) yield takeBatch();
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Read the rows of a CSV file, optionally only the first maxRows
+ * @param {string} filePath - Path to file
+ * @param {Object} options - raw, maxRows
+ * @returns {Promise<Object>} { rows, truncated }
+ */
+const readCsvRows = async (filePath, { raw = false, maxRows = null } = {}) => {
+  const rows = [];
+
+  for await (const batch of readCsvBatches(filePath, { raw })) {
+    rows.push(...batch.rows);
+    // Also reported when the file ends exactly at maxRows
+    if (maxRows && rows.length >= maxRows) {
+      return { rows: rows.slice(0, maxRows), truncated: true };
+    }
+  }
+
+  return { rows, truncated: false };
+};
+
+module.exports = {
+  CSV_SHEET_NAME,
+  detectEncoding,
+  detectDelimiter,
+  readCsvBatches,
+  readCsvRows,
+};
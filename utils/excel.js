@@ -1,6 +1,15 @@
 const XLSX = require("xlsx");
 const fs = require("fs").promises;
 const path = require("path");
+const { zonedTimeToUtc } = require("./timezone");
+const { BROKER_FORMATS, getBrokerFormat } = require("./brokerFormats");
+const { readCsvRows, CSV_SHEET_NAME } = require("./csvStream");
+
+// Broker statements (XTB) use Polish local time without an offset
+const STATEMENT_TIMEZONE = "Europe/Warsaw";
+
+// Rows scanned for the header row; XTB puts account details above it
+const HEADER_SEARCH_ROWS = 30;
 
 /**
  * Supported file formats
@@ -9,15 +18,26 @@ const SUPPORTED_FORMATS = {
   EXCEL: [".xlsx", ".xls"],
   CSV: [".csv"],
   TEXT: [".txt"],
+  // Broker statements only (IBKR Flex Query, OFX/QFX, QIF)
+  XML: [".xml"],
+  OFX: [".ofx", ".qfx"],
+  QIF: [".qif"],
 };
 
+// Statement formats that are not tables
+const TEXT_STATEMENT_FORMATS = [
+  ...SUPPORTED_FORMATS.XML,
+  ...SUPPORTED_FORMATS.OFX,
+  ...SUPPORTED_FORMATS.QIF,
+];
+
 /**
  * Column mapping configurations for different data types
  */
 const COLUMN_MAPPINGS = {
   positions: {
     // Standard XTB format
-    position_id: ["position_id", "positionid", "id", "Position ID"],
+    position_id: ["position_id", "positionid", "id", "Position ID", "Position"],
     symbol: ["symbol", "Symbol", "instrument", "Instrument"],
     type: ["type", "Type", "cmd", "Command", "side", "Side"],
     volume: ["volume", "Volume", "size", "Size", "quantity", "Quantity"],
@@ -33,8 +53,9 @@ const COLUMN_MAPPINGS = {
     ],
     commission: ["commission", "Commission", "fee", "Fee"],
     swap: ["swap", "Swap", "overnight", "Overnight"],
+    rollover: ["rollover", "Rollover"],
     taxes: ["taxes", "Taxes", "tax", "Tax"],
-    profit: ["profit", "Profit", "pl", "P&L", "pnl", "PnL"],
+    profit: ["profit", "Profit", "pl", "P&L", "pnl", "PnL", "Gross P/L"],
     comment: ["comment", "Comment", "notes", "Notes", "description"],
   },
   cash_operations: {
@@ -47,12 +68,12 @@ const COLUMN_MAPPINGS = {
     symbol: ["symbol", "Symbol", "instrument", "Instrument"],
   },
   orders: {
-    order_id: ["order_id", "orderid", "id", "ID"],
+    order_id: ["order_id", "orderid", "id", "ID", "Order"],
     symbol: ["symbol", "Symbol", "instrument", "Instrument"],
     type: ["type", "Type", "order_type", "ordertype"],
     side: ["side", "Side", "cmd", "Command"],
     volume: ["volume", "Volume", "size", "Size", "quantity"],
-    price: ["price", "Price", "limit_price", "limitprice"],
+    price: ["price", "Price", "limit_price", "limitprice", "Open price"],
     stop_price: ["stop_price", "stopprice", "Stop Price"],
     status: ["status", "Status", "state", "State"],
     open_time: ["open_time", "opentime", "created", "Created"],
@@ -84,22 +105,43 @@ const DATA_VALIDATORS = {
   },
   date: (value) => {
     if (!value) return null;
-
-    // Try different date formats
-    const formats = [
-      // ISO formats
-      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/,
-      /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/,
-      /^\d{4}-\d{2}-\d{2}/,
-      // European formats
-      /^\d{2}\/\d{2}\/\d{4}/,
-      /^\d{2}-\d{2}-\d{4}/,
-      /^\d{2}\.\d{2}\.\d{4}/,
-      // US formats
-      /^\d{2}\/\d{2}\/\d{4}/,
-    ];
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    // Excel serial date (days since 1899-12-30, local wall clock)
+    if (typeof value === "number") {
+      const parts = XLSX.SSF.parse_date_code(value);
+      if (!parts) return null;
+      return zonedTimeToUtc(
+        {
+          year: parts.y,
+          month: parts.m,
+          day: parts.d,
+          hour: parts.H,
+          minute: parts.M,
+          second: Math.round(parts.S),
+        },
+        STATEMENT_TIMEZONE
+      );
+    }
 
     const dateStr = String(value).trim();
+
+    // European formats: DD.MM.YYYY, DD/MM/YYYY, DD-MM-YYYY with optional time
+    const european = dateStr.match(
+      /^(\d{2})[./-](\d{2})[./-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/
+    );
+    if (european) {
+      const [, day, month, year, hour = 0, minute = 0, second = 0] =
+        european.map(Number);
+      const calendarDay = new Date(Date.UTC(year, month - 1, day));
+      if (calendarDay.getUTCMonth() !== month - 1) return null;
+      return zonedTimeToUtc(
+        { year, month, day, hour, minute, second },
+        STATEMENT_TIMEZONE
+      );
+    }
+
+    // ISO and other formats understood by Date
     const date = new Date(dateStr);
 
     if (!isNaN(date.getTime())) {
@@ -129,6 +171,27 @@ const DATA_VALIDATORS = {
       commission: "fee",
       bonus: "bonus",
       transfer: "transfer",
+      // XTB cash operation labels
+      "ike deposit": "deposit",
+      "ikze deposit": "deposit",
+      divident: "dividend",
+      "withholding tax": "withholding_tax",
+      tax: "tax",
+      "tax iftt": "tax",
+      "free-funds interest": "interest",
+      "free-funds interest tax": "tax",
+      "stocks/etf purchase": "stock_purchase",
+      "stock purchase": "stock_purchase",
+      "stocks/etf sale": "stock_sale",
+      "stock sale": "stock_sale",
+      "close trade": "close_trade",
+      "fractional shares": "fractional_shares",
+      "sec fee": "fee",
+      swap: "fee",
+      rollover: "fee",
+      correction: "correction",
+      adjustment: "adjustment",
+      "subaccount transfer": "subaccount_transfer",
     };
 
     return typeMap[str] || str;
@@ -421,6 +484,84 @@ const mapColumns = (data, dataType) => {
   });
 };
 
+/**
+ * Normalize a header cell for comparison ("Open time" === "open_time")
+ * @param {*} value - Header cell
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ");
+
+/**
+ * Map header cells to standard fields
+ * @param {Array} headerRow - Header row cells
+ * @param {string} dataType - Data type (positions, cash_operations, orders)
+ * @returns {Object} Standard field -> column index
+ */
+const mapHeaderRow = (headerRow, dataType) => {
+  const mapping = COLUMN_MAPPINGS[dataType];
+  if (!mapping) {
+    throw new Error(`No column mapping found for data type: ${dataType}`);
+  }
+
+  const headers = (headerRow || []).map(normalizeHeader);
+  const columns = {};
+
+  Object.keys(mapping).forEach((standardField) => {
+    const aliases = mapping[standardField].map(normalizeHeader);
+    const index = headers.findIndex((header) => aliases.includes(header));
+    if (index !== -1) {
+      columns[standardField] = index;
+    }
+  });
+
+  return columns;
+};
+
+/**
+ * Find the header row in a sheet read with { header: 1 }
+ * @param {Array<Array>} rows - Sheet rows
+ * @param {string} dataType - Data type
+ * @param {number} minColumns - Minimum matched columns
+ * @returns {number} Row index or -1
+ */
+const findHeaderRow = (rows, dataType, minColumns = 3) => {
+  let best = -1;
+  let bestScore = minColumns - 1;
+
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, index) => {
+    const score = Object.keys(mapHeaderRow(row, dataType)).length;
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Read a data row through a header mapping
+ * @param {Array} row - Row cells
+ * @param {Object} columns - Standard field -> column index
+ * @returns {Object} Non-empty values by standard field
+ */
+const readMappedRow = (row, columns) => {
+  const mappedRow = {};
+
+  Object.entries(columns).forEach(([field, index]) => {
+    const value = row?.[index];
+    if (value !== undefined && value !== null && value !== "") {
+      mappedRow[field] = typeof value === "string" ? value.trim() : value;
+    }
+  });
+
+  return mappedRow;
+};
+
 /**
  * Validate and clean data
  * @param {Array} data - Mapped data
@@ -559,6 +700,14 @@ const isSupportedFormat = (extension) => {
   return allFormats.includes(extension.toLowerCase());
 };
 
+/**
+ * Whether a file is read in batches (CSV) instead of whole
+ * @param {string} fileName - File name or path
+ * @returns {boolean}
+ */
+const isStreamingFormat = (fileName) =>
+  SUPPORTED_FORMATS.CSV.includes(path.extname(fileName || "").toLowerCase());
+
 /**
  * Get file preview (first few rows)
  * @param {string} filePath - Path to file
@@ -624,14 +773,111 @@ const processFile = async (filePath, options = {}) => {
   }
 };
 
+/**
+ * Statement text: UTF-8 (BOM stripped), or cp1250 as Polish brokers export
+ * it when the bytes are not valid UTF-8
+ * @param {Buffer} buffer - File content
+ * @returns {string}
+ */
+const decodeStatementText = (buffer) => {
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch (error) {
+    text = new TextDecoder("windows-1250").decode(buffer);
+  }
+  return text.replace(/^\uFEFF/, "");
+};
+
+/**
+ * Read a statement for broker format detection: raw text (XML, OFX, QIF)
+ * and every sheet as rows of cell strings. CSV cells are kept as text so
+ * that "1,5" or "15-01-2024" reach the broker parser unchanged; CSV files
+ * are read in batches (utils/csvStream) and maxRows stops after the rows
+ * needed for detection.
+ * @param {string} filePath - Path to file
+ * @param {string} fileName - Original file name (uploads are renamed)
+ * @param {Object} options - maxRows (CSV only)
+ * @returns {Promise<Object>} { fileName, extension, text, sheets: [{ name, rows }], truncated }
+ */
+const readStatementInput = async (
+  filePath,
+  fileName = filePath,
+  { maxRows = null } = {}
+) => {
+  // Uploads keep the original extension in the stored file name
+  const extension = (
+    path.extname(filePath) || path.extname(fileName || "")
+  ).toLowerCase();
+  const input = {
+    fileName,
+    extension,
+    text: null,
+    sheets: [],
+    truncated: false,
+  };
+
+  if (TEXT_STATEMENT_FORMATS.includes(extension)) {
+    input.text = decodeStatementText(await fs.readFile(filePath));
+    return input;
+  }
+
+  if (SUPPORTED_FORMATS.CSV.includes(extension)) {
+    const { rows, truncated } = await readCsvRows(filePath, {
+      raw: true,
+      maxRows,
+    });
+    input.sheets = [{ name: CSV_SHEET_NAME, rows }];
+    input.truncated = truncated;
+    return input;
+  }
+
+  let workbook;
+  if (SUPPORTED_FORMATS.EXCEL.includes(extension)) {
+    workbook = XLSX.readFile(filePath);
+  } else {
+    input.text = decodeStatementText(await fs.readFile(filePath));
+    workbook = XLSX.read(input.text, { type: "string", raw: true });
+  }
+
+  input.sheets = workbook.SheetNames.map((name) => ({
+    name,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+      header: 1,
+      raw: false,
+      defval: "",
+    }),
+  }));
+
+  return input;
+};
+
+/**
+ * Find the broker format of a statement (see utils/brokerFormats)
+ * @param {Object} input - Result of readStatementInput
+ * @returns {Object|null} Broker format, null for XTB/generic files
+ */
+const detectBrokerFormat = (input) =>
+  BROKER_FORMATS.find((format) => format.detect(input)) || null;
+
 module.exports = {
   parseFile,
   detectDataType,
   mapColumns,
+  normalizeHeader,
+  mapHeaderRow,
+  findHeaderRow,
+  readMappedRow,
   validateData,
+  getValidatorsForType,
   getFilePreview,
   processFile,
   isSupportedFormat,
+  isStreamingFormat,
+  readStatementInput,
+  detectBrokerFormat,
+  getBrokerFormat,
+  BROKER_FORMATS,
   SUPPORTED_FORMATS,
   COLUMN_MAPPINGS,
   DATA_VALIDATORS,
@@ -0,0 +1,107 @@
+/**
+ * Credential Key Rotation
+ * Re-encrypts the broker credentials of every portfolio with the current
+ * master key (CREDENTIAL_MASTER_KEY / CREDENTIAL_MASTER_KEY_VERSION) and a
+ * new data key. Records of older versions are decrypted with
+ * CREDENTIAL_RETIRED_KEYS; plaintext credentials saved before encryption
+ * was introduced are encrypted.
+ *
+ * Usage: node utils/rotateCredentialKeys.js [--dry-run]
+ */
+const {
+  SECRET_FIELDS,
+  currentKeyVersion,
+  getMasterKey,
+  encryptCredentials,
+  decryptCredentials,
+} = require("./credentialVault");
+
+const CREDENTIAL_FIELDS = [...SECRET_FIELDS, "dataKey"]
+  .map((field) => `+brokerConfig.apiCredentials.${field}`)
+  .join(" ");
+
+/**
+ * @param {Object} options - dryRun: count without writing
+ * @returns {Promise<{rotated: number, failed: Array, keyVersion: number}>}
+ */
+const rotateCredentialKeys = async ({ dryRun = false } = {}) => {
+  const Portfolio = require("../models/Portfolio");
+  const keyVersion = currentKeyVersion();
+
+  // Fail before touching any record when the new key is missing
+  getMasterKey(keyVersion);
+
+  const cursor = Portfolio.find({
+    $or: SECRET_FIELDS.map((field) => ({
+      [`brokerConfig.apiCredentials.${field}`]: { $exists: true, $ne: null },
+    })),
+  })
+    .select(CREDENTIAL_FIELDS)
+    .lean()
+    .cursor();
+
+  let rotated = 0;
+  const failed = [];
+
+  for await (const portfolio of cursor) {
+    const stored = portfolio.brokerConfig.apiCredentials;
+    try {
+      const encrypted = encryptCredentials(decryptCredentials(stored));
+
+      if (!dryRun) {
+        await Portfolio.updateOne(
+          { _id: portfolio._id },
+          {
+            $set: Object.fromEntries(
+              Object.entries(encrypted).map(([field, value]) => [
+                `brokerConfig.apiCredentials.${field}`,
+                value ?? null,
+              ])
+            ),
+          }
+        );
+      }
+      rotated++;
+    } catch (error) {
+      failed.push({
+        portfolioId: portfolio._id,
+        keyVersion: stored.keyVersion ?? null,
+        error: error.message,
+      });
+    }
+  }
+
+  return { rotated, failed, keyVersion };
+};
+
+if (require.main === module) {
+  require("dotenv").config();
+  const { connectDB, disconnectDB } = require("./database");
+  const dryRun = process.argv.includes("--dry-run");
+
+  (async () => {
+    await connectDB();
+    const { rotated, failed, keyVersion } = await rotateCredentialKeys({
+      dryRun,
+    });
+
+    console.log(
+      `🔑 ${
+        dryRun ? "Would re-encrypt" : "Re-encrypted"
+      } credentials of ${rotated} portfolios with key version ${keyVersion}`
+    );
+    for (const failure of failed) {
+      console.error(
+        `❌ Portfolio ${failure.portfolioId} (key version ${failure.keyVersion}): ${failure.error}`
+      );
+    }
+
+    await disconnectDB();
+    process.exit(failed.length > 0 ? 1 : 0);
+  })().catch((error) => {
+    console.error("❌ Credential key rotation failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { rotateCredentialKeys };
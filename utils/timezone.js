@@ -0,0 +1,117 @@
+/**
+ * Timezone Utility
+ * Wall-clock <-> UTC conversion for IANA timezones using Intl only
+ */
+
+const DEFAULT_TIMEZONE = "Europe/Warsaw";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        weekday: "short",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check that a timezone name is known to Intl
+ * @param {string} timezone - IANA timezone, e.g. "Europe/Warsaw"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timezone = DEFAULT_TIMEZONE) => {
+  const parts = getFormatter(timezone)
+    .formatToParts(new Date(date))
+    .reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+// Offset of the timezone from UTC at a given instant, in ms
+const getOffsetMs = (timestamp, timezone) => {
+  const parts = getZonedParts(new Date(timestamp), timezone);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - (timestamp - (((timestamp % 1000) + 1000) % 1000));
+};
+
+/**
+ * Instant at which the wall clock in a timezone shows the given time.
+ * Out-of-range values roll over like Date.UTC (day 0, month 13, ...).
+ * Times skipped by a DST change resolve to the instant after the gap.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (parts, timezone = DEFAULT_TIMEZONE) => {
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour || 0,
+    parts.minute || 0,
+    parts.second || 0
+  );
+
+  let timestamp = wallClock - getOffsetMs(wallClock, timezone);
+  const offset = getOffsetMs(timestamp, timezone);
+  if (wallClock - offset !== timestamp) {
+    timestamp = Math.max(timestamp, wallClock - offset);
+  }
+
+  return new Date(timestamp);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+};
@@ -0,0 +1,105 @@
+/**
+ * Trading Sessions Utility
+ * Session open/close of an instrument from its MarketData trading hours
+ * (metadata.tradingHours: "HH:MM" open and close in an IANA timezone)
+ *
+ * Crypto trades every day, other assets Monday to Friday. Without trading
+ * hours the session is the whole day in the timezone (UTC by default).
+ */
+const { getZonedParts, zonedTimeToUtc } = require("./timezone");
+
+const DEFAULT_SESSION_TIMEZONE = "UTC";
+
+// Asset types trading on weekends
+const ALL_WEEK_ASSETS = ["crypto"];
+
+// "HH:MM" as { hour, minute }, or the fallback
+const parseTime = (value, fallback) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+  return match
+    ? { hour: Number(match[1]), minute: Number(match[2]) }
+    : fallback;
+};
+
+/**
+ * Session definition of an instrument
+ * @param {Object} marketData - MarketData (or its metadata) of the symbol
+ * @returns {Object} { open, close, timezone, weekends }
+ */
+const getSession = (marketData) => {
+  const metadata = marketData?.metadata || marketData || {};
+  const hours = metadata.tradingHours || {};
+
+  return {
+    open: parseTime(hours.open, { hour: 0, minute: 0 }),
+    close: parseTime(hours.close, { hour: 24, minute: 0 }),
+    timezone: hours.timezone || DEFAULT_SESSION_TIMEZONE,
+    weekends: ALL_WEEK_ASSETS.includes(metadata.assetType),
+  };
+};
+
+const isTradingDay = (session, { year, month, day }) => {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return session.weekends || (weekday !== 0 && weekday !== 6);
+};
+
+const sessionBoundary = (session, date, time, offsetDays = 0) =>
+  zonedTimeToUtc(
+    {
+      year: date.year,
+      month: date.month,
+      day: date.day + offsetDays,
+      hour: time.hour,
+      minute: time.minute,
+    },
+    session.timezone
+  );
+
+/**
+ * Whether the market of an instrument is open
+ * @param {Object} marketData - MarketData of the symbol
+ * @param {Date} at - Instant to check (default now)
+ * @returns {boolean}
+ */
+const isSessionOpen = (marketData, at = new Date()) => {
+  const session = getSession(marketData);
+  const today = getZonedParts(at, session.timezone);
+  if (!isTradingDay(session, today)) return false;
+
+  return (
+    sessionBoundary(session, today, session.open) <= at &&
+    at < sessionBoundary(session, today, session.close)
+  );
+};
+
+/**
+ * Close of the session an order placed at `from` belongs to: today's
+ * session unless it has already closed, else the next trading day's
+ * @param {Object} marketData - MarketData of the symbol
+ * @param {Date} from - Instant the order was placed
+ * @returns {Date}
+ */
+const getSessionClose = (marketData, from = new Date()) => {
+  const session = getSession(marketData);
+  const today = getZonedParts(from, session.timezone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = getZonedParts(
+      sessionBoundary(session, today, { hour: 12, minute: 0 }, offset),
+      session.timezone
+    );
+    if (!isTradingDay(session, date)) continue;
+
+    const close = sessionBoundary(session, date, session.close);
+    if (close > from) return close;
+  }
+
+  // Unreachable with at least one trading day a week
+  return sessionBoundary(session, today, session.close, 1);
+};
+
+module.exports = {
+  getSession,
+  isSessionOpen,
+  getSessionClose,
+};
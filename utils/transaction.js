@@ -1,3 +1,16 @@
+/**
+ * Transaction Utility
+ * Runs a callback inside a MongoDB transaction (requires a replica set)
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Run callback(session) in a transaction; commits on success, aborts and
+ * rethrows on error
+ * @param {Function} callback - async (session) => result
+ * @returns {Promise<*>} Callback result
+ */
 const withTransaction = async (callback) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -12,3 +25,5 @@ const withTransaction = async (callback) => {
     session.endSession();
   }
 };
+
+module.exports = { withTransaction };